@@ -8,9 +8,17 @@ require('dotenv').config();
 
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
+const { initCompetitionScheduler } = require('./src/utils/competitionScheduler');
+const { startExpiredTestsSweeper, stopExpiredTestsSweeper } = require('./src/utils/expiredTestsSweeper');
+const { startQuestionStatsJob, stopQuestionStatsJob } = require('./src/utils/questionStatsJob');
 
-// Подключение к базе данных
-connectDB();
+// Подключение к базе данных, восстановление расписания соревнований, запуск завершения просроченных тестов
+// и пересчета статистики вопросов
+connectDB().then(async () => {
+  await initCompetitionScheduler();
+  await startExpiredTestsSweeper();
+  await startQuestionStatsJob();
+});
 
 const PORT = process.env.PORT || 3000;
 
@@ -22,15 +30,19 @@ const server = app.listen(PORT, () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received');
+  await stopExpiredTestsSweeper();
+  await stopQuestionStatsJob();
   server.close(() => {
     console.log('Process terminated');
   });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('SIGINT received');
+  await stopExpiredTestsSweeper();
+  await stopQuestionStatsJob();
   server.close(() => {
     console.log('Process terminated');
   });
@@ -11,6 +11,9 @@ const adminRoutes = require('./routes/admin');
 const questionRoutes = require('./routes/questions');
 const testRoutes = require('./routes/tests');
 const userRoutes = require('./routes/users');
+const gradingRoutes = require('./routes/grading');
+const reviewRoutes = require('./routes/review');
+const { isQuestionImageFile } = require('./utils/questionImages');
 
 const app = express();
 
@@ -44,8 +47,12 @@ if (process.env.NODE_ENV === 'development') {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Статические файлы
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Статические файлы: публично раздаются только изображения вопросов. Решения участников
+// выдаются через API с проверкой доступа, файлы импорта - временные
+const serveUploads = express.static(path.join(__dirname, '../uploads'));
+app.use('/uploads', (req, res, next) => (
+  isQuestionImageFile(req.path.slice(1)) ? serveUploads(req, res, next) : next()
+));
 
 // Маршруты API
 app.use('/api/auth', authRoutes);
@@ -53,6 +60,8 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/questions', questionRoutes);
 app.use('/api/tests', testRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/grading', gradingRoutes);
+app.use('/api/review', reviewRoutes);
 
 // Базовый маршрут
 app.get('/', (req, res) => {
@@ -12,6 +12,9 @@ const connectDB = async () => {
     // Создаем индексы для оптимизации
     await createIndexes();
     
+    // Переносим существующие данные на новые поля
+    await migrateData();
+    
   } catch (error) {
     console.error('❌ MongoDB connection error:', error.message);
     process.exit(1);
@@ -23,28 +26,180 @@ const createIndexes = async () => {
     const User = require('../models/User');
     const Question = require('../models/Question');
     const Test = require('../models/Test');
+    const Competition = require('../models/Competition');
     
     // Индексы для User
     await User.collection.createIndex({ email: 1 }, { unique: true });
     await User.collection.createIndex({ role: 1 });
-    await User.collection.createIndex({ testId: 1 });
     
     // Индексы для Question
     await Question.collection.createIndex({ difficulty: 1 });
     await Question.collection.createIndex({ topic: 1 });
+    await Question.collection.createIndex({ topicPath: 1 });
     await Question.collection.createIndex({ createdAt: -1 });
     
     // Индексы для Test
-    await Test.collection.createIndex({ userId: 1 }, { unique: true });
+    // Старый уникальный индекс по userId не позволяет участвовать в нескольких соревнованиях
+    await Test.collection.dropIndex('userId_1').catch(() => {});
+    await Test.collection.createIndex({ userId: 1, competitionId: 1 }, { unique: true });
+    await Test.collection.createIndex({ competitionId: 1, isCompleted: 1 });
     await Test.collection.createIndex({ isCompleted: 1 });
     await Test.collection.createIndex({ createdAt: -1 });
     
+    // Индексы для Competition
+    await Competition.collection.createIndex({ isActive: 1, testStarted: 1 });
+    await Competition.collection.createIndex({ participants: 1 });
+    
     console.log('✅ Database indexes created');
   } catch (error) {
     console.warn('⚠️  Index creation warning:', error.message);
   }
 };
 
+// Соревнование, в которое переносятся тесты, созданные до появления соревнований
+const LEGACY_COMPETITION_NAME = 'Legacy competition';
+
+const migrateData = async () => {
+  try {
+    const Question = require('../models/Question');
+    const Topic = require('../models/Topic');
+    const Test = require('../models/Test');
+    const Competition = require('../models/Competition');
+    const Settings = require('../models/Settings');
+    const { getSearchText } = require('../utils/mathMarkup');
+    
+    // Тесты, созданные до появления соревнований, переносятся в одно соревнование, собранное
+    // из старых глобальных настроек (поля testStarted/testStartTime/testEndTime читаются из коллекции напрямую)
+    const legacyTestsCount = await Test.countDocuments({ competitionId: null });
+    
+    if (legacyTestsCount > 0) {
+      const legacySettings = await Settings.collection.findOne({ isActive: true }) || {};
+      const competition = await Competition.findOne({ name: LEGACY_COMPETITION_NAME }) || await Competition.create({
+        name: LEGACY_COMPETITION_NAME,
+        description: 'Tests taken before competitions were introduced',
+        testDuration: legacySettings.testDuration ?? 45,
+        questionsPerTest: legacySettings.questionsPerTest ?? 30,
+        passingScore: legacySettings.passingScore ?? 50,
+        testStarted: Boolean(legacySettings.testStarted),
+        testStartTime: legacySettings.testStartTime || null,
+        testEndTime: legacySettings.testEndTime || null,
+        createdBy: legacySettings.createdBy || new mongoose.Types.ObjectId(),
+        lastModifiedBy: legacySettings.lastModifiedBy || legacySettings.createdBy || new mongoose.Types.ObjectId()
+      });
+      
+      await Test.updateMany(
+        { competitionId: null },
+        { $set: { competitionId: competition._id } },
+        { timestamps: false }
+      );
+      
+      const participants = await Test.distinct('userId', { competitionId: competition._id });
+      await Competition.updateOne(
+        { _id: competition._id },
+        { $addToSet: { participants: { $each: participants } } }
+      );
+      
+      console.log(`✅ Moved ${legacyTestsCount} existing tests to competition "${competition.name}"`);
+    }
+    
+    // Начатые тесты, у которых нет персонального дедлайна (начаты до его появления): дедлайн - начало теста
+    // плюс длительность соревнования, иначе фоновая задача никогда не завершит их по времени
+    const withoutDeadline = await Test.find({ isCompleted: false, startedAt: { $ne: null }, expiresAt: null })
+      .select('competitionId startedAt')
+      .lean();
+    
+    if (withoutDeadline.length > 0) {
+      const competitions = await Competition.find({ _id: { $in: withoutDeadline.map(test => test.competitionId) } })
+        .select('testDuration')
+        .lean();
+      const durations = new Map(competitions.map(competition => [competition._id.toString(), competition.testDuration]));
+      const updates = withoutDeadline
+        .filter(test => durations.has(test.competitionId.toString()))
+        .map(test => ({
+          updateOne: {
+            filter: { _id: test._id },
+            update: {
+              $set: { expiresAt: new Date(test.startedAt.getTime() + durations.get(test.competitionId.toString()) * 60 * 1000) }
+            },
+            timestamps: false
+          }
+        }));
+      
+      if (updates.length > 0) {
+        await Test.bulkWrite(updates);
+        console.log(`✅ Set deadlines for ${updates.length} tests in progress`);
+      }
+    }
+    
+    // Раньше баллы вопроса по умолчанию были равны 1 и сохранялись в каждом вопросе; теперь незаданные
+    // баллы определяются сложностью. Шаг выполняется один раз, чтобы не сбросить баллы, заданные позже
+    const migrations = mongoose.connection.collection('migrations');
+    
+    if (!await migrations.findOne({ _id: 'question-default-points' })) {
+      const { modifiedCount: pointsReset } = await Question.updateMany(
+        { points: 1 },
+        { $set: { points: null } },
+        { timestamps: false }
+      );
+      await migrations.insertOne({ _id: 'question-default-points', appliedAt: new Date() });
+      
+      if (pointsReset > 0) {
+        console.log(`✅ Reset default points of ${pointsReset} existing questions to difficulty-based points`);
+      }
+    }
+    
+    // Вопросы, созданные до появления рецензирования, уже используются в тестах - считаем их одобренными
+    const { modifiedCount } = await Question.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: 'approved' } },
+      { timestamps: false }
+    );
+    
+    if (modifiedCount > 0) {
+      console.log(`✅ Marked ${modifiedCount} existing questions as approved`);
+    }
+    
+    // Текст для поиска (без разметки формул) у вопросов, сохраненных до его появления
+    const withoutSearchText = await Question.find({ searchText: { $exists: false } })
+      .select('title description options')
+      .lean();
+    
+    if (withoutSearchText.length > 0) {
+      await Question.bulkWrite(withoutSearchText.map(question => ({
+        updateOne: {
+          filter: { _id: question._id },
+          update: { $set: { searchText: getSearchText(question) } },
+          timestamps: false
+        }
+      })));
+      console.log(`✅ Built search text for ${withoutSearchText.length} questions`);
+    }
+    
+    // Темы вопросов, сохраненных до появления дерева тем. Названия, различающиеся только регистром
+    // и пробелами, становятся одной темой с самым частым написанием
+    const unlinkedTopics = await Question.aggregate([
+      { $match: { topicId: null } },
+      { $group: { _id: '$topic', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+    
+    for (const { _id: name } of unlinkedTopics) {
+      const topic = await Topic.resolve(name);
+      await Question.updateMany(
+        { topicId: null, topic: name },
+        { $set: { topic: topic.name, topicId: topic._id, topicPath: topic.getPath() } },
+        { timestamps: false }
+      );
+    }
+    
+    if (unlinkedTopics.length > 0) {
+      console.log(`✅ Linked questions to topic tree (${unlinkedTopics.length} topic names)`);
+    }
+  } catch (error) {
+    console.warn('⚠️  Data migration warning:', error.message);
+  }
+};
+
 // Обработка отключения
 mongoose.connection.on('disconnected', () => {
   console.log('❌ MongoDB disconnected');
@@ -1,8 +1,21 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Test = require('../models/Test');
 const Question = require('../models/Question');
+const QuestionRevision = require('../models/QuestionRevision');
 const Settings = require('../models/Settings');
-const { validateTestGeneration } = require('../utils/testGenerator');
+const Competition = require('../models/Competition');
+const { validateTestGeneration, getBlueprintReport, verifyTestGeneration } = require('../utils/testGenerator');
+const { getFormsSpreadReport, loadSuccessStats } = require('../utils/formBalancer');
+const { MIN_CALIBRATION_RESPONSES, estimateItemDifficulty } = require('../utils/adaptiveTesting');
+const { getQuestionExposureReport } = require('../utils/exposureControl');
+const { isChoiceType, isMultiSelectType, getExpectedAnswer, getScorePercentage } = require('../utils/answerGrader');
+const {
+  openCompetition,
+  closeCompetition,
+  scheduleCompetition,
+  unscheduleCompetition
+} = require('../utils/competitionScheduler');
 
 // Получение всех пользователей
 const getAllUsers = async (req, res) => {
@@ -12,7 +25,6 @@ const getAllUsers = async (req, res) => {
       limit = 20,
       sort = '-createdAt',
       role,
-      hasStartedTest,
       search
     } = req.query;
     
@@ -23,10 +35,6 @@ const getAllUsers = async (req, res) => {
       filter.role = role;
     }
     
-    if (hasStartedTest !== undefined) {
-      filter.hasStartedTest = hasStartedTest === 'true';
-    }
-    
     if (search) {
       filter.$or = [
         { firstName: new RegExp(search, 'i') },
@@ -40,25 +48,33 @@ const getAllUsers = async (req, res) => {
     
     // Получение пользователей с пагинацией
     const users = await User.find(filter)
-      .populate('testId', 'isCompleted score maxScore startedAt completedAt')
       .select('-password')
       .sort(sort)
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .lean();
     
+    // Получаем тесты пользователей по всем соревнованиям одним запросом
+    const tests = await Test.find({ userId: { $in: users.map(user => user._id) } })
+      .populate('competitionId', 'name')
+      .select('userId competitionId isCompleted score maxScore startedAt completedAt')
+      .lean();
+    
     // Добавляем статистику по тестам
     const usersWithStats = users.map(user => ({
       ...user,
-      testStatus: user.testId ? {
-        isCompleted: user.testId.isCompleted,
-        score: user.testId.score,
-        maxScore: user.testId.maxScore,
-        percentage: user.testId.maxScore > 0 ? 
-          Math.round((user.testId.score / user.testId.maxScore) * 100) : 0,
-        startedAt: user.testId.startedAt,
-        completedAt: user.testId.completedAt
-      } : null
+      tests: tests
+        .filter(test => test.userId.toString() === user._id.toString())
+        .map(test => ({
+          competitionId: test.competitionId?._id || null,
+          competitionName: test.competitionId?.name || 'Unknown Competition',
+          isCompleted: test.isCompleted,
+          score: test.score,
+          maxScore: test.maxScore,
+          percentage: getScorePercentage(test.score, test.maxScore),
+          startedAt: test.startedAt,
+          completedAt: test.completedAt
+        }))
     }));
     
     res.json({
@@ -89,6 +105,7 @@ const getTestResults = async (req, res) => {
       page = 1,
       limit = 20,
       sort = '-completedAt',
+      competitionId,
       completed,
       minScore,
       maxScore
@@ -97,6 +114,10 @@ const getTestResults = async (req, res) => {
     // Построение фильтра
     const filter = {};
     
+    if (competitionId) {
+      filter.competitionId = competitionId;
+    }
+    
     if (completed !== undefined) {
       filter.isCompleted = completed === 'true';
     }
@@ -115,6 +136,7 @@ const getTestResults = async (req, res) => {
     // Получение тестов с пагинацией
     const tests = await Test.find(filter)
       .populate('userId', 'firstName lastName email')
+      .populate('competitionId', 'name')
       .sort(sort)
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -123,15 +145,16 @@ const getTestResults = async (req, res) => {
     // Добавляем вычисляемые поля
     const testsWithStats = tests.map(test => ({
       ...test,
-      percentage: test.maxScore > 0 ? 
-        Math.round((test.score / test.maxScore) * 100) : 0,
+      percentage: getScorePercentage(test.score, test.maxScore),
       userName: test.userId ? 
         `${test.userId.firstName} ${test.userId.lastName}` : 'Unknown User',
       userEmail: test.userId?.email || 'unknown@email.com'
     }));
     
-    // Получаем общую статистику
-    const overallStats = await Test.getOverallStats();
+    // Получаем общую статистику (по соревнованию, если оно указано)
+    const overallStats = await Test.getOverallStats(
+      competitionId ? { competitionId: new mongoose.Types.ObjectId(competitionId) } : {}
+    );
     
     res.json({
       tests: testsWithStats,
@@ -154,16 +177,22 @@ const getTestResults = async (req, res) => {
   }
 };
 
-// Запуск тестирования
+// Запуск тестирования соревнования
 const startTesting = async (req, res) => {
   try {
+    const { competitionId } = req.params;
     const { duration, questionsPerTest } = req.body;
     
-    // Получаем текущие настройки
-    let settings = await Settings.getCurrentSettings();
+    const competition = await Competition.findById(competitionId);
+    if (!competition || !competition.isActive) {
+      return res.status(404).json({
+        error: 'Competition Not Found',
+        message: 'Competition with this ID does not exist'
+      });
+    }
     
     // Проверяем, не запущено ли уже тестирование
-    if (settings.testStarted) {
+    if (competition.testStarted) {
       return res.status(400).json({
         error: 'Test Already Started',
         message: 'Testing is already in progress'
@@ -171,7 +200,7 @@ const startTesting = async (req, res) => {
     }
     
     // Валидируем возможность генерации тестов
-    const validation = await validateTestGeneration(questionsPerTest || settings.questionsPerTest);
+    const validation = await validateTestGeneration(questionsPerTest || competition.questionsPerTest);
     if (!validation.isValid) {
       return res.status(400).json({
         error: 'Insufficient Questions',
@@ -180,29 +209,26 @@ const startTesting = async (req, res) => {
       });
     }
     
-    // Обновляем настройки если переданы новые значения
-    if (duration) settings.testDuration = duration;
-    if (questionsPerTest) settings.questionsPerTest = questionsPerTest;
-    settings.lastModifiedBy = req.user._id;
+    // Обновляем параметры если переданы новые значения
+    if (duration) competition.testDuration = duration;
+    if (questionsPerTest) competition.questionsPerTest = questionsPerTest;
+    competition.lastModifiedBy = req.user._id;
     
-    // Запускаем тестирование
-    await settings.startTest();
+    // Запускаем тестирование; запланированное закрытие (если есть) остается в силе
+    await openCompetition(competition);
+    scheduleCompetition(competition);
     
-    // Запускаем тестирование
-    await settings.startTest();
-    
-    // Получаем статистику по пользователям
-    const totalUsers = await User.countDocuments({ role: 'user' });
-    const usersWithTests = await User.countDocuments({ role: 'user', testId: { $ne: null } });
+    // Получаем статистику по участникам
+    const usersWithTests = await Test.countDocuments({ competitionId: competition._id });
     
     res.json({
       message: 'Testing started successfully',
-      settings: settings.getClientConfig(),
+      competition: competition.getClientConfig(),
       stats: {
-        totalUsers,
+        totalUsers: competition.participants.length,
         usersWithTests,
         questionsAvailable: validation.totalQuestions,
-        questionsPerTest: settings.questionsPerTest
+        questionsPerTest: competition.questionsPerTest
       }
     });
     
@@ -215,33 +241,33 @@ const startTesting = async (req, res) => {
   }
 };
 
-// Остановка тестирования
+// Остановка тестирования соревнования
 const stopTesting = async (req, res) => {
   try {
-    const settings = await Settings.getCurrentSettings();
+    const { competitionId } = req.params;
+    
+    const competition = await Competition.findById(competitionId);
+    if (!competition) {
+      return res.status(404).json({
+        error: 'Competition Not Found',
+        message: 'Competition with this ID does not exist'
+      });
+    }
     
-    if (!settings.testStarted) {
+    if (!competition.testStarted) {
       return res.status(400).json({
         error: 'Test Not Started',
         message: 'Testing is not currently active'
       });
     }
     
-    // Останавливаем тестирование
-    await settings.stopTest();
-    
-    // Автоматически завершаем все незавершенные тесты
-    const activeTests = await Test.find({ isCompleted: false });
-    let completedCount = 0;
-    
-    for (const test of activeTests) {
-      await test.completeTest();
-      completedCount++;
-    }
+    // Останавливаем тестирование и автоматически завершаем все незавершенные тесты
+    const completedCount = await closeCompetition(competition);
+    unscheduleCompetition(competition._id);
     
     res.json({
       message: 'Testing stopped successfully',
-      settings: settings.getClientConfig(),
+      competition: competition.getClientConfig(),
       completedTests: completedCount
     });
     
@@ -258,9 +284,10 @@ const stopTesting = async (req, res) => {
 const updateSettings = async (req, res) => {
   try {
     const settings = await Settings.getCurrentSettings();
+    const testingActive = await Competition.exists({ testStarted: true });
     
     // Если тестирование активно, разрешаем изменять только определенные настройки
-    if (settings.testStarted) {
+    if (testingActive) {
       const allowedDuringTest = ['instructions', 'welcomeMessage', 'showResultsImmediately'];
       const updates = {};
       
@@ -306,9 +333,7 @@ const getSettings = async (req, res) => {
     res.json({
       settings: settings.getClientConfig(),
       fullSettings: {
-        ...settings.toObject(),
-        testStatus: settings.testStatus,
-        remainingTime: settings.getRemainingTime(),
+        ...settings.toObject({ flattenMaps: true }),
         formattedDuration: settings.formattedDuration
       }
     });
@@ -322,6 +347,215 @@ const getSettings = async (req, res) => {
   }
 };
 
+// Проверка спецификации теста по банку вопросов для соревнования
+const getCompetitionBlueprint = async (req, res) => {
+  try {
+    const { competitionId } = req.params;
+    
+    const competition = await Competition.findById(competitionId);
+    if (!competition) {
+      return res.status(404).json({
+        error: 'Competition Not Found',
+        message: 'Competition with this ID does not exist'
+      });
+    }
+    
+    const settings = await Settings.getCurrentSettings();
+    
+    if (settings.blueprint.length === 0) {
+      return res.json({
+        competitionId: competition._id,
+        questionsPerTest: competition.questionsPerTest,
+        enabled: false,
+        message: 'No blueprint configured, questions are selected by difficulty'
+      });
+    }
+    
+    const report = await getBlueprintReport(settings.blueprint, competition.questionsPerTest);
+    
+    res.json({
+      competitionId: competition._id,
+      questionsPerTest: competition.questionsPerTest,
+      enabled: true,
+      ...report
+    });
+    
+  } catch (error) {
+    console.error('Get competition blueprint error:', error);
+    res.status(500).json({
+      error: 'Blueprint Check Failed',
+      message: 'Failed to check test blueprint'
+    });
+  }
+};
+
+// Отчет о разбросе ожидаемой трудности сгенерированных тестов
+const getFormsReport = async (req, res) => {
+  try {
+    const { competitionId, limit = 10 } = req.query;
+    const settings = await Settings.getCurrentSettings();
+    const tolerance = req.query.tolerance || settings.parallelForms.tolerance;
+    
+    const filter = {};
+    if (competitionId) {
+      filter.competitionId = competitionId;
+    }
+    
+    const report = await getFormsSpreadReport(filter, { tolerance, outliersLimit: limit });
+    
+    res.json({
+      competitionId: competitionId || null,
+      parallelForms: settings.toObject().parallelForms,
+      ...report
+    });
+    
+  } catch (error) {
+    console.error('Get forms report error:', error);
+    res.status(500).json({
+      error: 'Forms Report Failed',
+      message: 'Failed to build test forms report'
+    });
+  }
+};
+
+// Метод для получения отчета об экспозиции вопросов (доля тестов с каждым вопросом и пересечения тестов)
+const getExposureReport = async (req, res) => {
+  try {
+    const { competitionId, page = 1, limit = 50 } = req.query;
+    const settings = await Settings.getCurrentSettings();
+    const exposureControl = settings.toObject().exposureControl;
+    
+    const filter = {};
+    if (competitionId) {
+      filter.competitionId = competitionId;
+    }
+    
+    const report = await getQuestionExposureReport(filter, { page, limit, maxShare: exposureControl.maxShare });
+    
+    res.json({
+      competitionId: competitionId || null,
+      exposureControl,
+      ...report
+    });
+    
+  } catch (error) {
+    console.error('Get exposure report error:', error);
+    res.status(500).json({
+      error: 'Exposure Report Failed',
+      message: 'Failed to build question exposure report'
+    });
+  }
+};
+
+// Калибровка трудности вопросов (адаптивный режим) по доле правильных ответов участников.
+// Вопросы с калибровкой, заданной вручную, пересчитываются только при overwriteManual
+const calibrateQuestions = async (req, res) => {
+  try {
+    const { minResponses = MIN_CALIBRATION_RESPONSES, overwriteManual = false } = req.body;
+    
+    const stats = await loadSuccessStats({ fresh: true });
+    const questions = await Question.find({ _id: { $in: [...stats.keys()] } })
+      .select('title difficulty calibration')
+      .lean();
+    
+    const calibratedAt = new Date();
+    const calibrated = [];
+    let skippedManual = 0;
+    let insufficientResponses = 0;
+    
+    questions.forEach(question => {
+      if (question.calibration && question.calibration.source === 'manual' && !overwriteManual) {
+        skippedManual++;
+        return;
+      }
+      
+      const questionStats = stats.get(question._id.toString());
+      const difficulty = estimateItemDifficulty(questionStats, minResponses);
+      
+      if (difficulty === null) {
+        insufficientResponses++;
+        return;
+      }
+      
+      calibrated.push({
+        questionId: question._id,
+        title: question.title,
+        category: question.difficulty,
+        difficulty,
+        sampleSize: questionStats.totalAnswers
+      });
+    });
+    
+    if (calibrated.length > 0) {
+      await Question.bulkWrite(calibrated.map(item => ({
+        updateOne: {
+          filter: { _id: item.questionId },
+          update: {
+            $set: {
+              'calibration.difficulty': item.difficulty,
+              'calibration.source': 'responses',
+              'calibration.sampleSize': item.sampleSize,
+              'calibration.calibratedAt': calibratedAt
+            }
+          }
+        }
+      })));
+    }
+    
+    res.json({
+      message: `Calibrated ${calibrated.length} questions`,
+      minResponses,
+      summary: {
+        calibrated: calibrated.length,
+        skippedManual,
+        insufficientResponses
+      },
+      questions: calibrated
+    });
+    
+  } catch (error) {
+    console.error('Calibrate questions error:', error);
+    res.status(500).json({
+      error: 'Calibration Failed',
+      message: 'Failed to calibrate questions'
+    });
+  }
+};
+
+// Аудит генерации теста: повторная выборка по сохраненному сиду и сравнение с тестом
+const getTestGeneration = async (req, res) => {
+  try {
+    const { testId } = req.params;
+    
+    const test = await Test.findById(testId)
+      .populate('userId', 'firstName lastName email')
+      .populate('competitionId', 'name');
+    
+    if (!test) {
+      return res.status(404).json({
+        error: 'Test Not Found',
+        message: 'Test with this ID does not exist'
+      });
+    }
+    
+    const verification = await verifyTestGeneration(test);
+    
+    res.json({
+      user: test.userId,
+      competition: test.competitionId,
+      createdAt: test.createdAt,
+      ...verification
+    });
+    
+  } catch (error) {
+    console.error('Get test generation error:', error);
+    res.status(500).json({
+      error: 'Generation Verification Failed',
+      message: 'Failed to verify test generation'
+    });
+  }
+};
+
 // Получение подробной статистики
 const getDashboardStats = async (req, res) => {
   try {
@@ -396,8 +630,10 @@ const getDashboardStats = async (req, res) => {
       { $sort: { '_id': 1 } }
     ]);
     
-    // Текущие настройки
+    // Текущие настройки и соревнования
     const settings = await Settings.getCurrentSettings();
+    const competitions = await Competition.find({ isActive: true }).sort('-createdAt');
+    const activeCompetitions = competitions.filter(competition => competition.testStarted);
     
     res.json({
       users: {
@@ -421,11 +657,14 @@ const getDashboardStats = async (req, res) => {
       topResults,
       activityStats,
       currentSettings: settings.getClientConfig(),
+      competitions: competitions.map(competition => competition.getClientConfig()),
       systemStatus: {
-        testingActive: settings.testStarted,
-        remainingTime: settings.getRemainingTime(),
-        canStartTesting: !settings.testStarted,
-        canStopTesting: settings.testStarted
+        testingActive: activeCompetitions.length > 0,
+        activeCompetitions: activeCompetitions.map(competition => ({
+          id: competition._id,
+          name: competition.name,
+          remainingTime: competition.getRemainingTime()
+        }))
       }
     });
     
@@ -444,7 +683,6 @@ const getUserDetails = async (req, res) => {
     const { userId } = req.params;
     
     const user = await User.findById(userId)
-      .populate('testId')
       .select('-password');
     
     if (!user) {
@@ -454,19 +692,24 @@ const getUserDetails = async (req, res) => {
       });
     }
     
-    let testDetails = null;
-    if (user.testId) {
-      testDetails = user.testId.toObject();
-      testDetails.results = user.testId.getResults();
+    const tests = await Test.find({ userId: user._id })
+      .populate('competitionId', 'name')
+      .sort('-createdAt');
+    
+    const testDetails = await Promise.all(tests.map(async (test) => {
+      const details = test.toObject();
+      details.results = test.getResults({ includeProvisional: true });
       
-      if (user.testId.isCompleted) {
-        testDetails.detailedResults = await user.testId.getDetailedStats();
+      if (test.isCompleted) {
+        details.detailedResults = await test.getDetailedStats();
       }
-    }
+      
+      return details;
+    }));
     
     res.json({
       user: user.toObject(),
-      test: testDetails
+      tests: testDetails
     });
     
   } catch (error) {
@@ -478,20 +721,68 @@ const getUserDetails = async (req, res) => {
   }
 };
 
+// Изменение роли пользователя (например, назначение проверяющего)
+const updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+    
+    if (req.user._id.toString() === userId) {
+      return res.status(400).json({
+        error: 'Role Change Not Allowed',
+        message: 'You cannot change your own role'
+      });
+    }
+    
+    const user = await User.findById(userId).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'User Not Found',
+        message: 'User with this ID does not exist'
+      });
+    }
+    
+    user.role = role;
+    await user.save();
+    
+    console.log(`Admin ${req.user.email} changed role of ${user.email} to ${role}`);
+    
+    res.json({
+      message: 'User role updated successfully',
+      user: user.toObject()
+    });
+    
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      error: 'Role Update Failed',
+      message: 'Failed to update user role'
+    });
+  }
+};
+
 // Экспорт результатов тестирования
 const exportResults = async (req, res) => {
   try {
-    const { format = 'csv', completed } = req.query;
+    const { format = 'csv', competitionId, completed, detailed } = req.query;
     
     const filter = {};
+    if (competitionId) {
+      filter.competitionId = competitionId;
+    }
     if (completed !== undefined) {
       filter.isCompleted = completed === 'true';
     }
     
-    const tests = await Test.find(filter)
+    const testsQuery = Test.find(filter)
       .populate('userId', 'firstName lastName email')
-      .sort('-completedAt')
-      .lean();
+      .populate('competitionId', 'name')
+      .sort('-completedAt');
+    
+    // Для построчного экспорта ответов нужны методы модели (перестановки вариантов)
+    const isDetailed = detailed === 'true';
+    const tests = isDetailed ? await testsQuery : await testsQuery.lean();
     
     if (tests.length === 0) {
       return res.status(404).json({
@@ -501,17 +792,20 @@ const exportResults = async (req, res) => {
     }
     
     // Подготавливаем данные для экспорта
-    const exportData = tests.map(test => ({
+    const exportData = isDetailed ? await buildAnswersExportData(tests) : tests.map(test => ({
       'User ID': test.userId?._id || 'Unknown',
       'User Name': test.userId ? `${test.userId.firstName} ${test.userId.lastName}` : 'Unknown User',
       'Email': test.userId?.email || 'unknown@email.com',
+      'Competition': test.competitionId?.name || 'Unknown Competition',
       'Test ID': test._id,
       'Score': test.score,
       'Max Score': test.maxScore,
-      'Percentage': test.maxScore > 0 ? Math.round((test.score / test.maxScore) * 100) : 0,
+      'Result Status': test.resultStatus || 'final',
+      'Percentage': getScorePercentage(test.score, test.maxScore),
       'Questions Total': test.questions.length,
       'Questions Answered': test.answers.length,
       'Is Completed': test.isCompleted ? 'Yes' : 'No',
+      'Completion Reason': test.completionReason || '',
       'Started At': test.startedAt ? new Date(test.startedAt).toISOString() : '',
       'Completed At': test.completedAt ? new Date(test.completedAt).toISOString() : '',
       'Time Spent (seconds)': test.timeSpent || 0,
@@ -540,10 +834,94 @@ const exportResults = async (req, res) => {
   }
 };
 
-// Сброс теста пользователя (только для экстренных случаев)
+// Построчные данные ответов для экспорта: показанный участнику и исходный индексы вариантов
+const buildAnswersExportData = async (tests) => {
+  const questionIds = [...new Set(tests.flatMap(test => test.answers.map(answer => answer.questionId.toString())))];
+  const questions = await Question.find({ _id: { $in: questionIds } })
+    .select('title type options correctAnswer correctAnswers correctValue tolerance acceptedAnswers answerFormula revision');
+  
+  // Вопросы в тех ревизиях, которые видел каждый участник
+  const questionsByTest = await Promise.all(
+    tests.map(test => QuestionRevision.applyPinnedRevisions(questions, test.getRevisionPins()))
+  );
+  
+  return tests.flatMap((test, testIndex) => test.answers.map((answer, position) => {
+    const index = test.getAnswerQuestionIndex(position);
+    const stored = questionsByTest[testIndex].get(answer.questionId.toString());
+    // Для вопросов-шаблонов - текст и ответ со значениями участника
+    const question = stored ? test.resolveQuestion(index, stored) : null;
+    const optionsCount = question ? question.options.length : 0;
+    const displayedAnswer = answer.displayedAnswer !== undefined ? answer.displayedAnswer : answer.selectedAnswer;
+    
+    // Для вопросов без вариантов показываем введенный ответ и правильное значение
+    if (question && !isChoiceType(question.type)) {
+      const expected = getExpectedAnswer(question);
+      const expectedText = Array.isArray(expected) ? expected.join('|') : (expected ?? '');
+      
+      return {
+        'User Name': test.userId ? `${test.userId.firstName} ${test.userId.lastName}` : 'Unknown User',
+        'Email': test.userId?.email || 'unknown@email.com',
+        'Competition': test.competitionId?.name || 'Unknown Competition',
+        'Test ID': test._id,
+        'Question Number': index + 1,
+        'Question ID': answer.questionId,
+        'Question Title': question.title,
+        'Displayed Answer': answer.response || '',
+        'Canonical Answer': answer.response || '',
+        'Displayed Correct Answer': expectedText,
+        'Canonical Correct Answer': expectedText,
+        'Is Correct': answer.gradingStatus === 'pending' ? 'Pending' : (answer.isCorrect ? 'Yes' : 'No'),
+        'Points': answer.points,
+        'Answered At': answer.answeredAt ? new Date(answer.answeredAt).toISOString() : ''
+      };
+    }
+    
+    // Для вопросов с несколькими правильными вариантами перечисляем номера через ";"
+    if (question && isMultiSelectType(question.type)) {
+      const formatIndexes = (indexes) => (indexes || []).map(item => item + 1).join(';');
+      
+      return {
+        'User Name': test.userId ? `${test.userId.firstName} ${test.userId.lastName}` : 'Unknown User',
+        'Email': test.userId?.email || 'unknown@email.com',
+        'Competition': test.competitionId?.name || 'Unknown Competition',
+        'Test ID': test._id,
+        'Question Number': index + 1,
+        'Question ID': answer.questionId,
+        'Question Title': question.title,
+        'Displayed Answer': formatIndexes(answer.displayedAnswers),
+        'Canonical Answer': formatIndexes(answer.selectedAnswers),
+        'Displayed Correct Answer': formatIndexes(test.getDisplayedCorrectAnswer(index, question)),
+        'Canonical Correct Answer': formatIndexes(question.correctAnswers),
+        'Is Correct': answer.isCorrect ? 'Yes' : 'No',
+        'Points': answer.points,
+        'Answered At': answer.answeredAt ? new Date(answer.answeredAt).toISOString() : ''
+      };
+    }
+    
+    // +1 для человеко-читаемого формата
+    return {
+      'User Name': test.userId ? `${test.userId.firstName} ${test.userId.lastName}` : 'Unknown User',
+      'Email': test.userId?.email || 'unknown@email.com',
+      'Competition': test.competitionId?.name || 'Unknown Competition',
+      'Test ID': test._id,
+      'Question Number': index + 1,
+      'Question ID': answer.questionId,
+      'Question Title': question ? question.title : 'Unknown',
+      'Displayed Answer': displayedAnswer + 1,
+      'Canonical Answer': answer.selectedAnswer + 1,
+      'Displayed Correct Answer': question ? test.toDisplayedAnswer(index, question.correctAnswer, optionsCount) + 1 : '',
+      'Canonical Correct Answer': question ? question.correctAnswer + 1 : '',
+      'Is Correct': answer.isCorrect ? 'Yes' : 'No',
+      'Points': answer.points,
+      'Answered At': answer.answeredAt ? new Date(answer.answeredAt).toISOString() : ''
+    };
+  }));
+};
+
+// Сброс теста пользователя в соревновании (только для экстренных случаев)
 const resetUserTest = async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { competitionId, userId } = req.params;
     const { reason } = req.body;
     
     const user = await User.findById(userId);
@@ -554,45 +932,45 @@ const resetUserTest = async (req, res) => {
       });
     }
     
-    if (!user.testId) {
+    const test = await Test.findOne({ userId: user._id, competitionId });
+    if (!test) {
       return res.status(400).json({
         error: 'No Test Found',
-        message: 'User has no test to reset'
+        message: 'User has no test to reset in this competition'
       });
     }
     
-    const test = await Test.findById(user.testId);
-    if (test && test.isCompleted) {
+    if (test.isCompleted) {
       return res.status(400).json({
         error: 'Test Completed',
         message: 'Cannot reset a completed test'
       });
     }
     
-    // Сбрасываем статус пользователя
-    user.hasStartedTest = false;
-    user.testStartTime = null;
-    user.testEndTime = null;
-    await user.save();
-    
     // Сбрасываем тест
-    if (test) {
-      test.answers = [];
-      test.score = 0;
-      test.startedAt = null;
-      test.isCompleted = false;
-      await test.save();
-    }
+    test.answers = [];
+    test.flaggedQuestions = [];
+    test.score = 0;
+    test.startedAt = null;
+    test.expiresAt = null;
+    test.questionRevisions = [];
+    test.completionReason = null;
+    test.isCompleted = false;
+    await test.save();
     
     // Логируем действие
-    console.log(`Admin ${req.user.email} reset test for user ${user.email}. Reason: ${reason || 'Not specified'}`);
+    console.log(`Admin ${req.user.email} reset test for user ${user.email} in competition ${competitionId}. Reason: ${reason || 'Not specified'}`);
     
     res.json({
       message: 'User test reset successfully',
       user: {
         id: user._id,
-        email: user.email,
-        hasStartedTest: user.hasStartedTest
+        email: user.email
+      },
+      test: {
+        id: test._id,
+        competitionId: test.competitionId,
+        hasStarted: false
       }
     });
     
@@ -645,8 +1023,14 @@ module.exports = {
   stopTesting,
   updateSettings,
   getSettings,
+  getCompetitionBlueprint,
+  getFormsReport,
+  getExposureReport,
+  calibrateQuestions,
+  getTestGeneration,
   getDashboardStats,
   getUserDetails,
+  updateUserRole,
   exportResults,
   resetUserTest
 };
\ No newline at end of file
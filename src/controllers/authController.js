@@ -1,33 +1,9 @@
 const User = require('../models/User');
 const Test = require('../models/Test');
-const Question = require('../models/Question');
 const Settings = require('../models/Settings');
+const Competition = require('../models/Competition');
 const { generateToken } = require('../middleware/auth');
 
-// Импорт с проверкой
-let generateUniqueTest;
-try {
-  const testGeneratorModule = require('../utils/testGenerator');
-  console.log('testGenerator module imported:', typeof testGeneratorModule);
-  console.log('Available functions:', Object.keys(testGeneratorModule));
-  
-  generateUniqueTest = testGeneratorModule.generateUniqueTest;
-  
-  if (typeof generateUniqueTest !== 'function') {
-    console.error('❌ generateUniqueTest is not a function!');
-    console.error('Type:', typeof generateUniqueTest);
-    console.error('Value:', generateUniqueTest);
-  } else {
-    console.log('✅ generateUniqueTest imported successfully');
-  }
-} catch (importError) {
-  console.error('❌ Error importing testGenerator:', importError);
-  // Создаем fallback функцию
-  generateUniqueTest = async (userId) => {
-    throw new Error('Test generator not available - import failed');
-  };
-}
-
 // Утилитарная функция для валидации email
 const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -44,34 +20,35 @@ const validateName = (name) => {
   return name && name.trim().length >= 2 && name.trim().length <= 50;
 };
 
-// Общая функция для получения информации о тесте
-const getTestInfo = async (testId, includeResults = false) => {
-  if (!testId) return null;
-  
+// Общая функция для получения информации о тестах пользователя
+const getTestsInfo = async (userId, includeResults = false) => {
   try {
-    const test = await Test.findById(testId);
-    if (!test) return null;
-    
-    const testInfo = {
-      questionsCount: test.questions.length,
-      answeredCount: test.answers.length,
-      isCompleted: test.isCompleted,
-      score: test.score,
-      maxScore: test.maxScore,
-      startedAt: test.startedAt,
-      completedAt: test.completedAt,
-      timeSpent: test.timeSpent
-    };
-    
-    // Если тест завершен и запрошены результаты
-    if (includeResults && test.isCompleted && typeof test.getResults === 'function') {
-      testInfo.results = test.getResults();
-    }
-    
-    return testInfo;
+    const tests = await Test.find({ userId }).populate('competitionId', 'name');
+    
+    return tests.map(test => {
+      const testInfo = {
+        competitionId: test.competitionId?._id || null,
+        competitionName: test.competitionId?.name || 'Unknown Competition',
+        questionsCount: test.questions.length,
+        answeredCount: test.answers.length,
+        isCompleted: test.isCompleted,
+        score: test.score,
+        maxScore: test.maxScore,
+        startedAt: test.startedAt,
+        completedAt: test.completedAt,
+        timeSpent: test.timeSpent
+      };
+      
+      // Если тест завершен и запрошены результаты
+      if (includeResults && test.isCompleted) {
+        testInfo.results = test.getResults();
+      }
+      
+      return testInfo;
+    });
   } catch (error) {
-    console.error('Error getting test info:', error);
-    return null;
+    console.error('Error getting tests info:', error);
+    return [];
   }
 };
 
@@ -82,17 +59,13 @@ const getUserResponse = (user, includeExtendedInfo = false) => {
     email: user.email,
     firstName: user.firstName,
     lastName: user.lastName,
-    role: user.role,
-    testId: user.testId,
-    hasStartedTest: user.hasStartedTest
+    role: user.role
   };
   
   if (includeExtendedInfo) {
     return {
       ...baseUser,
       fullName: user.fullName,
-      testStartTime: user.testStartTime,
-      testEndTime: user.testEndTime,
       lastLogin: user.lastLogin,
       createdAt: user.createdAt
     };
@@ -139,16 +112,6 @@ const register = async (req, res) => {
       });
     }
     
-    // Проверяем импорт функции generateUniqueTest
-    if (typeof generateUniqueTest !== 'function') {
-      console.error('generateUniqueTest is not a function. Import issue detected.');
-      console.error('Type of generateUniqueTest:', typeof generateUniqueTest);
-      return res.status(500).json({
-        error: 'Server Configuration Error',
-        message: 'Test generation system is not properly configured'
-      });
-    }
-    
     // Проверяем, существует ли пользователь с таким email
     const existingUser = await User.findByEmail(email.toLowerCase().trim());
     if (existingUser) {
@@ -159,18 +122,6 @@ const register = async (req, res) => {
       });
     }
     
-    // Проверяем наличие активных вопросов перед созданием пользователя
-    const activeQuestionsCount = await Question.countDocuments({ isActive: true });
-    if (activeQuestionsCount === 0) {
-      console.error('No active questions found in database');
-      return res.status(500).json({
-        error: 'System Error',
-        message: 'No questions available for test generation. Please contact administrator.'
-      });
-    }
-    
-    console.log(`Found ${activeQuestionsCount} active questions for test generation`);
-    
     // Создаем нового пользователя
     const user = new User({
       email: email.toLowerCase().trim(),
@@ -183,61 +134,9 @@ const register = async (req, res) => {
     await user.save();
     createdUser = user; // Сохраняем ссылку для возможной очистки
     
+    // Тесты генерируются при добавлении пользователя в соревнование
     console.log(`✅ User created successfully: ${user._id}, email: ${user.email}`);
     
-    // Генерируем уникальный тест для пользователя
-    let test;
-    try {
-      console.log(`Starting test generation for user: ${user._id}`);
-      test = await generateUniqueTest(user._id);
-      
-      if (!test || !test._id) {
-        throw new Error('Test generation returned invalid result');
-      }
-      
-      console.log(`✅ Test created successfully: ${test._id} for user: ${user._id}`);
-      
-    } catch (testError) {
-      console.error('Error creating test for user:', testError);
-      
-      // Пытаемся создать простой тест как fallback
-      try {
-        console.log('Attempting to create fallback test...');
-        
-        // Получаем несколько случайных вопросов для fallback теста
-        const fallbackQuestions = await Question.find({ isActive: true }).limit(10);
-        
-        if (fallbackQuestions.length === 0) {
-          throw new Error('No questions available even for fallback');
-        }
-        
-        test = new Test({
-          userId: user._id,
-          questions: fallbackQuestions.map(q => q._id),
-          answers: [],
-          isCompleted: false,
-          score: 0,
-          maxScore: fallbackQuestions.length,
-          startedAt: null,
-          completedAt: null,
-          timeSpent: 0
-        });
-        
-        await test.save();
-        console.log(`✅ Fallback test created successfully: ${test._id}`);
-        
-      } catch (fallbackError) {
-        console.error('Fallback test creation also failed:', fallbackError);
-        throw new Error(`Failed to create test: ${testError.message}`);
-      }
-    }
-    
-    // Обновляем пользователя с ID теста
-    user.testId = test._id;
-    await user.save();
-    
-    console.log(`✅ User ${user._id} updated with testId: ${test._id}`);
-    
     // Генерируем JWT токен
     const token = generateToken(user);
     
@@ -269,12 +168,6 @@ const register = async (req, res) => {
       try {
         console.log(`Attempting cleanup: deleting user ${createdUser._id}`);
         
-        // Удаляем связанный тест если он был создан
-        if (createdUser.testId) {
-          await Test.findByIdAndDelete(createdUser.testId);
-          console.log(`Deleted test ${createdUser.testId} during cleanup`);
-        }
-        
         // Удаляем пользователя
         await User.findByIdAndDelete(createdUser._id);
         console.log(`✅ User ${createdUser._id} deleted during cleanup`);
@@ -304,14 +197,6 @@ const register = async (req, res) => {
       });
     }
     
-    if (error.message.includes('questions') || error.message.includes('test')) {
-      // Ошибки связанные с тестированием
-      return res.status(500).json({
-        error: 'Registration Failed',
-        message: 'Unable to prepare test for user. Please try again or contact support.'
-      });
-    }
-    
     if (error.message.includes('Configuration')) {
       // Ошибки конфигурации системы
       return res.status(500).json({
@@ -372,31 +257,9 @@ const login = async (req, res) => {
       });
     }
     
-    let needsSave = false;
-    
-    // Если у пользователя нет теста, создаем новый (для старых пользователей)
-    if (!user.testId) {
-      try {
-        console.log(`Creating test for existing user: ${user._id}`);
-        const test = await generateUniqueTest(user._id);
-        if (test) {
-          user.testId = test._id;
-          needsSave = true;
-          console.log(`✅ Test created for existing user: ${test._id}`);
-        }
-      } catch (testError) {
-        console.error('Error creating test for existing user:', testError);
-        // Продолжаем без создания теста, но логируем ошибку
-      }
-    }
-    
     // Обновляем время последнего входа
     user.lastLogin = new Date();
-    needsSave = true;
-    
-    if (needsSave) {
-      await user.save();
-    }
+    await user.save();
     
     // Генерируем JWT токен
     const token = generateToken(user);
@@ -411,8 +274,8 @@ const login = async (req, res) => {
       // Продолжаем без настроек
     }
     
-    // Получаем информацию о тесте пользователя
-    const testInfo = await getTestInfo(user.testId);
+    // Получаем информацию о тестах пользователя
+    const testsInfo = await getTestsInfo(user._id);
     
     console.log(`✅ Login successful for user: ${user._id}`);
     
@@ -420,7 +283,7 @@ const login = async (req, res) => {
       message: 'Login successful',
       token,
       user: getUserResponse(user, true),
-      test: testInfo,
+      tests: testsInfo,
       testConfig
     });
     
@@ -457,12 +320,12 @@ const getProfile = async (req, res) => {
       // Продолжаем без настроек
     }
     
-    // Получаем информацию о тесте с результатами если тест завершен
-    const testInfo = await getTestInfo(user.testId, true);
+    // Получаем информацию о тестах с результатами для завершенных
+    const testsInfo = await getTestsInfo(user._id, true);
     
     res.json({
       user: getUserResponse(user, true),
-      test: testInfo,
+      tests: testsInfo,
       testConfig
     });
     
@@ -678,70 +541,61 @@ const checkTestAvailability = async (req, res) => {
     
     console.log(`Test availability check for user: ${user._id}`);
     
-    const settings = await Settings.getCurrentSettings();
-    if (!settings) {
-      return res.status(500).json({
-        error: 'Configuration Error',
-        message: 'Test settings not found'
-      });
-    }
-    
-    // Проверяем общие настройки тестирования
-    const testStatus = {
-      isTestStarted: settings.testStarted,
-      isTestExpired: typeof settings.isTestExpired === 'function' ? settings.isTestExpired() : false,
-      testDuration: settings.testDuration,
-      remainingTime: typeof settings.getRemainingTime === 'function' ? settings.getRemainingTime() : null,
-      testStatus: settings.testStatus
-    };
-    
-    // Проверяем статус пользователя
-    const userStatus = {
-      hasTest: !!user.testId,
-      hasStartedTest: user.hasStartedTest,
-      testStartTime: user.testStartTime,
-      testEndTime: user.testEndTime
-    };
-    
-    // Проверяем статус теста пользователя
-    let testInfo = null;
-    if (user.testId) {
-      const test = await Test.findById(user.testId);
+    const competitions = await Competition.findForParticipant(user._id);
+    const tests = await Test.find({ userId: user._id });
+    
+    const availability = competitions.map(competition => {
+      // Проверяем статус тестирования соревнования
+      const testStatus = {
+        isTestStarted: competition.testStarted,
+        isTestExpired: competition.isTestExpired(),
+        testDuration: competition.testDuration,
+        remainingTime: competition.getRemainingTime(),
+        testStatus: competition.testStatus
+      };
+      
+      // Проверяем статус теста пользователя
+      const test = tests.find(t => t.competitionId.toString() === competition._id.toString());
+      let testInfo = null;
       if (test) {
-        const isUserTestExpired = user.testStartTime && settings.testDuration ? 
-          (new Date() - new Date(user.testStartTime)) > (settings.testDuration * 60 * 1000) : false;
-        
         testInfo = {
           questionsCount: test.questions.length,
           answeredCount: test.answers.length,
           isCompleted: test.isCompleted,
-          canStart: !test.isCompleted && settings.testStarted && !testStatus.isTestExpired,
-          canContinue: user.hasStartedTest && !test.isCompleted && !isUserTestExpired
+          hasStarted: !!test.startedAt,
+          canStart: !test.startedAt && !test.isCompleted && competition.testStarted && !testStatus.isTestExpired,
+          canContinue: !!test.startedAt && !test.isCompleted && !test.isTimeExpired(competition.testDuration)
         };
       }
-    }
-    
-    // Определяем сообщение о статусе
-    let message = 'Test status checked';
-    if (testInfo?.canStart) {
-      message = 'Test is available to start';
-    } else if (testInfo?.canContinue) {
-      message = 'Test can be continued';
-    } else if (testInfo?.isCompleted) {
-      message = 'Test already completed';
-    } else if (!settings.testStarted) {
-      message = 'Test has not been started by admin';
-    } else if (testStatus.isTestExpired) {
-      message = 'Test time has expired';
-    } else {
-      message = 'Test is not available';
-    }
+      
+      // Определяем сообщение о статусе
+      let message;
+      if (testInfo?.canStart) {
+        message = 'Test is available to start';
+      } else if (testInfo?.canContinue) {
+        message = 'Test can be continued';
+      } else if (testInfo?.isCompleted) {
+        message = 'Test already completed';
+      } else if (!competition.testStarted) {
+        message = 'Test has not been started by admin';
+      } else if (testStatus.isTestExpired) {
+        message = 'Test time has expired';
+      } else {
+        message = 'Test is not available';
+      }
+      
+      return {
+        competitionId: competition._id,
+        competitionName: competition.name,
+        testStatus,
+        testInfo,
+        message
+      };
+    });
     
     res.json({
-      testStatus,
-      userStatus,
-      testInfo,
-      message
+      competitions: availability,
+      message: availability.length > 0 ? 'Test status checked' : 'User is not registered for any competition'
     });
     
   } catch (error) {
@@ -0,0 +1,405 @@
+const Competition = require('../models/Competition');
+const Settings = require('../models/Settings');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const { generateMultipleTests } = require('../utils/testGenerator');
+const { scheduleCompetition, unscheduleCompetition } = require('../utils/competitionScheduler');
+
+// Получение всех соревнований
+const getAllCompetitions = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+    
+    const filter = {};
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+    
+    const competitions = await Competition.find(filter)
+      .populate('createdBy', 'firstName lastName email')
+      .sort('-createdAt');
+      
+    res.json({
+      competitions: competitions.map(competition => ({
+        ...competition.getClientConfig(),
+        isActive: competition.isActive,
+        createdBy: competition.createdBy,
+        createdAt: competition.createdAt
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get all competitions error:', error);
+    res.status(500).json({
+      error: 'Competitions Retrieval Failed',
+      message: 'Failed to retrieve competitions'
+    });
+  }
+};
+
+// Получение соревнования по ID
+const getCompetition = async (req, res) => {
+  try {
+    const { competitionId } = req.params;
+    
+    const competition = await Competition.findById(competitionId)
+      .populate('participants', 'firstName lastName email');
+      
+    if (!competition) {
+      return res.status(404).json({
+        error: 'Competition Not Found',
+        message: 'Competition with this ID does not exist'
+      });
+    }
+    
+    const testStats = await Test.getOverallStats({ competitionId: competition._id });
+    
+    res.json({
+      competition: {
+        ...competition.toObject(),
+        testStatus: competition.testStatus,
+        remainingTime: competition.getRemainingTime(),
+        formattedDuration: competition.formattedDuration
+      },
+      testStats
+    });
+    
+  } catch (error) {
+    console.error('Get competition error:', error);
+    res.status(500).json({
+      error: 'Competition Retrieval Failed',
+      message: 'Failed to retrieve competition'
+    });
+  }
+};
+
+// Создание соревнования
+const createCompetition = async (req, res) => {
+  try {
+    const { name, description, testDuration, questionsPerTest, passingScore } = req.body;
+    
+    // Незаданные параметры берем из общих настроек
+    const settings = await Settings.getCurrentSettings();
+    
+    const competition = new Competition({
+      name,
+      description,
+      testDuration: testDuration || settings.testDuration,
+      questionsPerTest: questionsPerTest || settings.questionsPerTest,
+      passingScore: passingScore !== undefined ? passingScore : settings.passingScore,
+      createdBy: req.user._id,
+      lastModifiedBy: req.user._id
+    });
+    
+    await competition.save();
+    
+    res.status(201).json({
+      message: 'Competition created successfully',
+      competition: competition.getClientConfig()
+    });
+    
+  } catch (error) {
+    console.error('Create competition error:', error);
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Please check your input data',
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Competition Creation Failed',
+      message: 'Failed to create competition'
+    });
+  }
+};
+
+// Обновление соревнования
+const updateCompetition = async (req, res) => {
+  try {
+    const { competitionId } = req.params;
+    
+    const competition = await Competition.findById(competitionId);
+    if (!competition) {
+      return res.status(404).json({
+        error: 'Competition Not Found',
+        message: 'Competition with this ID does not exist'
+      });
+    }
+    
+    // Во время тестирования нельзя менять параметры, влияющие на тесты
+    if (competition.testStarted) {
+      const lockedDuringTest = ['testDuration', 'questionsPerTest', 'passingScore', 'isActive'];
+      const lockedKeys = Object.keys(req.body).filter(key => lockedDuringTest.includes(key));
+      
+      if (lockedKeys.length > 0) {
+        return res.status(400).json({
+          error: 'Competition Update Failed',
+          message: 'Cannot modify these fields while testing is active',
+          lockedDuringTest
+        });
+      }
+    }
+    
+    await competition.updateCompetition(req.body, req.user._id);
+    scheduleCompetition(competition);
+    
+    res.json({
+      message: 'Competition updated successfully',
+      competition: competition.getClientConfig()
+    });
+    
+  } catch (error) {
+    console.error('Update competition error:', error);
+    res.status(500).json({
+      error: 'Competition Update Failed',
+      message: 'Failed to update competition'
+    });
+  }
+};
+
+// Удаление соревнования (мягкое удаление)
+const deleteCompetition = async (req, res) => {
+  try {
+    const { competitionId } = req.params;
+    
+    const competition = await Competition.findById(competitionId);
+    if (!competition) {
+      return res.status(404).json({
+        error: 'Competition Not Found',
+        message: 'Competition with this ID does not exist'
+      });
+    }
+    
+    if (competition.testStarted) {
+      return res.status(400).json({
+        error: 'Competition Deletion Failed',
+        message: 'Cannot delete a competition while testing is active'
+      });
+    }
+    
+    competition.isActive = false;
+    competition.lastModifiedBy = req.user._id;
+    await competition.save();
+    unscheduleCompetition(competition._id);
+    
+    res.json({
+      message: 'Competition deactivated successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete competition error:', error);
+    res.status(500).json({
+      error: 'Competition Deletion Failed',
+      message: 'Failed to delete competition'
+    });
+  }
+};
+
+// Получение расписания соревнования
+const getSchedule = async (req, res) => {
+  try {
+    const { competitionId } = req.params;
+    
+    const competition = await Competition.findById(competitionId);
+    if (!competition) {
+      return res.status(404).json({
+        error: 'Competition Not Found',
+        message: 'Competition with this ID does not exist'
+      });
+    }
+    
+    const nextTransition = competition.getNextTransition();
+    
+    res.json({
+      testStarted: competition.testStarted,
+      testStatus: competition.testStatus,
+      scheduledStartTime: competition.scheduledStartTime,
+      scheduledEndTime: competition.scheduledEndTime,
+      nextTransition: nextTransition ? {
+        ...nextTransition,
+        secondsUntil: Math.max(0, Math.floor((nextTransition.at.getTime() - Date.now()) / 1000))
+      } : null
+    });
+    
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({
+      error: 'Schedule Retrieval Failed',
+      message: 'Failed to retrieve competition schedule'
+    });
+  }
+};
+
+// Установка расписания автоматического открытия и закрытия
+const updateSchedule = async (req, res) => {
+  try {
+    const { competitionId } = req.params;
+    const { scheduledStartTime, scheduledEndTime } = req.body;
+    
+    const competition = await Competition.findById(competitionId);
+    if (!competition || !competition.isActive) {
+      return res.status(404).json({
+        error: 'Competition Not Found',
+        message: 'Competition with this ID does not exist'
+      });
+    }
+    
+    // undefined - не менять, null - отменить
+    const start = scheduledStartTime === undefined ? competition.scheduledStartTime :
+      (scheduledStartTime ? new Date(scheduledStartTime) : null);
+    const end = scheduledEndTime === undefined ? competition.scheduledEndTime :
+      (scheduledEndTime ? new Date(scheduledEndTime) : null);
+    const now = new Date();
+    
+    if (competition.testStarted && scheduledStartTime) {
+      return res.status(400).json({
+        error: 'Schedule Update Failed',
+        message: 'Testing is already in progress, only the closing time can be scheduled'
+      });
+    }
+    
+    if ((scheduledStartTime && start <= now) || (scheduledEndTime && end <= now)) {
+      return res.status(400).json({
+        error: 'Schedule Update Failed',
+        message: 'Scheduled times must be in the future'
+      });
+    }
+    
+    if (start && end && end <= start) {
+      return res.status(400).json({
+        error: 'Schedule Update Failed',
+        message: 'Closing time must be after opening time'
+      });
+    }
+    
+    competition.scheduledStartTime = competition.testStarted ? null : start;
+    competition.scheduledEndTime = end;
+    competition.lastModifiedBy = req.user._id;
+    await competition.save();
+    
+    scheduleCompetition(competition);
+    
+    res.json({
+      message: 'Schedule updated successfully',
+      competition: competition.getClientConfig()
+    });
+    
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({
+      error: 'Schedule Update Failed',
+      message: 'Failed to update competition schedule'
+    });
+  }
+};
+
+// Добавление участников и генерация для них тестов
+const addParticipants = async (req, res) => {
+  try {
+    const { competitionId } = req.params;
+    const { userIds } = req.body;
+    
+    const competition = await Competition.findById(competitionId);
+    if (!competition || !competition.isActive) {
+      return res.status(404).json({
+        error: 'Competition Not Found',
+        message: 'Competition with this ID does not exist'
+      });
+    }
+    
+    const users = await User.find({ _id: { $in: userIds }, role: 'user', isActive: true }).select('_id');
+    const validIds = users.map(user => user._id);
+    
+    if (validIds.length === 0) {
+      return res.status(400).json({
+        error: 'No Valid Users',
+        message: 'None of the provided IDs belong to active participants'
+      });
+    }
+    
+    await Competition.updateOne(
+      { _id: competition._id },
+      { $addToSet: { participants: { $each: validIds } }, lastModifiedBy: req.user._id }
+    );
+    
+    // Тест генерируется сразу, чтобы к старту все участники были готовы
+    const { tests, errors } = await generateMultipleTests(validIds, competition._id);
+    
+    res.json({
+      message: `${validIds.length} participants added`,
+      added: validIds.length,
+      skipped: userIds.length - validIds.length,
+      testsGenerated: tests.length,
+      errors
+    });
+    
+  } catch (error) {
+    console.error('Add participants error:', error);
+    res.status(500).json({
+      error: 'Participants Update Failed',
+      message: 'Failed to add participants'
+    });
+  }
+};
+
+// Удаление участников (только не начавших тест)
+const removeParticipants = async (req, res) => {
+  try {
+    const { competitionId } = req.params;
+    const { userIds } = req.body;
+    
+    const competition = await Competition.findById(competitionId);
+    if (!competition) {
+      return res.status(404).json({
+        error: 'Competition Not Found',
+        message: 'Competition with this ID does not exist'
+      });
+    }
+    
+    const startedTests = await Test.find({
+      competitionId: competition._id,
+      userId: { $in: userIds },
+      startedAt: { $ne: null }
+    }).select('userId');
+    
+    const startedIds = startedTests.map(test => test.userId.toString());
+    const removableIds = userIds.filter(id => !startedIds.includes(id.toString()));
+    
+    await Test.deleteMany({ competitionId: competition._id, userId: { $in: removableIds } });
+    await Competition.updateOne(
+      { _id: competition._id },
+      { $pullAll: { participants: removableIds }, lastModifiedBy: req.user._id }
+    );
+    
+    res.json({
+      message: `${removableIds.length} participants removed`,
+      removed: removableIds.length,
+      notRemoved: startedIds
+    });
+    
+  } catch (error) {
+    console.error('Remove participants error:', error);
+    res.status(500).json({
+      error: 'Participants Update Failed',
+      message: 'Failed to remove participants'
+    });
+  }
+};
+
+module.exports = {
+  getAllCompetitions,
+  getCompetition,
+  createCompetition,
+  updateCompetition,
+  deleteCompetition,
+  getSchedule,
+  updateSchedule,
+  addParticipants,
+  removeParticipants
+};
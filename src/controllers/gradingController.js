@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const Question = require('../models/Question');
+const { getQuestionPoints } = require('../utils/answerGrader');
+const { sendSolutionFile } = require('../utils/solutionFiles');
+
+// Обезличенный код участника: стабилен для теста, но не раскрывает личность проверяющему
+const getParticipantCode = (testId) => {
+  const hash = crypto.createHash('sha256').update(testId.toString()).digest('hex');
+  return `P-${hash.slice(0, 8).toUpperCase()}`;
+};
+
+// Ссылка на изображение решения: файл выдается только проверяющим, имя файла и участник не раскрываются
+const getAttachmentUrl = (testId, questionIndex, attachment) => (
+  attachment ? `/api/grading/tests/${testId}/answers/${questionIndex}/solution` : null
+);
+
+// Получение очереди непроверенных развернутых решений
+const getGradingQueue = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      competitionId,
+      questionId,
+      anonymous
+    } = req.query;
+    
+    // Раскрывать участников может только администратор
+    const isAnonymous = anonymous !== 'false' || req.user.role !== 'admin';
+    
+    const testFilter = { isCompleted: true, 'answers.gradingStatus': 'pending' };
+    if (competitionId) {
+      testFilter.competitionId = new mongoose.Types.ObjectId(competitionId);
+    }
+    
+    const answerFilter = { 'answers.gradingStatus': 'pending' };
+    if (questionId) {
+      answerFilter['answers.questionId'] = new mongoose.Types.ObjectId(questionId);
+    }
+    
+    const [result] = await Test.aggregate([
+      { $match: testFilter },
+      { $unwind: '$answers' },
+      { $match: answerFilter },
+      { $sort: { 'answers.answeredAt': 1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit * 1 },
+            {
+              $project: {
+                userId: 1,
+                competitionId: 1,
+                scoringPolicy: 1,
+                answer: '$answers'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+    
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    
+    // Подгружаем вопросы (и участников, если их можно раскрыть) одним запросом
+    const questions = await Question.find({ _id: { $in: result.items.map(item => item.answer.questionId) } })
+      .select('title points difficulty');
+    const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+    
+    let usersById = new Map();
+    if (!isAnonymous) {
+      const users = await User.find({ _id: { $in: result.items.map(item => item.userId) } })
+        .select('firstName lastName email');
+      usersById = new Map(users.map(user => [user._id.toString(), user]));
+    }
+    
+    const items = result.items.map(item => {
+      const question = questionsById.get(item.answer.questionId.toString());
+      const queueItem = {
+        testId: item._id,
+        questionIndex: item.answer.questionIndex,
+        competitionId: item.competitionId,
+        participantCode: getParticipantCode(item._id),
+        question: question ? {
+          id: question._id,
+          title: question.title,
+          points: getQuestionPoints(question, item.scoringPolicy)
+        } : null,
+        response: item.answer.response,
+        attachmentUrl: getAttachmentUrl(item._id, item.answer.questionIndex, item.answer.attachment),
+        answeredAt: item.answer.answeredAt
+      };
+      
+      if (!isAnonymous) {
+        const user = usersById.get(item.userId.toString());
+        queueItem.participant = user ? {
+          id: user._id,
+          name: `${user.firstName} ${user.lastName}`,
+          email: user.email
+        } : null;
+      }
+      
+      return queueItem;
+    });
+    
+    res.json({
+      items,
+      anonymous: isAnonymous,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get grading queue error:', error);
+    res.status(500).json({
+      error: 'Grading Queue Retrieval Failed',
+      message: 'Failed to retrieve grading queue'
+    });
+  }
+};
+
+// Получение развернутого решения для проверки
+const getAnswerForGrading = async (req, res) => {
+  try {
+    const { testId } = req.params;
+    const index = parseInt(req.params.index);
+    
+    const test = await Test.findById(testId);
+    const answer = test && test.isCompleted ? test.findAnswer(index) : null;
+    
+    if (!answer || answer.gradingStatus === 'auto') {
+      return res.status(404).json({
+        error: 'Answer Not Found',
+        message: 'No written answer awaiting grading at this position'
+      });
+    }
+    
+    // Условие в той ревизии, которую видел участник
+    const question = await test.loadQuestion(index);
+    
+    res.json({
+      testId: test._id,
+      questionIndex: index,
+      participantCode: getParticipantCode(test._id),
+      question: question ? {
+        _id: question._id,
+        title: question.title,
+        description: question.description,
+        points: question.points,
+        explanation: question.explanation,
+        topic: question.topic,
+        difficulty: question.difficulty,
+        revision: question.revision
+      } : null,
+      maxPoints: question ? getQuestionPoints(question, test.scoringPolicy) : null,
+      answer: {
+        response: answer.response,
+        attachmentUrl: getAttachmentUrl(test._id, index, answer.attachment),
+        answeredAt: answer.answeredAt,
+        gradingStatus: answer.gradingStatus,
+        points: answer.gradingStatus === 'graded' ? answer.points : null,
+        graderComment: answer.graderComment,
+        gradedAt: answer.gradedAt
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get answer for grading error:', error);
+    res.status(500).json({
+      error: 'Answer Retrieval Failed',
+      message: 'Failed to retrieve answer'
+    });
+  }
+};
+
+// Получение изображения развернутого решения
+const getSolution = async (req, res) => {
+  try {
+    const test = await Test.findById(req.params.testId);
+    const answer = test && test.isCompleted ? test.findAnswer(parseInt(req.params.index)) : null;
+    
+    if (!answer || !answer.attachment) {
+      return res.status(404).json({
+        error: 'Solution Not Found',
+        message: 'No solution image at this position'
+      });
+    }
+    
+    await sendSolutionFile(res, answer.attachment);
+    
+  } catch (error) {
+    console.error('Get solution for grading error:', error);
+    res.status(500).json({
+      error: 'Solution Retrieval Failed',
+      message: 'Failed to retrieve solution image'
+    });
+  }
+};
+
+// Выставление баллов и комментария за развернутое решение
+const gradeAnswer = async (req, res) => {
+  try {
+    const { testId } = req.params;
+    const index = parseInt(req.params.index);
+    const { points, comment } = req.body;
+    
+    const test = await Test.findById(testId);
+    
+    if (!test) {
+      return res.status(404).json({
+        error: 'Test Not Found',
+        message: 'Test with this ID does not exist'
+      });
+    }
+    
+    const answer = await test.gradeWrittenAnswer(index, {
+      points,
+      comment,
+      graderId: req.user._id
+    });
+    
+    res.json({
+      message: 'Answer graded successfully',
+      answer: {
+        questionIndex: index,
+        points: answer.points,
+        isCorrect: answer.isCorrect,
+        gradingStatus: answer.gradingStatus,
+        graderComment: answer.graderComment,
+        gradedAt: answer.gradedAt
+      },
+      test: {
+        id: test._id,
+        score: test.score,
+        maxScore: test.maxScore,
+        resultStatus: test.resultStatus,
+        pendingGrading: test.answers.filter(item => item.gradingStatus === 'pending').length
+      }
+    });
+    
+  } catch (error) {
+    console.error('Grade answer error:', error);
+    
+    if (error.message.includes('Answer does not require manual grading') ||
+        error.message.includes('Test is not completed')) {
+      return res.status(404).json({
+        error: 'Answer Not Found',
+        message: 'No written answer awaiting grading at this position'
+      });
+    }
+    
+    if (error.message.includes('Points out of range')) {
+      return res.status(400).json({
+        error: 'Invalid Points',
+        message: 'Points must be between 0 and the maximum points of the question'
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Grading Failed',
+      message: 'Failed to grade answer'
+    });
+  }
+};
+
+module.exports = {
+  getGradingQueue,
+  getAnswerForGrading,
+  getSolution,
+  gradeAnswer
+};
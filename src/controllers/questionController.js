@@ -1,8 +1,24 @@
 const Question = require('../models/Question');
+const QuestionGroup = require('../models/QuestionGroup');
+const QuestionRevision = require('../models/QuestionRevision');
+const Settings = require('../models/Settings');
+const Topic = require('../models/Topic');
 const { parseCSV, parseExcel } = require('../utils/csvParser');
+const { isChoiceType, isMultiSelectType, isTemplateType } = require('../utils/answerGrader');
+const { getTemplateDefinition, instantiateTemplate, applyTemplateInstance } = require('../utils/questionTemplate');
+const { generateSeed, createRandom } = require('../utils/seededRandom');
+const { lintQuestion, getLintRules } = require('../utils/questionLinter');
+const { getItemAnalysis, getItemAnalysisReport } = require('../utils/itemAnalysis');
+const { findDuplicates, addToDuplicateIndex, loadDuplicateIndex, getDuplicateReport } = require('../utils/duplicateDetector');
+const { validateMathMarkup, renderMathMarkup } = require('../utils/mathMarkup');
+const { detectImageType, storeQuestionImage, getQuestionImageUrls, removeUnusedImages } = require('../utils/questionImages');
+const { buildTopicTree } = require('../utils/topicTree');
 const path = require('path');
 const fs = require('fs').promises;
 
+// Фильтр по теме из дерева тем: по умолчанию вместе с вопросами всех ее подтем
+const getTopicFilter = (topicId, includeSubtopics) => (includeSubtopics === 'false' ? { topicId } : { topicPath: topicId });
+
 // Получение всех вопросов (только для админа)
 const getAllQuestions = async (req, res) => {
   try {
@@ -12,8 +28,11 @@ const getAllQuestions = async (req, res) => {
       sort = '-createdAt',
       difficulty,
       topic,
+      topicId,
+      includeSubtopics,
       search,
-      isActive
+      isActive,
+      status
     } = req.query;
     
     // Построение фильтра
@@ -27,17 +46,23 @@ const getAllQuestions = async (req, res) => {
       filter.topic = new RegExp(topic, 'i');
     }
     
+    if (topicId) {
+      Object.assign(filter, getTopicFilter(topicId, includeSubtopics));
+    }
+    
+    // Поиск по тексту без разметки формул: команды LaTeX (\frac, \sqrt) не находятся
     if (search) {
-      filter.$or = [
-        { title: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') }
-      ];
+      filter.searchText = new RegExp(search, 'i');
     }
     
     if (isActive !== undefined) {
       filter.isActive = isActive === 'true';
     }
     
+    if (status) {
+      filter.status = status;
+    }
+    
     // Подсчет общего количества
     const total = await Question.countDocuments(filter);
     
@@ -49,16 +74,11 @@ const getAllQuestions = async (req, res) => {
       .skip((page - 1) * limit)
       .lean();
     
-    // Получение статистики для каждого вопроса
-    const questionsWithStats = await Promise.all(
-      questions.map(async (question) => {
-        const stats = await Question.findById(question._id).then(q => q.getStats());
-        return {
-          ...question,
-          stats
-        };
-      })
-    );
+    // Статистика берется из накопленных значений вопроса, без агрегации по тестам
+    const questionsWithStats = questions.map(question => ({
+      ...question,
+      stats: Question.getStoredStats(question)
+    }));
     
     res.json({
       questions: questionsWithStats,
@@ -91,6 +111,11 @@ const getQuestionsStats = async (req, res) => {
           totalQuestions: { $sum: 1 },
           activeQuestions: { $sum: { $cond: ['$isActive', 1, 0] } },
           inactiveQuestions: { $sum: { $cond: ['$isActive', 0, 1] } },
+          // В тесты попадают только активные одобренные вопросы
+          eligibleQuestions: {
+            $sum: { $cond: [{ $and: ['$isActive', { $eq: ['$status', 'approved'] }] }, 1, 0] }
+          },
+          byStatus: { $push: '$status' },
           byDifficulty: {
             $push: {
               difficulty: '$difficulty',
@@ -100,25 +125,37 @@ const getQuestionsStats = async (req, res) => {
           byTopic: {
             $push: {
               topic: '$topic',
-              isActive: '$isActive'
+              topicId: '$topicId',
+              isActive: '$isActive',
+              status: '$status'
             }
           }
         }
       }
     ]);
+    const topics = await Topic.find().select('name parent ancestors description').sort({ name: 1 }).lean();
     
     if (stats.length === 0) {
       return res.json({
         totalQuestions: 0,
         activeQuestions: 0,
         inactiveQuestions: 0,
+        eligibleQuestions: 0,
+        statusDistribution: {},
         difficultyDistribution: {},
-        topicDistribution: {}
+        topicDistribution: {},
+        topicTree: buildTopicTree(topics)
       });
     }
     
     const baseStats = stats[0];
     
+    // Группировка по статусам рецензирования
+    const statusGroups = {};
+    baseStats.byStatus.forEach(status => {
+      statusGroups[status] = (statusGroups[status] || 0) + 1;
+    });
+    
     // Группировка по сложности
     const difficultyGroups = {};
     baseStats.byDifficulty.forEach(item => {
@@ -143,6 +180,19 @@ const getQuestionsStats = async (req, res) => {
       }
     });
     
+    // Дерево тем: количество вопросов по каждой теме и по всему ее поддереву
+    const topicCounts = new Map();
+    baseStats.byTopic.filter(item => item.topicId).forEach(item => {
+      const key = item.topicId.toString();
+      const counts = topicCounts.get(key) || { total: 0, active: 0, eligible: 0 };
+      counts.total++;
+      if (item.isActive) {
+        counts.active++;
+        if (item.status === 'approved') counts.eligible++;
+      }
+      topicCounts.set(key, counts);
+    });
+    
     // Получаем топ-10 тем
     const topTopics = Object.entries(topicGroups)
       .sort(([,a], [,b]) => b.active - a.active)
@@ -156,9 +206,12 @@ const getQuestionsStats = async (req, res) => {
       totalQuestions: baseStats.totalQuestions,
       activeQuestions: baseStats.activeQuestions,
       inactiveQuestions: baseStats.inactiveQuestions,
+      eligibleQuestions: baseStats.eligibleQuestions,
+      statusDistribution: statusGroups,
       difficultyDistribution: difficultyGroups,
       topicDistribution: topTopics,
-      canGenerateTests: baseStats.activeQuestions >= 30
+      topicTree: buildTopicTree(topics, topicCounts),
+      canGenerateTests: baseStats.eligibleQuestions >= 30
     });
     
   } catch (error) {
@@ -173,13 +226,15 @@ const getQuestionsStats = async (req, res) => {
 // Экспорт вопросов в CSV
 const exportQuestions = async (req, res) => {
   try {
-    const { difficulty, topic, isActive } = req.query;
+    const { difficulty, topic, topicId, includeSubtopics, isActive, status } = req.query;
     
     // Построение фильтра
     const filter = {};
     if (difficulty) filter.difficulty = difficulty;
     if (topic) filter.topic = new RegExp(topic, 'i');
+    if (topicId) Object.assign(filter, getTopicFilter(topicId, includeSubtopics));
     if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (status) filter.status = status;
     
     const questions = await Question.find(filter)
       .populate('createdBy', 'firstName lastName')
@@ -203,12 +258,17 @@ const exportQuestions = async (req, res) => {
       'Option 4': q.options[3] || '',
       'Option 5': q.options[4] || '',
       'Option 6': q.options[5] || '',
-      'Correct Answer': q.correctAnswer + 1, // +1 для человеко-читаемого формата
+      Type: q.type || 'single_choice',
+      // +1 для человеко-читаемого формата
+      'Correct Answer': formatCorrectAnswerForExport(q),
+      Tolerance: q.type === 'decimal' ? q.tolerance : '',
+      'Scoring Rule': isMultiSelectType(q.type) ? q.scoringRule : '',
       Difficulty: q.difficulty,
       Topic: q.topic,
-      Points: q.points,
+      Points: q.points ?? '',
       Explanation: q.explanation || '',
       'Is Active': q.isActive ? 'Yes' : 'No',
+      Status: q.status,
       'Created By': q.createdBy ? `${q.createdBy.firstName} ${q.createdBy.lastName}` : '',
       'Created At': new Date(q.createdAt).toISOString().split('T')[0],
       'Usage Count': q.usageCount,
@@ -231,6 +291,88 @@ const exportQuestions = async (req, res) => {
   }
 };
 
+// Отчет линтера по всему банку вопросов
+const getLintReport = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      severity,
+      rule,
+      includeInactive
+    } = req.query;
+    
+    const settings = await Settings.getCurrentSettings();
+    const filter = includeInactive === 'true' ? {} : { isActive: true };
+    
+    const summary = {
+      totalQuestions: 0,
+      questionsWithIssues: 0,
+      bySeverity: { error: 0, warning: 0, info: 0 },
+      byRule: {}
+    };
+    const flaggedQuestions = [];
+    
+    // Обходим банк курсором, чтобы не держать все вопросы в памяти
+    const cursor = Question.find(filter)
+      .select('title type options correctAnswer correctAnswers correctValue tolerance acceptedAnswers scoringRule explanation topic difficulty isActive')
+      .lean()
+      .cursor();
+    
+    for await (const question of cursor) {
+      summary.totalQuestions++;
+      
+      const lint = lintQuestion(question, settings.lintRules);
+      const issues = [...lint.errors, ...lint.warnings, ...lint.info]
+        .filter(issue => (!severity || issue.severity === severity) && (!rule || issue.rule === rule));
+      
+      if (issues.length === 0) continue;
+      
+      summary.questionsWithIssues++;
+      issues.forEach(issue => {
+        summary.bySeverity[issue.severity]++;
+        summary.byRule[issue.rule] = (summary.byRule[issue.rule] || 0) + 1;
+      });
+      
+      flaggedQuestions.push({
+        id: question._id,
+        title: question.title,
+        type: question.type || 'single_choice',
+        topic: question.topic,
+        isActive: question.isActive,
+        errorCount: issues.filter(issue => issue.severity === 'error').length,
+        issues
+      });
+    }
+    
+    // Сначала вопросы с ошибками, затем с наибольшим числом замечаний
+    flaggedQuestions.sort((a, b) => b.errorCount - a.errorCount || b.issues.length - a.issues.length);
+    
+    const total = flaggedQuestions.length;
+    
+    res.json({
+      summary,
+      rules: getLintRules(settings.lintRules),
+      questions: flaggedQuestions.slice((page - 1) * limit, page * limit),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get lint report error:', error);
+    res.status(500).json({
+      error: 'Lint Report Failed',
+      message: 'Failed to build question lint report'
+    });
+  }
+};
+
 // Поиск вопросов
 const searchQuestions = async (req, res) => {
   try {
@@ -251,8 +393,7 @@ const searchQuestions = async (req, res) => {
     const filter = {
       isActive: true,
       $or: [
-        { title: new RegExp(searchTerm, 'i') },
-        { description: new RegExp(searchTerm, 'i') },
+        { searchText: new RegExp(searchTerm, 'i') },
         { topic: new RegExp(searchTerm, 'i') }
       ]
     };
@@ -333,6 +474,30 @@ const convertToCSV = (data) => {
   return csvRows.join('\n');
 };
 
+// Utility функция для краткого описания ошибок линтера
+const formatLintErrors = (errors) => `Lint errors: ${errors.map(issue => `${issue.rule}: ${issue.message}`).join('; ')}`;
+
+// Utility функция для ответа с ошибками линтера
+const sendLintError = (res, lint) => res.status(400).json({
+  error: 'Lint Error',
+  message: 'Question failed quality checks',
+  details: lint.errors,
+  warnings: [...lint.warnings, ...lint.info]
+});
+
+// Utility функция для записи правильного ответа в CSV (номера вариантов с 1, как при импорте)
+const formatCorrectAnswerForExport = (question) => {
+  if (isMultiSelectType(question.type)) {
+    return (question.correctAnswers || []).map(index => index + 1).join(';');
+  }
+  
+  if (isChoiceType(question.type)) {
+    return question.correctAnswer + 1;
+  }
+  
+  return question.type === 'text' ? (question.acceptedAnswers || []).join('|') : (question.correctValue ?? '');
+};
+
 
 // Получение вопроса по ID
 const getQuestion = async (req, res) => {
@@ -368,25 +533,247 @@ const getQuestion = async (req, res) => {
   }
 };
 
+// Предпросмотр вопроса-шаблона: несколько экземпляров с подставленными значениями и вычисленным ответом
+const previewQuestion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { count = 5 } = req.query;
+    const seed = req.query.seed || generateSeed();
+    
+    const question = await Question.findById(id);
+    
+    if (!question) {
+      return res.status(404).json({
+        error: 'Question Not Found',
+        message: 'Question with this ID does not exist'
+      });
+    }
+    
+    if (!isTemplateType(question.type)) {
+      return res.status(400).json({
+        error: 'Not A Template',
+        message: 'Only parametric questions can be previewed'
+      });
+    }
+    
+    // Тот же сид дает те же экземпляры - предпросмотр можно повторить
+    const random = createRandom(seed);
+    const template = getTemplateDefinition(question);
+    let instances;
+    
+    try {
+      instances = Array.from({ length: count }, () => {
+        const instance = instantiateTemplate(template, random);
+        const resolved = applyTemplateInstance(question, instance);
+        
+        return {
+          values: instance.values,
+          title: resolved.title,
+          description: resolved.description,
+          correctValue: instance.correctValue
+        };
+      });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Template Error',
+        message: error.message
+      });
+    }
+    
+    res.json({
+      questionId: question._id,
+      seed,
+      answerFormula: question.answerFormula,
+      tolerance: question.tolerance,
+      instances
+    });
+    
+  } catch (error) {
+    console.error('Preview question error:', error);
+    res.status(500).json({
+      error: 'Question Preview Failed',
+      message: 'Failed to preview question'
+    });
+  }
+};
+
+// Анализ вопроса по завершенным тестам: p-value, дискриминация, точечно-бисериальная корреляция, выбор вариантов
+const getQuestionAnalysis = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { competitionId } = req.query;
+    
+    const question = await Question.findById(id)
+      .select('title type options correctAnswer correctAnswers topic difficulty isActive');
+    
+    if (!question) {
+      return res.status(404).json({
+        error: 'Question Not Found',
+        message: 'Question with this ID does not exist'
+      });
+    }
+    
+    const filter = {};
+    if (competitionId) {
+      filter.competitionId = competitionId;
+    }
+    
+    const analysis = await getItemAnalysis(question, filter);
+    
+    res.json({
+      questionId: question._id,
+      title: question.title,
+      type: question.type,
+      competitionId: competitionId || null,
+      analysis
+    });
+    
+  } catch (error) {
+    console.error('Get question analysis error:', error);
+    res.status(500).json({
+      error: 'Question Analysis Failed',
+      message: 'Failed to analyze question'
+    });
+  }
+};
+
+// Анализ всех вопросов банка, встречавшихся в завершенных тестах (помеченные вопросы - первыми)
+const getAnalysisReport = async (req, res) => {
+  try {
+    const { competitionId, flag, flagged } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    
+    const filter = {};
+    if (competitionId) {
+      filter.competitionId = competitionId;
+    }
+    
+    const report = await getItemAnalysisReport(filter, {
+      page,
+      limit,
+      flag: flag || null,
+      flaggedOnly: flagged === 'true'
+    });
+    
+    res.json({
+      competitionId: competitionId || null,
+      ...report
+    });
+    
+  } catch (error) {
+    console.error('Get analysis report error:', error);
+    res.status(500).json({
+      error: 'Analysis Report Failed',
+      message: 'Failed to build item analysis report'
+    });
+  }
+};
+
+// Отчет о дубликатах и похожих вопросах во всем банке
+const getDuplicatesReport = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    const settings = await Settings.getCurrentSettings();
+    const report = await getDuplicateReport({
+      threshold: req.query.threshold ?? settings.duplicateThreshold,
+      includeRetired: req.query.includeRetired === true,
+      page,
+      limit
+    });
+    
+    res.json(report);
+    
+  } catch (error) {
+    console.error('Get duplicates report error:', error);
+    res.status(500).json({
+      error: 'Duplicates Report Failed',
+      message: 'Failed to build duplicates report'
+    });
+  }
+};
+
+// Отрисовка текста с формулами LaTeX: все клиенты получают одинаковый MathML
+const renderMarkup = async (req, res) => {
+  try {
+    const { texts, format = 'mathml' } = req.body;
+    
+    const results = texts.map(text => {
+      const errors = validateMathMarkup(text);
+      
+      return errors.length > 0
+        ? { html: null, errors }
+        : { html: renderMathMarkup(text, format), errors };
+    });
+    
+    res.json({ format, results });
+    
+  } catch (error) {
+    console.error('Render markup error:', error);
+    res.status(500).json({
+      error: 'Render Failed',
+      message: 'Failed to render math markup'
+    });
+  }
+};
+
+// Калибровка, заданная администратором: не переданные параметры сохраняют прежние значения
+const buildManualCalibration = (calibration, current = {}) => ({
+  difficulty: calibration.difficulty !== undefined ? calibration.difficulty : current.difficulty ?? null,
+  discrimination: calibration.discrimination ?? current.discrimination ?? 1,
+  source: 'manual',
+  sampleSize: 0,
+  calibratedAt: new Date()
+});
+
 // Создание нового вопроса
 const createQuestion = async (req, res) => {
   try {
     const {
       title,
       description,
+      type,
       options,
       correctAnswer,
+      correctAnswers,
+      correctValue,
+      tolerance,
+      acceptedAnswers,
+      caseSensitive,
+      parameters,
+      answerFormula,
+      answerPrecision,
+      parameterConstraint,
+      calibration,
+      scoringRule,
+      wrongPickPenalty,
       difficulty,
       topic,
-      points = 1,
-      explanation
+      points,
+      explanation,
+      allowDuplicate
     } = req.body;
     
     const question = new Question({
       title,
       description,
+      type,
       options,
       correctAnswer,
+      correctAnswers,
+      correctValue,
+      tolerance,
+      acceptedAnswers,
+      caseSensitive,
+      parameters,
+      answerFormula,
+      answerPrecision,
+      parameterConstraint,
+      calibration: calibration ? buildManualCalibration(calibration) : undefined,
+      scoringRule,
+      wrongPickPenalty,
       difficulty,
       topic,
       points,
@@ -394,6 +781,31 @@ const createQuestion = async (req, res) => {
       createdBy: req.user._id
     });
     
+    // Проверяем вопрос правилами линтера: ошибки блокируют сохранение, предупреждения возвращаются
+    const settings = await Settings.getCurrentSettings();
+    const lint = lintQuestion(question, settings.lintRules);
+    
+    if (!lint.isValid) {
+      return sendLintError(res, lint);
+    }
+    
+    // Сравниваем с банком: точный дубликат сохраняется только с allowDuplicate, похожий - с пометкой
+    const { index } = await loadDuplicateIndex();
+    const duplicates = findDuplicates(index, question, settings.duplicateThreshold);
+    
+    if (duplicates.some(match => match.exact) && !allowDuplicate) {
+      return res.status(409).json({
+        error: 'Duplicate Question',
+        message: 'An identical question already exists in the bank',
+        duplicates
+      });
+    }
+    
+    if (duplicates.length > 0) {
+      question.duplicateOf = duplicates[0].questionId;
+      question.duplicateSimilarity = duplicates[0].similarity;
+    }
+    
     await question.save();
     
     // Заполняем информацию о создателе
@@ -401,7 +813,9 @@ const createQuestion = async (req, res) => {
     
     res.status(201).json({
       message: 'Question created successfully',
-      question
+      question,
+      duplicates,
+      lintWarnings: [...lint.warnings, ...lint.info]
     });
     
   } catch (error) {
@@ -425,6 +839,26 @@ const createQuestion = async (req, res) => {
   }
 };
 
+// Сохранение вопроса с записью ревизии: изменение содержания создает новую ревизию,
+// статус и калибровка ревизий не создают. Возвращает список изменений
+const saveContentChange = async (question, { previousContent, previousUpdatedAt, author }) => {
+  // Название темы приводится к названию из дерева тем до сравнения: "algebra " вместо "Algebra" - не изменение
+  await question.syncTopic();
+  
+  const changes = QuestionRevision.diffContent(previousContent, QuestionRevision.getContent(question));
+  if (changes.length > 0) {
+    question.revision += 1;
+  }
+  
+  await question.save();
+  
+  if (changes.length > 0) {
+    await QuestionRevision.record(question, { previousContent, previousUpdatedAt, changes, author });
+  }
+  
+  return changes;
+};
+
 // Обновление вопроса
 const updateQuestion = async (req, res) => {
   try {
@@ -435,8 +869,21 @@ const updateQuestion = async (req, res) => {
     const allowedUpdates = [
       'title',
       'description',
+      'type',
       'options',
       'correctAnswer',
+      'correctAnswers',
+      'correctValue',
+      'tolerance',
+      'acceptedAnswers',
+      'caseSensitive',
+      'parameters',
+      'answerFormula',
+      'answerPrecision',
+      'parameterConstraint',
+      'calibration',
+      'scoringRule',
+      'wrongPickPenalty',
       'difficulty',
       'topic',
       'points',
@@ -452,11 +899,7 @@ const updateQuestion = async (req, res) => {
       }
     });
     
-    const question = await Question.findByIdAndUpdate(
-      id,
-      filteredUpdates,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'firstName lastName email');
+    const question = await Question.findById(id);
     
     if (!question) {
       return res.status(404).json({
@@ -465,9 +908,33 @@ const updateQuestion = async (req, res) => {
       });
     }
     
+    if (filteredUpdates.calibration) {
+      filteredUpdates.calibration = buildManualCalibration(filteredUpdates.calibration, question.calibration);
+    }
+    
+    // Содержание до правки - для истории ревизий
+    const previousContent = QuestionRevision.getContent(question);
+    const previousUpdatedAt = question.updatedAt;
+    
+    // Сохраняем через документ, чтобы ключ ответа проверялся вместе с типом вопроса
+    question.set(filteredUpdates);
+    
+    const settings = await Settings.getCurrentSettings();
+    const lint = lintQuestion(question, settings.lintRules);
+    
+    if (!lint.isValid) {
+      return sendLintError(res, lint);
+    }
+    
+    const changes = await saveContentChange(question, { previousContent, previousUpdatedAt, author: req.user._id });
+    
+    await question.populate('createdBy', 'firstName lastName email');
+    
     res.json({
       message: 'Question updated successfully',
-      question
+      question,
+      changes,
+      lintWarnings: [...lint.warnings, ...lint.info]
     });
     
   } catch (error) {
@@ -491,82 +958,574 @@ const updateQuestion = async (req, res) => {
   }
 };
 
-// Удаление вопроса (мягкое удаление)
-const deleteQuestion = async (req, res) => {
+// История ревизий вопроса (без содержания - только изменения)
+const getQuestionRevisions = async (req, res) => {
   try {
     const { id } = req.params;
-    const { permanent = false } = req.query;
     
-    if (permanent === 'true') {
-      // Жесткое удаление
-      const question = await Question.findByIdAndDelete(id);
-      
-      if (!question) {
-        return res.status(404).json({
-          error: 'Question Not Found',
-          message: 'Question with this ID does not exist'
-        });
-      }
-      
-      res.json({
-        message: 'Question permanently deleted'
-      });
-    } else {
-      // Мягкое удаление (деактивация)
-      const question = await Question.findByIdAndUpdate(
-        id,
-        { isActive: false },
-        { new: true }
-      );
-      
-      if (!question) {
-        return res.status(404).json({
-          error: 'Question Not Found',
-          message: 'Question with this ID does not exist'
-        });
-      }
-      
-      res.json({
-        message: 'Question deactivated successfully',
-        question
+    const question = await Question.findById(id).select('title revision');
+    
+    if (!question) {
+      return res.status(404).json({
+        error: 'Question Not Found',
+        message: 'Question with this ID does not exist'
       });
     }
     
+    const revisions = await QuestionRevision.find({ questionId: id })
+      .select('-content')
+      .populate('author', 'firstName lastName email')
+      .sort({ revision: -1 });
+    
+    res.json({
+      questionId: question._id,
+      title: question.title,
+      currentRevision: question.revision,
+      revisions
+    });
+    
   } catch (error) {
-    console.error('Delete question error:', error);
+    console.error('Get question revisions error:', error);
     res.status(500).json({
-      error: 'Question Deletion Failed',
-      message: 'Failed to delete question'
+      error: 'Revisions Retrieval Failed',
+      message: 'Failed to retrieve question revisions'
     });
   }
 };
 
-// Массовое создание вопросов
-const createBulkQuestions = async (req, res) => {
+// Содержание ревизии вопроса
+const getQuestionRevision = async (req, res) => {
   try {
-    const { questions } = req.body;
+    const { id, revision } = req.params;
     
-    if (!Array.isArray(questions) || questions.length === 0) {
-      return res.status(400).json({
-        error: 'Invalid Data',
-        message: 'Questions array is required'
+    const questionRevision = await QuestionRevision.findOne({ questionId: id, revision })
+      .populate('author', 'firstName lastName email');
+    
+    if (!questionRevision) {
+      return res.status(404).json({
+        error: 'Revision Not Found',
+        message: 'Question has no revision with this number'
       });
     }
     
-    const createdQuestions = [];
-    const errors = [];
+    res.json({ revision: questionRevision });
     
-    for (let i = 0; i < questions.length; i++) {
-      try {
-        const questionData = {
-          ...questions[i],
-          createdBy: req.user._id
-        };
-        
-        const question = new Question(questionData);
-        await question.save();
-        
-        createdQuestions.push(question);
+  } catch (error) {
+    console.error('Get question revision error:', error);
+    res.status(500).json({
+      error: 'Revision Retrieval Failed',
+      message: 'Failed to retrieve question revision'
+    });
+  }
+};
+
+// Восстановление ревизии вопроса: ее содержание сохраняется как новая ревизия
+const restoreQuestionRevision = async (req, res) => {
+  try {
+    const { id, revision } = req.params;
+    
+    const question = await Question.findById(id);
+    
+    if (!question) {
+      return res.status(404).json({
+        error: 'Question Not Found',
+        message: 'Question with this ID does not exist'
+      });
+    }
+    
+    const questionRevision = await QuestionRevision.findOne({ questionId: id, revision });
+    
+    if (!questionRevision) {
+      return res.status(404).json({
+        error: 'Revision Not Found',
+        message: 'Question has no revision with this number'
+      });
+    }
+    
+    const previousContent = QuestionRevision.getContent(question);
+    const previousUpdatedAt = question.updatedAt;
+    const changes = QuestionRevision.diffContent(previousContent, questionRevision.content);
+    
+    if (changes.length === 0) {
+      return res.status(400).json({
+        error: 'Nothing To Restore',
+        message: 'Question content already matches this revision'
+      });
+    }
+    
+    // Поля, которых не было в ревизии, удаляются
+    changes.forEach(({ field }) => question.set(field, questionRevision.content[field]));
+    
+    // Правила линтера могли измениться с момента сохранения ревизии
+    const settings = await Settings.getCurrentSettings();
+    const lint = lintQuestion(question, settings.lintRules);
+    
+    if (!lint.isValid) {
+      return sendLintError(res, lint);
+    }
+    
+    question.revision += 1;
+    await question.save();
+    
+    await QuestionRevision.record(question, {
+      previousContent,
+      previousUpdatedAt,
+      changes,
+      author: req.user._id,
+      action: 'restored',
+      restoredFrom: questionRevision.revision
+    });
+    
+    res.json({
+      message: `Revision ${questionRevision.revision} restored as revision ${question.revision}`,
+      question,
+      changes,
+      lintWarnings: [...lint.warnings, ...lint.info]
+    });
+    
+  } catch (error) {
+    console.error('Restore question revision error:', error);
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Revision content is no longer valid',
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Revision Restore Failed',
+      message: 'Failed to restore question revision'
+    });
+  }
+};
+
+// Ответ на ошибку сохранения изображения вопроса
+const sendImageSaveError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input data',
+      details: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+  
+  res.status(500).json(fallback);
+};
+
+// Сохранение загруженного изображения (формат определяется по содержимому, а не по расширению и MIME-типу запроса).
+// Возвращает URL изображения или null, если формат не поддерживается
+const saveUploadedImage = async (file) => {
+  const type = detectImageType(file.buffer);
+  return type ? storeQuestionImage(file.buffer, type) : null;
+};
+
+// Ответ на загрузку файла, который не является изображением поддерживаемого формата
+const sendUnsupportedImageError = (res) => res.status(400).json({
+  error: 'Invalid File Type',
+  message: 'File content is not a PNG, JPEG, GIF or WebP image'
+});
+
+// Загрузка изображения к вопросу (поле image) или изменение его альтернативного текста (alt)
+const uploadQuestionImage = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    
+    if (!question) {
+      return res.status(404).json({
+        error: 'Question Not Found',
+        message: 'Question with this ID does not exist'
+      });
+    }
+    
+    // Без файла меняется только альтернативный текст уже загруженного изображения
+    if (!req.file && !question.image) {
+      return res.status(400).json({
+        error: 'Image Required',
+        message: 'Upload an image file in the "image" field'
+      });
+    }
+    
+    const previousContent = QuestionRevision.getContent(question);
+    const previousUpdatedAt = question.updatedAt;
+    
+    if (req.file) {
+      const image = await saveUploadedImage(req.file);
+      if (!image) {
+        return sendUnsupportedImageError(res);
+      }
+      question.image = image;
+    }
+    question.imageAlt = req.body.alt;
+    
+    const changes = await saveContentChange(question, { previousContent, previousUpdatedAt, author: req.user._id });
+    
+    res.json({
+      message: 'Question image saved successfully',
+      image: question.image,
+      imageAlt: question.imageAlt,
+      revision: question.revision,
+      changes
+    });
+    
+  } catch (error) {
+    console.error('Upload question image error:', error);
+    sendImageSaveError(res, error, {
+      error: 'Image Upload Failed',
+      message: 'Failed to save question image'
+    });
+  }
+};
+
+// Удаление изображения вопроса (файл остается, пока на него ссылаются ревизии)
+const deleteQuestionImage = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    
+    if (!question) {
+      return res.status(404).json({
+        error: 'Question Not Found',
+        message: 'Question with this ID does not exist'
+      });
+    }
+    
+    if (!question.image) {
+      return res.status(404).json({
+        error: 'Image Not Found',
+        message: 'Question has no image'
+      });
+    }
+    
+    const previousContent = QuestionRevision.getContent(question);
+    const previousUpdatedAt = question.updatedAt;
+    
+    question.image = null;
+    question.imageAlt = null;
+    
+    const changes = await saveContentChange(question, { previousContent, previousUpdatedAt, author: req.user._id });
+    
+    res.json({
+      message: 'Question image removed successfully',
+      revision: question.revision,
+      changes
+    });
+    
+  } catch (error) {
+    console.error('Delete question image error:', error);
+    sendImageSaveError(res, error, {
+      error: 'Image Deletion Failed',
+      message: 'Failed to remove question image'
+    });
+  }
+};
+
+// Загрузка изображения к варианту ответа (индекс варианта в исходном порядке) или изменение его альтернативного текста
+const uploadOptionImage = async (req, res) => {
+  try {
+    const { id, option } = req.params;
+    const question = await Question.findById(id);
+    
+    if (!question) {
+      return res.status(404).json({
+        error: 'Question Not Found',
+        message: 'Question with this ID does not exist'
+      });
+    }
+    
+    if (!isChoiceType(question.type) || option >= question.options.length) {
+      return res.status(400).json({
+        error: 'Invalid Option',
+        message: 'Option images can only be attached to existing options of choice questions'
+      });
+    }
+    
+    const current = question.optionImages.find(item => item.option === option);
+    
+    if (!req.file && !current) {
+      return res.status(400).json({
+        error: 'Image Required',
+        message: 'Upload an image file in the "image" field'
+      });
+    }
+    
+    const previousContent = QuestionRevision.getContent(question);
+    const previousUpdatedAt = question.updatedAt;
+    
+    let image = current ? current.image : null;
+    if (req.file) {
+      image = await saveUploadedImage(req.file);
+      if (!image) {
+        return sendUnsupportedImageError(res);
+      }
+    }
+    
+    question.optionImages = [
+      ...question.optionImages.filter(item => item.option !== option).map(item => item.toObject()),
+      { option, image, alt: req.body.alt }
+    ].sort((a, b) => a.option - b.option);
+    
+    const changes = await saveContentChange(question, { previousContent, previousUpdatedAt, author: req.user._id });
+    
+    res.json({
+      message: 'Option image saved successfully',
+      optionImages: question.optionImages,
+      revision: question.revision,
+      changes
+    });
+    
+  } catch (error) {
+    console.error('Upload option image error:', error);
+    sendImageSaveError(res, error, {
+      error: 'Image Upload Failed',
+      message: 'Failed to save option image'
+    });
+  }
+};
+
+// Удаление изображения варианта ответа
+const deleteOptionImage = async (req, res) => {
+  try {
+    const { id, option } = req.params;
+    const question = await Question.findById(id);
+    
+    if (!question) {
+      return res.status(404).json({
+        error: 'Question Not Found',
+        message: 'Question with this ID does not exist'
+      });
+    }
+    
+    if (!question.optionImages.some(item => item.option === option)) {
+      return res.status(404).json({
+        error: 'Image Not Found',
+        message: 'Option has no image'
+      });
+    }
+    
+    const previousContent = QuestionRevision.getContent(question);
+    const previousUpdatedAt = question.updatedAt;
+    
+    question.optionImages = question.optionImages.filter(item => item.option !== option).map(item => item.toObject());
+    
+    const changes = await saveContentChange(question, { previousContent, previousUpdatedAt, author: req.user._id });
+    
+    res.json({
+      message: 'Option image removed successfully',
+      optionImages: question.optionImages,
+      revision: question.revision,
+      changes
+    });
+    
+  } catch (error) {
+    console.error('Delete option image error:', error);
+    sendImageSaveError(res, error, {
+      error: 'Image Deletion Failed',
+      message: 'Failed to remove option image'
+    });
+  }
+};
+
+// Удаление вопроса (мягкое удаление)
+const deleteQuestion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { permanent = false } = req.query;
+    
+    if (permanent === 'true') {
+      // Жесткое удаление
+      const question = await Question.findByIdAndDelete(id);
+      
+      if (!question) {
+        return res.status(404).json({
+          error: 'Question Not Found',
+          message: 'Question with this ID does not exist'
+        });
+      }
+      
+      // Удаляем файлы изображений вопроса и его ревизий, если на них больше никто не ссылается
+      const revisions = await QuestionRevision.find({ questionId: id }).select('content.image content.optionImages').lean();
+      const removedImages = await removeUnusedImages(
+        [question, ...revisions.map(revision => revision.content || {})].flatMap(getQuestionImageUrls),
+        { deletedQuestionId: id }
+      );
+      
+      res.json({
+        message: 'Question permanently deleted',
+        removedImages
+      });
+    } else {
+      // Мягкое удаление (деактивация)
+      const question = await Question.findByIdAndUpdate(
+        id,
+        { isActive: false },
+        { new: true }
+      );
+      
+      if (!question) {
+        return res.status(404).json({
+          error: 'Question Not Found',
+          message: 'Question with this ID does not exist'
+        });
+      }
+      
+      res.json({
+        message: 'Question deactivated successfully',
+        question
+      });
+    }
+    
+  } catch (error) {
+    console.error('Delete question error:', error);
+    res.status(500).json({
+      error: 'Question Deletion Failed',
+      message: 'Failed to delete question'
+    });
+  }
+};
+
+// Сохранение вопроса при массовом создании и импорте с учетом дубликатов (strategy: skip, merge, flag).
+// Возвращает { status: created/skipped/merged/invalid, question, lint, match, changes }
+const saveImportedQuestion = async (questionData, { settings, index, strategy, user }) => {
+  const question = new Question(questionData);
+  const lint = lintQuestion(question, settings.lintRules);
+  
+  if (!lint.isValid) {
+    return { status: 'invalid', lint };
+  }
+  
+  const [match = null] = findDuplicates(index, question, settings.duplicateThreshold, 1);
+  
+  if (match && strategy === 'skip') {
+    return { status: 'skipped', lint, match };
+  }
+  
+  const existing = match && strategy === 'merge' ? await Question.findById(match.questionId) : null;
+  
+  if (existing) {
+    // Переносим в существующий вопрос только заданные при импорте поля содержания
+    const imported = QuestionRevision.getContent(question);
+    const previousContent = QuestionRevision.getContent(existing);
+    const previousUpdatedAt = existing.updatedAt;
+    
+    existing.set(Object.fromEntries(Object.entries(imported).filter(([field]) => questionData[field] !== undefined)));
+    
+    const mergedLint = lintQuestion(existing, settings.lintRules);
+    if (!mergedLint.isValid) {
+      return { status: 'invalid', lint: mergedLint };
+    }
+    
+    const changes = QuestionRevision.diffContent(previousContent, QuestionRevision.getContent(existing));
+    if (changes.length > 0) {
+      existing.revision += 1;
+      await existing.save();
+      await QuestionRevision.record(existing, { previousContent, previousUpdatedAt, changes, author: user._id });
+      addToDuplicateIndex(index, existing);
+    }
+    
+    return { status: 'merged', question: existing, lint: mergedLint, match, changes };
+  }
+  
+  if (match) {
+    question.duplicateOf = match.questionId;
+    question.duplicateSimilarity = match.similarity;
+  }
+  
+  await question.save();
+  
+  // Следующие строки импорта сравниваются и с только что созданными вопросами
+  addToDuplicateIndex(index, question);
+  
+  return { status: 'created', question, lint, match };
+};
+
+// Запись о найденном дубликате для ответа импорта
+const formatDuplicateResult = (result) => ({
+  action: result.status === 'created' ? 'flagged' : result.status,
+  match: result.match,
+  ...(result.changes ? { changes: result.changes.map(change => change.field) } : {})
+});
+
+// Количество пропущенных, объединенных и помеченных дубликатов
+const countDuplicateActions = (duplicates) => ({
+  skipped: duplicates.filter(item => item.action === 'skipped').length,
+  merged: duplicates.filter(item => item.action === 'merged').length,
+  flagged: duplicates.filter(item => item.action === 'flagged').length
+});
+
+// Массовое создание вопросов
+const createBulkQuestions = async (req, res) => {
+  try {
+    const { questions, duplicateStrategy = 'skip' } = req.body;
+    
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid Data',
+        message: 'Questions array is required'
+      });
+    }
+    
+    const settings = await Settings.getCurrentSettings();
+    const { index } = await loadDuplicateIndex();
+    const createdQuestions = [];
+    const errors = [];
+    const warnings = [];
+    const duplicates = [];
+    
+    for (let i = 0; i < questions.length; i++) {
+      try {
+        // Новые вопросы всегда начинают с черновика: статус, история рецензирования и пометка дубликата из запроса не принимаются
+        const questionData = {
+          ...questions[i],
+          status: 'draft',
+          submittedForReviewAt: null,
+          reviewHistory: [],
+          duplicateOf: null,
+          duplicateSimilarity: null,
+          createdBy: req.user._id
+        };
+        
+        const result = await saveImportedQuestion(questionData, {
+          settings,
+          index,
+          strategy: duplicateStrategy,
+          user: req.user
+        });
+        const { lint } = result;
+        
+        if (result.status === 'invalid') {
+          errors.push({
+            index: i,
+            question: questions[i].title || `Question ${i + 1}`,
+            error: formatLintErrors(lint.errors),
+            lintErrors: lint.errors
+          });
+          continue;
+        }
+        
+        if (result.match) {
+          duplicates.push({ index: i, question: questions[i].title, ...formatDuplicateResult(result) });
+        }
+        
+        if (result.status !== 'created') {
+          continue;
+        }
+        
+        createdQuestions.push(result.question);
+        
+        if (lint.warnings.length > 0 || lint.info.length > 0) {
+          warnings.push({
+            index: i,
+            question: result.question.title,
+            lintWarnings: [...lint.warnings, ...lint.info]
+          });
+        }
       } catch (error) {
         errors.push({
           index: i,
@@ -577,11 +1536,14 @@ const createBulkQuestions = async (req, res) => {
     }
     
     res.status(201).json({
-      message: `Bulk creation completed. ${createdQuestions.length} questions created, ${errors.length} errors`,
+      message: `Bulk creation completed. ${createdQuestions.length} questions created, ${errors.length} errors, ${duplicates.length} duplicates`,
       created: createdQuestions.length,
       errors: errors.length,
+      ...countDuplicateActions(duplicates),
       questions: createdQuestions,
-      errorDetails: errors
+      errorDetails: errors,
+      warningDetails: warnings,
+      duplicateDetails: duplicates
     });
     
   } catch (error) {
@@ -635,8 +1597,13 @@ const importQuestions = async (req, res) => {
       });
     }
     
+    const settings = await Settings.getCurrentSettings();
+    const { index } = await loadDuplicateIndex();
+    const duplicateStrategy = req.body.duplicateStrategy || 'skip';
     const createdQuestions = [];
     const errors = [];
+    const warnings = [];
+    const duplicates = [];
     
     for (let i = 0; i < questionsData.length; i++) {
       try {
@@ -645,10 +1612,41 @@ const importQuestions = async (req, res) => {
           createdBy: req.user._id
         };
         
-        const question = new Question(questionData);
-        await question.save();
+        const result = await saveImportedQuestion(questionData, {
+          settings,
+          index,
+          strategy: duplicateStrategy,
+          user: req.user
+        });
+        const { lint } = result;
         
-        createdQuestions.push(question);
+        if (result.status === 'invalid') {
+          errors.push({
+            row: i + 2,
+            title: questionsData[i].title || `Row ${i + 2}`,
+            error: formatLintErrors(lint.errors),
+            lintErrors: lint.errors
+          });
+          continue;
+        }
+        
+        if (result.match) {
+          duplicates.push({ row: i + 2, title: questionsData[i].title, ...formatDuplicateResult(result) });
+        }
+        
+        if (result.status !== 'created') {
+          continue;
+        }
+        
+        createdQuestions.push(result.question);
+        
+        if (lint.warnings.length > 0 || lint.info.length > 0) {
+          warnings.push({
+            row: i + 2,
+            title: result.question.title,
+            lintWarnings: [...lint.warnings, ...lint.info]
+          });
+        }
       } catch (error) {
         errors.push({
           row: i + 2, // +2 потому что первая строка - заголовки, и индекс начинается с 0
@@ -659,16 +1657,19 @@ const importQuestions = async (req, res) => {
     }
     
     res.status(201).json({
-      message: `Import completed. ${createdQuestions.length} questions imported, ${errors.length} errors`,
+      message: `Import completed. ${createdQuestions.length} questions imported, ${errors.length} errors, ${duplicates.length} duplicates`,
       imported: createdQuestions.length,
       errors: errors.length,
+      ...countDuplicateActions(duplicates),
       questions: createdQuestions.map(q => ({
         id: q._id,
         title: q.title,
         difficulty: q.difficulty,
         topic: q.topic
       })),
-      errorDetails: errors
+      errorDetails: errors,
+      warningDetails: warnings,
+      duplicateDetails: duplicates
     });
     
   } catch (error) {
@@ -691,16 +1692,266 @@ const importQuestions = async (req, res) => {
 };
 
 
+// Проверка вопросов группы: все существуют и не входят в другие группы
+const checkGroupQuestions = async (res, questionIds, excludeGroupId = null) => {
+  const ids = [...new Set(questionIds.map(id => id.toString()))];
+  if (ids.length !== questionIds.length) {
+    res.status(400).json({
+      error: 'Validation Error',
+      message: 'Group questions must be unique'
+    });
+    return false;
+  }
+  
+  const found = await Question.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    res.status(400).json({
+      error: 'Question Not Found',
+      message: 'Some of the group questions do not exist'
+    });
+    return false;
+  }
+  
+  const conflicts = await QuestionGroup.findConflicts(ids, excludeGroupId);
+  if (conflicts.length > 0) {
+    res.status(409).json({
+      error: 'Question Already Grouped',
+      message: 'Some of the questions already belong to another group',
+      conflicts: conflicts.map(group => ({
+        groupId: group._id,
+        title: group.title,
+        questions: group.questions.filter(id => ids.includes(id.toString()))
+      }))
+    });
+    return false;
+  }
+  
+  return true;
+};
+
+// Ответ на ошибку сохранения группы
+const sendGroupSaveError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input data',
+      details: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+  
+  // Уникальный индекс: вопрос одновременно добавили в другую группу
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'Question Already Grouped',
+      message: 'Some of the questions already belong to another group'
+    });
+  }
+  
+  res.status(500).json(fallback);
+};
+
+// Получение групп вопросов
+const getAllQuestionGroups = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isActive } = req.query;
+    
+    const filter = {};
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+    
+    const total = await QuestionGroup.countDocuments(filter);
+    const groups = await QuestionGroup.find(filter)
+      .populate('questions', 'title topic difficulty isActive')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+    
+    res.json({
+      groups,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get question groups error:', error);
+    res.status(500).json({
+      error: 'Question Groups Retrieval Failed',
+      message: 'Failed to retrieve question groups'
+    });
+  }
+};
+
+// Получение группы вопросов
+const getQuestionGroup = async (req, res) => {
+  try {
+    const group = await QuestionGroup.findById(req.params.id)
+      .populate('questions', 'title type topic difficulty isActive')
+      .populate('createdBy', 'firstName lastName email');
+    
+    if (!group) {
+      return res.status(404).json({
+        error: 'Question Group Not Found',
+        message: 'Question group with this ID does not exist'
+      });
+    }
+    
+    res.json({ group });
+    
+  } catch (error) {
+    console.error('Get question group error:', error);
+    res.status(500).json({
+      error: 'Question Group Retrieval Failed',
+      message: 'Failed to retrieve question group'
+    });
+  }
+};
+
+// Создание группы вопросов
+const createQuestionGroup = async (req, res) => {
+  try {
+    const { title, stem, image, questions, isActive } = req.body;
+    
+    if (!await checkGroupQuestions(res, questions)) return;
+    
+    const group = new QuestionGroup({
+      title,
+      stem,
+      image,
+      questions,
+      isActive,
+      createdBy: req.user._id
+    });
+    
+    await group.save();
+    await group.populate('questions', 'title topic difficulty isActive');
+    
+    res.status(201).json({
+      message: 'Question group created successfully',
+      group
+    });
+    
+  } catch (error) {
+    console.error('Create question group error:', error);
+    sendGroupSaveError(res, error, {
+      error: 'Question Group Creation Failed',
+      message: 'Failed to create question group'
+    });
+  }
+};
+
+// Обновление группы вопросов
+const updateQuestionGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const group = await QuestionGroup.findById(id);
+    if (!group) {
+      return res.status(404).json({
+        error: 'Question Group Not Found',
+        message: 'Question group with this ID does not exist'
+      });
+    }
+    
+    const { title, stem, image, questions, isActive } = req.body;
+    
+    if (!await checkGroupQuestions(res, questions, group._id)) return;
+    
+    group.set({ title, stem, image, questions, isActive: isActive ?? group.isActive });
+    
+    await group.save();
+    await group.populate('questions', 'title topic difficulty isActive');
+    
+    res.json({
+      message: 'Question group updated successfully',
+      group
+    });
+    
+  } catch (error) {
+    console.error('Update question group error:', error);
+    sendGroupSaveError(res, error, {
+      error: 'Question Group Update Failed',
+      message: 'Failed to update question group'
+    });
+  }
+};
+
+// Удаление группы вопросов. Деактивированная группа не выдается вместе со своими вопросами;
+// после жесткого удаления вопросы остаются в банке и выдаются по отдельности
+const deleteQuestionGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { permanent = false } = req.query;
+    
+    const group = permanent === 'true'
+      ? await QuestionGroup.findByIdAndDelete(id)
+      : await QuestionGroup.findByIdAndUpdate(id, { isActive: false }, { new: true });
+    
+    if (!group) {
+      return res.status(404).json({
+        error: 'Question Group Not Found',
+        message: 'Question group with this ID does not exist'
+      });
+    }
+    
+    if (permanent === 'true') {
+      return res.json({
+        message: 'Question group permanently deleted, its questions are now drawn individually'
+      });
+    }
+    
+    res.json({
+      message: 'Question group deactivated successfully',
+      group
+    });
+    
+  } catch (error) {
+    console.error('Delete question group error:', error);
+    res.status(500).json({
+      error: 'Question Group Deletion Failed',
+      message: 'Failed to delete question group'
+    });
+  }
+};
+
 module.exports = {
   getAllQuestions,
   getQuestion,
+  previewQuestion,
+  getQuestionAnalysis,
+  getAnalysisReport,
+  getDuplicatesReport,
+  renderMarkup,
   createQuestion,
   updateQuestion,
+  getQuestionRevisions,
+  getQuestionRevision,
+  restoreQuestionRevision,
+  uploadQuestionImage,
+  deleteQuestionImage,
+  uploadOptionImage,
+  deleteOptionImage,
   deleteQuestion,
   createBulkQuestions,
   importQuestions,
   getQuestionsStats,
   exportQuestions,
+  getLintReport,
   searchQuestions,
-  toggleQuestionStatus
+  toggleQuestionStatus,
+  getAllQuestionGroups,
+  getQuestionGroup,
+  createQuestionGroup,
+  updateQuestionGroup,
+  deleteQuestionGroup
 };
\ No newline at end of file
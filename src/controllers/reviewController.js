@@ -0,0 +1,219 @@
+const Question = require('../models/Question');
+
+// Поля вопроса, которые видит рецензент (без статистики и калибровки)
+const REVIEW_FIELDS = 'title description type options correctAnswer correctAnswers scoringRule wrongPickPenalty ' +
+  'correctValue tolerance acceptedAnswers caseSensitive parameters answerFormula answerPrecision parameterConstraint ' +
+  'difficulty topic points explanation image imageAlt optionImages revision status isActive submittedForReviewAt reviewHistory duplicateOf duplicateSimilarity ' +
+  'createdBy createdAt updatedAt';
+
+// Выполнение действия рецензирования над вопросом (общая часть обработчиков)
+const performReviewAction = async (req, res, action, successMessage) => {
+  const question = await Question.findById(req.params.id);
+  if (!question) {
+    return res.status(404).json({
+      error: 'Question Not Found',
+      message: 'Question with this ID does not exist'
+    });
+  }
+  
+  let entry;
+  try {
+    entry = question.applyReviewAction(action, { user: req.user, comment: req.body.comment });
+  } catch (error) {
+    return res.status(error.message === 'Reviewer access required' ? 403 : 400).json({
+      error: 'Review Action Not Allowed',
+      message: error.message
+    });
+  }
+  
+  await question.save();
+  
+  res.json({
+    message: successMessage,
+    question: {
+      id: question._id,
+      title: question.title,
+      status: question.status,
+      isActive: question.isActive
+    },
+    review: entry
+  });
+};
+
+// Получение очереди вопросов на рецензии (сначала те, что ждут дольше всех)
+const getReviewQueue = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      difficulty,
+      topic
+    } = req.query;
+    
+    const filter = { status: 'in_review' };
+    
+    if (difficulty) {
+      filter.difficulty = difficulty;
+    }
+    
+    if (topic) {
+      filter.topic = new RegExp(topic, 'i');
+    }
+    
+    const total = await Question.countDocuments(filter);
+    
+    const questions = await Question.find(filter)
+      .select('title type difficulty topic points revision submittedForReviewAt reviewHistory duplicateOf duplicateSimilarity createdBy')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ submittedForReviewAt: 1, _id: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+    
+    const items = questions.map(({ reviewHistory = [], ...question }) => ({
+      ...question,
+      reviewRounds: reviewHistory.filter(entry => entry.action === 'submit').length,
+      lastReview: reviewHistory.length > 0 ? reviewHistory[reviewHistory.length - 1] : null
+    }));
+    
+    res.json({
+      questions: items,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      error: 'Review Queue Failed',
+      message: 'Failed to retrieve review queue'
+    });
+  }
+};
+
+// Получение вопроса для рецензирования вместе с историей рецензирования
+const getReviewQuestion = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id)
+      .select(REVIEW_FIELDS)
+      .populate('createdBy', 'firstName lastName')
+      .populate('reviewHistory.author', 'firstName lastName role');
+    
+    if (!question) {
+      return res.status(404).json({
+        error: 'Question Not Found',
+        message: 'Question with this ID does not exist'
+      });
+    }
+    
+    res.json({ question });
+    
+  } catch (error) {
+    console.error('Get review question error:', error);
+    res.status(500).json({
+      error: 'Review Question Retrieval Failed',
+      message: 'Failed to retrieve question for review'
+    });
+  }
+};
+
+// Комментарий рецензента без смены статуса
+const addReviewComment = async (req, res) => {
+  try {
+    await performReviewAction(req, res, 'comment', 'Comment added successfully');
+    
+  } catch (error) {
+    console.error('Add review comment error:', error);
+    res.status(500).json({
+      error: 'Review Comment Failed',
+      message: 'Failed to add review comment'
+    });
+  }
+};
+
+// Одобрение вопроса: после этого он может попасть в тесты
+const approveQuestion = async (req, res) => {
+  try {
+    await performReviewAction(req, res, 'approve', 'Question approved successfully');
+    
+  } catch (error) {
+    console.error('Approve question error:', error);
+    res.status(500).json({
+      error: 'Question Approval Failed',
+      message: 'Failed to approve question'
+    });
+  }
+};
+
+// Возврат вопроса автору на доработку (комментарий обязателен)
+const requestChanges = async (req, res) => {
+  try {
+    await performReviewAction(req, res, 'request_changes', 'Changes requested successfully');
+    
+  } catch (error) {
+    console.error('Request changes error:', error);
+    res.status(500).json({
+      error: 'Request Changes Failed',
+      message: 'Failed to request changes'
+    });
+  }
+};
+
+// Отправка черновика на рецензию
+const submitForReview = async (req, res) => {
+  try {
+    await performReviewAction(req, res, 'submit', 'Question submitted for review successfully');
+    
+  } catch (error) {
+    console.error('Submit for review error:', error);
+    res.status(500).json({
+      error: 'Review Submission Failed',
+      message: 'Failed to submit question for review'
+    });
+  }
+};
+
+// Вывод вопроса из банка
+const retireQuestion = async (req, res) => {
+  try {
+    await performReviewAction(req, res, 'retire', 'Question retired successfully');
+    
+  } catch (error) {
+    console.error('Retire question error:', error);
+    res.status(500).json({
+      error: 'Question Retirement Failed',
+      message: 'Failed to retire question'
+    });
+  }
+};
+
+// Возврат выведенного вопроса в черновики
+const reopenQuestion = async (req, res) => {
+  try {
+    await performReviewAction(req, res, 'reopen', 'Question reopened as draft successfully');
+    
+  } catch (error) {
+    console.error('Reopen question error:', error);
+    res.status(500).json({
+      error: 'Question Reopen Failed',
+      message: 'Failed to reopen question'
+    });
+  }
+};
+
+module.exports = {
+  getReviewQueue,
+  getReviewQuestion,
+  addReviewComment,
+  approveQuestion,
+  requestChanges,
+  submitForReview,
+  retireQuestion,
+  reopenQuestion
+};
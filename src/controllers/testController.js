@@ -1,25 +1,56 @@
 const Test = require('../models/Test');
-const User = require('../models/User');
 const Settings = require('../models/Settings');
-const Question = require('../models/Question');
+const Competition = require('../models/Competition');
+const { sendSolutionFile, removeSolutionFile } = require('../utils/solutionFiles');
+
+// Получение списка соревнований пользователя
+const getMyCompetitions = async (req, res) => {
+  try {
+    const competitions = await Competition.findForParticipant(req.user._id);
+    const tests = await Test.find({
+      userId: req.user._id,
+      competitionId: { $in: competitions.map(c => c._id) }
+    }).select('competitionId isCompleted startedAt completedAt');
+    
+    const testsByCompetition = {};
+    tests.forEach(test => {
+      testsByCompetition[test.competitionId.toString()] = test;
+    });
+    
+    res.json({
+      competitions: competitions.map(competition => {
+        const test = testsByCompetition[competition._id.toString()];
+        return {
+          ...competition.getClientConfig(),
+          test: test ? {
+            id: test._id,
+            isCompleted: test.isCompleted,
+            startedAt: test.startedAt,
+            completedAt: test.completedAt
+          } : null
+        };
+      })
+    });
+    
+  } catch (error) {
+    console.error('Get my competitions error:', error);
+    res.status(500).json({
+      error: 'Competitions Error',
+      message: 'Failed to retrieve competitions'
+    });
+  }
+};
 
 // Получение теста пользователя
 const getMyTest = async (req, res) => {
   try {
-    const user = req.user;
+    const competition = req.competition;
+    const test = req.test;
     
-    if (!user.testId) {
-      return res.status(404).json({
-        error: 'Test Not Found',
-        message: 'No test assigned to user'
-      });
-    }
-    
-    const test = await Test.findById(user.testId);
     if (!test) {
       return res.status(404).json({
         error: 'Test Not Found',
-        message: 'Test not found in database'
+        message: 'No test assigned to user'
       });
     }
     
@@ -27,7 +58,7 @@ const getMyTest = async (req, res) => {
     const settings = await Settings.getCurrentSettings();
     
     // Проверяем статус тестирования
-    if (!settings.testStarted) {
+    if (!competition.testStarted) {
       return res.status(403).json({
         error: 'Test Not Started',
         message: 'Testing has not been started by administrator'
@@ -37,9 +68,11 @@ const getMyTest = async (req, res) => {
     // Базовая информация о тесте
     const testInfo = {
       id: test._id,
-      questionsCount: test.questions.length,
+      questionsCount: test.getPlannedQuestionsCount(),
       answeredCount: test.answers.length,
       maxScore: test.maxScore,
+      navigationMode: test.startedAt || test.isAdaptive() ? test.navigationMode : settings.navigationMode,
+      adaptive: test.isAdaptive(),
       isCompleted: test.isCompleted,
       startedAt: test.startedAt,
       completedAt: test.completedAt
@@ -47,9 +80,9 @@ const getMyTest = async (req, res) => {
     
     // Если тест завершен, отправляем результаты
     if (test.isCompleted) {
-      testInfo.score = test.score;
-      testInfo.timeSpent = test.timeSpent;
       testInfo.results = test.getResults();
+      testInfo.score = testInfo.results.score;
+      testInfo.timeSpent = test.timeSpent;
       
       if (settings.showCorrectAnswers) {
         testInfo.detailedResults = await test.getDetailedStats();
@@ -59,8 +92,9 @@ const getMyTest = async (req, res) => {
     res.json({
       test: testInfo,
       testConfig: settings.getClientConfig(),
-      canStart: !test.isCompleted && !user.hasStartedTest,
-      canContinue: user.hasStartedTest && !test.isCompleted && !user.isTestExpired(settings.testDuration)
+      competition: competition.getClientConfig(),
+      canStart: !test.isCompleted && !test.startedAt,
+      canContinue: !!test.startedAt && !test.isCompleted && !test.isTimeExpired(competition.testDuration)
     });
     
   } catch (error) {
@@ -75,26 +109,18 @@ const getMyTest = async (req, res) => {
 // Начало прохождения теста
 const startTest = async (req, res) => {
   try {
-    const user = req.user;
-    const settings = req.settings; // Из middleware requireActiveTest
+    const competition = req.competition; // Из middleware requireParticipant
+    const test = req.test;
     
-    if (!user.testId) {
-      return res.status(404).json({
-        error: 'Test Not Found',
-        message: 'No test assigned to user'
-      });
-    }
-    
-    const test = await Test.findById(user.testId);
     if (!test) {
       return res.status(404).json({
         error: 'Test Not Found',
-        message: 'Test not found in database'
+        message: 'No test assigned to user'
       });
     }
     
     // Проверяем, не начат ли уже тест
-    if (user.hasStartedTest) {
+    if (test.startedAt) {
       return res.status(400).json({
         error: 'Test Already Started',
         message: 'You have already started the test'
@@ -109,18 +135,17 @@ const startTest = async (req, res) => {
       });
     }
     
-    // Начинаем тест
-    const now = new Date();
-    
-    // Обновляем пользователя
-    user.hasStartedTest = true;
-    user.testStartTime = now;
-    await user.save();
+    const settings = await Settings.getCurrentSettings();
     
-    // Обновляем тест
-    test.startedAt = now;
+    // Начинаем тест
+    test.startedAt = new Date();
+    test.expiresAt = new Date(test.startedAt.getTime() + competition.testDuration * 60 * 1000);
+    // Адаптивный тест проходится строго по порядку: следующий вопрос зависит от ответа на текущий
+    test.navigationMode = test.isAdaptive() ? 'linear' : settings.navigationMode;
     test.ipAddress = req.ip;
     test.userAgent = req.get('User-Agent');
+    // С этого момента участник видит вопросы в закрепленных ревизиях, правки вопросов его тест не меняют
+    await test.pinQuestionRevisions();
     await test.save();
     
     // Получаем первый вопрос
@@ -130,14 +155,17 @@ const startTest = async (req, res) => {
       message: 'Test started successfully',
       test: {
         id: test._id,
-        questionsCount: test.questions.length,
+        questionsCount: test.getPlannedQuestionsCount(),
         currentQuestionIndex: 0,
+        navigationMode: test.navigationMode,
+        adaptive: test.isAdaptive(),
         startedAt: test.startedAt,
         maxScore: test.maxScore
       },
       currentQuestion,
-      timeRemaining: settings.testDuration * 60, // в секундах
-      testConfig: settings.getClientConfig()
+      timeRemaining: competition.testDuration * 60, // в секундах
+      testConfig: settings.getClientConfig(),
+      competition: competition.getClientConfig()
     });
     
   } catch (error) {
@@ -152,22 +180,7 @@ const startTest = async (req, res) => {
 // Получение текущего вопроса
 const getCurrentQuestion = async (req, res) => {
   try {
-    const user = req.user;
-    
-    if (!user.hasStartedTest) {
-      return res.status(400).json({
-        error: 'Test Not Started',
-        message: 'You have not started the test yet'
-      });
-    }
-    
-    const test = await Test.findById(user.testId);
-    if (!test) {
-      return res.status(404).json({
-        error: 'Test Not Found',
-        message: 'Test not found'
-      });
-    }
+    const test = req.test; // Наличие начатого теста проверено в checkUserTestTime
     
     if (test.isCompleted) {
       return res.status(400).json({
@@ -178,6 +191,16 @@ const getCurrentQuestion = async (req, res) => {
     
     const currentQuestion = await test.getCurrentQuestion();
     
+    // В свободном режиме тест сдается только явно: участник может вернуться к любому вопросу
+    if (!currentQuestion && test.navigationMode === 'free') {
+      return res.json({
+        message: 'All questions answered, submit the test when ready',
+        currentQuestion: null,
+        palette: test.getPalette(),
+        timeRemaining: test.getTimeRemaining(req.competition.testDuration)
+      });
+    }
+    
     if (!currentQuestion) {
       // Все вопросы отвечены, автоматически завершаем тест
       await test.completeTest();
@@ -189,15 +212,13 @@ const getCurrentQuestion = async (req, res) => {
       });
     }
     
-    // Получаем настройки для проверки времени
-    const settings = await Settings.getCurrentSettings();
-    const timeRemaining = Math.max(0, settings.testDuration * 60 - Math.floor((new Date() - user.testStartTime) / 1000));
+    const timeRemaining = test.getTimeRemaining(req.competition.testDuration);
     
     res.json({
       currentQuestion,
       progress: {
-        current: test.answers.length + 1,
-        total: test.questions.length,
+        current: currentQuestion.index + 1,
+        total: test.getPlannedQuestionsCount(),
         answered: test.answers.length
       },
       timeRemaining,
@@ -216,23 +237,10 @@ const getCurrentQuestion = async (req, res) => {
 // Отправка ответа на вопрос
 const submitAnswer = async (req, res) => {
   try {
-    const user = req.user;
-    const { questionIndex, selectedAnswer } = req.body;
-    
-    if (!user.hasStartedTest) {
-      return res.status(400).json({
-        error: 'Test Not Started',
-        message: 'You have not started the test yet'
-      });
-    }
-    
-    const test = await Test.findById(user.testId);
-    if (!test) {
-      return res.status(404).json({
-        error: 'Test Not Found',
-        message: 'Test not found'
-      });
-    }
+    const test = req.test; // Наличие начатого теста проверено в checkUserTestTime
+    const competition = req.competition;
+    const { questionIndex, selectedAnswer, response } = req.body;
+    const attachment = req.file ? req.file.filename : undefined;
     
     if (test.isCompleted) {
       return res.status(400).json({
@@ -243,8 +251,8 @@ const submitAnswer = async (req, res) => {
     
     // Проверяем время
     const settings = await Settings.getCurrentSettings();
-    if (user.isTestExpired(settings.testDuration)) {
-      await test.completeTest();
+    if (test.isTimeExpired(competition.testDuration)) {
+      await test.completeTest('timeout');
       
       return res.status(403).json({
         error: 'Test Time Expired',
@@ -253,20 +261,35 @@ const submitAnswer = async (req, res) => {
       });
     }
     
+    // В свободном режиме ответ только сохраняется, проверка - при сдаче теста
+    if (test.navigationMode === 'free') {
+      await replaceAnswer(test, questionIndex, { selectedAnswer, response, attachment });
+      const nextQuestion = await test.getCurrentQuestion();
+      
+      return res.json({
+        message: 'Answer saved successfully',
+        palette: test.getPalette().summary,
+        nextQuestion,
+        timeRemaining: test.getTimeRemaining(competition.testDuration)
+      });
+    }
+    
     // Отправляем ответ
-    const answerResult = await test.submitAnswer(questionIndex, selectedAnswer);
+    const answerResult = await test.submitAnswer(questionIndex, { selectedAnswer, response, attachment });
     
     // Проверяем, завершен ли тест
     const nextQuestion = await test.getCurrentQuestion();
     let responseData = {
       message: 'Answer submitted successfully',
+      // Развернутое решение оценивается проверяющим позже
       answerResult: {
-        isCorrect: answerResult.isCorrect,
-        points: answerResult.points
+        isCorrect: answerResult.pendingGrading ? null : answerResult.isCorrect,
+        points: answerResult.pendingGrading ? null : answerResult.points,
+        pendingGrading: answerResult.pendingGrading
       },
       progress: {
         current: test.answers.length,
-        total: test.questions.length,
+        total: test.getPlannedQuestionsCount(),
         answered: test.answers.length
       },
       score: test.score,
@@ -283,8 +306,7 @@ const submitAnswer = async (req, res) => {
     if (nextQuestion) {
       responseData.nextQuestion = nextQuestion;
       
-      const timeRemaining = Math.max(0, settings.testDuration * 60 - Math.floor((new Date() - user.testStartTime) / 1000));
-      responseData.timeRemaining = timeRemaining;
+      responseData.timeRemaining = test.getTimeRemaining(competition.testDuration);
     } else {
       // Тест завершен
       await test.completeTest();
@@ -300,6 +322,10 @@ const submitAnswer = async (req, res) => {
   } catch (error) {
     console.error('Submit answer error:', error);
     
+    if (req.file) {
+      await removeSolutionFile(req.file.filename);
+    }
+    
     if (error.message.includes('Invalid question sequence')) {
       return res.status(400).json({
         error: 'Invalid Sequence',
@@ -307,6 +333,27 @@ const submitAnswer = async (req, res) => {
       });
     }
     
+    if (error.message.includes('Invalid option index')) {
+      return res.status(400).json({
+        error: 'Invalid Option',
+        message: 'Selected answer is not a valid option for this question'
+      });
+    }
+    
+    if (error.message.includes('Invalid question index')) {
+      return res.status(400).json({
+        error: 'Invalid Question',
+        message: 'Question with this index does not exist in the test'
+      });
+    }
+    
+    if (error.message.includes('Answer type mismatch')) {
+      return res.status(400).json({
+        error: 'Invalid Answer',
+        message: 'Choice questions require selectedAnswer, written questions require a response or a solution image, other questions require a non-empty response'
+      });
+    }
+    
     res.status(500).json({
       error: 'Answer Submission Failed',
       message: 'Failed to submit answer'
@@ -314,26 +361,217 @@ const submitAnswer = async (req, res) => {
   }
 };
 
+// Utility функция для сохранения ответа (свободная навигация) с удалением замененного изображения решения
+const replaceAnswer = async (test, questionIndex, submission) => {
+  const previousAnswer = test.findAnswer(questionIndex);
+  const previousAttachment = previousAnswer ? previousAnswer.attachment : null;
+  
+  await test.saveAnswer(questionIndex, submission);
+  
+  if (previousAttachment && previousAttachment !== test.findAnswer(questionIndex).attachment) {
+    await removeSolutionFile(previousAttachment);
+  }
+};
+
+// Обработка ошибок операций свободной навигации
+const handleNavigationError = (res, error, fallbackMessage) => {
+  if (error.message.includes('Invalid question index')) {
+    return res.status(404).json({
+      error: 'Question Not Found',
+      message: 'Question with this index does not exist in the test'
+    });
+  }
+  
+  if (error.message.includes('Invalid option index')) {
+    return res.status(400).json({
+      error: 'Invalid Option',
+      message: 'Selected answer is not a valid option for this question'
+    });
+  }
+  
+  if (error.message.includes('Answer type mismatch')) {
+    return res.status(400).json({
+      error: 'Invalid Answer',
+      message: 'Choice questions require selectedAnswer, written questions require a response or a solution image, other questions require a non-empty response'
+    });
+  }
+  
+  if (error.message.includes('Test is already completed')) {
+    return res.status(400).json({
+      error: 'Test Completed',
+      message: 'Test has already been completed'
+    });
+  }
+  
+  res.status(500).json({
+    error: 'Navigation Error',
+    message: fallbackMessage
+  });
+};
+
+// Получение вопроса по индексу (свободная навигация)
+const getQuestionByIndex = async (req, res) => {
+  try {
+    const test = req.test;
+    const index = parseInt(req.params.index);
+    
+    const question = await test.getQuestion(index);
+    const answer = test.findAnswer(index);
+    
+    res.json({
+      question: {
+        ...question,
+        // Для multiple_choice выбранные варианты - в savedAnswers, для written - изображение решения в savedAttachment
+        savedAnswer: answer ? answer.displayedAnswer : null,
+        savedAnswers: answer ? answer.displayedAnswers : [],
+        savedResponse: answer ? answer.response : null,
+        savedAttachment: answer ? answer.attachment : null,
+        flagged: test.flaggedQuestions.includes(index)
+      },
+      progress: {
+        current: index + 1,
+        total: test.getPlannedQuestionsCount(),
+        answered: test.answers.length
+      },
+      timeRemaining: test.getTimeRemaining(req.competition.testDuration)
+    });
+    
+  } catch (error) {
+    console.error('Get question by index error:', error);
+    handleNavigationError(res, error, 'Failed to get question');
+  }
+};
+
+// Сохранение или изменение ответа на вопрос по индексу (свободная навигация)
+const saveAnswer = async (req, res) => {
+  try {
+    const test = req.test;
+    const index = parseInt(req.params.index);
+    const { selectedAnswer, response } = req.body;
+    const attachment = req.file ? req.file.filename : undefined;
+    
+    await replaceAnswer(test, index, { selectedAnswer, response, attachment });
+    const answer = test.findAnswer(index);
+    
+    res.json({
+      message: 'Answer saved successfully',
+      questionIndex: index,
+      savedAnswer: answer.displayedAnswer,
+      savedAnswers: answer.displayedAnswers,
+      savedResponse: answer.response,
+      savedAttachment: answer.attachment,
+      palette: test.getPalette().summary
+    });
+    
+  } catch (error) {
+    console.error('Save answer error:', error);
+    
+    if (req.file) {
+      await removeSolutionFile(req.file.filename);
+    }
+    
+    handleNavigationError(res, error, 'Failed to save answer');
+  }
+};
+
+// Удаление ответа на вопрос по индексу (свободная навигация)
+const clearAnswer = async (req, res) => {
+  try {
+    const test = req.test;
+    const index = parseInt(req.params.index);
+    const answer = test.findAnswer(index);
+    const attachment = answer ? answer.attachment : null;
+    
+    await test.clearAnswer(index);
+    
+    if (attachment) {
+      await removeSolutionFile(attachment);
+    }
+    
+    res.json({
+      message: 'Answer cleared successfully',
+      questionIndex: index,
+      palette: test.getPalette().summary
+    });
+    
+  } catch (error) {
+    console.error('Clear answer error:', error);
+    handleNavigationError(res, error, 'Failed to clear answer');
+  }
+};
+
+// Получение собственного изображения решения по индексу вопроса
+const getSolution = async (req, res) => {
+  try {
+    const answer = req.test ? req.test.findAnswer(parseInt(req.params.index)) : null;
+    
+    if (!answer || !answer.attachment) {
+      return res.status(404).json({
+        error: 'Solution Not Found',
+        message: 'No solution image uploaded for this question'
+      });
+    }
+    
+    await sendSolutionFile(res, answer.attachment);
+    
+  } catch (error) {
+    console.error('Get solution error:', error);
+    res.status(500).json({
+      error: 'Solution Retrieval Failed',
+      message: 'Failed to retrieve solution image'
+    });
+  }
+};
+
+// Установка или снятие отметки "вернуться позже"
+const flagQuestion = async (req, res) => {
+  try {
+    const test = req.test;
+    const index = parseInt(req.params.index);
+    
+    await test.setFlag(index, req.body.flagged);
+    
+    res.json({
+      message: req.body.flagged ? 'Question flagged for review' : 'Question unflagged',
+      questionIndex: index,
+      flagged: test.flaggedQuestions.includes(index),
+      palette: test.getPalette().summary
+    });
+    
+  } catch (error) {
+    console.error('Flag question error:', error);
+    handleNavigationError(res, error, 'Failed to update question flag');
+  }
+};
+
+// Получение палитры вопросов: отвеченные, отмеченные и неотвеченные
+const getPalette = async (req, res) => {
+  try {
+    const test = req.test;
+    
+    res.json({
+      ...test.getPalette(),
+      timeRemaining: test.getTimeRemaining(req.competition.testDuration)
+    });
+    
+  } catch (error) {
+    console.error('Get palette error:', error);
+    handleNavigationError(res, error, 'Failed to get question palette');
+  }
+};
+
 // Принудительное завершение теста
 const submitTest = async (req, res) => {
   try {
-    const user = req.user;
+    const test = req.test;
     
-    if (!user.hasStartedTest) {
+    if (!test || !test.startedAt) {
       return res.status(400).json({
         error: 'Test Not Started',
         message: 'You have not started the test yet'
       });
     }
     
-    const test = await Test.findById(user.testId);
-    if (!test) {
-      return res.status(404).json({
-        error: 'Test Not Found',
-        message: 'Test not found'
-      });
-    }
-    
     if (test.isCompleted) {
       return res.status(400).json({
         error: 'Test Already Completed',
@@ -372,20 +610,12 @@ const submitTest = async (req, res) => {
 // Получение результатов теста
 const getTestResults = async (req, res) => {
   try {
-    const user = req.user;
+    const test = req.test;
     
-    if (!user.testId) {
-      return res.status(404).json({
-        error: 'Test Not Found',
-        message: 'No test assigned to user'
-      });
-    }
-    
-    const test = await Test.findById(user.testId);
     if (!test) {
       return res.status(404).json({
         error: 'Test Not Found',
-        message: 'Test not found'
+        message: 'No test assigned to user'
       });
     }
     
@@ -399,9 +629,10 @@ const getTestResults = async (req, res) => {
     const settings = await Settings.getCurrentSettings();
     const results = test.getResults();
     
+    // Пока развернутые решения не проверены, итог не известен
     let responseData = {
       results,
-      isPassed: results.percentage >= settings.passingScore
+      isPassed: test.isPassed(req.competition.passingScore)
     };
     
     // Если настроено показывать детальные результаты
@@ -423,16 +654,20 @@ const getTestResults = async (req, res) => {
 // Получение статуса тестирования
 const getTestStatus = async (req, res) => {
   try {
+    const competition = req.competition;
     const settings = await Settings.getCurrentSettings();
     
     res.json({
-      testStarted: settings.testStarted,
-      testDuration: settings.testDuration,
-      questionsPerTest: settings.questionsPerTest,
-      testStartTime: settings.testStartTime,
-      remainingTime: settings.getRemainingTime(),
-      isExpired: settings.isTestExpired(),
-      status: settings.testStatus,
+      competitionId: competition._id,
+      competitionName: competition.name,
+      testStarted: competition.testStarted,
+      testDuration: competition.testDuration,
+      questionsPerTest: competition.questionsPerTest,
+      testStartTime: competition.testStartTime,
+      remainingTime: competition.getRemainingTime(),
+      isExpired: competition.isTestExpired(),
+      status: competition.testStatus,
+      nextTransition: competition.getNextTransition(),
       instructions: settings.instructions,
       welcomeMessage: settings.welcomeMessage
     });
@@ -447,10 +682,17 @@ const getTestStatus = async (req, res) => {
 };
 
 module.exports = {
+  getMyCompetitions,
   getMyTest,
   startTest,
   getCurrentQuestion,
   submitAnswer,
+  getQuestionByIndex,
+  saveAnswer,
+  clearAnswer,
+  getSolution,
+  flagQuestion,
+  getPalette,
   submitTest,
   getTestResults,
   getTestStatus
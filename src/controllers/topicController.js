@@ -0,0 +1,376 @@
+const Topic = require('../models/Topic');
+const Question = require('../models/Question');
+const Settings = require('../models/Settings');
+const {
+  normalizeTopicName,
+  cleanTopicName,
+  isInSubtree,
+  getRenamedAliases,
+  getMergedAliases,
+  buildTopicTree
+} = require('../utils/topicTree');
+
+// Количество вопросов по темам: Map(topicId -> { total, active, eligible })
+const loadTopicCounts = async () => {
+  const counts = await Question.aggregate([
+    { $match: { topicId: { $ne: null } } },
+    {
+      $group: {
+        _id: '$topicId',
+        total: { $sum: 1 },
+        active: { $sum: { $cond: ['$isActive', 1, 0] } },
+        // В тесты попадают только активные одобренные вопросы
+        eligible: {
+          $sum: { $cond: [{ $and: ['$isActive', { $eq: ['$status', 'approved'] }] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+  
+  return new Map(counts.map(({ _id, ...item }) => [_id.toString(), item]));
+};
+
+// Проверка, что название не занято другой темой. Возвращает true, если ответ уже отправлен
+const sendNameConflict = async (res, name, excludeId = null) => {
+  const key = normalizeTopicName(name);
+  const conflict = await Topic.findOne({ key, ...(excludeId ? { _id: { $ne: excludeId } } : {}) }).select('name');
+  
+  if (!conflict) return false;
+  
+  res.status(409).json({
+    error: 'Topic Already Exists',
+    message: `Topic "${conflict.name}" already exists; merge topics instead of renaming`,
+    topicId: conflict._id
+  });
+  return true;
+};
+
+// Ответ на ошибку сохранения темы
+const sendTopicSaveError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input data',
+      details: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+  
+  // Уникальный ключ: тему с таким названием одновременно создал другой запрос
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'Topic Already Exists',
+      message: 'Topic with this name already exists'
+    });
+  }
+  
+  res.status(500).json(fallback);
+};
+
+// Перенос ячеек спецификации теста на новое название темы
+const renameInBlueprint = async (fromNames, name) => {
+  const settings = await Settings.getCurrentSettings();
+  const renamed = settings.renameBlueprintTopic(fromNames, name);
+  
+  if (renamed > 0) {
+    await settings.save();
+  }
+  
+  return renamed;
+};
+
+// Получение дерева тем с количеством вопросов (по каждой теме и по всему поддереву)
+const getTopics = async (req, res) => {
+  try {
+    const [topics, counts] = await Promise.all([
+      Topic.find().select('name parent ancestors description').sort({ name: 1 }).lean(),
+      loadTopicCounts()
+    ]);
+    
+    res.json({
+      topics: buildTopicTree(topics, counts),
+      totalTopics: topics.length
+    });
+    
+  } catch (error) {
+    console.error('Get topics error:', error);
+    res.status(500).json({
+      error: 'Topics Retrieval Failed',
+      message: 'Failed to retrieve topics'
+    });
+  }
+};
+
+// Получение темы: путь от корня, подтемы и количество вопросов
+const getTopic = async (req, res) => {
+  try {
+    const topic = await Topic.findById(req.params.id).populate('createdBy', 'firstName lastName');
+    
+    if (!topic) {
+      return res.status(404).json({
+        error: 'Topic Not Found',
+        message: 'Topic with this ID does not exist'
+      });
+    }
+    
+    const [ancestors, subtopics, counts] = await Promise.all([
+      Topic.find({ _id: { $in: topic.ancestors } }).select('name').lean(),
+      Topic.find({ ancestors: topic._id }).select('name parent ancestors description').lean(),
+      loadTopicCounts()
+    ]);
+    
+    // Поддерево темы: сама тема с подтемами всех уровней
+    const [tree] = buildTopicTree([{ ...topic.toObject(), parent: null }, ...subtopics], counts);
+    const names = new Map(ancestors.map(item => [item._id.toString(), item.name]));
+    
+    res.json({
+      topic,
+      path: topic.ancestors.map(id => ({ id, name: names.get(id.toString()) })),
+      questions: tree.questions,
+      subtree: tree.subtree,
+      children: tree.children
+    });
+    
+  } catch (error) {
+    console.error('Get topic error:', error);
+    res.status(500).json({
+      error: 'Topic Retrieval Failed',
+      message: 'Failed to retrieve topic'
+    });
+  }
+};
+
+// Создание темы (корневой или подтемы parent)
+const createTopic = async (req, res) => {
+  try {
+    const { name, parent = null, description } = req.body;
+    
+    const parentTopic = parent ? await Topic.findById(parent) : null;
+    if (parent && !parentTopic) {
+      return res.status(404).json({
+        error: 'Parent Topic Not Found',
+        message: 'Parent topic with this ID does not exist'
+      });
+    }
+    
+    if (await sendNameConflict(res, name)) return;
+    
+    // Название объединенной темы переходит к новой теме
+    await Topic.updateMany({ aliases: normalizeTopicName(name) }, { $pull: { aliases: normalizeTopicName(name) } });
+    
+    const topic = await Topic.create({
+      name,
+      description,
+      parent: parentTopic ? parentTopic._id : null,
+      ancestors: parentTopic ? parentTopic.getPath() : [],
+      createdBy: req.user._id
+    });
+    
+    res.status(201).json({
+      message: 'Topic created successfully',
+      topic
+    });
+    
+  } catch (error) {
+    console.error('Create topic error:', error);
+    sendTopicSaveError(res, error, {
+      error: 'Topic Creation Failed',
+      message: 'Failed to create topic'
+    });
+  }
+};
+
+// Обновление темы: переименование (вопросы и спецификация теста получают новое название),
+// перенос в другую тему (parent: null - в корень) и описание
+const updateTopic = async (req, res) => {
+  try {
+    const { name, parent, description } = req.body;
+    const topic = await Topic.findById(req.params.id);
+    
+    if (!topic) {
+      return res.status(404).json({
+        error: 'Topic Not Found',
+        message: 'Topic with this ID does not exist'
+      });
+    }
+    
+    const previousName = topic.name;
+    const isRenamed = name !== undefined && cleanTopicName(name) !== topic.name;
+    const isMoved = parent !== undefined && String(parent) !== String(topic.parent);
+    
+    if (isRenamed && await sendNameConflict(res, name, topic._id)) return;
+    
+    if (isMoved) {
+      const parentTopic = parent ? await Topic.findById(parent) : null;
+      if (parent && !parentTopic) {
+        return res.status(404).json({
+          error: 'Parent Topic Not Found',
+          message: 'Parent topic with this ID does not exist'
+        });
+      }
+      
+      // Тему нельзя перенести в нее саму или в ее подтему
+      if (parentTopic && isInSubtree(parentTopic, topic._id)) {
+        return res.status(400).json({
+          error: 'Invalid Parent Topic',
+          message: 'Topic cannot be moved into itself or its subtopic'
+        });
+      }
+      
+      topic.parent = parentTopic ? parentTopic._id : null;
+      topic.ancestors = parentTopic ? parentTopic.getPath() : [];
+    }
+    
+    if (isRenamed) {
+      const key = normalizeTopicName(name);
+      await Topic.updateMany({ _id: { $ne: topic._id }, aliases: key }, { $pull: { aliases: key } });
+      
+      // Старое название остается синонимом: импорт и восстановление ревизий с ним попадают в эту тему
+      topic.aliases = getRenamedAliases(topic, name);
+      topic.name = name;
+    }
+    
+    if (description !== undefined) {
+      topic.description = description;
+    }
+    
+    await topic.save();
+    
+    // Переименование не создает ревизий вопросов: закрепленные ревизии не задают тему (см. QuestionRevision.applyPinnedRevisions)
+    const { modifiedCount: questionsUpdated } = isRenamed
+      ? await Question.updateMany({ topicId: topic._id }, { $set: { topic: topic.name } }, { timestamps: false })
+      : { modifiedCount: 0 };
+    const blueprintCellsUpdated = isRenamed ? await renameInBlueprint([previousName], topic.name) : 0;
+    const subtopicsMoved = isMoved ? await Topic.syncSubtree(topic) : 0;
+    
+    res.json({
+      message: 'Topic updated successfully',
+      topic,
+      questionsUpdated,
+      subtopicsMoved,
+      blueprintCellsUpdated
+    });
+    
+  } catch (error) {
+    console.error('Update topic error:', error);
+    sendTopicSaveError(res, error, {
+      error: 'Topic Update Failed',
+      message: 'Failed to update topic'
+    });
+  }
+};
+
+// Объединение темы с другой (targetId): вопросы и подтемы переходят в целевую тему,
+// название темы становится синонимом целевой, сама тема удаляется
+const mergeTopic = async (req, res) => {
+  try {
+    const { targetId } = req.body;
+    const [topic, target] = await Promise.all([
+      Topic.findById(req.params.id),
+      Topic.findById(targetId)
+    ]);
+    
+    if (!topic || !target) {
+      return res.status(404).json({
+        error: 'Topic Not Found',
+        message: topic ? 'Target topic with this ID does not exist' : 'Topic with this ID does not exist'
+      });
+    }
+    
+    if (isInSubtree(target, topic._id)) {
+      return res.status(400).json({
+        error: 'Invalid Merge Target',
+        message: 'Topic cannot be merged into itself or its subtopic'
+      });
+    }
+    
+    // Как и переименование, перенос вопросов не создает ревизий
+    const { modifiedCount: questionsMoved } = await Question.updateMany(
+      { topicId: topic._id },
+      { $set: { topic: target.name, topicId: target._id, topicPath: target.getPath() } },
+      { timestamps: false }
+    );
+    
+    // Подтемы переходят в целевую тему вместе со своими поддеревьями
+    const children = await Topic.find({ parent: topic._id });
+    for (const child of children) {
+      child.parent = target._id;
+      child.ancestors = target.getPath();
+      await child.save();
+      await Topic.syncSubtree(child);
+    }
+    
+    target.aliases = getMergedAliases(target, topic);
+    await topic.deleteOne();
+    await target.save();
+    
+    const blueprintCellsUpdated = await renameInBlueprint([topic.name, ...topic.aliases], target.name);
+    
+    res.json({
+      message: `Topic "${topic.name}" merged into "${target.name}"`,
+      topic: target,
+      questionsMoved,
+      subtopicsMoved: children.length,
+      blueprintCellsUpdated
+    });
+    
+  } catch (error) {
+    console.error('Merge topic error:', error);
+    sendTopicSaveError(res, error, {
+      error: 'Topic Merge Failed',
+      message: 'Failed to merge topics'
+    });
+  }
+};
+
+// Удаление темы без вопросов и подтем (тему с вопросами нужно объединить с другой)
+const deleteTopic = async (req, res) => {
+  try {
+    const topic = await Topic.findById(req.params.id);
+    
+    if (!topic) {
+      return res.status(404).json({
+        error: 'Topic Not Found',
+        message: 'Topic with this ID does not exist'
+      });
+    }
+    
+    const [questionsCount, subtopicsCount] = await Promise.all([
+      Question.countDocuments({ topicId: topic._id }),
+      Topic.countDocuments({ parent: topic._id })
+    ]);
+    
+    if (questionsCount > 0 || subtopicsCount > 0) {
+      return res.status(409).json({
+        error: 'Topic In Use',
+        message: 'Topic has questions or subtopics; merge it into another topic instead',
+        questionsCount,
+        subtopicsCount
+      });
+    }
+    
+    await topic.deleteOne();
+    
+    res.json({
+      message: 'Topic deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete topic error:', error);
+    res.status(500).json({
+      error: 'Topic Deletion Failed',
+      message: 'Failed to delete topic'
+    });
+  }
+};
+
+module.exports = {
+  getTopics,
+  getTopic,
+  createTopic,
+  updateTopic,
+  mergeTopic,
+  deleteTopic
+};
@@ -1,6 +1,6 @@
-const User = require('../models/User');
 const Test = require('../models/Test');
 const Settings = require('../models/Settings');
+const { getScorePercentage } = require('../utils/answerGrader');
 
 // Получение профиля текущего пользователя (дублирует authController.getProfile для удобства)
 const getProfile = async (req, res) => {
@@ -10,22 +10,24 @@ const getProfile = async (req, res) => {
     // Получаем настройки
     const settings = await Settings.getCurrentSettings();
     
-    // Получаем информацию о тесте
-    let testInfo = null;
-    if (user.testId) {
-      const test = await Test.findById(user.testId);
-      if (test) {
-        testInfo = test.getResults();
-        testInfo.questionsCount = test.questions.length;
-        testInfo.startedAt = test.startedAt;
-        testInfo.completedAt = test.completedAt;
-        
-        // Если тест завершен и разрешено показывать результаты
-        if (test.isCompleted && settings.showResultsImmediately) {
-          testInfo.detailedResults = await test.getDetailedStats();
-        }
+    // Получаем информацию о тестах по всем соревнованиям
+    const tests = await Test.find({ userId: user._id })
+      .populate('competitionId', 'name')
+      .sort('-createdAt');
+    
+    const testsInfo = await Promise.all(tests.map(async (test) => {
+      const testInfo = test.getResults();
+      testInfo.competitionId = test.competitionId?._id || null;
+      testInfo.competitionName = test.competitionId?.name || 'Unknown Competition';
+      testInfo.questionsCount = test.questions.length;
+      
+      // Если тест завершен и разрешено показывать результаты
+      if (test.isCompleted && settings.showResultsImmediately) {
+        testInfo.detailedResults = await test.getDetailedStats();
       }
-    }
+      
+      return testInfo;
+    }));
     
     res.json({
       user: {
@@ -35,13 +37,10 @@ const getProfile = async (req, res) => {
         lastName: user.lastName,
         fullName: user.fullName,
         role: user.role,
-        hasStartedTest: user.hasStartedTest,
-        testStartTime: user.testStartTime,
-        testEndTime: user.testEndTime,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt
       },
-      test: testInfo,
+      tests: testsInfo,
       testConfig: settings.getClientConfig()
     });
     
@@ -87,23 +86,15 @@ const updateProfile = async (req, res) => {
   }
 };
 
-// Получение статистики пользователя
+// Получение статистики пользователя в соревновании
 const getUserStats = async (req, res) => {
   try {
-    const user = req.user;
+    const test = req.test; // Из middleware requireParticipant
     
-    if (!user.testId) {
-      return res.json({
-        hasTest: false,
-        message: 'No test assigned'
-      });
-    }
-    
-    const test = await Test.findById(user.testId);
     if (!test) {
       return res.json({
         hasTest: false,
-        message: 'Test not found'
+        message: 'No test assigned'
       });
     }
     
@@ -118,7 +109,7 @@ const getUserStats = async (req, res) => {
         questionsCount: test.questions.length,
         startedAt: test.startedAt,
         completedAt: test.completedAt,
-        isPassed: results.percentage >= settings.passingScore
+        isPassed: test.isPassed(req.competition.passingScore)
       },
       progress: {
         questionsAnswered: test.answers.length,
@@ -182,37 +173,30 @@ const getUserStats = async (req, res) => {
   }
 };
 
-// Получение прогресса теста пользователя
+// Получение прогресса теста пользователя в соревновании
 const getTestProgress = async (req, res) => {
   try {
-    const user = req.user;
-    
-    if (!user.testId) {
-      return res.status(404).json({
-        error: 'Test Not Found',
-        message: 'No test assigned to user'
-      });
-    }
+    const competition = req.competition; // Из middleware requireParticipant
+    const test = req.test;
     
-    const test = await Test.findById(user.testId);
     if (!test) {
       return res.status(404).json({
         error: 'Test Not Found',
-        message: 'Test not found in database'
+        message: 'No test assigned to user'
       });
     }
     
-    const settings = await Settings.getCurrentSettings();
-    
     // Базовый прогресс
     const progress = {
       questionsTotal: test.questions.length,
       questionsAnswered: test.answers.length,
       questionsRemaining: test.questions.length - test.answers.length,
+      questionsFlagged: test.flaggedQuestions.length,
+      navigationMode: test.navigationMode,
       currentScore: test.score,
       maxScore: test.maxScore,
       isCompleted: test.isCompleted,
-      hasStarted: user.hasStartedTest,
+      hasStarted: !!test.startedAt,
       startedAt: test.startedAt,
       completedAt: test.completedAt
     };
@@ -221,15 +205,13 @@ const getTestProgress = async (req, res) => {
     progress.progressPercentage = progress.questionsTotal > 0 ? 
       Math.round((progress.questionsAnswered / progress.questionsTotal) * 100) : 0;
     
-    progress.scorePercentage = progress.maxScore > 0 ? 
-      Math.round((progress.currentScore / progress.maxScore) * 100) : 0;
+    progress.scorePercentage = getScorePercentage(progress.currentScore, progress.maxScore);
     
     // Информация о времени
-    if (user.hasStartedTest && user.testStartTime) {
-      const now = new Date();
-      const elapsed = Math.floor((now - user.testStartTime) / 1000);
-      const totalTime = settings.testDuration * 60;
-      const remaining = Math.max(0, totalTime - elapsed);
+    if (test.startedAt) {
+      const totalTime = competition.testDuration * 60;
+      const remaining = test.getTimeRemaining(competition.testDuration);
+      const elapsed = Math.floor((new Date() - test.startedAt) / 1000);
       
       progress.timeInfo = {
         totalTimeSeconds: totalTime,
@@ -242,15 +224,18 @@ const getTestProgress = async (req, res) => {
     }
     
     // Статус тестирования
-    progress.canStart = !user.hasStartedTest && !test.isCompleted && 
-                      settings.testStarted && !settings.isTestExpired();
+    progress.canStart = !test.startedAt && !test.isCompleted && 
+                      competition.testStarted && !competition.isTestExpired();
     
-    progress.canContinue = user.hasStartedTest && !test.isCompleted && 
-                          !user.isTestExpired(settings.testDuration);
+    progress.canContinue = !!test.startedAt && !test.isCompleted && 
+                          !test.isTimeExpired(competition.testDuration);
+    
+    const settings = await Settings.getCurrentSettings();
     
     res.json({
       progress,
-      testConfig: settings.getClientConfig()
+      testConfig: settings.getClientConfig(),
+      competition: competition.getClientConfig()
     });
     
   } catch (error) {
@@ -299,66 +284,78 @@ const getUserActivity = async (req, res) => {
       });
     }
     
-    // Информация о тесте
-    if (user.testId) {
-      const test = await Test.findById(user.testId);
-      if (test) {
-        // Создание теста
+    // Информация о тестах по всем соревнованиям
+    const tests = await Test.find({ userId: user._id }).populate('competitionId', 'name');
+    
+    for (const test of tests) {
+      const competitionName = test.competitionId?.name || 'Unknown Competition';
+      
+      // Создание теста
+      activity.timeline.push({
+        type: 'test_created',
+        timestamp: test.createdAt,
+        description: 'Test assigned',
+        details: {
+          competitionName,
+          questionsCount: test.questions.length,
+          maxScore: test.maxScore
+        }
+      });
+      
+      // Начало теста
+      if (test.startedAt) {
         activity.timeline.push({
-          type: 'test_created',
-          timestamp: test.createdAt,
-          description: 'Test assigned',
+          type: 'test_started',
+          timestamp: test.startedAt,
+          description: 'Test started',
           details: {
-            questionsCount: test.questions.length,
-            maxScore: test.maxScore
+            competitionName,
+            questionsCount: test.questions.length
           }
         });
+      }
+      
+      // Ответы на вопросы (показываем только последние 10)
+      const recentAnswers = test.answers
+        .map((answer, position) => ({ answer, questionIndex: test.getAnswerQuestionIndex(position) }))
+        .sort((a, b) => new Date(b.answer.answeredAt) - new Date(a.answer.answeredAt))
+        .slice(0, 10);
+      
+      // В свободном режиме правильность известна только после сдачи
+      const isGraded = test.navigationMode !== 'free' || test.isCompleted;
+      
+      recentAnswers.forEach(({ answer, questionIndex }) => {
+        // Развернутое решение до ручной проверки не оценено
+        const isAnswerGraded = isGraded && answer.gradingStatus !== 'pending';
         
-        // Начало теста
-        if (test.startedAt) {
-          activity.timeline.push({
-            type: 'test_started',
-            timestamp: test.startedAt,
-            description: 'Test started',
-            details: {
-              questionsCount: test.questions.length
-            }
-          });
-        }
-        
-        // Ответы на вопросы (показываем только последние 10)
-        const recentAnswers = test.answers
-          .sort((a, b) => new Date(b.answeredAt) - new Date(a.answeredAt))
-          .slice(0, 10);
-        
-        recentAnswers.forEach((answer, index) => {
-          activity.timeline.push({
-            type: 'question_answered',
-            timestamp: answer.answeredAt,
-            description: `Question answered ${answer.isCorrect ? 'correctly' : 'incorrectly'}`,
-            details: {
-              isCorrect: answer.isCorrect,
-              points: answer.points,
-              questionNumber: test.answers.length - index
-            }
-          });
+        activity.timeline.push({
+          type: 'question_answered',
+          timestamp: answer.answeredAt,
+          description: isAnswerGraded ? `Question answered ${answer.isCorrect ? 'correctly' : 'incorrectly'}` : 'Question answered',
+          details: {
+            competitionName,
+            isCorrect: isAnswerGraded ? answer.isCorrect : null,
+            points: isAnswerGraded ? answer.points : null,
+            questionNumber: questionIndex + 1
+          }
+        });
+      });
+      
+      // Завершение теста
+      if (test.completedAt) {
+        activity.timeline.push({
+          type: 'test_completed',
+          timestamp: test.completedAt,
+          description: 'Test completed',
+          details: {
+            competitionName,
+            resultStatus: test.resultStatus,
+            score: test.resultStatus === 'pending' ? null : test.score,
+            maxScore: test.maxScore,
+            percentage: test.resultStatus === 'pending' ? null : getScorePercentage(test.score, test.maxScore),
+            timeSpent: test.timeSpent
+          }
         });
-        
-        // Завершение теста
-        if (test.completedAt) {
-          activity.timeline.push({
-            type: 'test_completed',
-            timestamp: test.completedAt,
-            description: 'Test completed',
-            details: {
-              score: test.score,
-              maxScore: test.maxScore,
-              percentage: test.maxScore > 0 ? 
-                Math.round((test.score / test.maxScore) * 100) : 0,
-              timeSpent: test.timeSpent
-            }
-          });
-        }
       }
     }
     
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { REVIEWER_ROLES } = require('../utils/questionReview');
 
 // Middleware для проверки JWT токена
 const authenticateToken = async (req, res, next) => {
@@ -93,6 +94,44 @@ const requireUser = (req, res, next) => {
   next();
 };
 
+// Middleware для проверки роли проверяющего (администратор также может проверять решения)
+const requireGrader = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Access Denied',
+      message: 'User not authenticated'
+    });
+  }
+  
+  if (!['grader', 'admin'].includes(req.user.role)) {
+    return res.status(403).json({
+      error: 'Access Denied',
+      message: 'Grader access required'
+    });
+  }
+  
+  next();
+};
+
+// Middleware для проверки роли рецензента вопросов (администратор также может рецензировать)
+const requireReviewer = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Access Denied',
+      message: 'User not authenticated'
+    });
+  }
+  
+  if (!REVIEWER_ROLES.includes(req.user.role)) {
+    return res.status(403).json({
+      error: 'Access Denied',
+      message: 'Reviewer access required'
+    });
+  }
+  
+  next();
+};
+
 // Middleware для проверки владельца ресурса
 const requireOwnerOrAdmin = (req, res, next) => {
   if (!req.user) {
@@ -114,84 +153,89 @@ const requireOwnerOrAdmin = (req, res, next) => {
   }
 };
 
-// Middleware для проверки активности тестирования
-const requireActiveTest = async (req, res, next) => {
+// Middleware для загрузки соревнования и проверки участия в нем
+const requireParticipant = async (req, res, next) => {
   try {
-    const Settings = require('../models/Settings');
-    const settings = await Settings.getCurrentSettings();
+    const Competition = require('../models/Competition');
+    const Test = require('../models/Test');
+    const competition = await Competition.findById(req.params.competitionId);
     
-    if (!settings.testStarted) {
-      return res.status(403).json({
-        error: 'Test Not Started',
-        message: 'Testing is not currently active'
+    if (!competition || !competition.isActive) {
+      return res.status(404).json({
+        error: 'Competition Not Found',
+        message: 'Competition with this ID does not exist'
       });
     }
     
-    if (settings.isTestExpired()) {
+    if (!competition.hasParticipant(req.user._id)) {
       return res.status(403).json({
-        error: 'Test Expired',
-        message: 'Testing time has expired'
+        error: 'Access Denied',
+        message: 'You are not a participant of this competition'
       });
     }
     
-    req.settings = settings;
+    req.competition = competition;
+    req.test = await Test.findOne({ userId: req.user._id, competitionId: competition._id });
     next();
   } catch (error) {
     return res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to check test status'
+      message: 'Failed to load competition'
     });
   }
 };
 
+// Middleware для проверки активности тестирования
+const requireActiveTest = (req, res, next) => {
+  const competition = req.competition;
+  
+  if (!competition.testStarted) {
+    return res.status(403).json({
+      error: 'Test Not Started',
+      message: 'Testing is not currently active'
+    });
+  }
+  
+  if (competition.isTestExpired()) {
+    return res.status(403).json({
+      error: 'Test Expired',
+      message: 'Testing time has expired'
+    });
+  }
+  
+  next();
+};
+
 // Middleware для проверки попытки прохождения теста
-const checkTestAttempt = async (req, res, next) => {
-  try {
-    const user = req.user;
-    
-    if (user.hasStartedTest) {
-      const Test = require('../models/Test');
-      const test = await Test.findById(user.testId);
-      
-      if (test && test.isCompleted) {
-        return res.status(403).json({
-          error: 'Test Already Completed',
-          message: 'You have already completed the test'
-        });
-      }
-    }
-    
-    next();
-  } catch (error) {
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to check test attempt'
+const checkTestAttempt = (req, res, next) => {
+  const test = req.test;
+  
+  if (test && test.isCompleted) {
+    return res.status(403).json({
+      error: 'Test Already Completed',
+      message: 'You have already completed the test'
     });
   }
+  
+  next();
 };
 
 // Middleware для проверки времени теста пользователя
 const checkUserTestTime = async (req, res, next) => {
   try {
-    const user = req.user;
+    const test = req.test;
     
-    if (!user.hasStartedTest || !user.testStartTime) {
+    if (!test || !test.startedAt) {
       return res.status(400).json({
         error: 'Test Not Started',
         message: 'You have not started the test yet'
       });
     }
     
-    const Settings = require('../models/Settings');
-    const settings = await Settings.getCurrentSettings();
-    
-    if (user.isTestExpired(settings.testDuration)) {
+    if (test.isTimeExpired(req.competition.testDuration)) {
       // Автоматически завершаем тест если время истекло
-      const Test = require('../models/Test');
-      const test = await Test.findById(user.testId);
-      
-      if (test && !test.isCompleted) {
-        await test.completeTest();
+      if (!test.isCompleted) {
+        await test.completeTest('timeout');
       }
       
       return res.status(403).json({
@@ -209,6 +253,18 @@ const checkUserTestTime = async (req, res, next) => {
   }
 };
 
+// Middleware для маршрутов свободной навигации по вопросам (после checkUserTestTime)
+const requireFreeNavigation = (req, res, next) => {
+  if (req.test.navigationMode !== 'free') {
+    return res.status(400).json({
+      error: 'Navigation Not Allowed',
+      message: 'Questions in this test must be answered in order'
+    });
+  }
+  
+  next();
+};
+
 // Utility функция для генерации JWT токена
 const generateToken = (user) => {
   return jwt.sign(
@@ -235,10 +291,14 @@ module.exports = {
   authenticateToken,
   requireAdmin,
   requireUser,
+  requireGrader,
+  requireReviewer,
   requireOwnerOrAdmin,
+  requireParticipant,
   requireActiveTest,
   checkTestAttempt,
   checkUserTestTime,
+  requireFreeNavigation,
   generateToken,
   verifyToken
 };
\ No newline at end of file
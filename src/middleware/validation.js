@@ -1,4 +1,15 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { QUESTION_TYPES, SCORING_RULES, BLANK_ANSWER_POLICIES, validateAnswerKey } = require('../utils/answerGrader');
+const { LINT_RULES, LINT_SEVERITIES } = require('../utils/questionLinter');
+const { validateBlueprint } = require('../utils/blueprint');
+const { STOPPING_RULES } = require('../utils/adaptiveTesting');
+const { ITEM_FLAGS } = require('../utils/itemAnalysis');
+const { QUESTION_STATUSES } = require('../utils/questionReview');
+const { DUPLICATE_STRATEGIES } = require('../utils/duplicateDetector');
+const { RENDER_FORMATS } = require('../utils/mathMarkup');
+
+// Индекс варианта ответа: неотрицательное целое
+const isOptionIndex = value => Number.isInteger(value) && value >= 0;
 
 // Обработчик результатов валидации
 const handleValidationErrors = (req, res, next) => {
@@ -71,7 +82,13 @@ const validateQuestion = [
     .isLength({ min: 20, max: 2000 })
     .withMessage('Question description must be between 20 and 2000 characters'),
   
+  body('type')
+    .optional()
+    .isIn(QUESTION_TYPES)
+    .withMessage(`Question type must be one of: ${QUESTION_TYPES.join(', ')}`),
+  
   body('options')
+    .if((value, { req }) => ['single_choice', 'multiple_choice'].includes(req.body.type || 'single_choice'))
     .isArray({ min: 2, max: 6 })
     .withMessage('Question must have between 2 and 6 options'),
   
@@ -81,9 +98,89 @@ const validateQuestion = [
     .withMessage('Each option must be between 1 and 500 characters'),
   
   body('correctAnswer')
+    .if((value, { req }) => (req.body.type || 'single_choice') === 'single_choice')
     .isInt({ min: 0 })
     .withMessage('Correct answer must be a valid option index'),
   
+  body('correctAnswers')
+    .optional()
+    .isArray({ min: 1, max: 6 })
+    .withMessage('Correct answers must be an array of 1 to 6 option indexes'),
+  
+  body('correctAnswers.*')
+    .isInt({ min: 0 })
+    .withMessage('Each correct answer must be a valid option index'),
+  
+  body('scoringRule')
+    .optional()
+    .isIn(SCORING_RULES)
+    .withMessage(`Scoring rule must be one of: ${SCORING_RULES.join(', ')}`),
+  
+  body('wrongPickPenalty')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Wrong pick penalty must be a non-negative number')
+    .toFloat(),
+  
+  body('tolerance')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Tolerance must be a non-negative number')
+    .toFloat(),
+  
+  body('acceptedAnswers')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Accepted answers must be an array of up to 50 items'),
+  
+  body('acceptedAnswers.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each accepted answer must be between 1 and 200 characters'),
+  
+  body('parameters')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Parameters must be an array of up to 10 items'),
+  
+  body('answerFormula')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Answer formula cannot exceed 500 characters'),
+  
+  body('answerPrecision')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Answer precision must be between 0 and 10')
+    .toInt(),
+  
+  body('parameterConstraint')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Parameter constraint cannot exceed 500 characters'),
+  
+  body('calibration')
+    .optional()
+    .isObject()
+    .withMessage('Calibration must be an object'),
+  
+  body('calibration.difficulty')
+    .optional({ values: 'null' })
+    .isFloat({ min: -6, max: 6 })
+    .withMessage('Calibrated difficulty must be between -6 and 6')
+    .toFloat(),
+  
+  body('calibration.discrimination')
+    .optional()
+    .isFloat({ min: 0.2, max: 4 })
+    .withMessage('Discrimination must be between 0.2 and 4')
+    .toFloat(),
+  
   body('difficulty')
     .isIn(['easy', 'medium', 'hard'])
     .withMessage('Difficulty must be easy, medium, or hard'),
@@ -93,8 +190,9 @@ const validateQuestion = [
     .isLength({ min: 2, max: 100 })
     .withMessage('Topic must be between 2 and 100 characters'),
   
+  // null - баллы по сложности из настроек
   body('points')
-    .optional()
+    .optional({ values: 'null' })
     .isInt({ min: 1, max: 10 })
     .withMessage('Points must be between 1 and 10'),
   
@@ -104,18 +202,114 @@ const validateQuestion = [
     .isLength({ max: 1000 })
     .withMessage('Explanation cannot exceed 1000 characters'),
   
+  // Создать вопрос, даже если в банке есть точно такой же
+  body('allowDuplicate')
+    .optional()
+    .isBoolean()
+    .withMessage('allowDuplicate must be a boolean')
+    .toBoolean(),
+  
   handleValidationErrors
 ];
 
-// Валидация отправки ответа
-const validateAnswer = [
-  body('questionIndex')
+// Валидация индекса вопроса в URL
+const validateQuestionIndex = [
+  param('index')
     .isInt({ min: 0 })
     .withMessage('Question index must be a valid number'),
   
+  handleValidationErrors
+];
+
+// Валидация номера ревизии вопроса в параметрах маршрута
+const validateRevisionParams = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  
+  param('revision')
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Валидация альтернативного текста изображения вопроса или варианта
+const validateImageAlt = [
+  body('alt')
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Image alt text is required and cannot exceed 300 characters'),
+  
+  handleValidationErrors
+];
+
+// Валидация параметров изображения варианта ответа
+const validateOptionImageParams = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  
+  param('option')
+    .isInt({ min: 0, max: 5 })
+    .withMessage('Option index must be between 0 and 5')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Правила для ответа участника: индекс варианта или введенный ответ
+const answerBodyRules = [
+  // Для multiple_choice - массив индексов
   body('selectedAnswer')
+    .optional({ values: 'null' })
+    .customSanitizer(value => {
+      const toIndex = item => (typeof item === 'string' && /^\d+$/.test(item) ? parseInt(item) : item);
+      return Array.isArray(value) ? value.map(toIndex) : toIndex(value);
+    })
+    .custom(value => isOptionIndex(value) ||
+      (Array.isArray(value) && value.length >= 1 && value.length <= 6 && value.every(isOptionIndex)))
+    .withMessage('Selected answer must be a valid option index or an array of option indexes'),
+  
+  // Для written - текст решения (может сопровождаться файлом solution)
+  body('response')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Response must be between 1 and 10000 characters'),
+  
+  body()
+    .custom((value, { req }) => (value.selectedAnswer !== undefined && value.selectedAnswer !== null) ||
+      (value.response !== undefined && value.response !== null) || !!req.file)
+    .withMessage('Either selectedAnswer, response or solution file is required')
+];
+
+// Валидация сохранения ответа на вопрос по индексу
+const validateAnswerUpdate = [
+  ...answerBodyRules,
+  
+  handleValidationErrors
+];
+
+// Валидация отметки вопроса для проверки
+const validateFlag = [
+  body('flagged')
+    .isBoolean()
+    .withMessage('Flagged must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Валидация отправки ответа
+const validateAnswer = [
+  body('questionIndex')
     .isInt({ min: 0 })
-    .withMessage('Selected answer must be a valid option index'),
+    .withMessage('Question index must be a valid number')
+    .toInt(),
+  
+  ...answerBodyRules,
   
   handleValidationErrors
 ];
@@ -152,6 +346,160 @@ const validateSettings = [
     .isInt({ min: 0, max: 100 })
     .withMessage('Passing score must be between 0 and 100'),
   
+  body('navigationMode')
+    .optional()
+    .isIn(['linear', 'free'])
+    .withMessage('Navigation mode must be linear or free'),
+  
+  body('wrongAnswerPenalty')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Wrong answer penalty must be a share of question points between 0 and 1')
+    .toFloat(),
+  
+  body('blankAnswerPolicy')
+    .optional()
+    .isIn(BLANK_ANSWER_POLICIES)
+    .withMessage(`Blank answer policy must be one of: ${BLANK_ANSWER_POLICIES.join(', ')}`),
+  
+  body('pointsByDifficulty')
+    .optional()
+    .isObject()
+    .withMessage('Points by difficulty must be an object')
+    .custom(value => Object.keys(value).every(key => ['easy', 'medium', 'hard'].includes(key)))
+    .withMessage('Points by difficulty may only contain easy, medium and hard'),
+  
+  body(['pointsByDifficulty.easy', 'pointsByDifficulty.medium', 'pointsByDifficulty.hard'])
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Points for a difficulty level must be between 0 and 100')
+    .toFloat(),
+  
+  body('blueprint')
+    .optional()
+    .custom(value => {
+      const errors = validateBlueprint(value);
+      if (errors.length > 0) {
+        throw new Error(errors.map(error => error.message).join('; '));
+      }
+      return true;
+    }),
+  
+  body('parallelForms')
+    .optional()
+    .isObject()
+    .withMessage('Parallel forms settings must be an object'),
+  
+  body('parallelForms.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('parallelForms.enabled must be a boolean')
+    .toBoolean(),
+  
+  body('parallelForms.targetShare')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Target share must be between 0 and 1')
+    .toFloat(),
+  
+  body('parallelForms.tolerance')
+    .optional()
+    .isFloat({ min: 0.005, max: 0.5 })
+    .withMessage('Tolerance must be between 0.005 and 0.5')
+    .toFloat(),
+  
+  body('exposureControl')
+    .optional()
+    .isObject()
+    .withMessage('Exposure control settings must be an object'),
+  
+  body('exposureControl.maxShare')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0.01, max: 1 })
+    .withMessage('Max share must be between 0.01 and 1')
+    .toFloat(),
+  
+  body('exposureControl.preferUnderused')
+    .optional()
+    .isBoolean()
+    .withMessage('exposureControl.preferUnderused must be a boolean')
+    .toBoolean(),
+  
+  body('exposureControl.minimizeOverlap')
+    .optional()
+    .isBoolean()
+    .withMessage('exposureControl.minimizeOverlap must be a boolean')
+    .toBoolean(),
+  
+  body('adaptiveTesting')
+    .optional()
+    .isObject()
+    .withMessage('Adaptive testing settings must be an object'),
+  
+  body('adaptiveTesting.competitions')
+    .optional()
+    .isArray()
+    .withMessage('adaptiveTesting.competitions must be an array of competition IDs'),
+  
+  body('adaptiveTesting.competitions.*')
+    .isMongoId()
+    .withMessage('Invalid competition ID format'),
+  
+  body('adaptiveTesting.stoppingRule')
+    .optional()
+    .isIn(STOPPING_RULES)
+    .withMessage(`Stopping rule must be one of: ${STOPPING_RULES.join(', ')}`),
+  
+  body('adaptiveTesting.minQuestions')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Minimum number of questions must be between 1 and 100')
+    .toInt(),
+  
+  body('adaptiveTesting.targetStandardError')
+    .optional()
+    .isFloat({ min: 0.1, max: 1 })
+    .withMessage('Target standard error must be between 0.1 and 1')
+    .toFloat(),
+  
+  body('adaptiveTesting.selectionWindow')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Selection window must be between 1 and 20')
+    .toInt(),
+  
+  body('adaptiveTesting.startingAbility')
+    .optional()
+    .isFloat({ min: -3, max: 3 })
+    .withMessage('Starting ability must be between -3 and 3')
+    .toFloat(),
+  
+  body('adaptiveTesting.scoreScale.mean')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Score scale mean must be between 0 and 100')
+    .toFloat(),
+  
+  body('adaptiveTesting.scoreScale.sd')
+    .optional()
+    .isFloat({ min: 1, max: 50 })
+    .withMessage('Score scale standard deviation must be between 1 and 50')
+    .toFloat(),
+  
+  body('lintRules')
+    .optional()
+    .isObject()
+    .withMessage('Lint rules must be an object of rule severities')
+    .custom(value => Object.entries(value).every(([rule, severity]) =>
+      LINT_RULES.some(item => item.id === rule) && LINT_SEVERITIES.includes(severity)))
+    .withMessage(`Lint rules must map known rule ids to one of: ${LINT_SEVERITIES.join(', ')}`),
+  
+  body('duplicateThreshold')
+    .optional()
+    .isFloat({ min: 0.5, max: 1 })
+    .withMessage('Duplicate threshold must be between 0.5 and 1')
+    .toFloat(),
+  
   body('instructions')
     .optional()
     .trim()
@@ -176,6 +524,80 @@ const validateObjectId = [
   handleValidationErrors
 ];
 
+// Валидация ID соревнования в параметрах маршрута
+const validateCompetitionId = [
+  param('competitionId')
+    .isMongoId()
+    .withMessage('Invalid competition ID format'),
+  
+  handleValidationErrors
+];
+
+// Валидация создания/обновления соревнования
+const validateCompetition = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Competition name must be between 2 and 200 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  
+  body('testDuration')
+    .optional()
+    .isInt({ min: 1, max: 300 })
+    .withMessage('Test duration must be between 1 and 300 minutes'),
+  
+  body('questionsPerTest')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Questions per test must be between 1 and 100'),
+  
+  body('passingScore')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Passing score must be between 0 and 100'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Валидация расписания соревнования
+const validateSchedule = [
+  body('scheduledStartTime')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Scheduled start time must be a valid ISO 8601 date'),
+  
+  body('scheduledEndTime')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Scheduled end time must be a valid ISO 8601 date'),
+  
+  handleValidationErrors
+];
+
+// Валидация списка участников соревнования
+const validateParticipants = [
+  body('userIds')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('Must provide between 1 and 1000 user IDs'),
+  
+  body('userIds.*')
+    .isMongoId()
+    .withMessage('Each user ID must be a valid ID'),
+  
+  handleValidationErrors
+];
+
 // Валидация запросов с пагинацией
 const validatePagination = [
   query('page')
@@ -196,6 +618,309 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+// Валидация фильтров очереди ручной проверки
+const validateGradingQueue = [
+  query('competitionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid competition ID format'),
+  
+  query('questionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid question ID format'),
+  
+  query('anonymous')
+    .optional()
+    .isBoolean()
+    .withMessage('Anonymous must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Валидация ID теста
+const validateTestId = [
+  param('testId')
+    .isMongoId()
+    .withMessage('Invalid test ID format'),
+  
+  handleValidationErrors
+];
+
+// Валидация ссылки на ответ в тесте
+const validateTestAnswerParams = [
+  param('testId')
+    .isMongoId()
+    .withMessage('Invalid test ID format'),
+  
+  param('index')
+    .isInt({ min: 0 })
+    .withMessage('Question index must be a valid number'),
+  
+  handleValidationErrors
+];
+
+// Валидация оценки развернутого решения
+const validateGrade = [
+  body('points')
+    .isFloat({ min: 0 })
+    .withMessage('Points must be a non-negative number')
+    .toFloat(),
+  
+  body('comment')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters'),
+  
+  handleValidationErrors
+];
+
+// Валидация очереди рецензирования
+const validateReviewQueue = [
+  query('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium, or hard'),
+  
+  query('topic')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Topic must be between 1 and 100 characters'),
+  
+  handleValidationErrors
+];
+
+// Валидация комментария рецензирования (обязательность зависит от действия и проверяется моделью)
+const validateReviewComment = [
+  body('comment')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Comment must be a string')
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters'),
+  
+  handleValidationErrors
+];
+
+// Валидация смены роли пользователя
+const validateUserRole = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  
+  body('role')
+    .isIn(['user', 'grader', 'reviewer', 'admin'])
+    .withMessage('Role must be user, grader, reviewer or admin'),
+  
+  handleValidationErrors
+];
+
+// Валидация фильтров отчета линтера
+const validateLintReport = [
+  query('severity')
+    .optional()
+    .isIn(['error', 'warning', 'info'])
+    .withMessage('Severity must be error, warning or info'),
+  
+  query('rule')
+    .optional()
+    .isIn(LINT_RULES.map(rule => rule.id))
+    .withMessage(`Rule must be one of: ${LINT_RULES.map(rule => rule.id).join(', ')}`),
+  
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Валидация параметров предпросмотра вопроса-шаблона
+const validateTemplatePreview = [
+  query('count')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Count must be between 1 and 20')
+    .toInt(),
+  
+  query('seed')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Seed must be between 1 and 64 characters'),
+  
+  handleValidationErrors
+];
+
+// Валидация параметров анализа вопросов
+const validateItemAnalysis = [
+  query('competitionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid competition ID format'),
+  
+  query('flag')
+    .optional()
+    .isIn(ITEM_FLAGS)
+    .withMessage(`Flag must be one of: ${ITEM_FLAGS.join(', ')}`),
+  
+  query('flagged')
+    .optional()
+    .isBoolean()
+    .withMessage('flagged must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Валидация пересчета калибровки вопросов по ответам участников
+const validateCalibration = [
+  body('minResponses')
+    .optional()
+    .isInt({ min: 5, max: 10000 })
+    .withMessage('Minimum number of responses must be between 5 and 10000')
+    .toInt(),
+  
+  body('overwriteManual')
+    .optional()
+    .isBoolean()
+    .withMessage('overwriteManual must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Валидация группы вопросов с общим условием
+const validateQuestionGroup = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  body('stem')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Stem must be between 1 and 5000 characters'),
+  
+  body('image')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Image must be a string'),
+  
+  body('questions')
+    .isArray({ min: 2, max: 10 })
+    .withMessage('Group must contain between 2 and 10 questions'),
+  
+  body('questions.*')
+    .isMongoId()
+    .withMessage('Invalid question ID format'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Общие правила для темы: родительская тема и описание
+const topicFieldRules = [
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent topic ID format'),
+  
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+// Валидация создания темы
+const validateTopic = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Topic name must be between 2 and 100 characters'),
+  
+  ...topicFieldRules,
+  
+  handleValidationErrors
+];
+
+// Валидация обновления темы: переименование, перенос, описание
+const validateTopicUpdate = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Topic name must be between 2 and 100 characters'),
+  
+  ...topicFieldRules,
+  
+  handleValidationErrors
+];
+
+// Валидация объединения тем
+const validateTopicMerge = [
+  body('targetId')
+    .isMongoId()
+    .withMessage('Invalid target topic ID format'),
+  
+  handleValidationErrors
+];
+
+// Валидация отчета о разбросе трудности тестов
+const validateFormsReport = [
+  query('competitionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid competition ID format'),
+  
+  query('tolerance')
+    .optional()
+    .isFloat({ min: 0.005, max: 0.5 })
+    .withMessage('Tolerance must be between 0.005 and 0.5')
+    .toFloat(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Валидация параметров отчета об экспозиции вопросов
+const validateExposureReport = [
+  query('competitionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid competition ID format'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
 // Валидация поиска вопросов
 const validateQuestionSearch = [
   query('difficulty')
@@ -209,12 +934,27 @@ const validateQuestionSearch = [
     .isLength({ min: 1, max: 100 })
     .withMessage('Topic must be between 1 and 100 characters'),
   
+  query('topicId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid topic ID format'),
+  
+  query('includeSubtopics')
+    .optional()
+    .isBoolean()
+    .withMessage('includeSubtopics must be a boolean'),
+  
   query('search')
     .optional()
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Search term must be between 1 and 200 characters'),
   
+  query('status')
+    .optional()
+    .isIn(QUESTION_STATUSES)
+    .withMessage(`Status must be one of: ${QUESTION_STATUSES.join(', ')}`),
+  
   handleValidationErrors
 ];
 
@@ -251,6 +991,58 @@ const validateBulkImport = [
     .isLength({ min: 2, max: 100 })
     .withMessage('Each topic must be between 2 and 100 characters'),
   
+  body('duplicateStrategy')
+    .optional()
+    .isIn(DUPLICATE_STRATEGIES)
+    .withMessage(`Duplicate strategy must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+// Валидация параметров импорта из файла (поля multipart-формы)
+const validateImportOptions = [
+  body('duplicateStrategy')
+    .optional()
+    .isIn(DUPLICATE_STRATEGIES)
+    .withMessage(`Duplicate strategy must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+// Валидация отрисовки формул
+const validateRenderMarkup = [
+  body('texts')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Texts must be an array of 1 to 50 strings'),
+  
+  body('texts.*')
+    .isString()
+    .withMessage('Each text must be a string')
+    .isLength({ max: 5000 })
+    .withMessage('Each text cannot exceed 5000 characters'),
+  
+  body('format')
+    .optional()
+    .isIn(RENDER_FORMATS)
+    .withMessage(`Format must be one of: ${RENDER_FORMATS.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+// Валидация отчета о дубликатах
+const validateDuplicateReport = [
+  query('threshold')
+    .optional()
+    .isFloat({ min: 0.5, max: 1 })
+    .withMessage('Threshold must be between 0.5 and 1')
+    .toFloat(),
+  
+  query('includeRetired')
+    .optional()
+    .isBoolean()
+    .withMessage('includeRetired must be a boolean')
+    .toBoolean(),
+  
   handleValidationErrors
 ];
 
@@ -306,7 +1098,22 @@ const validatePasswordChange = [
 
 // Кастомная валидация для проверки корректности correctAnswer
 const validateCorrectAnswer = (req, res, next) => {
-  const { options, correctAnswer } = req.body;
+  const { type = 'single_choice', options, correctAnswer } = req.body;
+  
+  // Ключ ответа остальных типов проверяется по правилам своего типа (набор вариантов, целое, десятичное, дробь, список строк)
+  if (type !== 'single_choice') {
+    const errors = validateAnswerKey(req.body);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: errors[0].message,
+        details: errors
+      });
+    }
+    
+    return next();
+  }
   
   if (options && correctAnswer !== undefined) {
     if (correctAnswer >= options.length) {
@@ -358,11 +1165,41 @@ module.exports = {
   validateLogin,
   validateQuestion,
   validateAnswer,
+  validateQuestionIndex,
+  validateAnswerUpdate,
+  validateFlag,
   validateSettings,
   validateObjectId,
+  validateRevisionParams,
+  validateImageAlt,
+  validateOptionImageParams,
+  validateCompetitionId,
+  validateCompetition,
+  validateSchedule,
+  validateParticipants,
   validatePagination,
+  validateGradingQueue,
+  validateTestId,
+  validateTestAnswerParams,
+  validateGrade,
+  validateReviewQueue,
+  validateReviewComment,
+  validateUserRole,
   validateQuestionSearch,
+  validateLintReport,
+  validateTemplatePreview,
+  validateItemAnalysis,
+  validateQuestionGroup,
+  validateTopic,
+  validateTopicUpdate,
+  validateTopicMerge,
+  validateCalibration,
+  validateFormsReport,
+  validateExposureReport,
   validateBulkImport,
+  validateImportOptions,
+  validateDuplicateReport,
+  validateRenderMarkup,
   validateProfileUpdate,
   validatePasswordChange,
   validateCorrectAnswer,
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+
+const competitionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Competition name is required'],
+    trim: true,
+    maxlength: [200, 'Name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    default: ''
+  },
+  testDuration: {
+    type: Number,
+    required: true,
+    default: 45, // в минутах
+    min: [1, 'Test duration must be at least 1 minute'],
+    max: [300, 'Test duration cannot exceed 300 minutes']
+  },
+  questionsPerTest: {
+    type: Number,
+    default: 30,
+    min: [1, 'Must have at least 1 question per test'],
+    max: [100, 'Cannot have more than 100 questions per test']
+  },
+  passingScore: {
+    type: Number,
+    default: 50,
+    min: [0, 'Passing score cannot be negative'],
+    max: [100, 'Passing score cannot exceed 100']
+  },
+  testStarted: {
+    type: Boolean,
+    default: false
+  },
+  testStartTime: {
+    type: Date,
+    default: null
+  },
+  testEndTime: {
+    type: Date,
+    default: null
+  },
+  // Запланированные переходы; поле очищается, когда переход выполнен
+  scheduledStartTime: {
+    type: Date,
+    default: null
+  },
+  scheduledEndTime: {
+    type: Date,
+    default: null
+  },
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Индексы для оптимизации
+competitionSchema.index({ isActive: 1, testStarted: 1 });
+competitionSchema.index({ participants: 1 });
+competitionSchema.index({ createdAt: -1 });
+competitionSchema.index({ scheduledStartTime: 1 });
+competitionSchema.index({ scheduledEndTime: 1 });
+
+// Статический метод для получения соревнований участника
+competitionSchema.statics.findForParticipant = function(userId) {
+  return this.find({ isActive: true, participants: userId }).sort('-createdAt');
+};
+
+// Метод для проверки, является ли пользователь участником
+competitionSchema.methods.hasParticipant = function(userId) {
+  return this.participants.some(id => id.toString() === userId.toString());
+};
+
+// Метод для запуска тестирования
+competitionSchema.methods.startTest = async function() {
+  this.testStarted = true;
+  this.testStartTime = new Date();
+  this.testEndTime = null;
+  this.scheduledStartTime = null;
+  await this.save();
+};
+
+// Метод для остановки тестирования
+competitionSchema.methods.stopTest = async function() {
+  this.testStarted = false;
+  this.testEndTime = new Date();
+  this.scheduledStartTime = null;
+  this.scheduledEndTime = null;
+  await this.save();
+};
+
+// Метод для получения следующего запланированного перехода
+competitionSchema.methods.getNextTransition = function() {
+  if (!this.testStarted && this.scheduledStartTime) {
+    return { action: 'start', at: this.scheduledStartTime };
+  }
+  
+  if (this.testStarted && this.scheduledEndTime) {
+    return { action: 'stop', at: this.scheduledEndTime };
+  }
+  
+  return null;
+};
+
+// Метод для проверки, активно ли тестирование
+competitionSchema.methods.isTestActive = function() {
+  return this.testStarted;
+};
+
+// Метод для получения оставшегося времени тестирования
+competitionSchema.methods.getRemainingTime = function() {
+  if (!this.testStarted || !this.testStartTime) {
+    return 0;
+  }
+  
+  const now = new Date();
+  const testEndTime = new Date(this.testStartTime.getTime() + this.testDuration * 60 * 1000);
+  const remainingTime = testEndTime.getTime() - now.getTime();
+  
+  return Math.max(0, Math.floor(remainingTime / 1000)); // в секундах
+};
+
+// Метод для проверки, истекло ли время тестирования
+competitionSchema.methods.isTestExpired = function() {
+  if (!this.testStarted || !this.testStartTime) {
+    return false;
+  }
+  
+  const now = new Date();
+  const testEndTime = new Date(this.testStartTime.getTime() + this.testDuration * 60 * 1000);
+  
+  return now > testEndTime;
+};
+
+// Метод для обновления параметров соревнования
+competitionSchema.methods.updateCompetition = async function(updates, userId) {
+  const allowedUpdates = [
+    'name',
+    'description',
+    'testDuration',
+    'questionsPerTest',
+    'passingScore',
+    'isActive'
+  ];
+  
+  Object.keys(updates).forEach(key => {
+    if (allowedUpdates.includes(key)) {
+      this[key] = updates[key];
+    }
+  });
+  
+  this.lastModifiedBy = userId;
+  await this.save();
+  
+  return this;
+};
+
+// Виртуальное поле для получения статуса тестирования
+competitionSchema.virtual('testStatus').get(function() {
+  if (!this.testStarted) {
+    return this.testEndTime ? 'COMPLETED' : 'NOT_STARTED';
+  }
+  
+  if (this.isTestExpired()) {
+    return 'EXPIRED';
+  }
+  
+  return 'ACTIVE';
+});
+
+// Виртуальное поле для получения времени в удобном формате
+competitionSchema.virtual('formattedDuration').get(function() {
+  const hours = Math.floor(this.testDuration / 60);
+  const minutes = this.testDuration % 60;
+  
+  if (hours > 0) {
+    return `${hours}ч ${minutes}мин`;
+  }
+  
+  return `${minutes}мин`;
+});
+
+// Метод для получения конфигурации для клиента
+competitionSchema.methods.getClientConfig = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    testDuration: this.testDuration,
+    testStarted: this.testStarted,
+    questionsPerTest: this.questionsPerTest,
+    testStartTime: this.testStartTime,
+    testEndTime: this.testEndTime,
+    scheduledStartTime: this.scheduledStartTime,
+    scheduledEndTime: this.scheduledEndTime,
+    nextTransition: this.getNextTransition(),
+    passingScore: this.passingScore,
+    participantsCount: this.participants.length,
+    remainingTime: this.getRemainingTime(),
+    testStatus: this.testStatus,
+    formattedDuration: this.formattedDuration
+  };
+};
+
+module.exports = mongoose.model('Competition', competitionSchema);
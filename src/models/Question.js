@@ -1,4 +1,24 @@
 const mongoose = require('mongoose');
+const { QUESTION_TYPES, SCORING_RULES, validateAnswerKey } = require('../utils/answerGrader');
+const { QUESTION_STATUSES, REVIEW_ACTIONS, ELIGIBLE_QUESTION_FILTER, getReviewActionError } = require('../utils/questionReview');
+const { validateMathMarkup, getSearchText } = require('../utils/mathMarkup');
+const Topic = require('./Topic');
+
+// Параметр шаблона: значение выбирается из набора values или из диапазона min..max с шагом step
+const templateParameterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  values: [Number],
+  min: Number,
+  max: Number,
+  step: {
+    type: Number,
+    default: 1
+  }
+}, { _id: false });
 
 const questionSchema = new mongoose.Schema({
   title: {
@@ -13,22 +33,86 @@ const questionSchema = new mongoose.Schema({
     trim: true,
     maxlength: [2000, 'Description cannot exceed 2000 characters']
   },
+  // single_choice - выбор одного варианта; multiple_choice - выбор нескольких вариантов;
+  // integer, decimal, fraction, text - ответ вводится участником
+  // written - развернутое решение (текст или изображение), оценивается проверяющим
+  // parametric - шаблон: текст с подстановками {a}, ответ вычисляется по формуле для значений участника
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'single_choice'
+  },
   options: [{
     type: String,
     required: true,
     trim: true,
     maxlength: [500, 'Option cannot exceed 500 characters']
   }],
+  // Индекс правильного варианта (single_choice)
   correctAnswer: {
     type: Number,
-    required: [true, 'Correct answer index is required'],
-    min: [0, 'Correct answer index must be at least 0'],
-    validate: {
-      validator: function(value) {
-        return value < this.options.length;
-      },
-      message: 'Correct answer index must be less than options length'
-    }
+    required: [function() { return (this.type || 'single_choice') === 'single_choice'; }, 'Correct answer index is required'],
+    min: [0, 'Correct answer index must be at least 0']
+  },
+  // Набор индексов правильных вариантов (multiple_choice)
+  correctAnswers: [{
+    type: Number,
+    min: [0, 'Correct answer index must be at least 0']
+  }],
+  // Правило начисления баллов для multiple_choice
+  scoringRule: {
+    type: String,
+    enum: SCORING_RULES,
+    default: 'all_or_nothing'
+  },
+  // Сколько правильных выборов "стоит" один неправильный (правило penalty)
+  wrongPickPenalty: {
+    type: Number,
+    default: 1,
+    min: [0, 'Wrong pick penalty cannot be negative']
+  },
+  // Правильное значение для integer, decimal и fraction (например "42", "3.14", "1/2")
+  correctValue: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Correct value cannot exceed 100 characters']
+  },
+  // Допустимое отклонение для decimal
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tolerance cannot be negative']
+  },
+  // Допустимые ответы для text
+  acceptedAnswers: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Accepted answer cannot exceed 200 characters']
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Параметры шаблона (parametric)
+  parameters: [templateParameterSchema],
+  // Формула правильного ответа шаблона, например "a + b"
+  answerFormula: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Answer formula cannot exceed 500 characters']
+  },
+  // Число знаков после запятой, до которого округляется ответ шаблона
+  answerPrecision: {
+    type: Number,
+    default: 2,
+    min: [0, 'Answer precision cannot be negative'],
+    max: [10, 'Answer precision cannot exceed 10']
+  },
+  // Условие на значения параметров (например "b != 0"); наборы, не удовлетворяющие ему, отбрасываются
+  parameterConstraint: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Parameter constraint cannot exceed 500 characters']
   },
   difficulty: {
     type: String,
@@ -41,9 +125,52 @@ const questionSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Topic cannot exceed 100 characters']
   },
+  // Тема в дереве тем (Topic); название topic совпадает с ее названием
+  topicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic',
+    default: null
+  },
+  // Путь темы от корня, включая саму тему: вопрос подтемы входит в выборку по каждой теме-предку
+  topicPath: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic'
+  }],
+  // Калибровка для адаптивного режима (модель IRT): трудность и различающая способность в логитах.
+  // difficulty: null - трудность берется по категории сложности (easy -1, medium 0, hard 1)
+  calibration: {
+    difficulty: {
+      type: Number,
+      default: null,
+      min: [-6, 'Calibrated difficulty cannot be less than -6'],
+      max: [6, 'Calibrated difficulty cannot exceed 6']
+    },
+    discrimination: {
+      type: Number,
+      default: 1,
+      min: [0.2, 'Discrimination must be at least 0.2'],
+      max: [4, 'Discrimination cannot exceed 4']
+    },
+    // manual - задана вручную; responses - оценена по ответам участников
+    source: {
+      type: String,
+      enum: ['manual', 'responses', null],
+      default: null
+    },
+    // Число ответов, по которым оценена трудность
+    sampleSize: {
+      type: Number,
+      default: 0
+    },
+    calibratedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // null - баллы определяются сложностью (Settings.pointsByDifficulty)
   points: {
     type: Number,
-    default: 1,
+    default: null,
     min: [1, 'Points must be at least 1']
   },
   explanation: {
@@ -55,50 +182,208 @@ const questionSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Альтернативный текст изображения (для экранного диктора и на случай, если изображение не загрузилось)
+  imageAlt: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Image alt text cannot exceed 300 characters'],
+    default: null
+  },
+  // Изображения к вариантам ответа: option - индекс варианта в исходном порядке
+  optionImages: [{
+    _id: false,
+    option: {
+      type: Number,
+      required: true,
+      min: [0, 'Option index must be at least 0']
+    },
+    image: {
+      type: String,
+      required: true
+    },
+    alt: {
+      type: String,
+      required: [true, 'Option image alt text is required'],
+      trim: true,
+      maxlength: [300, 'Image alt text cannot exceed 300 characters']
+    }
+  }],
+  // Условие и варианты без разметки формул - по нему ищут вопросы (заполняется при сохранении)
+  searchText: {
+    type: String,
+    select: false
+  },
+  // Номер текущей ревизии содержания (история ревизий - в QuestionRevision)
+  revision: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Статус рецензирования: в тесты попадают только одобренные вопросы (approved)
+  status: {
+    type: String,
+    enum: QUESTION_STATUSES,
+    default: 'draft'
+  },
+  submittedForReviewAt: {
+    type: Date,
+    default: null
+  },
+  // История рецензирования: переходы между статусами и комментарии рецензентов
+  reviewHistory: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: Object.keys(REVIEW_ACTIONS),
+      required: true
+    },
+    fromStatus: String,
+    toStatus: String,
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Review comment cannot exceed 2000 characters']
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Похожий вопрос банка, найденный при создании или импорте (вопрос создан с пометкой, а не пропущен)
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    default: null
+  },
+  duplicateSimilarity: {
+    type: Number,
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Сколько раз на вопрос отвечали (включая ответы, ожидающие ручной проверки)
   usageCount: {
     type: Number,
     default: 0
   },
+  // Доля правильных ответов (%) и накопленная статистика оцененных ответов.
+  // Обновляются при проверке ответов (recordAnswerStats) и периодически пересчитываются по тестам (recomputeAnswerStats)
   successRate: {
     type: Number,
     default: 0,
     min: 0,
     max: 100
+  },
+  answerStats: {
+    totalAnswers: {
+      type: Number,
+      default: 0
+    },
+    correctAnswers: {
+      type: Number,
+      default: 0
+    },
+    partialAnswers: {
+      type: Number,
+      default: 0
+    },
+    totalPoints: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true
 });
 
-// Валидация количества вариантов ответов
+// Валидация вариантов и ключа ответа в зависимости от типа вопроса
 questionSchema.pre('validate', function(next) {
-  if (this.options.length < 2) {
-    next(new Error('Question must have at least 2 options'));
-  } else if (this.options.length > 6) {
-    next(new Error('Question cannot have more than 6 options'));
-  } else {
-    next();
+  // invalidate превращает ошибки в стандартный ValidationError с указанием поля
+  validateAnswerKey(this).forEach(({ field, message }) => this.invalidate(field, message));
+  
+  // Формулы LaTeX в тексте вопроса должны разбираться. Проверяются только новые и измененные поля,
+  // чтобы текст, сохраненный до появления разметки (например, с одиночным $), не мешал другим изменениям
+  const isChanged = (path) => this.isNew || this.isModified(path);
+  const markupFields = ['title', 'description', 'explanation']
+    .filter(isChanged)
+    .map(field => [field, this[field]]);
+  if (isChanged('options')) {
+    (this.options || []).forEach((option, index) => markupFields.push([`options.${index}`, option]));
   }
+  
+  markupFields.forEach(([field, value]) => {
+    const [error] = validateMathMarkup(value);
+    if (error) {
+      this.invalidate(field, `Invalid math markup${error.formula !== null ? ` in "${error.formula}"` : ''}: ${error.message}`);
+    }
+  });
+  
+  // Изображение можно прикрепить только к существующему варианту, и только одно
+  (this.optionImages || []).forEach((item, index) => {
+    if (item.option >= (this.options || []).length) {
+      this.invalidate(`optionImages.${index}.option`, `Option ${item.option + 1} does not exist; remove its image before removing the option`);
+    } else if (this.optionImages.findIndex(other => other.option === item.option) !== index) {
+      this.invalidate(`optionImages.${index}.option`, `Option ${item.option + 1} already has an image`);
+    }
+  });
+  
+  next();
+});
+
+// Тема связывается с деревом тем при создании и изменении вопроса
+questionSchema.pre('save', async function() {
+  await this.syncTopic();
+});
+
+// Текст для поиска обновляется при изменении условия или вариантов
+questionSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('description') || this.isModified('options')) {
+    this.searchText = getSearchText(this);
+  }
+  next();
 });
 
 // Индексы для оптимизации поиска
 questionSchema.index({ difficulty: 1, topic: 1 });
 questionSchema.index({ isActive: 1 });
+questionSchema.index({ topicId: 1 });
+questionSchema.index({ topicPath: 1 });
+questionSchema.index({ status: 1, submittedForReviewAt: 1 });
 questionSchema.index({ createdAt: -1 });
 
+// Метод для связывания вопроса с деревом тем: название приводится к названию темы
+// (в том числе объединенной с другой), неизвестная тема создается корневой
+questionSchema.methods.syncTopic = async function() {
+  if (!this.isNew && !this.isModified('topic') && this.topicId) {
+    return;
+  }
+  
+  const topic = await Topic.resolve(this.topic, { createdBy: this.createdBy });
+  this.topic = topic.name;
+  this.topicId = topic._id;
+  this.topicPath = topic.getPath();
+};
+
 // Статический метод для получения случайных вопросов
 questionSchema.statics.getRandomQuestions = async function(count = 30) {
   try {
     const questions = await this.aggregate([
-      { $match: { isActive: true } },
+      { $match: ELIGIBLE_QUESTION_FILTER },
       { $sample: { size: count } }
     ]);
     
@@ -112,7 +397,7 @@ questionSchema.statics.getRandomQuestions = async function(count = 30) {
 questionSchema.statics.getQuestionsByDifficulty = async function(difficulty, count) {
   try {
     const questions = await this.aggregate([
-      { $match: { isActive: true, difficulty: difficulty } },
+      { $match: { ...ELIGIBLE_QUESTION_FILTER, difficulty: difficulty } },
       { $sample: { size: count } }
     ]);
     
@@ -126,32 +411,234 @@ questionSchema.statics.getQuestionsByDifficulty = async function(difficulty, cou
 questionSchema.methods.getStats = async function() {
   const Test = require('./Test');
   
-  const stats = await Test.aggregate([
+  // Ответы незавершенных тестов в свободном режиме и развернутые решения до ручной проверки еще не оценены
+  const gradedAnswersPipeline = [
+    { $match: { 'answers.questionId': this._id, $or: [{ isCompleted: true }, { navigationMode: { $ne: 'free' } }] } },
     { $unwind: '$answers' },
-    { $match: { 'answers.questionId': this._id } },
+    { $match: { 'answers.questionId': this._id, 'answers.gradingStatus': { $ne: 'pending' } } }
+  ];
+  
+  const stats = await Test.aggregate([
+    ...gradedAnswersPipeline,
     {
       $group: {
         _id: null,
         totalAnswers: { $sum: 1 },
-        correctAnswers: { $sum: { $cond: ['$answers.isCorrect', 1, 0] } }
+        correctAnswers: { $sum: { $cond: ['$answers.isCorrect', 1, 0] } },
+        partialAnswers: {
+          $sum: { $cond: [{ $and: [{ $not: ['$answers.isCorrect'] }, { $gt: ['$answers.points', 0] }] }, 1, 0] }
+        },
+        averagePoints: { $avg: '$answers.points' }
       }
     }
   ]);
   
   if (stats.length === 0) {
-    return { totalAnswers: 0, correctAnswers: 0, successRate: 0 };
+    return { totalAnswers: 0, correctAnswers: 0, partialAnswers: 0, averagePoints: 0, successRate: 0 };
   }
   
-  const { totalAnswers, correctAnswers } = stats[0];
+  const { totalAnswers, correctAnswers, partialAnswers, averagePoints } = stats[0];
   const successRate = totalAnswers > 0 ? (correctAnswers / totalAnswers) * 100 : 0;
   
-  return { totalAnswers, correctAnswers, successRate };
+  const result = {
+    totalAnswers,
+    correctAnswers,
+    partialAnswers,
+    averagePoints: Math.round((averagePoints || 0) * 100) / 100,
+    successRate
+  };
+  
+  // Для вопросов с несколькими правильными вариантами - сколько раз выбирали каждый вариант
+  if (this.type === 'multiple_choice') {
+    const picks = await Test.aggregate([
+      ...gradedAnswersPipeline,
+      { $unwind: '$answers.selectedAnswers' },
+      { $group: { _id: '$answers.selectedAnswers', count: { $sum: 1 } } }
+    ]);
+    
+    result.optionPicks = this.options.map((option, index) => {
+      const pick = picks.find(item => item._id === index);
+      return {
+        index,
+        isCorrect: this.correctAnswers.includes(index),
+        count: pick ? pick.count : 0
+      };
+    });
+  }
+  
+  return result;
+};
+
+// Метод для выполнения действия рецензирования (submit, approve, request_changes, retire, reopen, comment).
+// Проверяет допустимость перехода и роль пользователя; сохранение - на стороне вызывающего
+questionSchema.methods.applyReviewAction = function(action, { user, comment = null }) {
+  const error = getReviewActionError(this.status, action, { role: user.role, comment });
+  if (error) {
+    throw new Error(error);
+  }
+  
+  const fromStatus = this.status;
+  const toStatus = REVIEW_ACTIONS[action].to || fromStatus;
+  
+  this.status = toStatus;
+  if (action === 'submit') {
+    this.submittedForReviewAt = new Date();
+  }
+  
+  this.reviewHistory.push({
+    action,
+    fromStatus,
+    toStatus,
+    comment: comment ? comment.trim() : null,
+    author: user._id
+  });
+  
+  return this.reviewHistory[this.reviewHistory.length - 1];
 };
 
-// Метод для увеличения счетчика использования
-questionSchema.methods.incrementUsage = async function() {
-  this.usageCount += 1;
-  await this.save();
+// Доля правильных ответов в процентах по накопленной статистике (выражение агрегации)
+const SUCCESS_RATE_EXPRESSION = {
+  $cond: [
+    { $gt: ['$answerStats.totalAnswers', 0] },
+    { $round: [{ $multiply: [{ $divide: ['$answerStats.correctAnswers', '$answerStats.totalAnswers'] }, 100] }, 2] },
+    0
+  ]
+};
+
+// Вклад ответа в статистику вопроса: ответы, ожидающие ручной проверки, не учитываются (как в getStats)
+const getAnswerContribution = (answer) => {
+  if (!answer || answer.gradingStatus === 'pending') {
+    return { totalAnswers: 0, correctAnswers: 0, partialAnswers: 0, totalPoints: 0 };
+  }
+  
+  return {
+    totalAnswers: 1,
+    correctAnswers: answer.isCorrect ? 1 : 0,
+    partialAnswers: !answer.isCorrect && answer.points > 0 ? 1 : 0,
+    totalPoints: answer.points || 0
+  };
+};
+
+// Статический метод для расчета изменения статистики вопроса при оценке ответа
+// (previous - прежняя оценка ответа или null, если ответ еще не учитывался)
+questionSchema.statics.getAnswerStatsDelta = function(answer, previous = null, usage = 0) {
+  const after = getAnswerContribution(answer);
+  const before = getAnswerContribution(previous);
+  
+  return {
+    questionId: answer.questionId,
+    usage,
+    totalAnswers: after.totalAnswers - before.totalAnswers,
+    correctAnswers: after.correctAnswers - before.correctAnswers,
+    partialAnswers: after.partialAnswers - before.partialAnswers,
+    totalPoints: after.totalPoints - before.totalPoints
+  };
+};
+
+// Статический метод для учета изменений статистики вопросов (getAnswerStatsDelta).
+// Обновление атомарное и не меняет updatedAt вопроса; ошибка не прерывает ответ участника -
+// расхождение исправит периодический пересчет
+questionSchema.statics.recordAnswerStats = async function(deltas) {
+  const changed = deltas.filter(delta => delta.usage || delta.totalAnswers || delta.correctAnswers ||
+    delta.partialAnswers || delta.totalPoints);
+  
+  const add = (field, value) => ({ $add: [{ $ifNull: [`$${field}`, 0] }, value] });
+  
+  try {
+    await Promise.all(changed.map(delta => this.updateOne({ _id: delta.questionId }, [
+      {
+        $set: {
+          usageCount: add('usageCount', delta.usage),
+          'answerStats.totalAnswers': add('answerStats.totalAnswers', delta.totalAnswers),
+          'answerStats.correctAnswers': add('answerStats.correctAnswers', delta.correctAnswers),
+          'answerStats.partialAnswers': add('answerStats.partialAnswers', delta.partialAnswers),
+          'answerStats.totalPoints': add('answerStats.totalPoints', delta.totalPoints),
+          'answerStats.updatedAt': '$$NOW'
+        }
+      },
+      { $set: { successRate: SUCCESS_RATE_EXPRESSION } }
+    ], { timestamps: false })));
+  } catch (error) {
+    console.error('Error recording question answer stats:', error);
+  }
+};
+
+// Статический метод для полного пересчета статистики всех вопросов по тестам
+questionSchema.statics.recomputeAnswerStats = async function() {
+  const Test = require('./Test');
+  
+  const isGraded = { $ne: ['$answers.gradingStatus', 'pending'] };
+  const rows = await Test.aggregate([
+    { $match: { $or: [{ isCompleted: true }, { navigationMode: { $ne: 'free' } }] } },
+    { $unwind: '$answers' },
+    {
+      $group: {
+        _id: '$answers.questionId',
+        usageCount: { $sum: 1 },
+        totalAnswers: { $sum: { $cond: [isGraded, 1, 0] } },
+        correctAnswers: { $sum: { $cond: [{ $and: [isGraded, '$answers.isCorrect'] }, 1, 0] } },
+        partialAnswers: {
+          $sum: { $cond: [{ $and: [isGraded, { $not: ['$answers.isCorrect'] }, { $gt: ['$answers.points', 0] }] }, 1, 0] }
+        },
+        totalPoints: { $sum: { $cond: [isGraded, { $ifNull: ['$answers.points', 0] }, 0] } }
+      }
+    }
+  ]);
+  
+  const now = new Date();
+  const operations = rows.map(row => ({
+    updateOne: {
+      filter: { _id: row._id },
+      update: {
+        $set: {
+          usageCount: row.usageCount,
+          successRate: row.totalAnswers > 0 ? Math.round(row.correctAnswers / row.totalAnswers * 10000) / 100 : 0,
+          answerStats: {
+            totalAnswers: row.totalAnswers,
+            correctAnswers: row.correctAnswers,
+            partialAnswers: row.partialAnswers,
+            totalPoints: row.totalPoints,
+            updatedAt: now
+          }
+        }
+      },
+      timestamps: false
+    }
+  }));
+  
+  // Вопросы, на которые больше никто не отвечал (например, тесты удалены), обнуляются
+  operations.push({
+    updateMany: {
+      filter: { _id: { $nin: rows.map(row => row._id) } },
+      update: {
+        $set: {
+          usageCount: 0,
+          successRate: 0,
+          answerStats: { totalAnswers: 0, correctAnswers: 0, partialAnswers: 0, totalPoints: 0, updatedAt: now }
+        }
+      },
+      timestamps: false
+    }
+  });
+  
+  await this.bulkWrite(operations);
+  
+  return rows.length;
+};
+
+// Статический метод для получения накопленной статистики вопроса (без агрегации по тестам)
+questionSchema.statics.getStoredStats = function(question) {
+  const stats = question.answerStats || {};
+  const totalAnswers = stats.totalAnswers || 0;
+  
+  return {
+    totalAnswers,
+    correctAnswers: stats.correctAnswers || 0,
+    partialAnswers: stats.partialAnswers || 0,
+    averagePoints: totalAnswers > 0 ? Math.round(stats.totalPoints / totalAnswers * 100) / 100 : 0,
+    successRate: question.successRate || 0,
+    updatedAt: stats.updatedAt || null
+  };
 };
 
 // Виртуальное поле для отображения краткой информации
@@ -159,6 +646,7 @@ questionSchema.virtual('shortInfo').get(function() {
   return {
     id: this._id,
     title: this.title,
+    type: this.type,
     difficulty: this.difficulty,
     topic: this.topic,
     points: this.points
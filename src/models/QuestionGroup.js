@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Группа вопросов с общим условием (например, один чертеж и три подвопроса).
+// В тест группа попадает целиком, вопросы идут подряд в порядке questions, или не попадает вовсе
+const questionGroupSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Group title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Общее условие, показывается с каждым вопросом группы
+  stem: {
+    type: String,
+    required: [true, 'Group stem is required'],
+    trim: true,
+    maxlength: [5000, 'Stem cannot exceed 5000 characters']
+  },
+  image: {
+    type: String,
+    default: null
+  },
+  // Вопросы группы в порядке показа. Вопрос может входить только в одну группу
+  questions: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    }],
+    validate: [
+      {
+        validator: (questions) => questions.length >= 2 && questions.length <= 10,
+        message: 'Group must contain between 2 and 10 questions'
+      },
+      {
+        validator: (questions) => new Set(questions.map(id => id.toString())).size === questions.length,
+        message: 'Group questions must be unique'
+      }
+    ]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Уникальный индекс по элементам массива: вопрос не может входить в две группы
+questionGroupSchema.index({ questions: 1 }, { unique: true });
+questionGroupSchema.index({ isActive: 1 });
+
+// Статический метод для поиска групп, в которые уже входят вопросы (кроме указанной группы)
+questionGroupSchema.statics.findConflicts = async function(questionIds, excludeGroupId = null) {
+  const filter = { questions: { $in: questionIds } };
+  if (excludeGroupId) {
+    filter._id = { $ne: excludeGroupId };
+  }
+  
+  return this.find(filter).select('title questions');
+};
+
+// Статический метод для получения группы вопроса
+questionGroupSchema.statics.findByQuestion = function(questionId) {
+  return this.findOne({ questions: questionId });
+};
+
+// Метод для получения общего условия в том виде, в котором оно показывается с вопросом группы
+questionGroupSchema.methods.getStemFor = function(questionId) {
+  const position = this.questions.findIndex(id => id.toString() === questionId.toString());
+  
+  return {
+    id: this._id,
+    title: this.title,
+    stem: this.stem,
+    image: this.image,
+    position: position + 1,
+    size: this.questions.length
+  };
+};
+
+module.exports = mongoose.model('QuestionGroup', questionGroupSchema);
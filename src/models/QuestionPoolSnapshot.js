@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Вопрос банка в том виде, в котором он участвовал в генерации теста
+const poolQuestionSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  topic: String,
+  // Названия тем от корня (только у вопросов подтем): по ним вопрос попадает в ячейку темы-предка
+  topicPath: {
+    type: [String],
+    default: undefined
+  },
+  difficulty: String,
+  points: {
+    type: Number,
+    default: null
+  },
+  optionsCount: {
+    type: Number,
+    default: 0
+  },
+  // Статистика ответов на момент генерации (только при выравнивании трудности)
+  totalAnswers: {
+    type: Number,
+    default: null
+  },
+  correctAnswers: {
+    type: Number,
+    default: null
+  },
+  // Описание шаблона (parametric): параметры и формулы, по которым подбираются значения участника
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Группа вопросов (QuestionGroup) и место вопроса в ней: вопросы группы выбираются только вместе
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionGroup',
+    default: null
+  },
+  groupOrder: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+// Снимок банка вопросов, из которого генерировались тесты. Одинаковые снимки хранятся один раз (по хэшу)
+const questionPoolSnapshotSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  questions: [poolQuestionSchema]
+}, {
+  timestamps: true
+});
+
+// Статический метод для вычисления хэша содержимого снимка
+questionPoolSnapshotSchema.statics.computeHash = function(questions) {
+  // Шаблон, группа и путь темы добавляются только если они есть - хэши снимков без них не меняются
+  const content = questions.map(question => [
+    question.questionId.toString(),
+    question.topic,
+    question.difficulty,
+    question.points ?? null,
+    question.optionsCount,
+    question.totalAnswers ?? null,
+    question.correctAnswers ?? null,
+    ...(question.template ? [question.template] : []),
+    ...(question.groupId ? [question.groupId.toString(), question.groupOrder] : []),
+    ...(question.topicPath && question.topicPath.length > 0 ? [question.topicPath] : [])
+  ]);
+  
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+// Статический метод для сохранения снимка (или получения уже сохраненного с тем же содержимым)
+questionPoolSnapshotSchema.statics.capture = async function(questions) {
+  const hash = this.computeHash(questions);
+  
+  try {
+    return await this.findOneAndUpdate(
+      { hash },
+      { $setOnInsert: { hash, questions } },
+      { upsert: true, new: true, projection: { hash: 1 } }
+    );
+  } catch (error) {
+    // Тот же снимок одновременно сохранил параллельный запрос
+    if (error.code === 11000) {
+      return await this.findOne({ hash }).select('hash');
+    }
+    throw error;
+  }
+};
+
+// Метод для проверки, что содержимое снимка не менялось после сохранения
+questionPoolSnapshotSchema.methods.verifyIntegrity = function() {
+  return this.constructor.computeHash(this.questions) === this.hash;
+};
+
+module.exports = mongoose.model('QuestionPoolSnapshot', questionPoolSnapshotSchema);
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+// Поля, определяющие содержание вопроса: их изменение создает новую ревизию.
+// Статус, калибровка и статистика к содержанию не относятся
+const REVISION_FIELDS = [
+  'title',
+  'description',
+  'type',
+  'options',
+  'correctAnswer',
+  'correctAnswers',
+  'scoringRule',
+  'wrongPickPenalty',
+  'correctValue',
+  'tolerance',
+  'acceptedAnswers',
+  'caseSensitive',
+  'parameters',
+  'answerFormula',
+  'answerPrecision',
+  'parameterConstraint',
+  'difficulty',
+  'topic',
+  'points',
+  'explanation',
+  'image',
+  'imageAlt',
+  'optionImages'
+];
+
+// Неизменяемая версия содержания вопроса. Тест закрепляет ревизии вопросов, показанные участнику,
+// поэтому правка вопроса после тура не меняет ни проверку, ни отображение ответов
+const questionRevisionSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Отличия от предыдущей ревизии (у первой ревизии - пусто)
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // created - исходная версия, updated - правка, restored - восстановление ревизии restoredFrom
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'restored'],
+    default: 'updated'
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+questionRevisionSchema.index({ questionId: 1, revision: 1 }, { unique: true });
+
+// Статический метод для получения содержания вопроса (полей REVISION_FIELDS) в виде простого объекта
+questionRevisionSchema.statics.getContent = function(question) {
+  const source = typeof question.toObject === 'function' ? question.toObject({ depopulate: true }) : question;
+  
+  return JSON.parse(JSON.stringify(Object.fromEntries(
+    REVISION_FIELDS
+      .filter(field => source[field] !== undefined)
+      .map(field => [field, source[field]])
+  )));
+};
+
+// Пустой список равнозначен отсутствующему полю (в ревизиях, сохраненных до его появления, поля нет)
+const normalizeContentValue = (value) => (Array.isArray(value) && value.length === 0 ? null : value ?? null);
+
+// Статический метод для сравнения двух версий содержания вопроса
+questionRevisionSchema.statics.diffContent = function(before, after) {
+  return REVISION_FIELDS
+    .filter(field => JSON.stringify(normalizeContentValue(before[field])) !== JSON.stringify(normalizeContentValue(after[field])))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+};
+
+// Статический метод для сохранения новой ревизии вопроса (question.revision уже увеличен).
+// Если у вопроса еще нет истории (создан до появления ревизий или не редактировался),
+// сначала сохраняется исходная версия с автором и временем последнего изменения вопроса
+questionRevisionSchema.statics.record = async function(question, { previousContent, previousUpdatedAt, changes, author, action = 'updated', restoredFrom = null }) {
+  const hasHistory = await this.exists({ questionId: question._id });
+  
+  if (!hasHistory) {
+    await this.create({
+      questionId: question._id,
+      revision: question.revision - 1,
+      content: previousContent,
+      action: 'created',
+      author: question.createdBy && question.createdBy._id ? question.createdBy._id : question.createdBy,
+      createdAt: previousUpdatedAt || question.createdAt
+    });
+  }
+  
+  return this.create({
+    questionId: question._id,
+    revision: question.revision,
+    content: this.getContent(question),
+    changes,
+    action,
+    restoredFrom,
+    author
+  });
+};
+
+// Статический метод для подстановки закрепленных ревизий: pins - Map(questionId -> ревизия).
+// Возвращает Map(questionId -> вопрос); вопросы с текущей ревизией возвращаются как есть.
+// Тема берется из текущей версии вопроса
+questionRevisionSchema.statics.applyPinnedRevisions = async function(questions, pins) {
+  const result = new Map(questions.map(question => [question._id.toString(), question]));
+  
+  const outdated = questions.filter(question => {
+    const pinned = pins.get(question._id.toString());
+    return pinned !== undefined && pinned !== null && pinned !== (question.revision || 1);
+  });
+  
+  if (outdated.length === 0) {
+    return result;
+  }
+  
+  const revisions = await this.find({
+    $or: outdated.map(question => ({ questionId: question._id, revision: pins.get(question._id.toString()) }))
+  }).lean();
+  
+  const Question = mongoose.model('Question');
+  revisions.forEach(revision => {
+    const key = revision.questionId.toString();
+    const current = result.get(key).toObject({ depopulate: true });
+    REVISION_FIELDS.filter(field => field !== 'topic').forEach(field => delete current[field]);
+    
+    // Тема - классификация вопроса, а не его содержание: переименование и объединение тем меняют ее
+    // без новой ревизии, поэтому вопрос сохраняет текущую тему (согласованную с topicId и topicPath).
+    // В истории ревизий тема остается, чтобы было видно, когда вопрос переносили в другую тему
+    const { topic, ...content } = revision.content;
+    
+    result.set(key, Question.hydrate({ ...current, ...content, revision: revision.revision }));
+  });
+  
+  return result;
+};
+
+module.exports = mongoose.model('QuestionRevision', questionRevisionSchema);
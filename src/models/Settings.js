@@ -1,6 +1,39 @@
 const mongoose = require('mongoose');
+const { LINT_SEVERITIES } = require('../utils/questionLinter');
+const { BLANK_ANSWER_POLICIES } = require('../utils/answerGrader');
+const { DIFFICULTIES, getCellKey } = require('../utils/blueprint');
+const { normalizeTopicName } = require('../utils/topicTree');
+const { STOPPING_RULES } = require('../utils/adaptiveTesting');
+const { DEFAULT_DUPLICATE_THRESHOLD } = require('../utils/duplicateDetector');
+
+// Ячейка спецификации теста: сколько вопросов темы topic сложности difficulty должно попасть в тест
+const blueprintCellSchema = new mongoose.Schema({
+  topic: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  difficulty: {
+    type: String,
+    enum: DIFFICULTIES,
+    required: true
+  },
+  min: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // null - без верхней границы
+  max: {
+    type: Number,
+    default: null,
+    min: 1
+  }
+}, { _id: false });
 
 const settingsSchema = new mongoose.Schema({
+  // testDuration, questionsPerTest и passingScore - значения по умолчанию для новых соревнований
   testDuration: {
     type: Number,
     required: true,
@@ -8,24 +41,12 @@ const settingsSchema = new mongoose.Schema({
     min: [1, 'Test duration must be at least 1 minute'],
     max: [300, 'Test duration cannot exceed 300 minutes']
   },
-  testStarted: {
-    type: Boolean,
-    default: false
-  },
   questionsPerTest: {
     type: Number,
     default: 30,
     min: [1, 'Must have at least 1 question per test'],
     max: [100, 'Cannot have more than 100 questions per test']
   },
-  testStartTime: {
-    type: Date,
-    default: null
-  },
-  testEndTime: {
-    type: Date,
-    default: null
-  },
   allowLateSubmission: {
     type: Boolean,
     default: false
@@ -46,6 +67,158 @@ const settingsSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // linear - строго по порядку; free - можно пропускать вопросы, возвращаться и менять ответы до сдачи
+  navigationMode: {
+    type: String,
+    enum: ['linear', 'free'],
+    default: 'linear'
+  },
+  // Политика начисления баллов фиксируется в тесте при генерации.
+  // wrongAnswerPenalty - доля баллов вопроса, снимаемая за неверный ответ (0 - без штрафа)
+  wrongAnswerPenalty: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wrong answer penalty cannot be negative'],
+    max: [1, 'Wrong answer penalty cannot exceed 1']
+  },
+  blankAnswerPolicy: {
+    type: String,
+    enum: BLANK_ANSWER_POLICIES,
+    default: 'zero'
+  },
+  // Баллы за вопрос без явно заданных points
+  pointsByDifficulty: {
+    easy: {
+      type: Number,
+      default: 1,
+      min: [0, 'Points cannot be negative']
+    },
+    medium: {
+      type: Number,
+      default: 2,
+      min: [0, 'Points cannot be negative']
+    },
+    hard: {
+      type: Number,
+      default: 3,
+      min: [0, 'Points cannot be negative']
+    }
+  },
+  // Спецификация теста (тема × сложность). Пустая - вопросы выбираются по сложности 40/40/20 без учета тем
+  blueprint: {
+    type: [blueprintCellSchema],
+    default: []
+  },
+  // Параллельные варианты: ожидаемая доля баллов каждого теста выравнивается к targetShare с допуском tolerance
+  parallelForms: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // null - ожидаемая доля случайного теста того же состава
+    targetShare: {
+      type: Number,
+      default: null,
+      min: [0, 'Target share cannot be negative'],
+      max: [1, 'Target share cannot exceed 1']
+    },
+    tolerance: {
+      type: Number,
+      default: 0.05,
+      min: [0.005, 'Tolerance must be at least 0.005'],
+      max: [0.5, 'Tolerance cannot exceed 0.5']
+    }
+  },
+  // Контроль экспозиции вопросов: ограничение доли тестов с вопросом и предпочтение редко выпадавших вопросов
+  exposureControl: {
+    // Максимальная доля тестов соревнования, в которые может попасть вопрос; null - без ограничения
+    maxShare: {
+      type: Number,
+      default: null,
+      min: [0.01, 'Max share must be at least 0.01'],
+      max: [1, 'Max share cannot exceed 1']
+    },
+    preferUnderused: {
+      type: Boolean,
+      default: false
+    },
+    // Минимизация пересечения нового теста с уже выданными тестами соревнования
+    minimizeOverlap: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Адаптивный режим: следующий вопрос выбирается по ответам участника, итог - по оценке способности
+  adaptiveTesting: {
+    // Соревнования, тесты которых проходят в адаптивном режиме
+    competitions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Competition'
+    }],
+    // fixed_length - questionsPerTest соревнования вопросов;
+    // precision - до стандартной ошибки targetStandardError, но не меньше minQuestions и не больше questionsPerTest
+    stoppingRule: {
+      type: String,
+      enum: STOPPING_RULES,
+      default: 'fixed_length'
+    },
+    minQuestions: {
+      type: Number,
+      default: 5,
+      min: [1, 'Must ask at least 1 question']
+    },
+    targetStandardError: {
+      type: Number,
+      default: 0.3,
+      min: [0.1, 'Target standard error must be at least 0.1'],
+      max: [1, 'Target standard error cannot exceed 1']
+    },
+    // Следующий вопрос выбирается случайно из стольких самых информативных (1 - всегда самый информативный)
+    selectionWindow: {
+      type: Number,
+      default: 3,
+      min: [1, 'Selection window must be at least 1'],
+      max: [20, 'Selection window cannot exceed 20']
+    },
+    // Начальная оценка способности (в логитах, 0 - средний участник)
+    startingAbility: {
+      type: Number,
+      default: 0,
+      min: [-3, 'Starting ability cannot be less than -3'],
+      max: [3, 'Starting ability cannot exceed 3']
+    },
+    // Итоговый балл = mean + sd * способность (ограничен 0..100)
+    scoreScale: {
+      mean: {
+        type: Number,
+        default: 50,
+        min: [0, 'Scale mean cannot be negative'],
+        max: [100, 'Scale mean cannot exceed 100']
+      },
+      sd: {
+        type: Number,
+        default: 10,
+        min: [1, 'Scale standard deviation must be at least 1'],
+        max: [50, 'Scale standard deviation cannot exceed 50']
+      }
+    }
+  },
+  // Уровни серьезности правил проверки вопросов (id правила -> error/warning/info/off); не заданные - по умолчанию
+  lintRules: {
+    type: Map,
+    of: {
+      type: String,
+      enum: LINT_SEVERITIES
+    },
+    default: () => new Map()
+  },
+  // Минимальное сходство (0.5..1), при котором новый или импортируемый вопрос считается дубликатом вопроса банка
+  duplicateThreshold: {
+    type: Number,
+    default: DEFAULT_DUPLICATE_THRESHOLD,
+    min: [0.5, 'Duplicate threshold must be at least 0.5'],
+    max: [1, 'Duplicate threshold cannot exceed 1']
+  },
   maxAttempts: {
     type: Number,
     default: 1,
@@ -96,7 +269,6 @@ settingsSchema.statics.getCurrentSettings = async function() {
     // Создаем настройки по умолчанию, если их нет
     settings = new this({
       testDuration: 45,
-      testStarted: false,
       questionsPerTest: 30,
       createdBy: new mongoose.Types.ObjectId(), // Временный ID
       lastModifiedBy: new mongoose.Types.ObjectId()
@@ -107,50 +279,6 @@ settingsSchema.statics.getCurrentSettings = async function() {
   return settings;
 };
 
-// Метод для запуска тестирования
-settingsSchema.methods.startTest = async function() {
-  this.testStarted = true;
-  this.testStartTime = new Date();
-  await this.save();
-};
-
-// Метод для остановки тестирования
-settingsSchema.methods.stopTest = async function() {
-  this.testStarted = false;
-  this.testEndTime = new Date();
-  await this.save();
-};
-
-// Метод для проверки, активно ли тестирование
-settingsSchema.methods.isTestActive = function() {
-  return this.testStarted;
-};
-
-// Метод для получения оставшегося времени тестирования
-settingsSchema.methods.getRemainingTime = function() {
-  if (!this.testStarted || !this.testStartTime) {
-    return 0;
-  }
-  
-  const now = new Date();
-  const testEndTime = new Date(this.testStartTime.getTime() + this.testDuration * 60 * 1000);
-  const remainingTime = testEndTime.getTime() - now.getTime();
-  
-  return Math.max(0, Math.floor(remainingTime / 1000)); // в секундах
-};
-
-// Метод для проверки, истекло ли время тестирования
-settingsSchema.methods.isTestExpired = function() {
-  if (!this.testStarted || !this.testStartTime) {
-    return false;
-  }
-  
-  const now = new Date();
-  const testEndTime = new Date(this.testStartTime.getTime() + this.testDuration * 60 * 1000);
-  
-  return now > testEndTime;
-};
-
 // Метод для обновления настроек
 settingsSchema.methods.updateSettings = async function(updates, userId) {
   const allowedUpdates = [
@@ -161,6 +289,16 @@ settingsSchema.methods.updateSettings = async function(updates, userId) {
     'showCorrectAnswers',
     'randomizeQuestions',
     'randomizeOptions',
+    'navigationMode',
+    'wrongAnswerPenalty',
+    'blankAnswerPolicy',
+    'pointsByDifficulty',
+    'blueprint',
+    'parallelForms',
+    'exposureControl',
+    'adaptiveTesting',
+    'lintRules',
+    'duplicateThreshold',
     'maxAttempts',
     'passingScore',
     'instructions',
@@ -168,7 +306,19 @@ settingsSchema.methods.updateSettings = async function(updates, userId) {
   ];
   
   Object.keys(updates).forEach(key => {
-    if (allowedUpdates.includes(key)) {
+    if (!allowedUpdates.includes(key)) return;
+    
+    // Вложенные настройки обновляются частично: не переданные поля сохраняют значения
+    if (['pointsByDifficulty', 'parallelForms', 'exposureControl', 'adaptiveTesting'].includes(key)) {
+      const current = this.toObject()[key];
+      const merged = { ...current, ...updates[key] };
+      
+      if (key === 'adaptiveTesting' && updates[key].scoreScale) {
+        merged.scoreScale = { ...current.scoreScale, ...updates[key].scoreScale };
+      }
+      
+      this.set(key, merged);
+    } else {
       this[key] = updates[key];
     }
   });
@@ -179,19 +329,6 @@ settingsSchema.methods.updateSettings = async function(updates, userId) {
   return this;
 };
 
-// Виртуальное поле для получения статуса тестирования
-settingsSchema.virtual('testStatus').get(function() {
-  if (!this.testStarted) {
-    return 'NOT_STARTED';
-  }
-  
-  if (this.isTestExpired()) {
-    return 'EXPIRED';
-  }
-  
-  return 'ACTIVE';
-});
-
 // Виртуальное поле для получения времени в удобном формате
 settingsSchema.virtual('formattedDuration').get(function() {
   const hours = Math.floor(this.testDuration / 60);
@@ -204,20 +341,113 @@ settingsSchema.virtual('formattedDuration').get(function() {
   return `${minutes}мин`;
 });
 
+// Метод для получения политики начисления баллов (снимок для нового теста)
+settingsSchema.methods.getScoringPolicy = function() {
+  return {
+    wrongAnswerPenalty: this.wrongAnswerPenalty,
+    blankAnswerPolicy: this.blankAnswerPolicy,
+    pointsByDifficulty: {
+      easy: this.pointsByDifficulty.easy,
+      medium: this.pointsByDifficulty.medium,
+      hard: this.pointsByDifficulty.hard
+    }
+  };
+};
+
+// Метод для переноса ячеек спецификации на другую тему (после переименования или объединения тем).
+// Если у темы уже есть ячейка той же сложности, ячейки объединяются: границы складываются.
+// Возвращает количество перенесенных ячеек (настройки нужно сохранить)
+settingsSchema.methods.renameBlueprintTopic = function(fromNames, name) {
+  const fromKeys = new Set(fromNames.map(normalizeTopicName));
+  const cells = new Map();
+  let renamed = 0;
+  
+  this.blueprint.forEach(cell => {
+    const topic = fromKeys.has(normalizeTopicName(cell.topic)) ? name : cell.topic;
+    const key = getCellKey(topic, cell.difficulty);
+    const existing = cells.get(key);
+    
+    if (topic !== cell.topic) {
+      renamed++;
+    }
+    
+    if (existing) {
+      existing.min += cell.min || 0;
+      existing.max = existing.max === null || cell.max === null ? null : existing.max + cell.max;
+    } else {
+      cells.set(key, { topic, difficulty: cell.difficulty, min: cell.min || 0, max: cell.max ?? null });
+    }
+  });
+  
+  if (renamed > 0) {
+    this.blueprint = [...cells.values()];
+  }
+  
+  return renamed;
+};
+
+// Метод для получения снимка настроек, от которых зависит выборка вопросов (сохраняется в тесте)
+settingsSchema.methods.getGenerationSnapshot = function(questionsPerTest) {
+  const { parallelForms, exposureControl } = this.toObject();
+  
+  return {
+    questionsPerTest,
+    randomizeQuestions: this.randomizeQuestions,
+    randomizeOptions: this.randomizeOptions,
+    blueprint: this.blueprint.map(cell => ({
+      topic: cell.topic,
+      difficulty: cell.difficulty,
+      min: cell.min,
+      max: cell.max
+    })),
+    parallelForms: {
+      enabled: parallelForms.enabled,
+      targetShare: parallelForms.targetShare,
+      tolerance: parallelForms.tolerance
+    },
+    exposureControl: {
+      maxShare: exposureControl.maxShare,
+      preferUnderused: exposureControl.preferUnderused,
+      minimizeOverlap: exposureControl.minimizeOverlap
+    },
+    scoringPolicy: this.getScoringPolicy()
+  };
+};
+
+// Метод для проверки, проходят ли тесты соревнования в адаптивном режиме
+settingsSchema.methods.isAdaptiveCompetition = function(competitionId) {
+  return this.adaptiveTesting.competitions.some(id => id.toString() === competitionId.toString());
+};
+
+// Метод для получения снимка настроек адаптивного режима (сохраняется в тесте)
+settingsSchema.methods.getAdaptiveSnapshot = function(maxQuestions) {
+  const { stoppingRule, minQuestions, targetStandardError, selectionWindow, startingAbility, scoreScale } = this.toObject().adaptiveTesting;
+  
+  return {
+    stoppingRule,
+    minQuestions: Math.min(minQuestions, maxQuestions),
+    maxQuestions,
+    targetStandardError,
+    selectionWindow,
+    startingAbility,
+    scoreScale: { mean: scoreScale.mean, sd: scoreScale.sd },
+    randomizeOptions: this.randomizeOptions
+  };
+};
+
 // Метод для получения конфигурации для клиента
 settingsSchema.methods.getClientConfig = function() {
   return {
     testDuration: this.testDuration,
-    testStarted: this.testStarted,
     questionsPerTest: this.questionsPerTest,
-    testStartTime: this.testStartTime,
     showResultsImmediately: this.showResultsImmediately,
     showCorrectAnswers: this.showCorrectAnswers,
+    navigationMode: this.navigationMode,
+    wrongAnswerPenalty: this.wrongAnswerPenalty,
+    blankAnswerPolicy: this.blankAnswerPolicy,
     instructions: this.instructions,
     welcomeMessage: this.welcomeMessage,
     passingScore: this.passingScore,
-    remainingTime: this.getRemainingTime(),
-    testStatus: this.testStatus,
     formattedDuration: this.formattedDuration
   };
 };
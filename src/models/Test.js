@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const {
+  BLANK_ANSWER_POLICIES,
+  MANUAL_GRADING_TYPES,
+  isChoiceType,
+  isMultiSelectType,
+  isManualGradingType,
+  isTemplateType,
+  getQuestionPoints,
+  getBlankAnswerPoints,
+  scoreAnswer,
+  getScorePercentage,
+  getExpectedAnswer
+} = require('../utils/answerGrader');
+const { applyTemplateInstance, getTemplateDefinition, instantiateTemplate } = require('../utils/questionTemplate');
+const { createRandom, shuffleArray } = require('../utils/seededRandom');
+const {
+  getItemParameters,
+  estimateAbility,
+  selectNextQuestion,
+  getStopReason,
+  scaleAbility
+} = require('../utils/adaptiveTesting');
+const { ELIGIBLE_QUESTION_FILTER } = require('../utils/questionReview');
 
 const answerSchema = new mongoose.Schema({
   questionId: {
@@ -6,15 +29,69 @@ const answerSchema = new mongoose.Schema({
     ref: 'Question',
     required: true
   },
+  // Индекс вопроса в тесте
+  questionIndex: {
+    type: Number,
+    min: 0
+  },
+  // Индекс варианта в исходном порядке вопроса
   selectedAnswer: {
     type: Number,
-    required: true,
+    min: 0,
+    default: null
+  },
+  // Индекс варианта в порядке, показанном участнику
+  displayedAnswer: {
+    type: Number,
+    min: 0
+  },
+  // Выбранные варианты для multiple_choice: в исходном порядке и в показанном участнику
+  selectedAnswers: [{
+    type: Number,
     min: 0
+  }],
+  displayedAnswers: [{
+    type: Number,
+    min: 0
+  }],
+  // Введенный ответ для вопросов без вариантов (для written - текст решения)
+  response: {
+    type: String,
+    trim: true,
+    maxlength: 10000,
+    default: null
+  },
+  // Имя загруженного изображения решения в uploads/solutions/ (written)
+  attachment: {
+    type: String,
+    default: null
+  },
+  // auto - проверен автоматически; pending - ждет ручной проверки; graded - оценен проверяющим
+  gradingStatus: {
+    type: String,
+    enum: ['auto', 'pending', 'graded'],
+    default: 'auto'
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  gradedAt: {
+    type: Date,
+    default: null
+  },
+  graderComment: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: null
   },
   isCorrect: {
     type: Boolean,
     required: true
   },
+  // Может быть дробным при частичном зачете
   points: {
     type: Number,
     default: 0
@@ -29,24 +106,188 @@ const testSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    required: true
+  },
+  competitionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Competition',
+    required: true
   },
   questions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Question',
     required: true
   }],
+  // Перестановка вариантов для каждого вопроса: optionOrders[i][показанный индекс] = исходный индекс.
+  // Пустая перестановка означает исходный порядок
+  optionOrders: {
+    type: [[Number]],
+    default: []
+  },
+  // Значения параметров вопросов-шаблонов, подобранные для участника, и вычисленный по ним ответ
+  questionInstances: [{
+    _id: false,
+    questionIndex: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    values: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    correctValue: String
+  }],
+  // Ревизии вопросов, показанные участнику: questionRevisions[i] - ревизия вопроса questions[i].
+  // Закрепляются при начале теста; до начала показываются текущие версии вопросов
+  questionRevisions: {
+    type: [Number],
+    default: []
+  },
   answers: [answerSchema],
+  // Индексы вопросов, отмеченных участником для повторного просмотра
+  flaggedQuestions: [{
+    type: Number,
+    min: 0
+  }],
+  // Режим навигации фиксируется при начале теста
+  navigationMode: {
+    type: String,
+    enum: ['linear', 'free'],
+    default: 'linear'
+  },
+  // Политика начисления баллов - снимок настроек на момент генерации теста
+  // (значения по умолчанию соответствуют тестам, созданным до появления политики)
+  scoringPolicy: {
+    wrongAnswerPenalty: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1
+    },
+    blankAnswerPolicy: {
+      type: String,
+      enum: BLANK_ANSWER_POLICIES,
+      default: 'zero'
+    },
+    pointsByDifficulty: {
+      easy: { type: Number, default: 1 },
+      medium: { type: Number, default: 1 },
+      hard: { type: Number, default: 1 }
+    }
+  },
+  // Ожидаемая трудность теста на момент генерации (при включенных параллельных вариантах)
+  formBalance: {
+    expectedScore: { type: Number, default: null },
+    expectedShare: { type: Number, default: null },
+    targetShare: { type: Number, default: null },
+    withinTolerance: { type: Boolean, default: null }
+  },
+  // Аудит генерации: по сиду, снимку настроек и снимку банка вопросов выборку можно повторить.
+  // algorithmVersion 1 - тесты, созданные до появления сида
+  generation: {
+    seed: {
+      type: String,
+      default: null
+    },
+    algorithmVersion: {
+      type: Number,
+      default: 1
+    },
+    settingsSnapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    poolSnapshotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuestionPoolSnapshot',
+      default: null
+    },
+    // Входные данные контроля экспозиции: тесты соревнования, выданные до этого теста
+    exposure: {
+      priorTests: {
+        type: Number,
+        default: null
+      },
+      plannedTests: {
+        type: Number,
+        default: null
+      },
+      hash: {
+        type: String,
+        default: null
+      },
+      // Вопросы сверх лимита доли тестов (взяты, потому что без них тест не собрать)
+      overCapQuestions: {
+        type: Number,
+        default: 0
+      }
+    },
+    generatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Адаптивный режим: вопросы добавляются по одному, следующий выбирается по оценке способности участника
+  adaptive: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Снимок настроек адаптивного режима (Settings.getAdaptiveSnapshot)
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    ability: {
+      type: Number,
+      default: null
+    },
+    standardError: {
+      type: Number,
+      default: null
+    },
+    // Параметры отвеченных вопросов на момент ответа и оценка способности после каждого ответа
+    history: [{
+      _id: false,
+      questionIndex: Number,
+      questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question'
+      },
+      difficulty: Number,
+      discrimination: Number,
+      isCorrect: Boolean,
+      ability: Number,
+      standardError: Number
+    }],
+    // fixed_length, precision или pool_exhausted; null - тест еще идет или завершен по времени
+    stopReason: {
+      type: String,
+      enum: ['fixed_length', 'precision', 'pool_exhausted', null],
+      default: null
+    }
+  },
+  // Итоговый балл не опускается ниже нуля, даже если штрафы превышают набранные баллы
   score: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Сумма весов вопросов теста, вычисляется при генерации
   maxScore: {
     type: Number,
     default: 30
   },
+  // Штраф за вопросы без ответа (при blankAnswerPolicy = penalty), начисляется при завершении
+  blankPoints: {
+    type: Number,
+    default: 0
+  },
   isCompleted: {
     type: Boolean,
     default: false
@@ -59,10 +300,26 @@ const testSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Персональный дедлайн участника: startedAt + длительность соревнования
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  completionReason: {
+    type: String,
+    enum: ['submitted', 'timeout', 'competition_closed', null],
+    default: null
+  },
   timeSpent: {
     type: Number, // в секундах
     default: 0
   },
+  // pending - есть развернутые решения, ожидающие ручной проверки; итоговый балл еще не известен
+  resultStatus: {
+    type: String,
+    enum: ['final', 'pending'],
+    default: 'final'
+  },
   ipAddress: {
     type: String,
     default: null
@@ -76,50 +333,338 @@ const testSchema = new mongoose.Schema({
 });
 
 // Индексы для оптимизации
-testSchema.index({ userId: 1 }, { unique: true });
+testSchema.index({ userId: 1, competitionId: 1 }, { unique: true });
+testSchema.index({ competitionId: 1, isCompleted: 1 });
+testSchema.index({ isCompleted: 1, expiresAt: 1 });
 testSchema.index({ isCompleted: 1 });
+testSchema.index({ 'answers.gradingStatus': 1, competitionId: 1 });
 testSchema.index({ score: -1 });
 testSchema.index({ createdAt: -1 });
 
+// Метод для получения перестановки вариантов вопроса
+testSchema.methods.getOptionOrder = function(index, optionsCount) {
+  const order = this.optionOrders[index];
+  
+  // Если количество вариантов изменилось после генерации, используем исходный порядок
+  if (!order || order.length !== optionsCount) {
+    return Array.from({ length: optionsCount }, (_, i) => i);
+  }
+  
+  return order.slice();
+};
+
+// Метод для перевода показанного индекса варианта в исходный
+testSchema.methods.toCanonicalAnswer = function(index, displayedAnswer, optionsCount) {
+  const order = this.getOptionOrder(index, optionsCount);
+  return displayedAnswer < order.length ? order[displayedAnswer] : displayedAnswer;
+};
+
+// Метод для перевода исходного индекса варианта в показанный
+testSchema.methods.toDisplayedAnswer = function(index, canonicalAnswer, optionsCount) {
+  const displayed = this.getOptionOrder(index, optionsCount).indexOf(canonicalAnswer);
+  return displayed === -1 ? canonicalAnswer : displayed;
+};
+
+// Метод для получения экземпляра вопроса-шаблона (значения параметров участника)
+testSchema.methods.getQuestionInstance = function(index) {
+  return this.questionInstances.find(instance => instance.questionIndex === index) || null;
+};
+
+// Метод для подстановки значений участника в вопрос-шаблон (остальные вопросы возвращаются как есть)
+testSchema.methods.resolveQuestion = function(index, question) {
+  return isTemplateType(question.type) ? applyTemplateInstance(question, this.getQuestionInstance(index)) : question;
+};
+
+// Метод для закрепления текущих ревизий вопросов теста (при начале теста)
+testSchema.methods.pinQuestionRevisions = async function() {
+  const Question = require('./Question');
+  const questions = await Question.find({ _id: { $in: this.questions } }).select('revision').lean();
+  const revisions = new Map(questions.map(question => [question._id.toString(), question.revision || 1]));
+  
+  this.questionRevisions = this.questions.map(id => revisions.get(id.toString()) || 1);
+};
+
+// Метод для получения закрепленных ревизий вопросов: Map(questionId -> ревизия)
+testSchema.methods.getRevisionPins = function() {
+  return new Map(this.questions
+    .map((id, index) => [id.toString(), this.questionRevisions[index]])
+    .filter(([, revision]) => revision !== undefined && revision !== null));
+};
+
+// Метод для загрузки вопросов теста в закрепленных ревизиях: Map(questionId -> вопрос)
+testSchema.methods.loadQuestions = async function(questionIds = this.questions) {
+  const Question = require('./Question');
+  const QuestionRevision = require('./QuestionRevision');
+  const questions = await Question.find({ _id: { $in: questionIds } });
+  
+  return QuestionRevision.applyPinnedRevisions(questions, this.getRevisionPins());
+};
+
+// Метод для загрузки вопроса теста по индексу в закрепленной ревизии
+testSchema.methods.loadQuestion = async function(index) {
+  const questions = await this.loadQuestions([this.questions[index]]);
+  return questions.get(this.questions[index].toString()) || null;
+};
+
+// Метод для проверки, проходит ли тест в адаптивном режиме
+testSchema.methods.isAdaptive = function() {
+  return Boolean(this.adaptive && this.adaptive.enabled);
+};
+
+// Метод для получения числа вопросов теста (для адаптивного теста - наибольшего возможного)
+testSchema.methods.getPlannedQuestionsCount = function() {
+  return this.isAdaptive() ? this.adaptive.settings.maxQuestions : this.questions.length;
+};
+
+// Метод для пересчета оценки способности по ответам адаптивного теста
+testSchema.methods.updateAbility = function() {
+  const { history, settings } = this.adaptive;
+  const { ability, standardError } = estimateAbility(history, settings.startingAbility);
+  
+  this.adaptive.ability = ability;
+  this.adaptive.standardError = standardError;
+  
+  if (history.length > 0) {
+    history[history.length - 1].ability = ability;
+    history[history.length - 1].standardError = standardError;
+  }
+};
+
+// Метод для выбора следующего вопроса адаптивного теста (null - тест пора завершать).
+// Выбор определяется сидом теста и номером вопроса, поэтому повторный запрос дает тот же вопрос
+testSchema.methods.selectNextAdaptiveQuestion = async function() {
+  const Question = require('./Question');
+  const QuestionGroup = require('./QuestionGroup');
+  const config = this.adaptive.settings;
+  
+  // Развернутые решения проверяются вручную и не могут сразу уточнить оценку; вопросы групп не выдаются по одному
+  const groupedIds = await QuestionGroup.distinct('questions');
+  const candidates = await Question.find({
+    ...ELIGIBLE_QUESTION_FILTER,
+    type: { $nin: MANUAL_GRADING_TYPES },
+    _id: { $nin: [...this.questions, ...groupedIds] }
+  })
+    .select('type difficulty calibration options parameters answerFormula answerPrecision parameterConstraint revision')
+    .sort({ _id: 1 })
+    .lean();
+  
+  const stopReason = getStopReason({
+    answered: this.adaptive.history.length,
+    standardError: this.adaptive.standardError,
+    candidatesLeft: candidates.length
+  }, config);
+  
+  if (stopReason) {
+    this.adaptive.stopReason = stopReason;
+    return null;
+  }
+  
+  const random = createRandom(`${this.generation.seed}:${this.questions.length}`);
+  const question = selectNextQuestion(candidates, this.adaptive.ability, random, config.selectionWindow);
+  const index = this.questions.length;
+  
+  this.questions.push(question._id);
+  
+  // Вопрос, добавленный после начала теста, сразу закрепляется в текущей ревизии
+  if (this.startedAt && this.questionRevisions.length === index) {
+    this.questionRevisions.push(question.revision || 1);
+  }
+  
+  if (config.randomizeOptions) {
+    this.optionOrders.push(shuffleArray(Array.from({ length: (question.options || []).length }, (_, i) => i), random));
+  }
+  
+  if (isTemplateType(question.type)) {
+    this.questionInstances.push({
+      questionIndex: index,
+      questionId: question._id,
+      ...instantiateTemplate(getTemplateDefinition(question), random)
+    });
+  }
+  
+  return question;
+};
+
 // Метод для получения вопроса по индексу
 testSchema.methods.getQuestion = async function(index) {
   if (index < 0 || index >= this.questions.length) {
     throw new Error('Invalid question index');
   }
   
-  const Question = require('./Question');
-  const question = await Question.findById(this.questions[index]);
+  const question = await this.loadQuestion(index);
   
   if (!question) {
     throw new Error('Question not found');
   }
   
+  const resolved = this.resolveQuestion(index, question);
+  
+  // Общее условие группы показывается с каждым ее вопросом
+  const QuestionGroup = require('./QuestionGroup');
+  const group = await QuestionGroup.findByQuestion(question._id);
+  
+  // Изображения вариантов идут в том же порядке, что и варианты у участника (null - варианта без изображения)
+  const optionOrder = this.getOptionOrder(index, question.options.length);
+  const optionImages = question.optionImages || [];
+  
   return {
     id: question._id,
-    title: question.title,
-    description: question.description,
-    options: question.options,
+    title: resolved.title,
+    description: resolved.description,
+    type: question.type,
+    options: optionOrder.map(i => question.options[i]),
+    optionImages: optionOrder.map(i => {
+      const item = optionImages.find(optionImage => optionImage.option === i);
+      return item ? { image: item.image, alt: item.alt } : null;
+    }),
     difficulty: question.difficulty,
     topic: question.topic,
-    points: question.points,
+    points: getQuestionPoints(question, this.scoringPolicy),
     image: question.image,
+    imageAlt: question.imageAlt,
+    group: group ? group.getStemFor(question._id) : null,
     index: index
   };
 };
 
+// Метод для получения индекса вопроса, к которому относится ответ
+testSchema.methods.getAnswerQuestionIndex = function(position) {
+  const answer = this.answers[position];
+  
+  // Ответы, сохраненные до появления questionIndex, идут строго по порядку
+  return answer.questionIndex !== undefined && answer.questionIndex !== null ? answer.questionIndex : position;
+};
+
+// Метод для получения ответа на вопрос по индексу вопроса
+testSchema.methods.findAnswer = function(index) {
+  const position = this.answers.findIndex((answer, i) => this.getAnswerQuestionIndex(i) === index);
+  return position === -1 ? null : this.answers[position];
+};
+
+// Метод для получения индекса первого вопроса без ответа
+testSchema.methods.getFirstUnansweredIndex = function() {
+  if (this.navigationMode !== 'free') {
+    return this.answers.length < this.questions.length ? this.answers.length : -1;
+  }
+  
+  for (let index = 0; index < this.questions.length; index++) {
+    if (!this.findAnswer(index)) {
+      return index;
+    }
+  }
+  
+  return -1;
+};
+
 // Метод для получения текущего вопроса
 testSchema.methods.getCurrentQuestion = async function() {
-  const currentIndex = this.answers.length;
+  const currentIndex = this.getFirstUnansweredIndex();
   
-  if (currentIndex >= this.questions.length) {
-    return null; // Тест завершен
+  if (currentIndex === -1) {
+    return null; // Все вопросы отвечены
   }
   
   return await this.getQuestion(currentIndex);
 };
 
+// Метод для получения правильного ответа в том виде, в котором его видел участник
+testSchema.methods.getDisplayedCorrectAnswer = function(index, question) {
+  const optionsCount = question.options.length;
+  
+  if (isMultiSelectType(question.type)) {
+    return question.correctAnswers
+      .map(answer => this.toDisplayedAnswer(index, answer, optionsCount))
+      .sort((a, b) => a - b);
+  }
+  
+  if (isChoiceType(question.type)) {
+    return this.toDisplayedAnswer(index, question.correctAnswer, optionsCount);
+  }
+  
+  return getExpectedAnswer(question);
+};
+
+// Метод для преобразования ответа участника в поля сохраняемого ответа
+testSchema.methods.buildAnswerFields = function(questionIndex, question, submission) {
+  if (isMultiSelectType(question.type)) {
+    const displayedAnswers = submission.selectedAnswer;
+    
+    if (!Array.isArray(displayedAnswers) || displayedAnswers.length === 0 ||
+        !displayedAnswers.every(answer => Number.isInteger(answer))) {
+      throw new Error('Answer type mismatch');
+    }
+    
+    if (displayedAnswers.some(answer => answer >= question.options.length)) {
+      throw new Error('Invalid option index');
+    }
+    
+    const uniqueAnswers = [...new Set(displayedAnswers)].sort((a, b) => a - b);
+    
+    return {
+      selectedAnswer: null,
+      displayedAnswer: null,
+      selectedAnswers: uniqueAnswers
+        .map(answer => this.toCanonicalAnswer(questionIndex, answer, question.options.length))
+        .sort((a, b) => a - b),
+      displayedAnswers: uniqueAnswers,
+      response: null
+    };
+  }
+  
+  if (isManualGradingType(question.type)) {
+    const response = typeof submission.response === 'string' ? submission.response.trim() : '';
+    
+    if (response === '' && !submission.attachment) {
+      throw new Error('Answer type mismatch');
+    }
+    
+    return {
+      selectedAnswer: null,
+      displayedAnswer: null,
+      selectedAnswers: [],
+      displayedAnswers: [],
+      response: response || null,
+      attachment: submission.attachment || null,
+      gradingStatus: 'pending'
+    };
+  }
+  
+  if (isChoiceType(question.type)) {
+    const displayedAnswer = submission.selectedAnswer;
+    
+    if (!Number.isInteger(displayedAnswer)) {
+      throw new Error('Answer type mismatch');
+    }
+    
+    if (displayedAnswer >= question.options.length) {
+      throw new Error('Invalid option index');
+    }
+    
+    // Участник отвечает в показанном ему порядке вариантов
+    return {
+      selectedAnswer: this.toCanonicalAnswer(questionIndex, displayedAnswer, question.options.length),
+      displayedAnswer,
+      selectedAnswers: [],
+      displayedAnswers: [],
+      response: null
+    };
+  }
+  
+  if (typeof submission.response !== 'string' || submission.response.trim() === '') {
+    throw new Error('Answer type mismatch');
+  }
+  
+  return {
+    selectedAnswer: null,
+    displayedAnswer: null,
+    selectedAnswers: [],
+    displayedAnswers: [],
+    response: submission.response.trim()
+  };
+};
+
 // Метод для отправки ответа
-testSchema.methods.submitAnswer = async function(questionIndex, selectedAnswer) {
+testSchema.methods.submitAnswer = async function(questionIndex, submission) {
   if (this.isCompleted) {
     throw new Error('Test is already completed');
   }
@@ -129,46 +674,219 @@ testSchema.methods.submitAnswer = async function(questionIndex, selectedAnswer)
   }
   
   const Question = require('./Question');
-  const question = await Question.findById(this.questions[questionIndex]);
+  const question = await this.loadQuestion(questionIndex);
   
   if (!question) {
     throw new Error('Question not found');
   }
   
-  const isCorrect = selectedAnswer === question.correctAnswer;
-  const points = isCorrect ? question.points : 0;
+  const fields = this.buildAnswerFields(questionIndex, question, submission);
+  const resolved = this.resolveQuestion(questionIndex, question);
+  
+  const { isCorrect, points } = scoreAnswer(resolved, fields, this.scoringPolicy);
   
   this.answers.push({
     questionId: question._id,
-    selectedAnswer,
+    questionIndex,
+    ...fields,
     isCorrect,
     points,
     answeredAt: new Date()
   });
   
-  this.score += points;
+  // В адаптивном режиме ответ уточняет оценку способности, по которой выбирается следующий вопрос
+  if (this.isAdaptive()) {
+    const { difficulty, discrimination } = getItemParameters(question);
+    this.adaptive.history.push({ questionIndex, questionId: question._id, difficulty, discrimination, isCorrect });
+    this.updateAbility();
+    await this.selectNextAdaptiveQuestion();
+  }
   
-  // Увеличиваем счетчик использования вопроса
-  await question.incrementUsage();
+  this.recalculateScore();
   
   await this.save();
   
+  // Ответ учитывается в статистике вопроса (развернутое решение - после ручной проверки)
+  await Question.recordAnswerStats([Question.getAnswerStatsDelta(this.answers[this.answers.length - 1], null, 1)]);
+  
   return {
     isCorrect,
     points,
-    correctAnswer: question.correctAnswer,
+    pendingGrading: fields.gradingStatus === 'pending',
+    correctAnswer: this.getDisplayedCorrectAnswer(questionIndex, resolved),
     explanation: question.explanation
   };
 };
 
+// Метод для сохранения (или замены) ответа без проверки - для свободной навигации
+testSchema.methods.saveAnswer = async function(questionIndex, submission) {
+  if (this.isCompleted) {
+    throw new Error('Test is already completed');
+  }
+  
+  if (questionIndex < 0 || questionIndex >= this.questions.length) {
+    throw new Error('Invalid question index');
+  }
+  
+  const question = await this.loadQuestion(questionIndex);
+  
+  if (!question) {
+    throw new Error('Question not found');
+  }
+  
+  const fields = this.buildAnswerFields(questionIndex, question, submission);
+  const existingAnswer = this.findAnswer(questionIndex);
+  
+  // Правильность определяется только при сдаче теста
+  if (existingAnswer) {
+    existingAnswer.set(fields);
+    existingAnswer.answeredAt = new Date();
+  } else {
+    this.answers.push({
+      questionId: question._id,
+      questionIndex,
+      ...fields,
+      isCorrect: false,
+      points: 0,
+      answeredAt: new Date()
+    });
+  }
+  
+  await this.save();
+};
+
+// Метод для удаления ответа на вопрос - для свободной навигации
+testSchema.methods.clearAnswer = async function(questionIndex) {
+  if (this.isCompleted) {
+    throw new Error('Test is already completed');
+  }
+  
+  if (questionIndex < 0 || questionIndex >= this.questions.length) {
+    throw new Error('Invalid question index');
+  }
+  
+  const answer = this.findAnswer(questionIndex);
+  if (answer) {
+    this.answers.pull(answer);
+    await this.save();
+  }
+};
+
+// Метод для установки или снятия отметки "вернуться позже"
+testSchema.methods.setFlag = async function(questionIndex, flagged) {
+  if (this.isCompleted) {
+    throw new Error('Test is already completed');
+  }
+  
+  if (questionIndex < 0 || questionIndex >= this.questions.length) {
+    throw new Error('Invalid question index');
+  }
+  
+  const isFlagged = this.flaggedQuestions.includes(questionIndex);
+  
+  if (flagged && !isFlagged) {
+    this.flaggedQuestions.push(questionIndex);
+  } else if (!flagged && isFlagged) {
+    this.flaggedQuestions.pull(questionIndex);
+  }
+  
+  await this.save();
+};
+
+// Метод для получения палитры вопросов: состояние каждого вопроса без раскрытия правильности
+testSchema.methods.getPalette = function() {
+  const questions = this.questions.map((questionId, index) => {
+    const answer = this.findAnswer(index);
+    
+    return {
+      index,
+      state: answer ? 'answered' : 'unanswered',
+      flagged: this.flaggedQuestions.includes(index),
+      displayedAnswer: answer ? answer.displayedAnswer : null,
+      displayedAnswers: answer ? answer.displayedAnswers : [],
+      response: answer ? answer.response : null,
+      attachment: answer ? answer.attachment : null
+    };
+  });
+  
+  return {
+    questions,
+    summary: {
+      total: questions.length,
+      answered: questions.filter(q => q.state === 'answered').length,
+      unanswered: questions.filter(q => q.state === 'unanswered').length,
+      flagged: questions.filter(q => q.flagged).length
+    }
+  };
+};
+
+// Метод для проверки всех сохраненных ответов (при сдаче теста в свободном режиме).
+// Возвращает изменения статистики вопросов, которые учитываются после сохранения теста
+testSchema.methods.gradeAnswers = async function() {
+  const Question = require('./Question');
+  const questionsById = await this.loadQuestions(this.answers.map(answer => answer.questionId));
+  const answerStats = [];
+  
+  for (const [position, answer] of this.answers.entries()) {
+    const question = questionsById.get(answer.questionId.toString());
+    const resolved = question ? this.resolveQuestion(this.getAnswerQuestionIndex(position), question) : null;
+    
+    const result = resolved ? scoreAnswer(resolved, answer, this.scoringPolicy) : { isCorrect: false, points: 0 };
+    
+    answer.isCorrect = result.isCorrect;
+    answer.points = result.points;
+    
+    if (question) {
+      answerStats.push(Question.getAnswerStatsDelta(answer, null, 1));
+    }
+  }
+  
+  return answerStats;
+};
+
+// Метод для начисления штрафа за вопросы без ответа (если пропуск приравнен к неверному ответу)
+testSchema.methods.applyBlankAnswerPolicy = async function() {
+  this.blankPoints = 0;
+  
+  // Балл адаптивного теста определяется оценкой способности, а не суммой баллов
+  if (this.isAdaptive() || this.scoringPolicy.blankAnswerPolicy !== 'penalty' || !this.scoringPolicy.wrongAnswerPenalty) {
+    return;
+  }
+  
+  const unansweredIds = this.questions.filter((questionId, index) => !this.findAnswer(index));
+  if (unansweredIds.length === 0) {
+    return;
+  }
+  
+  const questionsById = await this.loadQuestions(unansweredIds);
+  
+  const blankPoints = unansweredIds.reduce((sum, questionId) => {
+    const question = questionsById.get(questionId.toString());
+    return sum + (question ? getBlankAnswerPoints(question, this.scoringPolicy) : 0);
+  }, 0);
+  
+  this.blankPoints = Math.round(blankPoints * 100) / 100;
+};
+
 // Метод для завершения теста
-testSchema.methods.completeTest = async function() {
+testSchema.methods.completeTest = async function(reason = 'submitted') {
   if (this.isCompleted) {
     return;
   }
   
+  const now = new Date();
+  
+  // В свободном режиме ответы проверяются только при сдаче
+  const answerStats = this.navigationMode === 'free' ? await this.gradeAnswers() : [];
+  
+  await this.applyBlankAnswerPolicy();
+  this.recalculateScore();
+  
   this.isCompleted = true;
-  this.completedAt = new Date();
+  this.completionReason = reason;
+  this.resultStatus = this.hasPendingGrading() ? 'pending' : 'final';
+  // При завершении по таймауту время фиксируется по дедлайну, а не по моменту обнаружения
+  this.completedAt = reason === 'timeout' && this.expiresAt && this.expiresAt < now ? this.expiresAt : now;
   
   if (this.startedAt) {
     this.timeSpent = Math.floor((this.completedAt - this.startedAt) / 1000);
@@ -176,48 +894,172 @@ testSchema.methods.completeTest = async function() {
   
   await this.save();
   
-  // Обновляем статус пользователя
-  const User = require('./User');
-  await User.findByIdAndUpdate(this.userId, {
-    testEndTime: this.completedAt
-  });
+  if (answerStats.length > 0) {
+    const Question = require('./Question');
+    await Question.recordAnswerStats(answerStats);
+  }
 };
 
-// Метод для получения результатов теста
-testSchema.methods.getResults = function() {
+// Метод для проверки наличия ответов, ожидающих ручной проверки
+testSchema.methods.hasPendingGrading = function() {
+  return this.answers.some(answer => answer.gradingStatus === 'pending');
+};
+
+// Метод для пересчета итогового балла по баллам ответов и штрафу за пропуски
+// (для адаптивного теста - по оценке способности)
+testSchema.methods.recalculateScore = function() {
+  if (this.isAdaptive()) {
+    const { ability, settings } = this.adaptive;
+    this.score = scaleAbility(ability ?? settings.startingAbility, settings.scoreScale);
+    return;
+  }
+  
+  const score = this.answers.reduce((sum, answer) => sum + (answer.points || 0), this.blankPoints || 0);
+  this.score = Math.max(0, Math.round(score * 100) / 100);
+};
+
+// Метод для выставления (или изменения) оценки развернутого решения проверяющим
+testSchema.methods.gradeWrittenAnswer = async function(questionIndex, { points, comment, graderId }) {
+  if (!this.isCompleted) {
+    throw new Error('Test is not completed');
+  }
+  
+  const answer = this.findAnswer(questionIndex);
+  if (!answer || answer.gradingStatus === 'auto') {
+    throw new Error('Answer does not require manual grading');
+  }
+  
+  const Question = require('./Question');
+  const question = await this.loadQuestion(questionIndex);
+  
+  if (!question) {
+    throw new Error('Question not found');
+  }
+  
+  const maxPoints = getQuestionPoints(question, this.scoringPolicy);
+  
+  if (points < 0 || points > maxPoints) {
+    throw new Error('Points out of range');
+  }
+  
+  // Прежняя оценка нужна, чтобы при повторной проверке статистика вопроса изменилась на разницу
+  const previous = { gradingStatus: answer.gradingStatus, isCorrect: answer.isCorrect, points: answer.points };
+  
+  answer.points = points;
+  answer.isCorrect = points === maxPoints;
+  answer.gradingStatus = 'graded';
+  answer.graderComment = comment || null;
+  answer.gradedBy = graderId;
+  answer.gradedAt = new Date();
+  
+  this.recalculateScore();
+  this.resultStatus = this.hasPendingGrading() ? 'pending' : 'final';
+  
+  await this.save();
+  
+  await Question.recordAnswerStats([Question.getAnswerStatsDelta(answer, previous)]);
+  
+  return answer;
+};
+
+// Метод для получения оставшегося времени участника (в секундах)
+testSchema.methods.getTimeRemaining = function(testDuration) {
+  if (!this.startedAt) {
+    return testDuration * 60;
+  }
+  
+  const elapsed = Math.floor((new Date() - this.startedAt) / 1000);
+  return Math.max(0, testDuration * 60 - elapsed);
+};
+
+// Метод для проверки истечения времени участника
+testSchema.methods.isTimeExpired = function(testDuration) {
+  if (!this.startedAt) return false;
+  
+  const testEndTime = new Date(this.startedAt.getTime() + testDuration * 60 * 1000);
+  return new Date() > testEndTime;
+};
+
+// Метод для получения результатов теста.
+// Пока не проверены все развернутые решения, итог скрыт (includeProvisional - показать промежуточный, для админа)
+testSchema.methods.getResults = function({ includeProvisional = false } = {}) {
   const totalQuestions = this.questions.length;
   const answeredQuestions = this.answers.length;
   const correctAnswers = this.answers.filter(answer => answer.isCorrect).length;
-  const percentage = totalQuestions > 0 ? (correctAnswers / totalQuestions) * 100 : 0;
+  const isPending = this.resultStatus === 'pending' && !includeProvisional;
   
   return {
     totalQuestions,
     answeredQuestions,
-    correctAnswers,
-    score: this.score,
+    correctAnswers: isPending ? null : correctAnswers,
+    score: isPending ? null : this.score,
     maxScore: this.maxScore,
-    percentage: Math.round(percentage * 100) / 100,
+    blankPoints: this.blankPoints,
+    percentage: isPending ? null : getScorePercentage(this.score, this.maxScore),
+    resultStatus: this.resultStatus,
+    pendingGrading: this.answers.filter(answer => answer.gradingStatus === 'pending').length,
     timeSpent: this.timeSpent,
     isCompleted: this.isCompleted,
+    completionReason: this.completionReason,
     startedAt: this.startedAt,
-    completedAt: this.completedAt
+    completedAt: this.completedAt,
+    ...(this.isAdaptive() ? {
+      adaptive: {
+        ability: isPending ? null : this.adaptive.ability,
+        standardError: isPending ? null : this.adaptive.standardError,
+        stopReason: this.adaptive.stopReason
+      }
+    } : {})
   };
 };
 
+// Метод для проверки, пройден ли тест: процент набранных баллов (с весами вопросов и штрафами) не ниже проходного.
+// Пока есть непроверенные развернутые решения - null
+testSchema.methods.isPassed = function(passingScore) {
+  if (this.resultStatus === 'pending') {
+    return null;
+  }
+  
+  return getScorePercentage(this.score, this.maxScore) >= passingScore;
+};
+
 // Метод для получения детальной статистики
 testSchema.methods.getDetailedStats = async function() {
-  const Question = require('./Question');
+  // Вопросы в тех ревизиях, которые видел участник
+  const questionsById = await this.loadQuestions(this.answers.map(answer => answer.questionId));
   
   const detailedAnswers = await Promise.all(
-    this.answers.map(async (answer) => {
-      const question = await Question.findById(answer.questionId);
+    this.answers.map(async (answer, position) => {
+      const index = this.getAnswerQuestionIndex(position);
+      const stored = questionsById.get(answer.questionId.toString());
+      const question = stored ? this.resolveQuestion(index, stored) : null;
+      const optionsCount = question ? question.options.length : 0;
+      const hasOptions = question ? isChoiceType(question.type) : false;
+      
+      // Исходные индексы (selectedAnswer(s), correctAnswer) и индексы в порядке, показанном участнику;
+      // для вопросов без вариантов - введенный ответ (response) и правильное значение (correctAnswer)
       return {
+        questionIndex: index,
         questionId: answer.questionId,
+        questionRevision: question ? question.revision || 1 : null,
         questionTitle: question ? question.title : 'Unknown',
+        questionType: question ? question.type : 'unknown',
         selectedAnswer: answer.selectedAnswer,
-        correctAnswer: question ? question.correctAnswer : null,
+        selectedAnswers: answer.selectedAnswers,
+        response: answer.response,
+        attachment: answer.attachment,
+        correctAnswer: question ? getExpectedAnswer(question) : null,
+        parameterValues: question && question.parameterValues ? question.parameterValues : undefined,
+        displayedAnswer: answer.displayedAnswer !== undefined ? answer.displayedAnswer : answer.selectedAnswer,
+        displayedAnswers: answer.displayedAnswers,
+        displayedCorrectAnswer: hasOptions ? this.getDisplayedCorrectAnswer(index, question) : null,
+        optionOrder: hasOptions ? this.getOptionOrder(index, optionsCount) : [],
+        scoringRule: question && isMultiSelectType(question.type) ? question.scoringRule : undefined,
         isCorrect: answer.isCorrect,
         points: answer.points,
+        maxPoints: question ? getQuestionPoints(question, this.scoringPolicy) : null,
+        gradingStatus: answer.gradingStatus,
+        graderComment: answer.graderComment,
         difficulty: question ? question.difficulty : 'unknown',
         topic: question ? question.topic : 'unknown',
         answeredAt: answer.answeredAt
@@ -225,12 +1067,48 @@ testSchema.methods.getDetailedStats = async function() {
     })
   );
   
-  return detailedAnswers;
+  return detailedAnswers.sort((a, b) => a.questionIndex - b.questionIndex);
+};
+
+// Статический метод для завершения всех незавершенных тестов соревнования
+testSchema.statics.completeActiveTests = async function(competitionId) {
+  const activeTests = await this.find({ competitionId, isCompleted: false });
+  let completedCount = 0;
+  
+  for (const test of activeTests) {
+    await test.completeTest('competition_closed');
+    completedCount++;
+  }
+  
+  return completedCount;
+};
+
+// Статический метод для завершения тестов с истекшим персональным временем
+testSchema.statics.completeExpiredTests = async function(limit = 500) {
+  const expiredTests = await this.find({
+    isCompleted: false,
+    expiresAt: { $ne: null, $lte: new Date() }
+  }).limit(limit);
+  
+  let completedCount = 0;
+  
+  // Ошибка одного теста не должна останавливать завершение остальных
+  for (const test of expiredTests) {
+    try {
+      await test.completeTest('timeout');
+      completedCount++;
+    } catch (error) {
+      console.error(`Failed to complete expired test ${test._id}:`, error);
+    }
+  }
+  
+  return completedCount;
 };
 
 // Статический метод для получения статистики по всем тестам
-testSchema.statics.getOverallStats = async function() {
+testSchema.statics.getOverallStats = async function(filter = {}) {
   const stats = await this.aggregate([
+    { $match: filter },
     {
       $group: {
         _id: null,
@@ -259,12 +1137,14 @@ testSchema.statics.getOverallStats = async function() {
 };
 
 // Статический метод для получения топ результатов
-testSchema.statics.getTopResults = async function(limit = 10) {
-  return await this.find({ isCompleted: true })
+testSchema.statics.getTopResults = async function(limit = 10, filter = {}) {
+  // Тесты с непроверенными развернутыми решениями в рейтинг не попадают
+  return await this.find({ ...filter, isCompleted: true, resultStatus: { $ne: 'pending' } })
     .populate('userId', 'firstName lastName email')
+    .populate('competitionId', 'name')
     .sort({ score: -1, timeSpent: 1 })
     .limit(limit)
-    .select('userId score maxScore timeSpent completedAt');
+    .select('userId competitionId score maxScore timeSpent completedAt');
 };
 
 module.exports = mongoose.model('Test', testSchema);
\ No newline at end of file
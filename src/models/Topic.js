@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { normalizeTopicName, cleanTopicName, rebaseAncestors, buildPathNames } = require('../utils/topicTree');
+
+// Тема банка вопросов. Темы образуют дерево (например, Алгебра → Неравенства);
+// у вопроса хранится название темы, ее ID и путь от корня (для выборки поддерева)
+const topicSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Topic name is required'],
+    trim: true,
+    maxlength: [100, 'Topic name cannot exceed 100 characters']
+  },
+  // Нормализованное название (normalizeTopicName): по нему темы сравниваются, оно уникально
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Нормализованные названия тем, объединенных с этой: вопрос со старым названием попадает в эту тему
+  aliases: {
+    type: [String],
+    default: []
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic',
+    default: null
+  },
+  // Предки темы от корня до родителя
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic'
+  }],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+topicSchema.index({ aliases: 1 });
+topicSchema.index({ ancestors: 1 });
+topicSchema.index({ parent: 1 });
+
+// Название и ключ всегда согласованы
+topicSchema.pre('validate', function(next) {
+  this.name = cleanTopicName(this.name);
+  this.key = normalizeTopicName(this.name);
+  next();
+});
+
+// Метод для получения пути темы от корня (включая саму тему) - так он хранится у вопросов
+topicSchema.methods.getPath = function() {
+  return [...this.ancestors, this._id];
+};
+
+// Статический метод для поиска темы по названию (без учета регистра и пробелов) или по названию объединенной темы
+topicSchema.statics.findByName = function(name) {
+  const key = normalizeTopicName(name);
+  return this.findOne({ $or: [{ key }, { aliases: key }] });
+};
+
+// Статический метод для получения темы по названию; неизвестная тема создается корневой
+topicSchema.statics.resolve = async function(name, { createdBy = null } = {}) {
+  const existing = await this.findByName(name);
+  if (existing) {
+    return existing;
+  }
+  
+  try {
+    return await this.create({ name, createdBy });
+  } catch (error) {
+    // Ту же тему одновременно создал параллельный запрос
+    if (error.code === 11000) {
+      return await this.findByName(name);
+    }
+    throw error;
+  }
+};
+
+// Статический метод для получения названий тем на пути от корня: Map(topicId -> [названия])
+topicSchema.statics.getPathNames = async function() {
+  const topics = await this.find().select('name ancestors').lean();
+  return buildPathNames(topics);
+};
+
+// Статический метод для обновления путей после переноса темы: предки ее подтем и пути вопросов поддерева
+topicSchema.statics.syncSubtree = async function(topic) {
+  const Question = mongoose.model('Question');
+  const descendants = await this.find({ ancestors: topic._id }).select('ancestors');
+  const path = topic.getPath();
+  
+  const updated = descendants.map(descendant => ({
+    _id: descendant._id,
+    ancestors: rebaseAncestors(descendant.ancestors, topic._id, path)
+  }));
+  
+  if (updated.length > 0) {
+    await this.bulkWrite(updated.map(item => ({
+      updateOne: { filter: { _id: item._id }, update: { $set: { ancestors: item.ancestors } } }
+    })));
+  }
+  
+  await Question.bulkWrite([{ _id: topic._id, ancestors: topic.ancestors }, ...updated].map(item => ({
+    updateMany: {
+      filter: { topicId: item._id },
+      update: { $set: { topicPath: [...item.ancestors, item._id] } },
+      timestamps: false
+    }
+  })));
+  
+  return updated.length;
+};
+
+module.exports = mongoose.model('Topic', topicSchema);
@@ -27,28 +27,12 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
+  // grader - проверяющий развернутых решений, reviewer - рецензент вопросов банка
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'grader', 'reviewer', 'admin'],
     default: 'user'
   },
-  testId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Test',
-    default: null
-  },
-  hasStartedTest: {
-    type: Boolean,
-    default: false
-  },
-  testStartTime: {
-    type: Date,
-    default: null
-  },
-  testEndTime: {
-    type: Date,
-    default: null
-  },
   isActive: {
     type: Boolean,
     default: true
@@ -96,14 +80,4 @@ userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
-// Метод для проверки истечения времени теста
-userSchema.methods.isTestExpired = function(testDuration) {
-  if (!this.testStartTime) return false;
-  
-  const now = new Date();
-  const testEndTime = new Date(this.testStartTime.getTime() + testDuration * 60 * 1000);
-  
-  return now > testEndTime;
-};
-
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
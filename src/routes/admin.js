@@ -2,11 +2,21 @@ const express = require('express');
 const router = express.Router();
 
 const adminController = require('../controllers/adminController');
+const competitionController = require('../controllers/competitionController');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const {
   validateSettings,
   validatePagination,
-  validateObjectId
+  validateObjectId,
+  validateUserRole,
+  validateFormsReport,
+  validateExposureReport,
+  validateCalibration,
+  validateTestId,
+  validateCompetitionId,
+  validateCompetition,
+  validateSchedule,
+  validateParticipants
 } = require('../middleware/validation');
 
 // Middleware для всех админских маршрутов
@@ -28,12 +38,12 @@ router.get('/users/:userId',
   adminController.getUserDetails
 );
 
-// @route   POST /api/admin/users/:userId/reset-test
-// @desc    Reset user test (emergency use)
+// @route   PUT /api/admin/users/:userId/role
+// @desc    Change user role (user, grader, admin)
 // @access  Admin
-router.post('/users/:userId/reset-test',
-  validateObjectId,
-  adminController.resetUserTest
+router.put('/users/:userId/role',
+  validateUserRole,
+  adminController.updateUserRole
 );
 
 // @route   GET /api/admin/results
@@ -51,20 +61,145 @@ router.get('/results/export',
   adminController.exportResults
 );
 
-// @route   POST /api/admin/start-test
-// @desc    Start testing for all users
+// @route   GET /api/admin/competitions
+// @desc    Get all competitions
 // @access  Admin
-router.post('/start-test',
+router.get('/competitions',
+  competitionController.getAllCompetitions
+);
+
+// @route   POST /api/admin/competitions
+// @desc    Create a new competition
+// @access  Admin
+router.post('/competitions',
+  validateCompetition,
+  competitionController.createCompetition
+);
+
+// @route   GET /api/admin/competitions/:competitionId
+// @desc    Get competition details with participants
+// @access  Admin
+router.get('/competitions/:competitionId',
+  validateCompetitionId,
+  competitionController.getCompetition
+);
+
+// @route   PUT /api/admin/competitions/:competitionId
+// @desc    Update competition parameters
+// @access  Admin
+router.put('/competitions/:competitionId',
+  validateCompetitionId,
+  validateCompetition,
+  competitionController.updateCompetition
+);
+
+// @route   DELETE /api/admin/competitions/:competitionId
+// @desc    Deactivate a competition
+// @access  Admin
+router.delete('/competitions/:competitionId',
+  validateCompetitionId,
+  competitionController.deleteCompetition
+);
+
+// @route   GET /api/admin/competitions/:competitionId/schedule
+// @desc    Get competition schedule and next automatic transition
+// @access  Admin
+router.get('/competitions/:competitionId/schedule',
+  validateCompetitionId,
+  competitionController.getSchedule
+);
+
+// @route   PUT /api/admin/competitions/:competitionId/schedule
+// @desc    Set planned opening and closing time (null cancels)
+// @access  Admin
+router.put('/competitions/:competitionId/schedule',
+  validateCompetitionId,
+  validateSchedule,
+  competitionController.updateSchedule
+);
+
+// @route   POST /api/admin/competitions/:competitionId/participants
+// @desc    Add participants and generate their tests
+// @access  Admin
+router.post('/competitions/:competitionId/participants',
+  validateCompetitionId,
+  validateParticipants,
+  competitionController.addParticipants
+);
+
+// @route   DELETE /api/admin/competitions/:competitionId/participants
+// @desc    Remove participants who have not started the test
+// @access  Admin
+router.delete('/competitions/:competitionId/participants',
+  validateCompetitionId,
+  validateParticipants,
+  competitionController.removeParticipants
+);
+
+// @route   POST /api/admin/competitions/:competitionId/participants/:userId/reset-test
+// @desc    Reset user test in the competition (emergency use)
+// @access  Admin
+router.post('/competitions/:competitionId/participants/:userId/reset-test',
+  validateCompetitionId,
+  adminController.resetUserTest
+);
+
+// @route   POST /api/admin/competitions/:competitionId/start-test
+// @desc    Start testing for all competition participants
+// @access  Admin
+router.post('/competitions/:competitionId/start-test',
+  validateCompetitionId,
   adminController.startTesting
 );
 
-// @route   POST /api/admin/stop-test
-// @desc    Stop testing and auto-complete active tests
+// @route   POST /api/admin/competitions/:competitionId/stop-test
+// @desc    Stop testing and auto-complete active tests of the competition
 // @access  Admin
-router.post('/stop-test',
+router.post('/competitions/:competitionId/stop-test',
+  validateCompetitionId,
   adminController.stopTesting
 );
 
+// @route   GET /api/admin/competitions/:competitionId/blueprint
+// @desc    Check the test blueprint against the question bank (unfillable cells)
+// @access  Admin
+router.get('/competitions/:competitionId/blueprint',
+  validateCompetitionId,
+  adminController.getCompetitionBlueprint
+);
+
+// @route   GET /api/admin/forms/report
+// @desc    Spread of expected difficulty across generated tests
+// @access  Admin
+router.get('/forms/report',
+  validateFormsReport,
+  adminController.getFormsReport
+);
+
+// @route   GET /api/admin/exposure/report
+// @desc    Share of tests each question appears in and overlap between tests
+// @access  Admin
+router.get('/exposure/report',
+  validateExposureReport,
+  adminController.getExposureReport
+);
+
+// @route   POST /api/admin/calibration
+// @desc    Estimate question difficulty for adaptive testing from participants' answers
+// @access  Admin
+router.post('/calibration',
+  validateCalibration,
+  adminController.calibrateQuestions
+);
+
+// @route   GET /api/admin/tests/:testId/generation
+// @desc    Generation audit: seed, settings snapshot and re-draw from the seed compared with the test
+// @access  Admin
+router.get('/tests/:testId/generation',
+  validateTestId,
+  adminController.getTestGeneration
+);
+
 // @route   GET /api/admin/settings
 // @desc    Get current system settings
 // @access  Admin
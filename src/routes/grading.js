@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+
+const gradingController = require('../controllers/gradingController');
+const { authenticateToken, requireGrader } = require('../middleware/auth');
+const {
+  validatePagination,
+  validateGradingQueue,
+  validateTestAnswerParams,
+  validateGrade
+} = require('../middleware/validation');
+
+// Middleware для всех маршрутов проверки (проверяющие и админы)
+router.use(authenticateToken, requireGrader);
+
+// @route   GET /api/grading/queue
+// @desc    Get written answers awaiting grading (anonymised by default)
+// @access  Grader
+router.get('/queue',
+  validatePagination,
+  validateGradingQueue,
+  gradingController.getGradingQueue
+);
+
+// @route   GET /api/grading/tests/:testId/answers/:index
+// @desc    Get written answer with question for grading
+// @access  Grader
+router.get('/tests/:testId/answers/:index',
+  validateTestAnswerParams,
+  gradingController.getAnswerForGrading
+);
+
+// @route   GET /api/grading/tests/:testId/answers/:index/solution
+// @desc    Get solution image of written answer
+// @access  Grader
+router.get('/tests/:testId/answers/:index/solution',
+  validateTestAnswerParams,
+  gradingController.getSolution
+);
+
+// @route   PUT /api/grading/tests/:testId/answers/:index
+// @desc    Assign points and comment to written answer (regrading allowed)
+// @access  Grader
+router.put('/tests/:testId/answers/:index',
+  validateTestAnswerParams,
+  validateGrade,
+  gradingController.gradeAnswer
+);
+
+module.exports = router;
@@ -4,13 +4,30 @@ const path = require('path');
 const router = express.Router();
 
 const questionController = require('../controllers/questionController');
+const reviewController = require('../controllers/reviewController');
+const topicController = require('../controllers/topicController');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { IMAGE_TYPES } = require('../utils/questionImages');
 const {
   validateQuestion,
   validateObjectId,
+  validateRevisionParams,
+  validateImageAlt,
+  validateOptionImageParams,
   validatePagination,
   validateQuestionSearch,
+  validateLintReport,
+  validateTemplatePreview,
+  validateItemAnalysis,
+  validateReviewComment,
+  validateQuestionGroup,
+  validateTopic,
+  validateTopicUpdate,
+  validateTopicMerge,
   validateBulkImport,
+  validateImportOptions,
+  validateDuplicateReport,
+  validateRenderMarkup,
   validateCorrectAnswer,
   validateFileUpload
 } = require('../middleware/validation');
@@ -41,6 +58,32 @@ const upload = multer({
   }
 });
 
+// Настройка multer для изображений вопросов: файл остается в памяти, чтобы проверить его содержимое
+// и сохранить под именем по хешу (utils/questionImages)
+const uploadImage = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_QUESTION_IMAGE_SIZE) || 2 * 1024 * 1024, // 2MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES.some(type => type.mimetype === file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only PNG, JPEG, GIF and WebP images are allowed.'));
+    }
+  }
+});
+
+// @route   POST /api/questions/render
+// @desc    Render text with LaTeX formulas to MathML (or KaTeX HTML)
+// @access  Private
+router.post('/render',
+  authenticateToken,
+  validateRenderMarkup,
+  questionController.renderMarkup
+);
+
 // Middleware для всех маршрутов вопросов (только админы)
 router.use(authenticateToken, requireAdmin);
 
@@ -60,6 +103,33 @@ router.get('/stats',
   questionController.getQuestionsStats
 );
 
+// @route   GET /api/questions/lint-report
+// @desc    Lint the whole question bank (filters: severity, rule, includeInactive)
+// @access  Admin
+router.get('/lint-report',
+  validatePagination,
+  validateLintReport,
+  questionController.getLintReport
+);
+
+// @route   GET /api/questions/analysis-report
+// @desc    Item analysis of the whole bank (filters: competitionId, flag, flagged)
+// @access  Admin
+router.get('/analysis-report',
+  validatePagination,
+  validateItemAnalysis,
+  questionController.getAnalysisReport
+);
+
+// @route   GET /api/questions/duplicates-report
+// @desc    Duplicate and near-duplicate clusters in the whole bank
+// @access  Admin
+router.get('/duplicates-report',
+  validatePagination,
+  validateDuplicateReport,
+  questionController.getDuplicatesReport
+);
+
 // @route   GET /api/questions/search
 // @desc    Search questions
 // @access  Admin
@@ -71,6 +141,7 @@ router.get('/search',
 // @desc    Export questions to CSV
 // @access  Admin
 router.get('/export',
+  validateQuestionSearch,
   questionController.exportQuestions
 );
 
@@ -97,9 +168,100 @@ router.post('/bulk',
 router.post('/import',
   upload.single('file'),
   validateFileUpload,
+  validateImportOptions,
   questionController.importQuestions
 );
 
+// @route   GET /api/questions/groups
+// @desc    Get question groups (linked questions with a shared stem)
+// @access  Admin
+router.get('/groups',
+  validatePagination,
+  questionController.getAllQuestionGroups
+);
+
+// @route   POST /api/questions/groups
+// @desc    Create a question group
+// @access  Admin
+router.post('/groups',
+  validateQuestionGroup,
+  questionController.createQuestionGroup
+);
+
+// @route   GET /api/questions/groups/:id
+// @desc    Get a question group
+// @access  Admin
+router.get('/groups/:id',
+  validateObjectId,
+  questionController.getQuestionGroup
+);
+
+// @route   PUT /api/questions/groups/:id
+// @desc    Update a question group
+// @access  Admin
+router.put('/groups/:id',
+  validateObjectId,
+  validateQuestionGroup,
+  questionController.updateQuestionGroup
+);
+
+// @route   DELETE /api/questions/groups/:id
+// @desc    Delete a question group (deactivate by default, permanent=true to ungroup the questions)
+// @access  Admin
+router.delete('/groups/:id',
+  validateObjectId,
+  questionController.deleteQuestionGroup
+);
+
+// @route   GET /api/questions/topics
+// @desc    Get topic tree with question counts per topic and per subtree
+// @access  Admin
+router.get('/topics',
+  topicController.getTopics
+);
+
+// @route   POST /api/questions/topics
+// @desc    Create a topic (root or subtopic of parent)
+// @access  Admin
+router.post('/topics',
+  validateTopic,
+  topicController.createTopic
+);
+
+// @route   GET /api/questions/topics/:id
+// @desc    Get a topic with its path, subtopics and question counts
+// @access  Admin
+router.get('/topics/:id',
+  validateObjectId,
+  topicController.getTopic
+);
+
+// @route   PUT /api/questions/topics/:id
+// @desc    Rename, move or describe a topic (questions follow the new name)
+// @access  Admin
+router.put('/topics/:id',
+  validateObjectId,
+  validateTopicUpdate,
+  topicController.updateTopic
+);
+
+// @route   POST /api/questions/topics/:id/merge
+// @desc    Merge a topic into another topic (questions and subtopics move to targetId)
+// @access  Admin
+router.post('/topics/:id/merge',
+  validateObjectId,
+  validateTopicMerge,
+  topicController.mergeTopic
+);
+
+// @route   DELETE /api/questions/topics/:id
+// @desc    Delete a topic without questions and subtopics
+// @access  Admin
+router.delete('/topics/:id',
+  validateObjectId,
+  topicController.deleteTopic
+);
+
 // @route   GET /api/questions/:id
 // @desc    Get a specific question by ID
 // @access  Admin
@@ -108,6 +270,24 @@ router.get('/:id',
   questionController.getQuestion
 );
 
+// @route   GET /api/questions/:id/preview
+// @desc    Render sample instances of a parametric question (count, seed)
+// @access  Admin
+router.get('/:id/preview',
+  validateObjectId,
+  validateTemplatePreview,
+  questionController.previewQuestion
+);
+
+// @route   GET /api/questions/:id/analysis
+// @desc    Item analysis of a question: p-value, discrimination, point-biserial, distractors (competitionId)
+// @access  Admin
+router.get('/:id/analysis',
+  validateObjectId,
+  validateItemAnalysis,
+  questionController.getQuestionAnalysis
+);
+
 // @route   PUT /api/questions/:id
 // @desc    Update a question
 // @access  Admin
@@ -118,6 +298,66 @@ router.put('/:id',
   questionController.updateQuestion
 );
 
+// @route   GET /api/questions/:id/revisions
+// @desc    Get revision history of a question (author, time, changed fields)
+// @access  Admin
+router.get('/:id/revisions',
+  validateObjectId,
+  questionController.getQuestionRevisions
+);
+
+// @route   GET /api/questions/:id/revisions/:revision
+// @desc    Get full content of a question revision
+// @access  Admin
+router.get('/:id/revisions/:revision',
+  validateRevisionParams,
+  questionController.getQuestionRevision
+);
+
+// @route   POST /api/questions/:id/revisions/:revision/restore
+// @desc    Restore a past revision (saved as a new revision)
+// @access  Admin
+router.post('/:id/revisions/:revision/restore',
+  validateRevisionParams,
+  questionController.restoreQuestionRevision
+);
+
+// @route   POST /api/questions/:id/image
+// @desc    Upload question image (field "image") or update its alt text
+// @access  Admin
+router.post('/:id/image',
+  validateObjectId,
+  uploadImage.single('image'),
+  validateImageAlt,
+  questionController.uploadQuestionImage
+);
+
+// @route   DELETE /api/questions/:id/image
+// @desc    Remove question image
+// @access  Admin
+router.delete('/:id/image',
+  validateObjectId,
+  questionController.deleteQuestionImage
+);
+
+// @route   POST /api/questions/:id/options/:option/image
+// @desc    Upload image for an answer option (field "image") or update its alt text
+// @access  Admin
+router.post('/:id/options/:option/image',
+  validateOptionImageParams,
+  uploadImage.single('image'),
+  validateImageAlt,
+  questionController.uploadOptionImage
+);
+
+// @route   DELETE /api/questions/:id/options/:option/image
+// @desc    Remove answer option image
+// @access  Admin
+router.delete('/:id/options/:option/image',
+  validateOptionImageParams,
+  questionController.deleteOptionImage
+);
+
 // @route   DELETE /api/questions/:id
 // @desc    Delete a question (soft delete by default)
 // @access  Admin
@@ -134,13 +374,42 @@ router.patch('/:id/toggle-status',
   questionController.toggleQuestionStatus
 );
 
+// @route   POST /api/questions/:id/submit-review
+// @desc    Submit draft question for review
+// @access  Admin
+router.post('/:id/submit-review',
+  validateObjectId,
+  validateReviewComment,
+  reviewController.submitForReview
+);
+
+// @route   POST /api/questions/:id/retire
+// @desc    Retire question from the bank
+// @access  Admin
+router.post('/:id/retire',
+  validateObjectId,
+  validateReviewComment,
+  reviewController.retireQuestion
+);
+
+// @route   POST /api/questions/:id/reopen
+// @desc    Reopen retired question as draft
+// @access  Admin
+router.post('/:id/reopen',
+  validateObjectId,
+  validateReviewComment,
+  reviewController.reopenQuestion
+);
+
 // Обработка ошибок загрузки файлов
 router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         error: 'File Too Large',
-        message: 'File size exceeds the maximum limit of 10MB'
+        message: error.field === 'image'
+          ? 'Image exceeds the maximum allowed size'
+          : 'File size exceeds the maximum limit of 10MB'
       });
     }
   }
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+
+const reviewController = require('../controllers/reviewController');
+const { authenticateToken, requireReviewer } = require('../middleware/auth');
+const {
+  validateObjectId,
+  validatePagination,
+  validateReviewQueue,
+  validateReviewComment
+} = require('../middleware/validation');
+
+// Middleware для всех маршрутов рецензирования (рецензенты и админы)
+router.use(authenticateToken, requireReviewer);
+
+// @route   GET /api/review/queue
+// @desc    Get questions awaiting review (oldest submissions first)
+// @access  Reviewer
+router.get('/queue',
+  validatePagination,
+  validateReviewQueue,
+  reviewController.getReviewQueue
+);
+
+// @route   GET /api/review/questions/:id
+// @desc    Get question with its review history
+// @access  Reviewer
+router.get('/questions/:id',
+  validateObjectId,
+  reviewController.getReviewQuestion
+);
+
+// @route   POST /api/review/questions/:id/comments
+// @desc    Comment on question without changing its status
+// @access  Reviewer
+router.post('/questions/:id/comments',
+  validateObjectId,
+  validateReviewComment,
+  reviewController.addReviewComment
+);
+
+// @route   POST /api/review/questions/:id/approve
+// @desc    Approve question (makes it eligible for tests)
+// @access  Reviewer
+router.post('/questions/:id/approve',
+  validateObjectId,
+  validateReviewComment,
+  reviewController.approveQuestion
+);
+
+// @route   POST /api/review/questions/:id/request-changes
+// @desc    Send question back to draft with a required comment
+// @access  Reviewer
+router.post('/questions/:id/request-changes',
+  validateObjectId,
+  validateReviewComment,
+  reviewController.requestChanges
+);
+
+module.exports = router;
@@ -1,67 +1,207 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 
 const testController = require('../controllers/testController');
 const {
   authenticateToken,
   requireUser,
+  requireParticipant,
   requireActiveTest,
   checkTestAttempt,
-  checkUserTestTime
+  checkUserTestTime,
+  requireFreeNavigation
 } = require('../middleware/auth');
 const {
-  validateAnswer
+  validateAnswer,
+  validateQuestionIndex,
+  validateAnswerUpdate,
+  validateFlag,
+  validateCompetitionId
 } = require('../middleware/validation');
+const { SOLUTION_TYPES, storeSolutionFile } = require('../utils/solutionFiles');
+
+// Настройка multer для загрузки изображений решений (written): файл остается в памяти,
+// чтобы проверить его содержимое перед сохранением (utils/solutionFiles)
+const uploadSolution = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_SOLUTION_SIZE) || 5 * 1024 * 1024, // 5MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (SOLUTION_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPEG, PNG and WebP images are allowed.'));
+    }
+  }
+});
+
+// Сохранение проверенного изображения решения; контроллер получает имя файла в req.file.filename
+const storeSolution = async (req, res, next) => {
+  if (!req.file) {
+    return next();
+  }
+  
+  try {
+    const filename = await storeSolutionFile(req.file.buffer);
+    
+    if (!filename) {
+      return res.status(400).json({
+        error: 'Invalid File Type',
+        message: 'File content is not a JPEG, PNG or WebP image'
+      });
+    }
+    
+    req.file.filename = filename;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
 // Middleware для всех маршрутов тестов
 router.use(authenticateToken, requireUser);
 
-// @route   GET /api/tests/status
-// @desc    Get current testing status
+// @route   GET /api/tests/competitions
+// @desc    Get competitions the user participates in
+// @access  User
+router.get('/competitions', testController.getMyCompetitions);
+
+// Все остальные маршруты относятся к конкретному соревнованию
+router.use('/:competitionId', validateCompetitionId, requireParticipant);
+
+// @route   GET /api/tests/:competitionId/status
+// @desc    Get current testing status of the competition
 // @access  User
-router.get('/status', testController.getTestStatus);
+router.get('/:competitionId/status', testController.getTestStatus);
 
-// @route   GET /api/tests/my-test
+// @route   GET /api/tests/:competitionId/my-test
 // @desc    Get user's assigned test information
 // @access  User
-router.get('/my-test', testController.getMyTest);
+router.get('/:competitionId/my-test', testController.getMyTest);
 
-// @route   POST /api/tests/start
+// @route   POST /api/tests/:competitionId/start
 // @desc    Start the test for the user
 // @access  User
-router.post('/start',
+router.post('/:competitionId/start',
   requireActiveTest,
   checkTestAttempt,
   testController.startTest
 );
 
-// @route   GET /api/tests/current-question
+// @route   GET /api/tests/:competitionId/current-question
 // @desc    Get the current question for the user
 // @access  User
-router.get('/current-question',
+router.get('/:competitionId/current-question',
   checkUserTestTime,
   testController.getCurrentQuestion
 );
 
-// @route   POST /api/tests/answer
-// @desc    Submit answer for current question
+// @route   POST /api/tests/:competitionId/answer
+// @desc    Submit answer for current question (multipart with "solution" image for written questions)
 // @access  User
-router.post('/answer',
+router.post('/:competitionId/answer',
   checkUserTestTime,
+  uploadSolution.single('solution'),
   validateAnswer,
+  storeSolution,
   testController.submitAnswer
 );
 
-// @route   POST /api/tests/submit
+// @route   GET /api/tests/:competitionId/palette
+// @desc    Get answered, flagged and unanswered state of every question
+// @access  User (free navigation mode)
+router.get('/:competitionId/palette',
+  checkUserTestTime,
+  requireFreeNavigation,
+  testController.getPalette
+);
+
+// @route   GET /api/tests/:competitionId/questions/:index
+// @desc    Get question by index
+// @access  User (free navigation mode)
+router.get('/:competitionId/questions/:index',
+  checkUserTestTime,
+  requireFreeNavigation,
+  validateQuestionIndex,
+  testController.getQuestionByIndex
+);
+
+// @route   PUT /api/tests/:competitionId/questions/:index/answer
+// @desc    Save or change answer for question by index (graded on submit)
+// @access  User (free navigation mode)
+router.put('/:competitionId/questions/:index/answer',
+  checkUserTestTime,
+  requireFreeNavigation,
+  validateQuestionIndex,
+  uploadSolution.single('solution'),
+  validateAnswerUpdate,
+  storeSolution,
+  testController.saveAnswer
+);
+
+// @route   DELETE /api/tests/:competitionId/questions/:index/answer
+// @desc    Clear answer for question by index
+// @access  User (free navigation mode)
+router.delete('/:competitionId/questions/:index/answer',
+  checkUserTestTime,
+  requireFreeNavigation,
+  validateQuestionIndex,
+  testController.clearAnswer
+);
+
+// @route   GET /api/tests/:competitionId/questions/:index/solution
+// @desc    Get own uploaded solution image for question by index
+// @access  User
+router.get('/:competitionId/questions/:index/solution',
+  validateQuestionIndex,
+  testController.getSolution
+);
+
+// @route   PUT /api/tests/:competitionId/questions/:index/flag
+// @desc    Flag or unflag question for review
+// @access  User (free navigation mode)
+router.put('/:competitionId/questions/:index/flag',
+  checkUserTestTime,
+  requireFreeNavigation,
+  validateQuestionIndex,
+  validateFlag,
+  testController.flagQuestion
+);
+
+// @route   POST /api/tests/:competitionId/submit
 // @desc    Submit/finish the test
 // @access  User
-router.post('/submit',
+router.post('/:competitionId/submit',
   testController.submitTest
 );
 
-// @route   GET /api/tests/results
+// @route   GET /api/tests/:competitionId/results
 // @desc    Get test results (only after completion)
 // @access  User
-router.get('/results', testController.getTestResults);
+router.get('/:competitionId/results', testController.getTestResults);
+
+// Обработка ошибок загрузки изображений решений
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        error: 'File Too Large',
+        message: 'Solution image exceeds the maximum allowed size'
+      });
+    }
+  }
+  
+  if (error.message.includes('Invalid file type')) {
+    return res.status(400).json({
+      error: 'Invalid File Type',
+      message: error.message
+    });
+  }
+  
+  next(error);
+});
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -2,8 +2,8 @@ const express = require('express');
 const router = express.Router();
 
 const userController = require('../controllers/userController');
-const { authenticateToken, requireUser } = require('../middleware/auth');
-const { validateProfileUpdate } = require('../middleware/validation');
+const { authenticateToken, requireUser, requireParticipant } = require('../middleware/auth');
+const { validateProfileUpdate, validateCompetitionId } = require('../middleware/validation');
 
 // Middleware для всех пользовательских маршрутов
 router.use(authenticateToken, requireUser);
@@ -21,19 +21,27 @@ router.put('/profile',
   userController.updateProfile
 );
 
-// @route   GET /api/users/stats
-// @desc    Get user's test statistics
+// @route   GET /api/users/competitions/:competitionId/stats
+// @desc    Get user's test statistics in the competition
 // @access  User
-router.get('/stats', userController.getUserStats);
+router.get('/competitions/:competitionId/stats',
+  validateCompetitionId,
+  requireParticipant,
+  userController.getUserStats
+);
 
-// @route   GET /api/users/progress
-// @desc    Get user's test progress
+// @route   GET /api/users/competitions/:competitionId/progress
+// @desc    Get user's test progress in the competition
 // @access  User
-router.get('/progress', userController.getTestProgress);
+router.get('/competitions/:competitionId/progress',
+  validateCompetitionId,
+  requireParticipant,
+  userController.getTestProgress
+);
 
 // @route   GET /api/users/activity
 // @desc    Get user's activity timeline
 // @access  User
 router.get('/activity', userController.getUserActivity);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,176 @@
+// Правила остановки адаптивного теста: fixed_length - заданное число вопросов;
+// precision - как только стандартная ошибка оценки способности опустится до targetStandardError
+const STOPPING_RULES = ['fixed_length', 'precision'];
+
+// Трудность (параметр b модели IRT, в логитах) для вопросов без калибровки - по категории сложности
+const DIFFICULTY_LOGITS = {
+  easy: -1,
+  medium: 0,
+  hard: 1
+};
+
+// Границы шкалы способности и шаг сетки, по которой считается апостериорное распределение
+const ABILITY_MIN = -4;
+const ABILITY_MAX = 4;
+const ABILITY_STEP = 0.05;
+
+// Итоговый балл адаптивного теста - T-балл (mean + sd * способность), ограниченный 0..ADAPTIVE_MAX_SCORE
+const ADAPTIVE_MAX_SCORE = 100;
+
+// Калибровка по статистике: не меньше стольких ответов, трудность ограничивается диапазоном ±CALIBRATION_LIMIT
+const MIN_CALIBRATION_RESPONSES = 30;
+const CALIBRATION_LIMIT = 4;
+
+const ABILITY_GRID = Array.from(
+  { length: Math.round((ABILITY_MAX - ABILITY_MIN) / ABILITY_STEP) + 1 },
+  (_, i) => ABILITY_MIN + i * ABILITY_STEP
+);
+
+/**
+ * Возвращает параметры вопроса в модели IRT: трудность из калибровки или по категории сложности
+ * @param {Object} question - Вопрос { difficulty, calibration }
+ * @returns {Object} - { difficulty, discrimination, calibrated }
+ */
+const getItemParameters = (question) => {
+  const calibration = question.calibration || {};
+  const calibrated = calibration.difficulty !== undefined && calibration.difficulty !== null;
+  
+  return {
+    difficulty: calibrated ? calibration.difficulty : (DIFFICULTY_LOGITS[question.difficulty] ?? DIFFICULTY_LOGITS.medium),
+    discrimination: calibration.discrimination || 1,
+    calibrated
+  };
+};
+
+/**
+ * Вероятность правильного ответа участника со способностью ability (двухпараметрическая логистическая модель)
+ * @param {number} ability - Способность (в логитах)
+ * @param {Object} item - { difficulty, discrimination }
+ * @returns {number}
+ */
+const getSuccessProbability = (ability, item) => 1 / (1 + Math.exp(-item.discrimination * (ability - item.difficulty)));
+
+/**
+ * Информация Фишера вопроса при способности ability: чем больше, тем сильнее ответ уточняет оценку
+ * @param {number} ability - Способность
+ * @param {Object} item - { difficulty, discrimination }
+ * @returns {number}
+ */
+const getItemInformation = (ability, item) => {
+  const p = getSuccessProbability(ability, item);
+  return item.discrimination * item.discrimination * p * (1 - p);
+};
+
+/**
+ * Оценивает способность по ответам (EAP - среднее апостериорного распределения с нормальным априорным N(prior, 1)).
+ * В отличие от оценки максимального правдоподобия, определена и при всех верных или всех неверных ответах
+ * @param {Array<Object>} responses - Ответы { difficulty, discrimination, isCorrect }
+ * @param {number} prior - Среднее априорного распределения (начальная способность)
+ * @returns {Object} - { ability, standardError }
+ */
+const estimateAbility = (responses, prior = 0) => {
+  // Логарифм апостериорной плотности в каждой точке сетки: априорная часть плюс правдоподобие ответов
+  const weights = ABILITY_GRID.map(ability => responses.reduce((sum, response) => {
+    const p = getSuccessProbability(ability, response);
+    return sum + Math.log(response.isCorrect ? p : 1 - p);
+  }, -((ability - prior) ** 2) / 2));
+  
+  // Нормируем в логарифмах, чтобы длинный тест не давал нулевых весов
+  const maxWeight = Math.max(...weights);
+  const posterior = weights.map(weight => Math.exp(weight - maxWeight));
+  const total = posterior.reduce((sum, weight) => sum + weight, 0);
+  
+  const ability = ABILITY_GRID.reduce((sum, value, i) => sum + value * posterior[i], 0) / total;
+  const variance = ABILITY_GRID.reduce((sum, value, i) => sum + (value - ability) ** 2 * posterior[i], 0) / total;
+  
+  return {
+    ability: Math.round(ability * 10000) / 10000 + 0, // + 0 превращает -0 в 0
+    standardError: Math.round(Math.sqrt(variance) * 10000) / 10000
+  };
+};
+
+/**
+ * Выбирает следующий вопрос: один из selectionWindow самых информативных при текущей оценке способности
+ * (случайный выбор среди лучших снижает экспозицию самых информативных вопросов)
+ * @param {Array<Object>} candidates - Вопросы-кандидаты { _id, difficulty, calibration }
+ * @param {number} ability - Текущая оценка способности
+ * @param {Function} random - Генератор случайных чисел
+ * @param {number} selectionWindow - Из скольких лучших вопросов выбирать
+ * @returns {Object|null} - Вопрос или null, если кандидатов нет
+ */
+const selectNextQuestion = (candidates, ability, random = Math.random, selectionWindow = 1) => {
+  if (candidates.length === 0) return null;
+  
+  const ranked = candidates
+    .map(question => ({ question, information: getItemInformation(ability, getItemParameters(question)) }))
+    .sort((a, b) => b.information - a.information || a.question._id.toString().localeCompare(b.question._id.toString()));
+  
+  const best = ranked.slice(0, Math.max(1, selectionWindow));
+  return best[Math.floor(random() * best.length)].question;
+};
+
+/**
+ * Определяет, пора ли закончить адаптивный тест
+ * @param {Object} state - { answered, standardError, candidatesLeft }
+ * @param {Object} config - { stoppingRule, minQuestions, maxQuestions, targetStandardError }
+ * @returns {string|null} - Причина остановки (fixed_length, precision, pool_exhausted) или null
+ */
+const getStopReason = ({ answered, standardError, candidatesLeft }, config) => {
+  if (answered >= config.maxQuestions) {
+    return 'fixed_length';
+  }
+  
+  if (config.stoppingRule === 'precision' && answered >= config.minQuestions &&
+      standardError !== null && standardError <= config.targetStandardError) {
+    return 'precision';
+  }
+  
+  if (candidatesLeft === 0) {
+    return 'pool_exhausted';
+  }
+  
+  return null;
+};
+
+/**
+ * Переводит оценку способности в итоговый балл (T-балл, ограниченный 0..ADAPTIVE_MAX_SCORE)
+ * @param {number} ability - Оценка способности
+ * @param {Object} scoreScale - { mean, sd }
+ * @returns {number}
+ */
+const scaleAbility = (ability, { mean = 50, sd = 10 } = {}) => {
+  const score = mean + sd * ability;
+  return Math.round(Math.min(ADAPTIVE_MAX_SCORE, Math.max(0, score)) * 100) / 100;
+};
+
+/**
+ * Оценивает трудность вопроса по доле правильных ответов: b = -ln(p / (1 - p)) со сглаживанием
+ * @param {Object} stats - { totalAnswers, correctAnswers }
+ * @param {number} minResponses - Минимальное число ответов
+ * @returns {number|null} - Трудность или null, если ответов меньше MIN_CALIBRATION_RESPONSES
+ */
+const estimateItemDifficulty = (stats, minResponses = MIN_CALIBRATION_RESPONSES) => {
+  if (!stats || stats.totalAnswers < minResponses) {
+    return null;
+  }
+  
+  const p = (stats.correctAnswers + 0.5) / (stats.totalAnswers + 1);
+  const difficulty = -Math.log(p / (1 - p));
+  
+  return Math.round(Math.min(CALIBRATION_LIMIT, Math.max(-CALIBRATION_LIMIT, difficulty)) * 1000) / 1000;
+};
+
+module.exports = {
+  STOPPING_RULES,
+  DIFFICULTY_LOGITS,
+  ADAPTIVE_MAX_SCORE,
+  MIN_CALIBRATION_RESPONSES,
+  getItemParameters,
+  getSuccessProbability,
+  getItemInformation,
+  estimateAbility,
+  selectNextQuestion,
+  getStopReason,
+  scaleAbility,
+  estimateItemDifficulty
+};
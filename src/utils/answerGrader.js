@@ -0,0 +1,461 @@
+const { validateTemplate } = require('./questionTemplate');
+
+// Типы вопросов
+const QUESTION_TYPES = ['single_choice', 'multiple_choice', 'integer', 'decimal', 'fraction', 'text', 'written', 'parametric'];
+
+// Типы, в которых ответ выбирается из вариантов
+const CHOICE_TYPES = ['single_choice', 'multiple_choice'];
+
+// Типы, ответы на которые проверяет проверяющий (развернутое решение текстом или изображением)
+const MANUAL_GRADING_TYPES = ['written'];
+
+// Типы, в которых текст и правильный ответ зависят от параметров, подобранных для участника
+const TEMPLATE_TYPES = ['parametric'];
+
+// Правила начисления баллов для вопросов с несколькими правильными вариантами:
+// all_or_nothing - полный балл только за точное совпадение набора;
+// proportional - доля найденных правильных минус доля выбранных неправильных;
+// penalty - доля найденных правильных, каждый неправильный выбор снимает wrongPickPenalty правильных
+const SCORING_RULES = ['all_or_nothing', 'proportional', 'penalty'];
+
+// Оценка вопроса без ответа: zero - 0 баллов; penalty - как за неверный ответ (штраф wrongAnswerPenalty)
+const BLANK_ANSWER_POLICIES = ['zero', 'penalty'];
+
+/**
+ * Проверяет, выбирается ли ответ на вопрос из вариантов
+ * @param {string} type - Тип вопроса
+ * @returns {boolean}
+ */
+const isChoiceType = (type) => CHOICE_TYPES.includes(type || 'single_choice');
+
+/**
+ * Проверяет, допускает ли вопрос выбор нескольких вариантов
+ * @param {string} type - Тип вопроса
+ * @returns {boolean}
+ */
+const isMultiSelectType = (type) => type === 'multiple_choice';
+
+/**
+ * Проверяет, оценивается ли ответ на вопрос вручную
+ * @param {string} type - Тип вопроса
+ * @returns {boolean}
+ */
+const isManualGradingType = (type) => MANUAL_GRADING_TYPES.includes(type);
+
+/**
+ * Проверяет, является ли вопрос шаблоном с параметрами
+ * @param {string} type - Тип вопроса
+ * @returns {boolean}
+ */
+const isTemplateType = (type) => TEMPLATE_TYPES.includes(type);
+
+/**
+ * Приводит ответ к строке: убирает пробелы и заменяет десятичную запятую точкой
+ * @param {*} value - Ответ
+ * @returns {string}
+ */
+const normalizeNumberString = (value) => {
+  if (value === null || value === undefined) return '';
+  return value.toString().trim().replace(/\s+/g, '').replace(',', '.');
+};
+
+/**
+ * Разбирает целое число
+ * @param {*} value - Ответ
+ * @returns {BigInt|null} - Число или null, если ответ не является целым числом
+ */
+const parseInteger = (value) => {
+  const str = normalizeNumberString(value);
+  if (!/^[+-]?\d+$/.test(str)) return null;
+  
+  return BigInt(str);
+};
+
+/**
+ * Разбирает число в виде несократимой дроби: целое, десятичное ("0.5") или "a/b"
+ * @param {*} value - Ответ
+ * @returns {Object|null} - { numerator, denominator } (BigInt, знаменатель положительный) или null
+ */
+const parseFraction = (value) => {
+  const str = normalizeNumberString(value);
+  let numerator;
+  let denominator;
+  
+  const fractionMatch = str.match(/^([+-]?\d+)\/([+-]?\d+)$/);
+  const decimalMatch = str.match(/^([+-]?)(\d*)\.?(\d*)$/);
+  
+  if (fractionMatch) {
+    numerator = BigInt(fractionMatch[1]);
+    denominator = BigInt(fractionMatch[2]);
+  } else if (decimalMatch && (decimalMatch[2] || decimalMatch[3])) {
+    const [, sign, intPart, fracPart] = decimalMatch;
+    numerator = BigInt(`${sign}${intPart || '0'}${fracPart}`);
+    denominator = 10n ** BigInt(fracPart.length);
+  } else {
+    return null;
+  }
+  
+  if (denominator === 0n) return null;
+  
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+  
+  const divisor = gcd(numerator < 0n ? -numerator : numerator, denominator);
+  
+  return {
+    numerator: numerator / divisor,
+    denominator: denominator / divisor
+  };
+};
+
+/**
+ * Наибольший общий делитель
+ * @param {BigInt} a
+ * @param {BigInt} b
+ * @returns {BigInt}
+ */
+const gcd = (a, b) => {
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+  return a === 0n ? 1n : a;
+};
+
+/**
+ * Разбирает число для десятичного ответа (допускается и запись дробью)
+ * @param {*} value - Ответ
+ * @returns {number|null}
+ */
+const parseDecimal = (value) => {
+  const fraction = parseFraction(value);
+  if (!fraction) return null;
+  
+  return Number(fraction.numerator) / Number(fraction.denominator);
+};
+
+/**
+ * Нормализует текстовый ответ: обрезка, схлопывание пробелов, регистр
+ * @param {*} value - Ответ
+ * @param {boolean} caseSensitive - Учитывать регистр
+ * @returns {string}
+ */
+const normalizeText = (value, caseSensitive = false) => {
+  if (value === null || value === undefined) return '';
+  
+  const normalized = value.toString().trim().replace(/\s+/g, ' ');
+  return caseSensitive ? normalized : normalized.toLowerCase().replace(/ё/g, 'е');
+};
+
+/**
+ * Проверяет ключ ответа вопроса
+ * @param {Object} question - Вопрос (документ или данные для создания)
+ * @returns {Array<Object>} - Список ошибок { field, message } (пустой, если ключ корректен)
+ */
+const validateAnswerKey = (question) => {
+  const type = question.type || 'single_choice';
+  const errors = [];
+  
+  if (!QUESTION_TYPES.includes(type)) {
+    return [{ field: 'type', message: `Unknown question type: ${type}` }];
+  }
+  
+  if (isChoiceType(type)) {
+    const options = question.options || [];
+    
+    if (options.length < 2 || options.length > 6) {
+      errors.push({ field: 'options', message: 'Question must have between 2 and 6 options' });
+    }
+    
+    if (isMultiSelectType(type)) {
+      const correctAnswers = question.correctAnswers || [];
+      
+      if (correctAnswers.length === 0) {
+        errors.push({ field: 'correctAnswers', message: 'At least one correct option is required' });
+      } else if (correctAnswers.some(index => !Number.isInteger(index) || index < 0 || index >= options.length)) {
+        errors.push({ field: 'correctAnswers', message: 'Correct option indexes must be less than options length' });
+      } else if (new Set(correctAnswers).size !== correctAnswers.length) {
+        errors.push({ field: 'correctAnswers', message: 'Correct option indexes must be unique' });
+      }
+      
+      if (question.scoringRule !== undefined && question.scoringRule !== null && !SCORING_RULES.includes(question.scoringRule)) {
+        errors.push({ field: 'scoringRule', message: `Scoring rule must be one of: ${SCORING_RULES.join(', ')}` });
+      }
+      
+      return errors;
+    }
+    
+    if (!Number.isInteger(question.correctAnswer) || question.correctAnswer < 0 || question.correctAnswer >= options.length) {
+      errors.push({ field: 'correctAnswer', message: 'Correct answer index must be less than options length' });
+    }
+    
+    return errors;
+  }
+  
+  switch (type) {
+    case 'integer':
+      if (parseInteger(question.correctValue) === null) {
+        errors.push({ field: 'correctValue', message: 'Correct value must be an integer' });
+      }
+      break;
+      
+    case 'decimal':
+    case 'parametric':
+      // Ответ шаблона вычисляется по формуле для каждого участника
+      if (type === 'parametric') {
+        errors.push(...validateTemplate(question));
+      } else if (parseDecimal(question.correctValue) === null) {
+        errors.push({ field: 'correctValue', message: 'Correct value must be a number' });
+      }
+      if (question.tolerance !== undefined && question.tolerance !== null &&
+          !(typeof question.tolerance === 'number' && question.tolerance >= 0)) {
+        errors.push({ field: 'tolerance', message: 'Tolerance must be a non-negative number' });
+      }
+      break;
+      
+    case 'fraction':
+      if (parseFraction(question.correctValue) === null) {
+        errors.push({ field: 'correctValue', message: 'Correct value must be a fraction like 1/2' });
+      }
+      break;
+      
+    case 'text': {
+      const accepted = (question.acceptedAnswers || []).filter(answer => normalizeText(answer) !== '');
+      if (accepted.length === 0) {
+        errors.push({ field: 'acceptedAnswers', message: 'At least one accepted answer is required' });
+      }
+      break;
+    }
+    
+    // Ключа нет: баллы выставляет проверяющий
+    case 'written':
+      break;
+  }
+  
+  return errors;
+};
+
+/**
+ * Возвращает вес вопроса: явно заданные баллы или баллы по сложности из политики начисления
+ * @param {Object} question - Вопрос
+ * @param {Object} policy - Политика начисления баллов ({ pointsByDifficulty })
+ * @returns {number}
+ */
+const getQuestionPoints = (question, policy = {}) => {
+  if (question.points !== undefined && question.points !== null) {
+    return question.points;
+  }
+  
+  const pointsByDifficulty = policy.pointsByDifficulty || {};
+  const points = pointsByDifficulty[question.difficulty];
+  
+  return typeof points === 'number' ? points : 1;
+};
+
+/**
+ * Возвращает штраф за вопрос: доля wrongAnswerPenalty от веса вопроса, со знаком минус
+ * @param {number} points - Вес вопроса
+ * @param {Object} policy - Политика начисления баллов ({ wrongAnswerPenalty })
+ * @returns {number} - Отрицательное число или 0
+ */
+const getPenaltyPoints = (points, policy = {}) => {
+  const penalty = policy.wrongAnswerPenalty || 0;
+  return penalty > 0 ? -Math.round(points * penalty * 100) / 100 : 0;
+};
+
+/**
+ * Возвращает баллы за вопрос, оставленный без ответа
+ * @param {Object} question - Вопрос
+ * @param {Object} policy - Политика начисления баллов ({ blankAnswerPolicy, wrongAnswerPenalty, pointsByDifficulty })
+ * @returns {number} - 0 или штраф, если пропуск приравнен к неверному ответу
+ */
+const getBlankAnswerPoints = (question, policy = {}) => {
+  // Пропуск развернутого решения не штрафуется - оно проверяется вручную
+  if (policy.blankAnswerPolicy !== 'penalty' || isManualGradingType(question.type)) {
+    return 0;
+  }
+  
+  return getPenaltyPoints(getQuestionPoints(question, policy), policy);
+};
+
+/**
+ * Начисляет баллы за ответ на вопрос с несколькими правильными вариантами
+ * @param {Object} question - Вопрос
+ * @param {Array<number>} selectedAnswers - Выбранные варианты (исходные индексы)
+ * @param {number} points - Вес вопроса (по умолчанию question.points или 1)
+ * @returns {Object} - { isCorrect, points }
+ */
+const scoreMultiSelect = (question, selectedAnswers, points = question.points || 1) => {
+  const correct = new Set(question.correctAnswers || []);
+  const selected = new Set(selectedAnswers || []);
+  const hits = [...selected].filter(index => correct.has(index)).length;
+  const wrongPicks = selected.size - hits;
+  const wrongOptionsCount = (question.options || []).length - correct.size;
+  
+  const isCorrect = correct.size > 0 && hits === correct.size && wrongPicks === 0;
+  let share;
+  
+  switch (question.scoringRule || 'all_or_nothing') {
+    case 'proportional':
+      share = hits / correct.size - (wrongOptionsCount > 0 ? wrongPicks / wrongOptionsCount : 0);
+      break;
+    
+    case 'penalty': {
+      const penalty = question.wrongPickPenalty !== undefined && question.wrongPickPenalty !== null
+        ? question.wrongPickPenalty
+        : 1;
+      share = (hits - wrongPicks * penalty) / correct.size;
+      break;
+    }
+    
+    default:
+      share = isCorrect ? 1 : 0;
+  }
+  
+  // Отрицательный результат за вопрос не допускается; округляем до сотых балла
+  return {
+    isCorrect,
+    points: Math.round(Math.max(0, Math.min(1, share)) * points * 100) / 100
+  };
+};
+
+/**
+ * Оценивает ответ участника
+ * @param {Object} question - Вопрос
+ * @param {Object} submission - { selectedAnswer } или { selectedAnswers } для вопросов с вариантами, { response } для остальных
+ * @param {Object} policy - Политика начисления баллов теста (Test.scoringPolicy)
+ * @returns {Object} - { isCorrect, points }; при штрафе за неверный ответ points отрицательные
+ */
+const scoreAnswer = (question, submission, policy = {}) => {
+  // До ручной проверки ответ не приносит баллов
+  if (isManualGradingType(question.type)) {
+    return { isCorrect: false, points: 0 };
+  }
+  
+  const points = getQuestionPoints(question, policy);
+  let result;
+  
+  if (isMultiSelectType(question.type)) {
+    result = scoreMultiSelect(question, submission.selectedAnswers, points);
+  } else {
+    const isCorrect = gradeAnswer(question, submission);
+    result = { isCorrect, points: isCorrect ? points : 0 };
+  }
+  
+  // Штраф начисляется только за ответ, не принесший ни одного балла (частичный зачет не штрафуется)
+  if (!result.isCorrect && result.points === 0) {
+    result.points = getPenaltyPoints(points, policy);
+  }
+  
+  return result;
+};
+
+/**
+ * Возвращает результат теста в процентах: доля набранных баллов от максимума.
+ * Учитывает частичный зачет, веса вопросов и штрафы, а не только число правильных ответов
+ * @param {number} score - Набранные баллы
+ * @param {number} maxScore - Максимальный балл
+ * @returns {number} - Процент с точностью до сотых
+ */
+const getScorePercentage = (score, maxScore) => (
+  maxScore > 0 ? Math.round((score / maxScore) * 10000) / 100 : 0
+);
+
+/**
+ * Проверяет ответ участника
+ * @param {Object} question - Вопрос
+ * @param {Object} submission - { selectedAnswer } или { selectedAnswers } для вопросов с вариантами, { response } для остальных
+ * @returns {boolean} - Правильный ли ответ (полностью)
+ */
+const gradeAnswer = (question, submission) => {
+  const type = question.type || 'single_choice';
+  
+  if (isMultiSelectType(type)) {
+    return scoreMultiSelect(question, submission.selectedAnswers).isCorrect;
+  }
+  
+  if (isChoiceType(type)) {
+    return submission.selectedAnswer === question.correctAnswer;
+  }
+  
+  const response = submission.response;
+  
+  switch (type) {
+    case 'integer': {
+      const actual = parseInteger(response);
+      const expected = parseInteger(question.correctValue);
+      return actual !== null && expected !== null && actual === expected;
+    }
+    
+    // Для шаблона correctValue - ответ экземпляра участника (applyTemplateInstance)
+    case 'decimal':
+    case 'parametric': {
+      const actual = parseDecimal(response);
+      const expected = parseDecimal(question.correctValue);
+      if (actual === null || expected === null) return false;
+      
+      // Небольшой запас на погрешность представления чисел с плавающей точкой
+      return Math.abs(actual - expected) <= (question.tolerance || 0) + 1e-9;
+    }
+    
+    case 'fraction': {
+      const actual = parseFraction(response);
+      const expected = parseFraction(question.correctValue);
+      return !!actual && !!expected &&
+        actual.numerator === expected.numerator && actual.denominator === expected.denominator;
+    }
+    
+    case 'text': {
+      const actual = normalizeText(response, question.caseSensitive);
+      return actual !== '' &&
+        (question.acceptedAnswers || []).some(answer => normalizeText(answer, question.caseSensitive) === actual);
+    }
+    
+    default:
+      return false;
+  }
+};
+
+/**
+ * Возвращает правильный ответ в виде для показа
+ * @param {Object} question - Вопрос
+ * @returns {*} - Индекс варианта, значение или список допустимых ответов
+ */
+const getExpectedAnswer = (question) => {
+  const type = question.type || 'single_choice';
+  
+  if (isMultiSelectType(type)) return question.correctAnswers;
+  if (isChoiceType(type)) return question.correctAnswer;
+  if (type === 'text') return question.acceptedAnswers;
+  if (isManualGradingType(type)) return null;
+  // Шаблон без подставленных значений - показываем формулу ответа
+  if (isTemplateType(type) && !question.correctValue) return question.answerFormula;
+  if ((type === 'decimal' || isTemplateType(type)) && question.tolerance) return `${question.correctValue} ± ${question.tolerance}`;
+  
+  return question.correctValue;
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  CHOICE_TYPES,
+  MANUAL_GRADING_TYPES,
+  TEMPLATE_TYPES,
+  SCORING_RULES,
+  BLANK_ANSWER_POLICIES,
+  isChoiceType,
+  isMultiSelectType,
+  isManualGradingType,
+  isTemplateType,
+  parseInteger,
+  parseFraction,
+  parseDecimal,
+  normalizeText,
+  validateAnswerKey,
+  getQuestionPoints,
+  getBlankAnswerPoints,
+  gradeAnswer,
+  scoreAnswer,
+  getScorePercentage,
+  getExpectedAnswer
+};
@@ -0,0 +1,142 @@
+const { normalizeTopicName } = require('./topicTree');
+
+// Уровни сложности вопросов
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Возвращает ключ ячейки спецификации (тема × сложность)
+ * @param {string} topic - Тема
+ * @param {string} difficulty - Сложность
+ * @returns {string}
+ */
+const getCellKey = (topic, difficulty) => `${normalizeTopicName(topic)}|${difficulty}`;
+
+/**
+ * Возвращает ключи всех ячеек спецификации
+ * @param {Array<Object>} blueprint - Ячейки { topic, difficulty, min, max }
+ * @returns {Set<string>}
+ */
+const getBlueprintCellKeys = (blueprint) => new Set(blueprint.map(cell => getCellKey(cell.topic, cell.difficulty)));
+
+/**
+ * Возвращает ключ ячейки, в которую попадает вопрос: ячейка самой узкой темы на пути вопроса от корня.
+ * Вопрос подтемы (Алгебра → Неравенства) попадает в ячейку темы-предка, если у подтемы нет своей ячейки
+ * @param {Object} question - Вопрос { topic, topicPath, difficulty }; topicPath - названия тем от корня
+ * @param {Set<string>} cellKeys - Ключи ячеек (getBlueprintCellKeys)
+ * @returns {string}
+ */
+const getQuestionCellKey = (question, cellKeys) => {
+  const topics = question.topicPath && question.topicPath.length > 0 ? question.topicPath : [question.topic];
+  
+  for (let i = topics.length - 1; i >= 0; i--) {
+    const key = getCellKey(topics[i], question.difficulty);
+    if (cellKeys.has(key)) return key;
+  }
+  
+  return getCellKey(question.topic, question.difficulty);
+};
+
+/**
+ * Возвращает верхнюю границу ячейки (max не задан - без ограничения)
+ * @param {Object} cell - Ячейка { topic, difficulty, min, max }
+ * @returns {number}
+ */
+const getCellMax = (cell) => (cell.max === undefined || cell.max === null ? Infinity : cell.max);
+
+/**
+ * Считает суммарные границы спецификации
+ * @param {Array<Object>} blueprint - Ячейки { topic, difficulty, min, max }
+ * @returns {Object} - { min, max }; max = Infinity, если хотя бы у одной ячейки нет верхней границы
+ */
+const getBlueprintTotals = (blueprint) => ({
+  min: blueprint.reduce((sum, cell) => sum + (cell.min || 0), 0),
+  max: blueprint.reduce((sum, cell) => sum + getCellMax(cell), 0)
+});
+
+/**
+ * Проверяет спецификацию теста (blueprint) без учета банка вопросов
+ * @param {Array<Object>} blueprint - Ячейки { topic, difficulty, min, max }
+ * @param {number} [questionsPerTest] - Количество вопросов в тесте; если задано, проверяется, что его можно набрать
+ * @returns {Array<Object>} - Ошибки { field, message }; пустой массив - спецификация корректна
+ */
+const validateBlueprint = (blueprint, questionsPerTest) => {
+  if (!Array.isArray(blueprint)) {
+    return [{ field: 'blueprint', message: 'Blueprint must be an array of cells' }];
+  }
+  
+  const errors = [];
+  const seen = new Map();
+  
+  blueprint.forEach((cell, index) => {
+    const field = `blueprint.${index}`;
+    
+    if (!cell || typeof cell !== 'object') {
+      errors.push({ field, message: `Cell ${index + 1} must be an object` });
+      return;
+    }
+    
+    const topic = typeof cell.topic === 'string' ? cell.topic.trim() : '';
+    if (topic === '') {
+      errors.push({ field: `${field}.topic`, message: `Cell ${index + 1} has no topic` });
+    }
+    
+    if (!DIFFICULTIES.includes(cell.difficulty)) {
+      errors.push({ field: `${field}.difficulty`, message: `Cell ${index + 1} difficulty must be one of: ${DIFFICULTIES.join(', ')}` });
+    }
+    
+    const min = cell.min === undefined || cell.min === null ? 0 : cell.min;
+    if (!Number.isInteger(min) || min < 0) {
+      errors.push({ field: `${field}.min`, message: `Cell ${index + 1} min must be a non-negative integer` });
+    }
+    
+    if (cell.max !== undefined && cell.max !== null) {
+      if (!Number.isInteger(cell.max) || cell.max < 1) {
+        errors.push({ field: `${field}.max`, message: `Cell ${index + 1} max must be a positive integer` });
+      } else if (Number.isInteger(min) && cell.max < min) {
+        errors.push({ field: `${field}.max`, message: `Cell ${index + 1} max (${cell.max}) is less than min (${min})` });
+      }
+    }
+    
+    if (topic !== '' && DIFFICULTIES.includes(cell.difficulty)) {
+      const key = getCellKey(topic, cell.difficulty);
+      
+      if (seen.has(key)) {
+        errors.push({ field, message: `Cell ${index + 1} duplicates cell ${seen.get(key) + 1} (${topic} / ${cell.difficulty})` });
+      } else {
+        seen.set(key, index);
+      }
+    }
+  });
+  
+  if (errors.length > 0 || questionsPerTest === undefined || blueprint.length === 0) {
+    return errors;
+  }
+  
+  const totals = getBlueprintTotals(blueprint);
+  
+  if (totals.min > questionsPerTest) {
+    errors.push({
+      field: 'blueprint',
+      message: `Blueprint requires at least ${totals.min} questions, but the test has ${questionsPerTest}`
+    });
+  }
+  
+  if (totals.max < questionsPerTest) {
+    errors.push({
+      field: 'blueprint',
+      message: `Blueprint allows at most ${totals.max} questions, but the test has ${questionsPerTest}`
+    });
+  }
+  
+  return errors;
+};
+
+module.exports = {
+  DIFFICULTIES,
+  getCellKey,
+  getBlueprintCellKeys,
+  getQuestionCellKey,
+  getCellMax,
+  getBlueprintTotals,
+  validateBlueprint
+};
@@ -0,0 +1,154 @@
+const Competition = require('../models/Competition');
+const Test = require('../models/Test');
+
+// setTimeout не поддерживает задержки больше ~24.8 дней
+const MAX_TIMER_DELAY = 2147483647;
+
+// Активные таймеры по ID соревнования
+const timers = new Map();
+
+/**
+ * Открывает тестирование соревнования
+ * @param {Competition} competition - Соревнование
+ * @returns {Competition} - Обновленное соревнование
+ */
+const openCompetition = async (competition) => {
+  await competition.startTest();
+  console.log(`✅ Competition ${competition._id} opened`);
+  
+  return competition;
+};
+
+/**
+ * Закрывает тестирование соревнования и завершает все незавершенные тесты
+ * @param {Competition} competition - Соревнование
+ * @returns {number} - Количество автоматически завершенных тестов
+ */
+const closeCompetition = async (competition) => {
+  await competition.stopTest();
+  const completedCount = await Test.completeActiveTests(competition._id);
+  
+  console.log(`✅ Competition ${competition._id} closed, ${completedCount} tests auto-completed`);
+  
+  return completedCount;
+};
+
+/**
+ * Выполняет запланированный переход, если его время наступило
+ * @param {ObjectId} competitionId - ID соревнования
+ */
+const runDueTransition = async (competitionId) => {
+  timers.delete(competitionId.toString());
+  
+  try {
+    // Перечитываем соревнование: расписание могло измениться после установки таймера
+    const competition = await Competition.findById(competitionId);
+    if (!competition || !competition.isActive) {
+      return;
+    }
+    
+    const now = new Date();
+    
+    if (!competition.testStarted && competition.scheduledStartTime && competition.scheduledStartTime <= now) {
+      // Закрытие могло наступить, пока сервер был выключен
+      if (competition.scheduledEndTime && competition.scheduledEndTime <= now) {
+        console.warn(`Competition ${competition._id} missed its whole window, skipping scheduled start`);
+        competition.scheduledStartTime = null;
+        competition.scheduledEndTime = null;
+        await competition.save();
+        return;
+      }
+      
+      await openCompetition(competition);
+    }
+    
+    if (competition.testStarted && competition.scheduledEndTime && competition.scheduledEndTime <= now) {
+      await closeCompetition(competition);
+      return;
+    }
+    
+    scheduleCompetition(competition);
+    
+  } catch (error) {
+    console.error(`Scheduled transition failed for competition ${competitionId}:`, error);
+  }
+};
+
+/**
+ * Устанавливает (или переустанавливает) таймер следующего перехода соревнования
+ * @param {Competition} competition - Соревнование
+ */
+const scheduleCompetition = (competition) => {
+  const key = competition._id.toString();
+  
+  if (timers.has(key)) {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  }
+  
+  const transition = competition.isActive ? competition.getNextTransition() : null;
+  if (!transition) {
+    return;
+  }
+  
+  const delay = Math.max(0, new Date(transition.at).getTime() - Date.now());
+  
+  // Для очень далеких дат просыпаемся раньше и переустанавливаем таймер
+  const timer = setTimeout(() => {
+    runDueTransition(competition._id);
+  }, Math.min(delay, MAX_TIMER_DELAY));
+  
+  // Таймер не должен удерживать процесс при завершении работы
+  timer.unref();
+  timers.set(key, timer);
+};
+
+/**
+ * Отменяет таймер соревнования
+ * @param {ObjectId} competitionId - ID соревнования
+ */
+const unscheduleCompetition = (competitionId) => {
+  const key = competitionId.toString();
+  
+  if (timers.has(key)) {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  }
+};
+
+/**
+ * Восстанавливает расписание из базы данных при запуске сервера
+ * @returns {number} - Количество соревнований с расписанием
+ */
+const initCompetitionScheduler = async () => {
+  try {
+    const competitions = await Competition.find({
+      isActive: true,
+      $or: [
+        { scheduledStartTime: { $ne: null } },
+        { scheduledEndTime: { $ne: null } }
+      ]
+    });
+    
+    for (const competition of competitions) {
+      // Просроченные переходы выполняются сразу (таймер с нулевой задержкой)
+      scheduleCompetition(competition);
+    }
+    
+    console.log(`✅ Competition scheduler initialized: ${competitions.length} scheduled competitions`);
+    
+    return competitions.length;
+    
+  } catch (error) {
+    console.error('Error initializing competition scheduler:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  openCompetition,
+  closeCompetition,
+  scheduleCompetition,
+  unscheduleCompetition,
+  initCompetitionScheduler
+};
@@ -1,6 +1,29 @@
 const csv = require('csv-parser');
 const fs = require('fs');
 const XLSX = require('xlsx');
+const { QUESTION_TYPES, SCORING_RULES, isChoiceType, isMultiSelectType, validateAnswerKey } = require('./answerGrader');
+
+// Допустимые названия типов вопросов в файлах импорта
+const typeMapping = {
+  'choice': 'single_choice',
+  'single': 'single_choice',
+  'выбор': 'single_choice',
+  'multiple': 'multiple_choice',
+  'multi': 'multiple_choice',
+  'multiple_select': 'multiple_choice',
+  'несколько': 'multiple_choice',
+  'множественный_выбор': 'multiple_choice',
+  'целое': 'integer',
+  'число': 'integer',
+  'десятичное': 'decimal',
+  'дробь': 'fraction',
+  'текст': 'text',
+  'строка': 'text',
+  'proof': 'written',
+  'essay': 'written',
+  'развернутый': 'written',
+  'доказательство': 'written'
+};
 
 /**
  * Парсит CSV файл и возвращает массив вопросов
@@ -106,7 +129,13 @@ const parseQuestionRow = (row) => {
     option4: ['option4', 'option_4', 'choice4', 'answer4', 'вариант4', 'вариант_4'],
     option5: ['option5', 'option_5', 'choice5', 'answer5', 'вариант5', 'вариант_5'],
     option6: ['option6', 'option_6', 'choice6', 'answer6', 'вариант6', 'вариант_6'],
-    correctAnswer: ['correct_answer', 'correct', 'right_answer', 'правильный_ответ', 'верный_ответ'],
+    type: ['type', 'question_type', 'тип', 'тип_вопроса'],
+    correctAnswer: ['correct_answer', 'correctanswer', 'correct', 'right_answer', 'answer', 'правильный_ответ', 'верный_ответ', 'ответ'],
+    tolerance: ['tolerance', 'precision', 'погрешность', 'точность'],
+    acceptedAnswers: ['accepted_answers', 'acceptedanswers', 'accepted', 'допустимые_ответы'],
+    caseSensitive: ['case_sensitive', 'casesensitive', 'учитывать_регистр'],
+    scoringRule: ['scoring_rule', 'scoringrule', 'scoring', 'правило_оценки'],
+    wrongPickPenalty: ['wrong_pick_penalty', 'wrongpickpenalty', 'penalty', 'штраф'],
     difficulty: ['difficulty', 'level', 'сложность', 'уровень'],
     topic: ['topic', 'subject', 'category', 'тема', 'предмет', 'категория'],
     points: ['points', 'score', 'баллы', 'очки'],
@@ -131,6 +160,26 @@ const parseQuestionRow = (row) => {
     throw new Error('Title and description are required');
   }
   
+  // Тип вопроса
+  let type = findValue(fieldMappings.type) || 'single_choice';
+  type = type.toString().toLowerCase().trim();
+  type = typeMapping[type] || type;
+  
+  if (!QUESTION_TYPES.includes(type)) {
+    throw new Error(`Unknown question type: ${type}`);
+  }
+  
+  const commonFields = {
+    title: title.toString().trim(),
+    description: description.toString().trim(),
+    type,
+    ...parseCommonFields(findValue, fieldMappings)
+  };
+  
+  if (!isChoiceType(type)) {
+    return parseFreeFormAnswer(commonFields, findValue, fieldMappings);
+  }
+  
   // Собираем варианты ответов
   const options = [];
   for (let i = 1; i <= 6; i++) {
@@ -151,27 +200,135 @@ const parseQuestionRow = (row) => {
     throw new Error('Correct answer is required');
   }
   
-  let correctAnswer;
-  if (typeof correctAnswerValue === 'number') {
-    correctAnswer = correctAnswerValue - 1; // Предполагаем, что в файле нумерация с 1
-  } else {
-    const correctAnswerStr = correctAnswerValue.toString().trim();
-    // Пытаемся парсить как число
-    const parsed = parseInt(correctAnswerStr);
-    if (!isNaN(parsed)) {
-      correctAnswer = parsed - 1;
-    } else {
-      // Ищем текст ответа среди вариантов
-      correctAnswer = options.findIndex(option => 
-        option.toLowerCase() === correctAnswerStr.toLowerCase()
-      );
-    }
+  if (isMultiSelectType(type)) {
+    return parseMultiSelectAnswer({ ...commonFields, options }, correctAnswerValue, findValue, fieldMappings);
   }
   
+  const correctAnswer = parseOptionReference(correctAnswerValue, options);
+  
   if (correctAnswer < 0 || correctAnswer >= options.length) {
     throw new Error(`Invalid correct answer index: ${correctAnswer + 1}`);
   }
   
+  return {
+    ...commonFields,
+    options,
+    correctAnswer
+  };
+};
+
+/**
+ * Определяет индекс варианта по номеру (с 1) или по тексту варианта
+ * @param {*} value - Значение из файла
+ * @param {Array<string>} options - Варианты ответов
+ * @returns {number} - Индекс варианта (-1, если вариант не найден)
+ */
+const parseOptionReference = (value, options) => {
+  if (typeof value === 'number') {
+    return value - 1; // Предполагаем, что в файле нумерация с 1
+  }
+  
+  const valueStr = value.toString().trim();
+  // Пытаемся парсить как число
+  const parsed = parseInt(valueStr);
+  if (!isNaN(parsed)) {
+    return parsed - 1;
+  }
+  
+  // Ищем текст ответа среди вариантов
+  return options.findIndex(option => option.toLowerCase() === valueStr.toLowerCase());
+};
+
+/**
+ * Извлекает ключ ответа для вопросов с несколькими правильными вариантами
+ * @param {Object} question - Общие поля вопроса и варианты
+ * @param {*} correctAnswerValue - Правильные варианты через ";" или "|" (номера с 1 или тексты)
+ * @param {Function} findValue - Поиск значения по маппингу колонок
+ * @param {Object} fieldMappings - Маппинг колонок
+ * @returns {Object} - Объект вопроса
+ */
+const parseMultiSelectAnswer = (question, correctAnswerValue, findValue, fieldMappings) => {
+  const references = correctAnswerValue.toString().split(/[;|]/).map(item => item.trim()).filter(Boolean);
+  const correctAnswers = references.map(reference => {
+    const index = parseOptionReference(reference, question.options);
+    if (index < 0 || index >= question.options.length) {
+      throw new Error(`Invalid correct answer: ${reference}`);
+    }
+    return index;
+  });
+  
+  const scoringRuleValue = findValue(fieldMappings.scoringRule);
+  const scoringRule = scoringRuleValue ? scoringRuleValue.toString().toLowerCase().trim() : 'all_or_nothing';
+  
+  if (!SCORING_RULES.includes(scoringRule)) {
+    throw new Error(`Unknown scoring rule: ${scoringRule}`);
+  }
+  
+  const result = { ...question, correctAnswers, scoringRule };
+  
+  const penaltyValue = findValue(fieldMappings.wrongPickPenalty);
+  if (penaltyValue !== null) {
+    const penalty = parseFloat(penaltyValue.toString().replace(',', '.'));
+    if (isNaN(penalty) || penalty < 0) {
+      throw new Error('Wrong pick penalty must be a non-negative number');
+    }
+    result.wrongPickPenalty = penalty;
+  }
+  
+  const errors = validateAnswerKey(result);
+  if (errors.length > 0) {
+    throw new Error(errors[0].message);
+  }
+  
+  return result;
+};
+
+/**
+ * Извлекает ключ ответа для вопросов без вариантов (integer, decimal, fraction, text)
+ * @param {Object} commonFields - Общие поля вопроса
+ * @param {Function} findValue - Поиск значения по маппингу колонок
+ * @param {Object} fieldMappings - Маппинг колонок
+ * @returns {Object} - Объект вопроса
+ */
+const parseFreeFormAnswer = (commonFields, findValue, fieldMappings) => {
+  const question = { ...commonFields, options: [] };
+  const correctAnswerValue = findValue(fieldMappings.correctAnswer);
+  
+  if (question.type === 'text') {
+    // Допустимые ответы перечисляются через "|"
+    const acceptedValue = findValue(fieldMappings.acceptedAnswers) || correctAnswerValue;
+    question.acceptedAnswers = acceptedValue
+      ? acceptedValue.toString().split('|').map(answer => answer.trim()).filter(Boolean)
+      : [];
+    
+    const caseSensitiveValue = findValue(fieldMappings.caseSensitive);
+    question.caseSensitive = caseSensitiveValue
+      ? ['true', 'yes', '1', 'да'].includes(caseSensitiveValue.toString().toLowerCase().trim())
+      : false;
+  } else {
+    question.correctValue = correctAnswerValue !== null ? correctAnswerValue.toString().trim() : '';
+  }
+  
+  if (question.type === 'decimal') {
+    const toleranceValue = findValue(fieldMappings.tolerance);
+    question.tolerance = toleranceValue !== null ? parseFloat(toleranceValue.toString().replace(',', '.')) : 0;
+  }
+  
+  const errors = validateAnswerKey(question);
+  if (errors.length > 0) {
+    throw new Error(errors[0].message);
+  }
+  
+  return question;
+};
+
+/**
+ * Извлекает поля, общие для всех типов вопросов
+ * @param {Function} findValue - Поиск значения по маппингу колонок
+ * @param {Object} fieldMappings - Маппинг колонок
+ * @returns {Object} - Сложность, тема, баллы и объяснение
+ */
+const parseCommonFields = (findValue, fieldMappings) => {
   // Сложность
   let difficulty = findValue(fieldMappings.difficulty) || 'medium';
   difficulty = difficulty.toString().toLowerCase().trim();
@@ -193,25 +350,21 @@ const parseQuestionRow = (row) => {
   // Тема
   const topic = findValue(fieldMappings.topic) || 'General';
   
-  // Баллы
+  // Баллы (без значения - по сложности из политики начисления баллов)
   let points = findValue(fieldMappings.points);
   if (points) {
     points = parseInt(points);
     if (isNaN(points) || points < 1) {
-      points = 1;
+      points = null;
     }
   } else {
-    points = 1;
+    points = null;
   }
   
   // Объяснение
   const explanation = findValue(fieldMappings.explanation) || '';
   
   return {
-    title: title.toString().trim(),
-    description: description.toString().trim(),
-    options,
-    correctAnswer,
     difficulty,
     topic: topic.toString().trim(),
     points,
@@ -263,7 +416,7 @@ const validateImportFile = async (filePath, fileType) => {
     const headers = Object.keys(firstRow);
     
     const requiredFields = ['title', 'description', 'correctAnswer'];
-    const optionalFields = ['difficulty', 'topic', 'points', 'explanation'];
+    const optionalFields = ['type', 'difficulty', 'topic', 'points', 'explanation', 'tolerance', 'acceptedAnswers', 'scoringRule', 'wrongPickPenalty'];
     
     const suggestions = [];
     const missingRequired = [];
@@ -285,7 +438,7 @@ const validateImportFile = async (filePath, fileType) => {
     );
     
     if (optionHeaders.length < 2) {
-      suggestions.push('At least 2 option columns are required (option1, option2, etc.)');
+      suggestions.push('At least 2 option columns are required for choice questions (option1, option2, etc.)');
     }
     
     if (missingRequired.length > 0) {
@@ -295,7 +448,8 @@ const validateImportFile = async (filePath, fileType) => {
         suggestions: [
           'Required columns: title, description, correctAnswer',
           'Option columns: option1, option2, option3, etc.',
-          'Optional columns: difficulty, topic, points, explanation'
+          'Optional columns: type, difficulty, topic, points, explanation, tolerance, acceptedAnswers, scoringRule, wrongPickPenalty',
+          `Question types: ${QUESTION_TYPES.join(', ')}`
         ]
       };
     }
@@ -329,7 +483,12 @@ const generateCSVTemplate = () => {
     'option2',
     'option3',
     'option4',
+    'type',
     'correctAnswer',
+    'tolerance',
+    'acceptedAnswers',
+    'scoringRule',
+    'wrongPickPenalty',
     'difficulty',
     'topic',
     'points',
@@ -362,6 +521,52 @@ const generateCSVTemplate = () => {
       topic: 'Calculus',
       points: '2',
       explanation: 'The derivative of x² is 2x using the power rule'
+    },
+    {
+      title: 'Select all prime numbers',
+      description: 'Which of the following numbers are prime?',
+      option1: '2',
+      option2: '3',
+      option3: '4',
+      option4: '5',
+      type: 'multiple_choice',
+      correctAnswer: '1;2;4',
+      scoringRule: 'proportional',
+      difficulty: 'easy',
+      topic: 'Number Theory',
+      points: '2',
+      explanation: '2, 3 and 5 are prime; 4 = 2 × 2'
+    },
+    {
+      title: 'Sum of a geometric series',
+      description: 'Find the sum 1/2 + 1/4 + 1/8 + 1/16 as an irreducible fraction',
+      type: 'fraction',
+      correctAnswer: '15/16',
+      difficulty: 'medium',
+      topic: 'Series',
+      points: '2',
+      explanation: 'The sum equals 1 - 1/16 = 15/16'
+    },
+    {
+      title: 'Approximate value of pi',
+      description: 'Give the value of pi with two decimal places',
+      type: 'decimal',
+      correctAnswer: '3.14',
+      tolerance: '0.005',
+      difficulty: 'easy',
+      topic: 'Geometry',
+      points: '1',
+      explanation: 'pi = 3.14159...'
+    },
+    {
+      title: 'Name of the triangle',
+      description: 'How is a triangle with all sides equal called?',
+      type: 'text',
+      acceptedAnswers: 'equilateral|regular',
+      difficulty: 'easy',
+      topic: 'Geometry',
+      points: '1',
+      explanation: 'Such a triangle is called equilateral (regular)'
     }
   ];
   
@@ -0,0 +1,257 @@
+const Question = require('../models/Question');
+
+// Что делать с найденным дубликатом при массовом создании и импорте:
+// skip - не создавать вопрос; merge - перенести импортируемое содержание в существующий вопрос;
+// flag - создать вопрос с пометкой duplicateOf
+const DUPLICATE_STRATEGIES = ['skip', 'merge', 'flag'];
+
+// Порог сходства по умолчанию (Settings.duplicateThreshold)
+const DEFAULT_DUPLICATE_THRESHOLD = 0.85;
+
+// Токены: слова и числа, а также математические знаки (от них зависит смысл условия)
+const TOKEN_PATTERN = /[\p{L}\p{N}]+|[+\-*/=<>^√π∞≤≥≠%]/gu;
+
+/**
+ * Приводит текст к виду для сравнения: Unicode NFKC, нижний регистр, ё -> е
+ * @param {string} text - Текст
+ * @returns {string}
+ */
+const normalizeText = (text) => (text || '').toString().normalize('NFKC').toLowerCase().replace(/ё/g, 'е');
+
+/**
+ * Разбивает текст на токены (без пунктуации и лишних пробелов)
+ * @param {string} text - Текст
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => normalizeText(text).match(TOKEN_PATTERN) || [];
+
+/**
+ * Возвращает отпечаток вопроса: нормализованные условие и варианты (в любом порядке).
+ * Вопросы с одинаковым отпечатком - точные дубликаты
+ * @param {Object} question - Вопрос { title, description, options }
+ * @returns {string}
+ */
+const getFingerprint = (question) => [
+  tokenize(question.title).join(' '),
+  tokenize(question.description).join(' '),
+  ...(question.options || []).map(option => tokenize(option).join(' ')).sort()
+].join('|');
+
+/**
+ * Возвращает множество токенов условия и вариантов вопроса
+ * @param {Object} question - Вопрос
+ * @returns {Set<string>}
+ */
+const getQuestionTokens = (question) => new Set([
+  ...tokenize(question.title),
+  ...tokenize(question.description),
+  ...(question.options || []).flatMap(tokenize)
+]);
+
+/**
+ * Создает индекс вопросов для поиска дубликатов
+ * @param {Array<Object>} questions - Вопросы { _id, title, description, options }
+ * @returns {Object} - { entries, byFingerprint, byToken }
+ */
+const createDuplicateIndex = (questions = []) => {
+  const index = { entries: new Map(), byFingerprint: new Map(), byToken: new Map() };
+  questions.forEach(question => addToDuplicateIndex(index, question));
+  return index;
+};
+
+/**
+ * Удаляет вопрос из индекса
+ * @param {Object} index - Индекс (createDuplicateIndex)
+ * @param {string} key - ID вопроса
+ */
+const removeFromDuplicateIndex = (index, key) => {
+  const entry = index.entries.get(key);
+  if (!entry) return;
+  
+  index.byFingerprint.get(entry.fingerprint).delete(key);
+  entry.tokens.forEach(token => index.byToken.get(token).delete(key));
+  index.entries.delete(key);
+};
+
+/**
+ * Добавляет вопрос в индекс (или обновляет его после изменения)
+ * @param {Object} index - Индекс (createDuplicateIndex)
+ * @param {Object} question - Вопрос
+ */
+const addToDuplicateIndex = (index, question) => {
+  const key = question._id.toString();
+  removeFromDuplicateIndex(index, key);
+  
+  const entry = {
+    key,
+    question: { _id: question._id, title: question.title },
+    fingerprint: getFingerprint(question),
+    tokens: getQuestionTokens(question)
+  };
+  
+  index.entries.set(key, entry);
+  if (!index.byFingerprint.has(entry.fingerprint)) index.byFingerprint.set(entry.fingerprint, new Set());
+  index.byFingerprint.get(entry.fingerprint).add(key);
+  
+  entry.tokens.forEach(token => {
+    if (!index.byToken.has(token)) index.byToken.set(token, new Set());
+    index.byToken.get(token).add(key);
+  });
+};
+
+/**
+ * Находит в индексе вопросы, похожие на данный. Сходство - коэффициент Жаккара множеств токенов;
+ * у точных дубликатов (одинаковый отпечаток) сходство равно 1
+ * @param {Object} index - Индекс (createDuplicateIndex)
+ * @param {Object} question - Проверяемый вопрос
+ * @param {number} threshold - Минимальное сходство
+ * @param {number} limit - Максимальное количество результатов
+ * @returns {Array<Object>} - [{ questionId, title, similarity, exact }] по убыванию сходства
+ */
+const findDuplicates = (index, question, threshold = DEFAULT_DUPLICATE_THRESHOLD, limit = 5) => {
+  const ownKey = question._id ? question._id.toString() : null;
+  const fingerprint = getFingerprint(question);
+  const tokens = getQuestionTokens(question);
+  
+  // Число общих токенов с каждым вопросом индекса
+  const shared = new Map();
+  tokens.forEach(token => {
+    (index.byToken.get(token) || []).forEach(key => shared.set(key, (shared.get(key) || 0) + 1));
+  });
+  (index.byFingerprint.get(fingerprint) || []).forEach(key => {
+    if (!shared.has(key)) shared.set(key, 0);
+  });
+  
+  const matches = [];
+  shared.forEach((count, key) => {
+    if (key === ownKey) return;
+    
+    const entry = index.entries.get(key);
+    const exact = entry.fingerprint === fingerprint;
+    const union = tokens.size + entry.tokens.size - count;
+    const similarity = exact ? 1 : (union > 0 ? Math.round(count / union * 10000) / 10000 : 0);
+    
+    if (similarity >= threshold) {
+      matches.push({ questionId: entry.question._id, title: entry.question.title, similarity, exact });
+    }
+  });
+  
+  return matches
+    .sort((a, b) => b.similarity - a.similarity || a.questionId.toString().localeCompare(b.questionId.toString()))
+    .slice(0, limit);
+};
+
+/**
+ * Загружает вопросы банка для поиска дубликатов (выведенные из банка вопросы не учитываются)
+ * @param {Object} options - { includeRetired }
+ * @returns {Object} - Индекс (createDuplicateIndex) и вопросы { index, questions }
+ */
+const loadDuplicateIndex = async ({ includeRetired = false } = {}) => {
+  const questions = await Question.find(includeRetired ? {} : { status: { $ne: 'retired' } })
+    .select('title description options topic difficulty status isActive usageCount')
+    .sort({ _id: 1 })
+    .lean();
+  
+  return { index: createDuplicateIndex(questions), questions };
+};
+
+/**
+ * Строит отчет о дубликатах во всем банке: похожие пары объединяются в кластеры
+ * (если A похож на B, а B на C, все три вопроса попадают в один кластер)
+ * @param {Object} options - { threshold, includeRetired, page, limit }
+ * @returns {Object} - { summary, clusters, pagination }
+ */
+const getDuplicateReport = async ({ threshold = DEFAULT_DUPLICATE_THRESHOLD, includeRetired = false, page = 1, limit = 20 } = {}) => {
+  const { index, questions } = await loadDuplicateIndex({ includeRetired });
+  const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+  
+  // Система непересекающихся множеств для объединения пар в кластеры
+  const parent = new Map();
+  const find = (key) => {
+    while (parent.get(key) !== key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+  
+  const pairs = [];
+  questions.forEach(question => {
+    const key = question._id.toString();
+    if (!parent.has(key)) parent.set(key, key);
+    
+    // Каждая пара учитывается один раз: сравниваем только с вопросами, добавленными раньше
+    findDuplicates(index, question, threshold, Infinity)
+      .filter(match => match.questionId.toString() < key)
+      .forEach(match => {
+        const other = match.questionId.toString();
+        pairs.push({ questionIds: [match.questionId, question._id], similarity: match.similarity, exact: match.exact });
+        parent.set(find(key), find(other));
+      });
+  });
+  
+  const clustersByRoot = new Map();
+  pairs.forEach(pair => {
+    const root = find(pair.questionIds[0].toString());
+    if (!clustersByRoot.has(root)) clustersByRoot.set(root, { keys: new Set(), pairs: [] });
+    
+    const cluster = clustersByRoot.get(root);
+    pair.questionIds.forEach(id => cluster.keys.add(id.toString()));
+    cluster.pairs.push(pair);
+  });
+  
+  const clusters = [...clustersByRoot.values()]
+    .map(cluster => ({
+      maxSimilarity: Math.max(...cluster.pairs.map(pair => pair.similarity)),
+      hasExactDuplicates: cluster.pairs.some(pair => pair.exact),
+      questions: [...cluster.keys].sort().map(key => {
+        const question = questionsById.get(key);
+        
+        return {
+          id: question._id,
+          title: question.title,
+          topic: question.topic,
+          difficulty: question.difficulty,
+          status: question.status,
+          isActive: question.isActive,
+          usageCount: question.usageCount
+        };
+      }),
+      pairs: cluster.pairs.sort((a, b) => b.similarity - a.similarity)
+    }))
+    .sort((a, b) => b.maxSimilarity - a.maxSimilarity || b.questions.length - a.questions.length ||
+      a.questions[0].id.toString().localeCompare(b.questions[0].id.toString()));
+  
+  const totalPages = Math.ceil(clusters.length / limit);
+  
+  return {
+    summary: {
+      questionsCompared: questions.length,
+      threshold,
+      clusters: clusters.length,
+      exactClusters: clusters.filter(cluster => cluster.hasExactDuplicates).length,
+      questionsInClusters: clusters.reduce((sum, cluster) => sum + cluster.questions.length, 0)
+    },
+    clusters: clusters.slice((page - 1) * limit, page * limit),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalItems: clusters.length,
+      itemsPerPage: limit,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  };
+};
+
+module.exports = {
+  DUPLICATE_STRATEGIES,
+  DEFAULT_DUPLICATE_THRESHOLD,
+  normalizeText,
+  getFingerprint,
+  createDuplicateIndex,
+  addToDuplicateIndex,
+  findDuplicates,
+  loadDuplicateIndex,
+  getDuplicateReport
+};
@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const Test = require('../models/Test');
+const Question = require('../models/Question');
+const { shuffleArray } = require('./seededRandom');
+const { getUnitMembers, getUnitSize, takeUnits, countUnitQuestions } = require('./questionGroups');
+
+/**
+ * Проверяет, включен ли хотя бы один из режимов контроля экспозиции
+ * @param {Object} exposureControl - { maxShare, preferUnderused, minimizeOverlap }
+ * @returns {boolean}
+ */
+const isExposureControlEnabled = (exposureControl) => Boolean(exposureControl && (
+  (exposureControl.maxShare !== undefined && exposureControl.maxShare !== null) ||
+  exposureControl.preferUnderused ||
+  exposureControl.minimizeOverlap
+));
+
+/**
+ * Считает хэш тестов, выданных до нового теста (входные данные контроля экспозиции)
+ * @param {Array<Object>} priorTests - Тесты { _id, questions }
+ * @returns {string} - SHA-256
+ */
+const computeExposureHash = (priorTests) => {
+  const content = priorTests.map(test => [
+    test._id.toString(),
+    test.questions.map(id => id.toString())
+  ]);
+  
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+/**
+ * Создает состояние контроля экспозиции для сборки одного теста
+ * @param {Array<Object>} priorTests - Уже выданные тесты соревнования { _id, questions }
+ * @param {Object} options - { maxShare, preferUnderused, minimizeOverlap, plannedTests }
+ * @returns {Object} - { enabled, cap, totalTests, pick, isOverCap }
+ */
+const createExposureState = (priorTests = [], { maxShare = null, preferUnderused = false, minimizeOverlap = false, plannedTests = 0 } = {}) => {
+  const enabled = isExposureControlEnabled({ maxShare, preferUnderused, minimizeOverlap });
+  
+  // Сколько тестов уже содержат вопрос и в каких именно тестах он встречается
+  const counts = new Map();
+  const testsByQuestion = new Map();
+  priorTests.forEach((test, testIndex) => {
+    test.questions.forEach(id => {
+      const key = id.toString();
+      counts.set(key, (counts.get(key) || 0) + 1);
+      if (!testsByQuestion.has(key)) testsByQuestion.set(key, []);
+      testsByQuestion.get(key).push(testIndex);
+    });
+  });
+  
+  // Доля считается от ожидаемого числа тестов соревнования (не меньше уже выданных плюс новый)
+  const totalTests = Math.max(plannedTests || 0, priorTests.length + 1);
+  const cap = maxShare !== undefined && maxShare !== null
+    ? Math.max(1, Math.floor(maxShare * totalTests))
+    : Infinity;
+  
+  // Прирост суммы квадратов пересечений нового теста с выданными тестами при добавлении вопроса-кандидата.
+  // Группа вопросов оценивается по своим вопросам: число тестов - по самому использованному, стоимость - суммарно
+  const overlapCost = new Map();
+  const getQuestionCount = (question) => counts.get(question._id.toString()) || 0;
+  const getCount = (unit) => Math.max(...getUnitMembers(unit).map(getQuestionCount));
+  const getOverlapCost = (unit) => getUnitMembers(unit).reduce((sum, question) => {
+    const key = question._id.toString();
+    return sum + (counts.get(key) || 0) + (overlapCost.get(key) || 0);
+  }, 0);
+  
+  const commit = (unit) => {
+    getUnitMembers(unit).forEach(question => {
+      (testsByQuestion.get(question._id.toString()) || []).forEach(testIndex => {
+        priorTests[testIndex].questions.forEach(id => {
+          const key = id.toString();
+          overlapCost.set(key, (overlapCost.get(key) || 0) + 2);
+        });
+      });
+    });
+  };
+  
+  // Выбор единиц на count вопросов из кандидатов в соответствии с включенными режимами
+  const pickAllowed = (candidates, count, random, maxUnits) => {
+    if (count <= 0 || candidates.length === 0) return [];
+    
+    if (minimizeOverlap) {
+      // Жадно: каждая следующая единица меньше всего (в расчете на вопрос) увеличивает сумму квадратов пересечений
+      const remaining = [...candidates];
+      const picked = [];
+      let size = 0;
+      
+      while (size < count && picked.length < maxUnits) {
+        let bestIndex = -1;
+        let bestCost = Infinity;
+        
+        for (let i = 0; i < remaining.length; i++) {
+          const unitSize = getUnitSize(remaining[i]);
+          if (size + unitSize > count) continue;
+          
+          const cost = getOverlapCost(remaining[i]) / unitSize;
+          if (cost < bestCost) {
+            bestIndex = i;
+            bestCost = cost;
+          }
+        }
+        
+        if (bestIndex === -1) break;
+        
+        const [unit] = remaining.splice(bestIndex, 1);
+        commit(unit);
+        picked.push(unit);
+        size += getUnitSize(unit);
+      }
+      
+      return picked;
+    }
+    
+    if (preferUnderused) {
+      // Взвешенная выборка без возвращения (Efraimidis-Spirakis): вес 1 / (1 + число тестов с вопросом)
+      const ordered = candidates
+        .map(unit => ({ unit, key: Math.pow(random(), 1 + getCount(unit)) }))
+        .sort((a, b) => b.key - a.key)
+        .map(item => item.unit);
+      
+      return takeUnits(ordered, count, maxUnits);
+    }
+    
+    return takeUnits(candidates, count, maxUnits);
+  };
+  
+  /**
+   * Выбирает из кандидатов единицы (вопросы и группы вопросов) общим размером до count вопросов
+   * @param {Array<Object>} candidates - Кандидаты
+   * @param {number} count - Количество вопросов
+   * @param {Function} random - Генератор случайных чисел
+   * @param {number} maxUnits - Максимальное количество единиц
+   * @returns {Array} - Выбранные единицы
+   */
+  const pick = (candidates, count, random = Math.random, maxUnits = Infinity) => {
+    const shuffled = shuffleArray(candidates, random);
+    if (!enabled) {
+      return takeUnits(shuffled, count, maxUnits);
+    }
+    
+    const allowed = shuffled.filter(unit => getCount(unit) < cap);
+    const picked = pickAllowed(allowed, count, random, maxUnits);
+    if (!minimizeOverlap) {
+      picked.forEach(commit);
+    }
+    
+    // Вопросы, исчерпавшие лимит, используются только если без них тест не собрать - начиная с наименее использованных
+    const pickedSize = countUnitQuestions(picked);
+    if (pickedSize < count && picked.length < maxUnits) {
+      const overCap = takeUnits(
+        shuffled
+          .filter(unit => getCount(unit) >= cap)
+          .sort((a, b) => getCount(a) - getCount(b)),
+        count - pickedSize,
+        maxUnits - picked.length
+      );
+      
+      overCap.forEach(commit);
+      picked.push(...overCap);
+    }
+    
+    return picked;
+  };
+  
+  return {
+    enabled,
+    cap,
+    totalTests,
+    pick,
+    isOverCap: (question) => getCount(question) >= cap
+  };
+};
+
+/**
+ * Загружает тесты соревнования, выданные до указанного теста (в порядке создания)
+ * @param {ObjectId} competitionId - ID соревнования
+ * @param {ObjectId} [beforeTestId] - Учитывать только тесты, созданные раньше этого теста
+ * @returns {Array<Object>} - Тесты { _id, questions }
+ */
+const loadPriorTests = async (competitionId, beforeTestId = null) => {
+  const filter = { competitionId };
+  if (beforeTestId) {
+    filter._id = { $lt: beforeTestId };
+  }
+  
+  return Test.find(filter)
+    .select('questions')
+    .sort({ _id: 1 })
+    .lean();
+};
+
+/**
+ * Строит отчет об экспозиции вопросов: в какой доле тестов встречается каждый вопрос и насколько пересекаются тесты
+ * @param {Object} filter - Фильтр тестов (например, { competitionId })
+ * @param {Object} options - { page, limit, maxShare }
+ * @returns {Object} - { summary, distribution, overlap, questions, pagination }
+ */
+const getQuestionExposureReport = async (filter = {}, { page = 1, limit = 50, maxShare = null } = {}) => {
+  const tests = await Test.find(filter)
+    .select('competitionId questions')
+    .sort({ _id: 1 })
+    .lean();
+  
+  const round = (value) => Math.round(value * 10000) / 10000;
+  
+  // Число тестов, в которые попал каждый вопрос, и тесты каждого вопроса (для подсчета пересечений)
+  const appearances = new Map();
+  const testsByQuestion = new Map();
+  tests.forEach((test, testIndex) => {
+    test.questions.forEach(id => {
+      const key = id.toString();
+      appearances.set(key, (appearances.get(key) || 0) + 1);
+      if (!testsByQuestion.has(key)) testsByQuestion.set(key, []);
+      testsByQuestion.get(key).push(testIndex);
+    });
+  });
+  
+  // Попарные пересечения тестов: для каждого теста суммируем по его вопросам тесты с большим индексом
+  let pairs = 0;
+  let overlapSum = 0;
+  let maxOverlap = { count: 0, tests: [] };
+  tests.forEach((test, testIndex) => {
+    const shared = new Map();
+    test.questions.forEach(id => {
+      (testsByQuestion.get(id.toString()) || []).forEach(otherIndex => {
+        if (otherIndex > testIndex) {
+          shared.set(otherIndex, (shared.get(otherIndex) || 0) + 1);
+        }
+      });
+    });
+    
+    shared.forEach((count, otherIndex) => {
+      overlapSum += count;
+      if (count > maxOverlap.count) {
+        maxOverlap = { count, tests: [test._id, tests[otherIndex]._id] };
+      }
+    });
+    
+    pairs += tests.length - testIndex - 1;
+  });
+  
+  const totalTests = tests.length;
+  const cap = maxShare !== null && totalTests > 0 ? Math.max(1, Math.floor(maxShare * totalTests)) : null;
+  const rows = [...appearances.entries()]
+    .map(([questionId, count]) => ({
+      questionId,
+      appearances: count,
+      share: round(count / totalTests),
+      overCap: cap !== null && count > cap
+    }))
+    .sort((a, b) => b.appearances - a.appearances || a.questionId.localeCompare(b.questionId));
+  
+  // Распределение доли тестов с вопросом по интервалам в 10%
+  const buckets = new Map();
+  rows.forEach(row => {
+    const bucket = Math.min(9, Math.floor(row.share * 10));
+    buckets.set(bucket, (buckets.get(bucket) || 0) + 1);
+  });
+  
+  const skip = (page - 1) * limit;
+  const pageRows = rows.slice(skip, skip + limit);
+  const questions = await Question.find({ _id: { $in: pageRows.map(row => row.questionId) } })
+    .select('title topic difficulty usageCount isActive')
+    .lean();
+  const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+  
+  return {
+    summary: {
+      totalTests,
+      questionsUsed: rows.length,
+      maxShare,
+      cap,
+      overCapQuestions: rows.filter(row => row.overCap).length,
+      meanShare: rows.length > 0 ? round(rows.reduce((sum, row) => sum + row.share, 0) / rows.length) : 0,
+      highestShare: rows.length > 0 ? rows[0].share : 0
+    },
+    distribution: [...buckets.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([bucket, count]) => ({ from: bucket * 10, to: (bucket + 1) * 10, count })),
+    overlap: {
+      pairs,
+      meanSharedQuestions: pairs > 0 ? round(overlapSum / pairs) : 0,
+      maxSharedQuestions: maxOverlap.count,
+      mostOverlappingTests: maxOverlap.tests
+    },
+    questions: pageRows.map(row => {
+      const question = questionsById.get(row.questionId);
+      
+      return {
+        ...row,
+        title: question ? question.title : null,
+        topic: question ? question.topic : null,
+        difficulty: question ? question.difficulty : null,
+        usageCount: question ? question.usageCount : null,
+        isActive: question ? question.isActive : null
+      };
+    }),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(rows.length / limit),
+      totalItems: rows.length,
+      itemsPerPage: limit,
+      hasNext: page < Math.ceil(rows.length / limit),
+      hasPrev: page > 1
+    }
+  };
+};
+
+module.exports = {
+  isExposureControlEnabled,
+  computeExposureHash,
+  createExposureState,
+  loadPriorTests,
+  getQuestionExposureReport
+};
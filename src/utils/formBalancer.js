@@ -0,0 +1,307 @@
+const Test = require('../models/Test');
+const Question = require('../models/Question');
+const { getQuestionPoints } = require('./answerGrader');
+
+// Априорная вероятность правильного ответа по сложности - для вопросов без достаточной статистики
+const DIFFICULTY_PRIORS = {
+  easy: 0.8,
+  medium: 0.6,
+  hard: 0.4
+};
+
+// Вес априорной оценки в числе ответов: при 10 ответах эмпирическая доля и априорная равноценны
+const PRIOR_WEIGHT = 10;
+
+// Максимальное число замен вопросов при выравнивании одного теста
+const MAX_SWAPS = 50;
+
+// Эмпирическая статистика пересчитывается не чаще раза в 5 минут (массовая генерация создает сотни тестов подряд)
+const STATS_CACHE_TTL = 5 * 60 * 1000;
+
+let statsCache = null;
+
+/**
+ * Собирает эмпирическую статистику ответов по всем вопросам
+ * @param {Object} options - { fresh: true - без кэша }
+ * @returns {Map} - questionId -> { totalAnswers, correctAnswers }
+ */
+const loadSuccessStats = async ({ fresh = false } = {}) => {
+  if (!fresh && statsCache && Date.now() - statsCache.loadedAt < STATS_CACHE_TTL) {
+    return statsCache.stats;
+  }
+  
+  // Учитываются только оцененные ответы (как в Question.getStats)
+  const rows = await Test.aggregate([
+    { $match: { $or: [{ isCompleted: true }, { navigationMode: { $ne: 'free' } }] } },
+    { $unwind: '$answers' },
+    { $match: { 'answers.gradingStatus': { $ne: 'pending' } } },
+    {
+      $group: {
+        _id: '$answers.questionId',
+        totalAnswers: { $sum: 1 },
+        correctAnswers: { $sum: { $cond: ['$answers.isCorrect', 1, 0] } }
+      }
+    }
+  ]);
+  
+  const stats = new Map(rows.map(row => [row._id.toString(), {
+    totalAnswers: row.totalAnswers,
+    correctAnswers: row.correctAnswers
+  }]));
+  
+  statsCache = { stats, loadedAt: Date.now() };
+  
+  return stats;
+};
+
+/**
+ * Оценивает вероятность правильного ответа на вопрос: эмпирическая доля, сглаженная к априорной по сложности
+ * @param {Object} question - Вопрос
+ * @param {Map} successStats - Статистика ответов (loadSuccessStats)
+ * @returns {number} - Вероятность от 0 до 1
+ */
+const getExpectedSuccess = (question, successStats) => {
+  const prior = DIFFICULTY_PRIORS[question.difficulty] ?? DIFFICULTY_PRIORS.medium;
+  const stats = successStats ? successStats.get(question._id.toString()) : null;
+  
+  if (!stats || stats.totalAnswers === 0) {
+    return prior;
+  }
+  
+  return (stats.correctAnswers + prior * PRIOR_WEIGHT) / (stats.totalAnswers + PRIOR_WEIGHT);
+};
+
+/**
+ * Ожидаемые баллы за вопрос с учетом штрафа за неверный ответ
+ * @param {Object} question - Вопрос
+ * @param {Map} successStats - Статистика ответов
+ * @param {Object} policy - Политика начисления баллов
+ * @returns {Object} - { expected, max }
+ */
+const getExpectedPoints = (question, successStats, policy = {}) => {
+  const max = getQuestionPoints(question, policy);
+  const success = getExpectedSuccess(question, successStats);
+  const penalty = policy.wrongAnswerPenalty || 0;
+  
+  return {
+    expected: max * (success - (1 - success) * penalty),
+    max
+  };
+};
+
+/**
+ * Считает ожидаемый балл набора вопросов
+ * @param {Array<Object>} questions - Вопросы теста
+ * @param {Map} successStats - Статистика ответов
+ * @param {Object} policy - Политика начисления баллов
+ * @returns {Object} - { expectedScore, maxScore, expectedShare }
+ */
+const getExpectedScore = (questions, successStats, policy = {}) => {
+  const totals = questions.reduce((sum, question) => {
+    const points = getExpectedPoints(question, successStats, policy);
+    sum.expectedScore += points.expected;
+    sum.maxScore += points.max;
+    return sum;
+  }, { expectedScore: 0, maxScore: 0 });
+  
+  return {
+    ...totals,
+    expectedShare: totals.maxScore > 0 ? totals.expectedScore / totals.maxScore : 0
+  };
+};
+
+/**
+ * Выравнивает ожидаемую трудность теста заменой вопросов на вопросы той же группы (stratum),
+ * чтобы состав теста по сложности и спецификации не менялся
+ * @param {Array<Object>} selected - Выбранные вопросы
+ * @param {Array<Object>} pool - Вопросы-кандидаты (не вошедшие в тест)
+ * @param {Object} options - { targetShare, tolerance, getStratum, successStats, policy, random }
+ * @returns {Object} - { questions, expectedScore, maxScore, expectedShare, targetShare, withinTolerance, swaps }
+ */
+const balanceForm = (selected, pool, { targetShare, tolerance, getStratum, successStats, policy = {}, random = Math.random }) => {
+  const questions = [...selected];
+  const pointsCache = new Map();
+  const points = (question) => {
+    const key = question._id.toString();
+    if (!pointsCache.has(key)) {
+      pointsCache.set(key, getExpectedPoints(question, successStats, policy));
+    }
+    return pointsCache.get(key);
+  };
+  
+  // Кандидаты группируются заранее: замена возможна только внутри своей группы
+  const candidates = new Map();
+  pool.forEach(question => {
+    const key = getStratum(question);
+    if (!candidates.has(key)) candidates.set(key, []);
+    candidates.get(key).push(question);
+  });
+  
+  // Цель по умолчанию - ожидаемая доля случайного теста того же состава
+  let target = targetShare;
+  if (target === undefined || target === null) {
+    const byStratum = new Map();
+    [...questions, ...pool].forEach(question => {
+      const key = getStratum(question);
+      const item = byStratum.get(key) || { expected: 0, max: 0, count: 0 };
+      const value = points(question);
+      item.expected += value.expected;
+      item.max += value.max;
+      item.count += 1;
+      byStratum.set(key, item);
+    });
+    
+    const totals = questions.reduce((sum, question) => {
+      const item = byStratum.get(getStratum(question));
+      sum.expected += item.expected / item.count;
+      sum.max += item.max / item.count;
+      return sum;
+    }, { expected: 0, max: 0 });
+    
+    target = totals.max > 0 ? totals.expected / totals.max : 0;
+  }
+  
+  let { expectedScore, maxScore } = getExpectedScore(questions, successStats, policy);
+  let swaps = 0;
+  
+  while (swaps < MAX_SWAPS && maxScore > 0 && Math.abs(expectedScore / maxScore - target) > tolerance) {
+    const currentDeviation = Math.abs(expectedScore / maxScore - target);
+    const improving = [];
+    
+    questions.forEach((question, position) => {
+      const stratum = getStratum(question);
+      const current = points(question);
+      
+      (candidates.get(stratum) || []).forEach((candidate, candidateIndex) => {
+        const next = points(candidate);
+        const nextMax = maxScore - current.max + next.max;
+        if (nextMax <= 0) return;
+        
+        const deviation = Math.abs((expectedScore - current.expected + next.expected) / nextMax - target);
+        if (deviation < currentDeviation) {
+          improving.push({ position, stratum, candidateIndex, deviation });
+        }
+      });
+    });
+    
+    if (improving.length === 0) break;
+    
+    // Среди замен, попадающих в допуск, берем случайную - чтобы тесты не сходились к одному набору вопросов
+    const sufficient = improving.filter(swap => swap.deviation <= tolerance);
+    const swap = sufficient.length > 0
+      ? sufficient[Math.floor(random() * sufficient.length)]
+      : improving.reduce((best, item) => (item.deviation < best.deviation ? item : best));
+    
+    const removed = questions[swap.position];
+    const added = candidates.get(swap.stratum)[swap.candidateIndex];
+    const removedPoints = points(removed);
+    const addedPoints = points(added);
+    
+    questions[swap.position] = added;
+    candidates.get(swap.stratum)[swap.candidateIndex] = removed;
+    expectedScore += addedPoints.expected - removedPoints.expected;
+    maxScore += addedPoints.max - removedPoints.max;
+    swaps++;
+  }
+  
+  const expectedShare = maxScore > 0 ? expectedScore / maxScore : 0;
+  
+  return {
+    questions,
+    expectedScore: Math.round(expectedScore * 100) / 100,
+    maxScore,
+    expectedShare: Math.round(expectedShare * 10000) / 10000,
+    targetShare: Math.round(target * 10000) / 10000,
+    withinTolerance: Math.abs(expectedShare - target) <= tolerance,
+    swaps
+  };
+};
+
+/**
+ * Строит отчет о разбросе ожидаемой трудности сгенерированных тестов (по текущей статистике вопросов)
+ * @param {Object} filter - Фильтр тестов (например, { competitionId })
+ * @param {Object} options - { tolerance, outliersLimit }
+ * @returns {Object} - { summary, distribution, outliers }
+ */
+const getFormsSpreadReport = async (filter = {}, { tolerance = 0.05, outliersLimit = 10 } = {}) => {
+  const tests = await Test.find(filter)
+    .select('userId competitionId questions scoringPolicy maxScore formBalance createdAt')
+    .lean();
+  
+  const questionIds = [...new Set(tests.flatMap(test => test.questions.map(id => id.toString())))];
+  const [questions, successStats] = await Promise.all([
+    Question.find({ _id: { $in: questionIds } }).select('difficulty points topic').lean(),
+    loadSuccessStats({ fresh: true })
+  ]);
+  const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+  
+  const forms = tests.map(test => {
+    const testQuestions = test.questions
+      .map(id => questionsById.get(id.toString()))
+      .filter(Boolean);
+    const expected = getExpectedScore(testQuestions, successStats, test.scoringPolicy || {});
+    
+    return {
+      testId: test._id,
+      userId: test.userId,
+      competitionId: test.competitionId,
+      questionsCount: test.questions.length,
+      maxScore: test.maxScore,
+      expectedScore: Math.round(expected.expectedScore * 100) / 100,
+      expectedShare: Math.round(expected.expectedShare * 10000) / 10000,
+      generatedExpectedShare: test.formBalance ? test.formBalance.expectedShare : null
+    };
+  });
+  
+  if (forms.length === 0) {
+    return {
+      summary: { totalTests: 0, tolerance },
+      distribution: [],
+      outliers: { easiest: [], hardest: [] }
+    };
+  }
+  
+  const shares = forms.map(form => form.expectedShare);
+  const mean = shares.reduce((sum, share) => sum + share, 0) / shares.length;
+  const variance = shares.reduce((sum, share) => sum + (share - mean) ** 2, 0) / shares.length;
+  const round = (value) => Math.round(value * 10000) / 10000;
+  
+  // Распределение ожидаемой доли баллов по интервалам в 5%
+  const buckets = new Map();
+  shares.forEach(share => {
+    const bucket = Math.min(19, Math.max(0, Math.floor(share * 20)));
+    buckets.set(bucket, (buckets.get(bucket) || 0) + 1);
+  });
+  
+  const sorted = [...forms].sort((a, b) => a.expectedShare - b.expectedShare);
+  
+  return {
+    summary: {
+      totalTests: forms.length,
+      tolerance,
+      meanExpectedShare: round(mean),
+      minExpectedShare: sorted[0].expectedShare,
+      maxExpectedShare: sorted[sorted.length - 1].expectedShare,
+      range: round(sorted[sorted.length - 1].expectedShare - sorted[0].expectedShare),
+      standardDeviation: round(Math.sqrt(variance)),
+      outsideTolerance: forms.filter(form => Math.abs(form.expectedShare - mean) > tolerance).length,
+      balancedAtGeneration: tests.filter(test => test.formBalance && test.formBalance.expectedShare !== null).length
+    },
+    distribution: [...buckets.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([bucket, count]) => ({ from: bucket * 5, to: (bucket + 1) * 5, count })),
+    outliers: {
+      hardest: sorted.slice(0, outliersLimit),
+      easiest: sorted.slice(-outliersLimit).reverse()
+    }
+  };
+};
+
+module.exports = {
+  DIFFICULTY_PRIORS,
+  loadSuccessStats,
+  getExpectedSuccess,
+  getExpectedScore,
+  balanceForm,
+  getFormsSpreadReport
+};
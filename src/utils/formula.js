@@ -0,0 +1,284 @@
+// Функции, доступные в формулах (число аргументов: [минимум, максимум])
+const FUNCTIONS = {
+  abs: { arity: [1, 1], fn: Math.abs },
+  sqrt: { arity: [1, 1], fn: Math.sqrt },
+  floor: { arity: [1, 1], fn: Math.floor },
+  ceil: { arity: [1, 1], fn: Math.ceil },
+  round: {
+    arity: [1, 2],
+    fn: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits
+  },
+  min: { arity: [1, Infinity], fn: Math.min },
+  max: { arity: [1, Infinity], fn: Math.max },
+  pow: { arity: [2, 2], fn: Math.pow },
+  sin: { arity: [1, 1], fn: Math.sin },
+  cos: { arity: [1, 1], fn: Math.cos },
+  tan: { arity: [1, 1], fn: Math.tan },
+  log: { arity: [1, 1], fn: Math.log },
+  log10: { arity: [1, 1], fn: Math.log10 },
+  exp: { arity: [1, 1], fn: Math.exp }
+};
+
+// Константы, доступные в формулах
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// Максимальная длина формулы
+const MAX_FORMULA_LENGTH = 500;
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?|\.\d+)|([A-Za-z_]\w*)|(<=|>=|==|!=|&&|\|\||[-+*/%^(),<>!]))/y;
+
+/**
+ * Разбивает формулу на лексемы
+ * @param {string} source - Формула
+ * @returns {Array<Object>} - Лексемы { type: number|name|op, value, position }
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const rest = source.slice(TOKEN_PATTERN.lastIndex);
+    if (rest.trim() === '') break;
+    
+    // Позиция лексемы - после пробелов перед ней
+    const position = TOKEN_PATTERN.lastIndex + rest.search(/\S/);
+    
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character "${source[position]}" at position ${position + 1}`);
+    }
+    
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]), position });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2], position });
+    } else {
+      tokens.push({ type: 'op', value: match[3], position });
+    }
+  }
+  
+  return tokens;
+};
+
+/**
+ * Разбирает формулу в дерево выражения. Поддерживаются числа, переменные, константы pi и e,
+ * арифметика (+ - * / % ^), сравнения, && и ||, скобки и функции из FUNCTIONS
+ * @param {string} source - Формула, например "a + b" или "round(a / b, 2)"
+ * @returns {Object} - Дерево выражения
+ * @throws {Error} - Если формула некорректна
+ */
+const parseFormula = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Formula is empty');
+  }
+  
+  if (source.length > MAX_FORMULA_LENGTH) {
+    throw new Error(`Formula cannot exceed ${MAX_FORMULA_LENGTH} characters`);
+  }
+  
+  const tokens = tokenize(source);
+  let current = 0;
+  
+  const peek = () => tokens[current];
+  const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) {
+      const token = peek();
+      throw new Error(token ? `Expected "${op}" at position ${token.position + 1}` : `Expected "${op}" at the end of formula`);
+    }
+    current++;
+  };
+  
+  const binary = (next, ops) => () => {
+    let node = next();
+    while (isOp(...ops)) {
+      const op = tokens[current++].value;
+      node = { type: 'binary', op, left: node, right: next() };
+    }
+    return node;
+  };
+  
+  const parsePrimary = () => {
+    const token = tokens[current++];
+    
+    if (!token) {
+      throw new Error('Unexpected end of formula');
+    }
+    
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+    
+    if (token.type === 'name') {
+      if (isOp('(')) {
+        const definition = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+        if (!definition) {
+          throw new Error(`Unknown function "${token.value}"`);
+        }
+        
+        current++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(parseOr());
+          while (isOp(',')) {
+            current++;
+            args.push(parseOr());
+          }
+        }
+        expect(')');
+        
+        const [minArgs, maxArgs] = definition.arity;
+        if (args.length < minArgs || args.length > maxArgs) {
+          throw new Error(`Function "${token.value}" got ${args.length} arguments`);
+        }
+        
+        return { type: 'call', name: token.value, args };
+      }
+      
+      return { type: 'name', name: token.value };
+    }
+    
+    if (token.value === '(') {
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    
+    throw new Error(`Unexpected "${token.value}" at position ${token.position + 1}`);
+  };
+  
+  // Степень правоассоциативна и связывает сильнее унарного минуса: -2^2 = -4
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp('^')) {
+      current++;
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+  
+  const parseUnary = () => {
+    if (isOp('-', '+', '!')) {
+      const op = tokens[current++].value;
+      return { type: 'unary', op, argument: parseUnary() };
+    }
+    return parsePower();
+  };
+  
+  const parseMultiplicative = binary(parseUnary, ['*', '/', '%']);
+  const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+  const parseComparison = binary(parseAdditive, ['<', '<=', '>', '>=', '==', '!=']);
+  const parseAnd = binary(parseComparison, ['&&']);
+  const parseOr = binary(parseAnd, ['||']);
+  
+  const tree = parseOr();
+  
+  if (current < tokens.length) {
+    throw new Error(`Unexpected "${tokens[current].value}" at position ${tokens[current].position + 1}`);
+  }
+  
+  return tree;
+};
+
+/**
+ * Возвращает имена переменных, используемых в выражении (без констант)
+ * @param {Object} tree - Дерево выражения (parseFormula)
+ * @returns {Array<string>}
+ */
+const getFormulaVariables = (tree) => {
+  const names = new Set();
+  
+  const visit = (node) => {
+    switch (node.type) {
+      case 'name':
+        if (!Object.prototype.hasOwnProperty.call(CONSTANTS, node.name)) names.add(node.name);
+        break;
+      case 'unary':
+        visit(node.argument);
+        break;
+      case 'binary':
+        visit(node.left);
+        visit(node.right);
+        break;
+      case 'call':
+        node.args.forEach(visit);
+        break;
+    }
+  };
+  
+  visit(tree);
+  
+  return [...names];
+};
+
+/**
+ * Вычисляет выражение. Логические операции возвращают 1 или 0
+ * @param {Object|string} formula - Дерево выражения или текст формулы
+ * @param {Object} variables - Значения переменных { имя: число }
+ * @returns {number} - Результат (может быть NaN или Infinity, например при делении на ноль)
+ * @throws {Error} - Если переменная не задана
+ */
+const evaluateFormula = (formula, variables = {}) => {
+  const tree = typeof formula === 'string' ? parseFormula(formula) : formula;
+  
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      
+      case 'name':
+        if (Object.prototype.hasOwnProperty.call(variables, node.name)) return variables[node.name];
+        if (Object.prototype.hasOwnProperty.call(CONSTANTS, node.name)) return CONSTANTS[node.name];
+        throw new Error(`Unknown variable "${node.name}"`);
+      
+      case 'unary': {
+        const value = evaluate(node.argument);
+        if (node.op === '-') return -value;
+        if (node.op === '!') return value ? 0 : 1;
+        return value;
+      }
+      
+      case 'call':
+        return FUNCTIONS[node.name].fn(...node.args.map(evaluate));
+      
+      case 'binary': {
+        // && и || вычисляют правую часть только при необходимости (например, "b != 0 && a / b > 1")
+        if (node.op === '&&') return evaluate(node.left) && evaluate(node.right) ? 1 : 0;
+        if (node.op === '||') return evaluate(node.left) || evaluate(node.right) ? 1 : 0;
+        
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        
+        switch (node.op) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return left / right;
+          case '%': return left % right;
+          case '^': return Math.pow(left, right);
+          case '<': return left < right ? 1 : 0;
+          case '<=': return left <= right ? 1 : 0;
+          case '>': return left > right ? 1 : 0;
+          case '>=': return left >= right ? 1 : 0;
+          case '==': return Math.abs(left - right) < 1e-9 ? 1 : 0;
+          case '!=': return Math.abs(left - right) < 1e-9 ? 0 : 1;
+        }
+      }
+    }
+    
+    throw new Error('Invalid formula');
+  };
+  
+  return evaluate(tree);
+};
+
+module.exports = {
+  FUNCTIONS,
+  CONSTANTS,
+  parseFormula,
+  getFormulaVariables,
+  evaluateFormula
+};
@@ -0,0 +1,225 @@
+const Test = require('../models/Test');
+const Question = require('../models/Question');
+
+// Доля участников в верхней и нижней группах для индекса дискриминации (классическое значение 27%)
+const EXTREME_GROUP_SHARE = 0.27;
+
+// Признаки проблемных вопросов:
+// negative_discrimination - сильные участники отвечают хуже слабых (индекс дискриминации или точечно-бисериальная корреляция < 0);
+// no_correct_answers - на вопрос никто не ответил правильно
+const ITEM_FLAGS = ['negative_discrimination', 'no_correct_answers'];
+
+// Типы вопросов с вариантами ответа, для которых считается выбор дистракторов
+const OPTION_TYPES = ['single_choice', 'multiple_choice'];
+
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+/**
+ * Загружает завершенные тесты с окончательным результатом для анализа вопросов.
+ * Адаптивные тесты не учитываются: вопросы в них подбираются под способность участника
+ * @param {Object} filter - Дополнительный фильтр тестов (например, { competitionId })
+ * @returns {Array<Object>} - Тесты { _id, questions, answers, score, maxScore }
+ */
+const loadAnalysisTests = async (filter = {}) => {
+  return Test.find({
+    ...filter,
+    isCompleted: true,
+    resultStatus: { $ne: 'pending' },
+    'adaptive.enabled': { $ne: true },
+    maxScore: { $gt: 0 }
+  })
+    .select('questions answers.questionId answers.isCorrect answers.selectedAnswer answers.selectedAnswers score maxScore')
+    .sort({ _id: 1 })
+    .lean();
+};
+
+/**
+ * Собирает ответы на каждый вопрос вместе с итоговой долей баллов участника.
+ * Вопрос, оставленный без ответа, считается неверным
+ * @param {Array<Object>} tests - Тесты (loadAnalysisTests)
+ * @returns {Map} - questionId -> [{ testId, totalShare, answer }]
+ */
+const collectResponses = (tests) => {
+  const responses = new Map();
+  
+  tests.forEach(test => {
+    const totalShare = test.score / test.maxScore;
+    const answers = new Map(test.answers.map(answer => [answer.questionId.toString(), answer]));
+    
+    test.questions.forEach(id => {
+      const key = id.toString();
+      if (!responses.has(key)) responses.set(key, []);
+      responses.get(key).push({ testId: test._id, totalShare, answer: answers.get(key) || null });
+    });
+  });
+  
+  return responses;
+};
+
+/**
+ * Возвращает индексы вариантов (в исходном порядке), выбранных в ответе
+ * @param {Object|null} answer - Ответ
+ * @returns {Array<number>}
+ */
+const getSelectedOptions = (answer) => {
+  if (!answer) return [];
+  if (answer.selectedAnswers && answer.selectedAnswers.length > 0) return answer.selectedAnswers;
+  if (answer.selectedAnswer !== undefined && answer.selectedAnswer !== null) return [answer.selectedAnswer];
+  return [];
+};
+
+/**
+ * Считает показатели классического анализа вопроса: p-value (доля правильных ответов), индекс дискриминации
+ * (разность p-value верхних и нижних 27% участников по итоговому баллу), точечно-бисериальную корреляцию
+ * правильности ответа с итоговой долей баллов и выбор каждого варианта ответа
+ * @param {Object} question - Вопрос { _id, type, options, correctAnswer, correctAnswers }
+ * @param {Array<Object>} responses - Ответы на вопрос (collectResponses)
+ * @returns {Object} - { responses, correctAnswers, omitted, pValue, discriminationIndex, pointBiserial, distractors, flags }
+ */
+const analyzeItem = (question, responses = []) => {
+  const total = responses.length;
+  const isCorrect = (response) => Boolean(response.answer && response.answer.isCorrect);
+  const correct = responses.filter(isCorrect).length;
+  const pValue = total > 0 ? correct / total : null;
+  
+  // Верхняя и нижняя группы по итоговому баллу (при равных баллах - в порядке тестов)
+  const ranked = [...responses].sort((a, b) => b.totalShare - a.totalShare || a.testId.toString().localeCompare(b.testId.toString()));
+  const groupSize = Math.floor(total * EXTREME_GROUP_SHARE);
+  const upper = ranked.slice(0, groupSize);
+  const lower = groupSize > 0 ? ranked.slice(-groupSize) : [];
+  const discriminationIndex = groupSize > 0
+    ? (upper.filter(isCorrect).length - lower.filter(isCorrect).length) / groupSize
+    : null;
+  
+  // r_pb = (M1 - M0) / s * sqrt(p * q), где M1 и M0 - средние итоговые доли ответивших верно и неверно
+  let pointBiserial = null;
+  if (total > 0 && correct > 0 && correct < total) {
+    const mean = responses.reduce((sum, response) => sum + response.totalShare, 0) / total;
+    const sd = Math.sqrt(responses.reduce((sum, response) => sum + (response.totalShare - mean) ** 2, 0) / total);
+    
+    if (sd > 0) {
+      const meanCorrect = responses.filter(isCorrect).reduce((sum, response) => sum + response.totalShare, 0) / correct;
+      const meanWrong = responses.filter(response => !isCorrect(response)).reduce((sum, response) => sum + response.totalShare, 0) / (total - correct);
+      pointBiserial = (meanCorrect - meanWrong) / sd * Math.sqrt(pValue * (1 - pValue));
+    }
+  }
+  
+  const type = question.type || 'single_choice';
+  const countPicks = (group, index) => group.filter(response => getSelectedOptions(response.answer).includes(index)).length;
+  const distractors = OPTION_TYPES.includes(type)
+    ? question.options.map((option, index) => {
+      const count = countPicks(responses, index);
+      
+      return {
+        index,
+        option,
+        isCorrect: type === 'multiple_choice' ? (question.correctAnswers || []).includes(index) : question.correctAnswer === index,
+        count,
+        share: total > 0 ? round(count / total) : 0,
+        upperCount: countPicks(upper, index),
+        lowerCount: countPicks(lower, index)
+      };
+    })
+    : [];
+  
+  const flags = [];
+  if ((discriminationIndex !== null && discriminationIndex < 0) || (pointBiserial !== null && pointBiserial < 0)) {
+    flags.push('negative_discrimination');
+  }
+  if (total > 0 && correct === 0) {
+    flags.push('no_correct_answers');
+  }
+  
+  return {
+    responses: total,
+    correctAnswers: correct,
+    omitted: responses.filter(response => !response.answer).length,
+    pValue: round(pValue),
+    discriminationIndex: round(discriminationIndex),
+    pointBiserial: round(pointBiserial),
+    groupSize,
+    distractors,
+    flags
+  };
+};
+
+/**
+ * Анализ одного вопроса по завершенным тестам
+ * @param {Object} question - Вопрос
+ * @param {Object} filter - Фильтр тестов (например, { competitionId })
+ * @returns {Object} - Показатели analyzeItem
+ */
+const getItemAnalysis = async (question, filter = {}) => {
+  const tests = await loadAnalysisTests({ ...filter, questions: question._id });
+  const responses = collectResponses(tests).get(question._id.toString());
+  
+  return analyzeItem(question, responses);
+};
+
+/**
+ * Строит отчет об анализе всех вопросов, встречавшихся в завершенных тестах.
+ * Сначала идут помеченные вопросы, затем вопросы с наименьшей корреляцией
+ * @param {Object} filter - Фильтр тестов (например, { competitionId })
+ * @param {Object} options - { page, limit, flag, flaggedOnly }
+ * @returns {Object} - { summary, questions, pagination }
+ */
+const getItemAnalysisReport = async (filter = {}, { page = 1, limit = 50, flag = null, flaggedOnly = false } = {}) => {
+  const tests = await loadAnalysisTests(filter);
+  const responses = collectResponses(tests);
+  
+  const questions = await Question.find({ _id: { $in: [...responses.keys()] } })
+    .select('title type options correctAnswer correctAnswers topic difficulty isActive')
+    .lean();
+  
+  const rows = questions.map(question => {
+    const { distractors, ...analysis } = analyzeItem(question, responses.get(question._id.toString()));
+    
+    return {
+      questionId: question._id,
+      title: question.title,
+      type: question.type || 'single_choice',
+      topic: question.topic,
+      difficulty: question.difficulty,
+      isActive: question.isActive,
+      ...analysis
+    };
+  });
+  
+  const summary = {
+    totalTests: tests.length,
+    questionsAnalyzed: rows.length,
+    flaggedQuestions: rows.filter(row => row.flags.length > 0).length,
+    byFlag: Object.fromEntries(ITEM_FLAGS.map(name => [name, rows.filter(row => row.flags.includes(name)).length]))
+  };
+  
+  const sortKey = (value) => (value === null ? Infinity : value);
+  const filtered = rows
+    .filter(row => (!flaggedOnly || row.flags.length > 0) && (!flag || row.flags.includes(flag)))
+    .sort((a, b) => b.flags.length - a.flags.length ||
+      sortKey(a.pointBiserial) - sortKey(b.pointBiserial) ||
+      a.questionId.toString().localeCompare(b.questionId.toString()));
+  
+  const totalPages = Math.ceil(filtered.length / limit);
+  
+  return {
+    summary,
+    questions: filtered.slice((page - 1) * limit, page * limit),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalItems: filtered.length,
+      itemsPerPage: limit,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  };
+};
+
+module.exports = {
+  EXTREME_GROUP_SHARE,
+  ITEM_FLAGS,
+  collectResponses,
+  analyzeItem,
+  getItemAnalysis,
+  getItemAnalysisReport
+};
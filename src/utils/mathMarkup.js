@@ -0,0 +1,188 @@
+const katex = require('katex');
+
+// Разделители формул: $$...$$ и \[...\] - выносные, $...$ и \(...\) - строчные.
+// Знак доллара в обычном тексте записывается как \$
+const MATH_DELIMITERS = [
+  { left: '$$', right: '$$', display: true },
+  { left: '\\[', right: '\\]', display: true },
+  { left: '\\(', right: '\\)', display: false },
+  { left: '$', right: '$', display: false }
+];
+
+// Форматы отрисовки: mathml - только MathML; html - разметка KaTeX (нужны стили KaTeX) вместе с MathML
+const RENDER_FORMATS = ['mathml', 'html'];
+
+// Параметры KaTeX: без \href, \url и HTML-расширений; ограничение раскрытия макросов защищает от "бомб"
+const KATEX_OPTIONS = {
+  throwOnError: true,
+  trust: false,
+  strict: 'ignore',
+  maxSize: 10,
+  maxExpand: 1000
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Ищет закрывающий разделитель формулы, пропуская экранированные символы (\$, \{ и т.д.)
+ * @param {string} source - Текст
+ * @param {string} right - Закрывающий разделитель
+ * @param {number} from - Позиция начала формулы
+ * @returns {number} - Позиция разделителя или -1
+ */
+const findClosingDelimiter = (source, right, from) => {
+  for (let i = from; i < source.length; i++) {
+    if (source.startsWith(right, i)) return i;
+    if (source[i] === '\\') i++;
+  }
+  return -1;
+};
+
+/**
+ * Разбирает текст на фрагменты обычного текста и формул
+ * @param {string} text - Текст с разметкой
+ * @returns {Object} - { segments: [{ type: 'text' | 'math', value, display, position }], error: { message, position } | null }
+ */
+const parseMathSegments = (text) => {
+  const source = (text ?? '').toString();
+  const segments = [];
+  let buffer = '';
+  let i = 0;
+  
+  while (i < source.length) {
+    if (source.startsWith('\\$', i)) {
+      buffer += '$';
+      i += 2;
+      continue;
+    }
+    
+    const delimiter = MATH_DELIMITERS.find(item => source.startsWith(item.left, i));
+    if (!delimiter) {
+      buffer += source[i];
+      i++;
+      continue;
+    }
+    
+    const start = i + delimiter.left.length;
+    const end = findClosingDelimiter(source, delimiter.right, start);
+    if (end === -1) {
+      return { segments, error: { message: `Unclosed math delimiter "${delimiter.left}"`, position: i } };
+    }
+    
+    if (buffer) {
+      segments.push({ type: 'text', value: buffer });
+      buffer = '';
+    }
+    segments.push({ type: 'math', value: source.slice(start, end), display: delimiter.display, position: i });
+    i = end + delimiter.right.length;
+  }
+  
+  if (buffer) {
+    segments.push({ type: 'text', value: buffer });
+  }
+  
+  return { segments, error: null };
+};
+
+/**
+ * Отрисовывает формулу средствами KaTeX
+ * @param {Object} segment - Фрагмент формулы (parseMathSegments)
+ * @param {string} format - Формат (RENDER_FORMATS)
+ * @returns {string}
+ */
+const renderFormula = (segment, format) => katex.renderToString(segment.value, {
+  ...KATEX_OPTIONS,
+  displayMode: segment.display,
+  output: format === 'html' ? 'htmlAndMathml' : 'mathml'
+});
+
+/**
+ * Проверяет разметку формул: закрыты ли разделители и разбирается ли LaTeX
+ * @param {string} text - Текст с разметкой
+ * @returns {Array<Object>} - Ошибки { message, position, formula }; пустой массив, если ошибок нет
+ */
+const validateMathMarkup = (text) => {
+  const { segments, error } = parseMathSegments(text);
+  if (error) {
+    return [{ ...error, formula: null }];
+  }
+  
+  return segments
+    .filter(segment => segment.type === 'math')
+    .flatMap(segment => {
+      try {
+        renderFormula(segment, 'mathml');
+        return [];
+      } catch (renderError) {
+        return [{
+          message: renderError.rawMessage || renderError.message,
+          position: segment.position,
+          formula: segment.value
+        }];
+      }
+    });
+};
+
+/**
+ * Отрисовывает текст с формулами: текст экранируется как HTML, формулы заменяются на MathML (или HTML KaTeX)
+ * @param {string} text - Текст с разметкой
+ * @param {string} format - Формат (RENDER_FORMATS)
+ * @returns {string}
+ * @throws {Error} - Если разметка некорректна
+ */
+const renderMathMarkup = (text, format = 'mathml') => {
+  const { segments, error } = parseMathSegments(text);
+  if (error) {
+    throw new Error(error.message);
+  }
+  
+  return segments
+    .map(segment => (segment.type === 'math' ? renderFormula(segment, format) : escapeHtml(segment.value)))
+    .join('');
+};
+
+/**
+ * Убирает разметку формул для поиска: разделители, команды LaTeX (\frac, \sqrt) и служебные символы.
+ * Переменные и числа формул сохраняются
+ * @param {string} text - Текст с разметкой
+ * @returns {string}
+ */
+const stripMathMarkup = (text) => {
+  const { segments, error } = parseMathSegments(text);
+  if (error) {
+    return (text ?? '').toString();
+  }
+  
+  return segments
+    .map(segment => (segment.type === 'math'
+      ? ` ${segment.value.replace(/\\[a-zA-Z]+/g, ' ').replace(/[{}^_&\\]/g, ' ')} `
+      : segment.value))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Возвращает текст вопроса для поиска: условие и варианты без разметки формул
+ * @param {Object} question - Вопрос { title, description, options }
+ * @returns {string}
+ */
+const getSearchText = (question) => [question.title, question.description, ...(question.options || [])]
+  .filter(Boolean)
+  .map(stripMathMarkup)
+  .join('\n');
+
+module.exports = {
+  MATH_DELIMITERS,
+  RENDER_FORMATS,
+  parseMathSegments,
+  validateMathMarkup,
+  renderMathMarkup,
+  stripMathMarkup,
+  getSearchText
+};
@@ -0,0 +1,88 @@
+/**
+ * Возвращает вопросы единицы выборки: вопросы группы по порядку или сам вопрос
+ * @param {Object} unit - Вопрос или группа { groupId, members }
+ * @returns {Array<Object>}
+ */
+const getUnitMembers = (unit) => unit.members || [unit];
+
+/**
+ * Возвращает количество вопросов в единице выборки
+ * @param {Object} unit - Вопрос или группа
+ * @returns {number}
+ */
+const getUnitSize = (unit) => (unit.members ? unit.members.length : 1);
+
+/**
+ * Объединяет вопросы одной группы в единицу выборки. Порядок единиц соответствует порядку банка
+ * (группа стоит на месте своего первого вопроса), поэтому без групп результат совпадает с банком
+ * @param {Array<Object>} pool - Кандидаты (toPool) с groupId и groupOrder у вопросов групп
+ * @returns {Array<Object>} - Вопросы и группы { _id, groupId, topic, topicPath, difficulty, members }
+ */
+const buildUnits = (pool) => {
+  const units = [];
+  const groups = new Map();
+  
+  pool.forEach(question => {
+    if (question.groupId === undefined || question.groupId === null) {
+      units.push(question);
+      return;
+    }
+    
+    const key = question.groupId.toString();
+    if (!groups.has(key)) {
+      const unit = { _id: question.groupId, groupId: question.groupId, members: [] };
+      groups.set(key, unit);
+      units.push(unit);
+    }
+    groups.get(key).members.push(question);
+  });
+  
+  // Группа относится к теме и сложности своего первого вопроса (в том числе в спецификации теста)
+  groups.forEach(unit => {
+    unit.members.sort((a, b) => a.groupOrder - b.groupOrder);
+    unit.topic = unit.members[0].topic;
+    unit.topicPath = unit.members[0].topicPath;
+    unit.difficulty = unit.members[0].difficulty;
+  });
+  
+  return units;
+};
+
+/**
+ * Берет единицы по порядку, пока они помещаются в count вопросов (группы, которые не помещаются, пропускаются)
+ * @param {Array<Object>} units - Упорядоченные единицы выборки
+ * @param {number} count - Количество вопросов
+ * @param {number} maxUnits - Максимальное количество единиц
+ * @returns {Array<Object>}
+ */
+const takeUnits = (units, count, maxUnits = Infinity) => {
+  const taken = [];
+  let size = 0;
+  
+  for (const unit of units) {
+    if (size >= count || taken.length >= maxUnits) break;
+    
+    const unitSize = getUnitSize(unit);
+    if (size + unitSize <= count) {
+      taken.push(unit);
+      size += unitSize;
+    }
+  }
+  
+  return taken;
+};
+
+/**
+ * Считает общее количество вопросов в единицах выборки
+ * @param {Array<Object>} units - Единицы выборки
+ * @returns {number}
+ */
+const countUnitQuestions = (units) => units.reduce((sum, unit) => sum + getUnitSize(unit), 0);
+
+module.exports = {
+  getUnitMembers,
+  getUnitSize,
+  buildUnits,
+  takeUnits,
+  countUnitQuestions
+};
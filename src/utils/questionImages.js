@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const Question = require('../models/Question');
+const QuestionRevision = require('../models/QuestionRevision');
+const QuestionGroup = require('../models/QuestionGroup');
+
+// Каталог загрузок (раздается приложением по /uploads)
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const UPLOADS_URL = '/uploads/';
+
+// Допустимые форматы изображений вопросов: формат определяется по сигнатуре содержимого, а не по имени файла.
+// SVG не принимается - он может содержать скрипты
+const IMAGE_TYPES = [
+  {
+    mimetype: 'image/png',
+    extension: '.png',
+    matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    mimetype: 'image/jpeg',
+    extension: '.jpg',
+    matches: (buffer) => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  {
+    mimetype: 'image/gif',
+    extension: '.gif',
+    matches: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('latin1'))
+  },
+  {
+    mimetype: 'image/webp',
+    extension: '.webp',
+    matches: (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+// Имена файлов изображений вопросов: question-<sha256 содержимого>.<расширение>
+const IMAGE_FILENAME_PATTERN = /^question-[0-9a-f]{64}\.(png|jpg|gif|webp)$/;
+
+/**
+ * Определяет формат изображения по первым байтам файла
+ * @param {Buffer} buffer - Содержимое файла
+ * @returns {Object|null} - { mimetype, extension } или null, если формат не поддерживается
+ */
+const detectImageType = (buffer) => {
+  const type = IMAGE_TYPES.find(item => item.matches(buffer));
+  return type ? { mimetype: type.mimetype, extension: type.extension } : null;
+};
+
+/**
+ * Проверяет, что файл каталога загрузок - изображение вопроса (только они раздаются публично)
+ * @param {string} filename - Имя файла
+ * @returns {boolean}
+ */
+const isQuestionImageFile = (filename) => IMAGE_FILENAME_PATTERN.test(filename);
+
+/**
+ * Сохраняет изображение в каталог загрузок под именем по хешу содержимого.
+ * Одинаковые изображения хранятся в одном файле
+ * @param {Buffer} buffer - Содержимое файла
+ * @param {Object} type - Формат (detectImageType)
+ * @returns {string} - URL изображения (/uploads/question-<hash>.<ext>)
+ */
+const storeQuestionImage = async (buffer, type) => {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const filename = `question-${hash}${type.extension}`;
+  
+  await fs.mkdir(UPLOADS_DIR, { recursive: true });
+  try {
+    await fs.writeFile(path.join(UPLOADS_DIR, filename), buffer, { flag: 'wx' });
+  } catch (error) {
+    // Такое изображение уже загружено
+    if (error.code !== 'EEXIST') throw error;
+  }
+  
+  return `${UPLOADS_URL}${filename}`;
+};
+
+/**
+ * Возвращает URL изображений, загруженных к вопросу (основное и изображения вариантов)
+ * @param {Object} content - Вопрос или содержание ревизии { image, optionImages }
+ * @returns {Array<string>}
+ */
+const getQuestionImageUrls = (content) => [
+  content.image,
+  ...(content.optionImages || []).map(item => item.image)
+].filter(url => typeof url === 'string' && url.startsWith(UPLOADS_URL) && IMAGE_FILENAME_PATTERN.test(url.slice(UPLOADS_URL.length)));
+
+/**
+ * Удаляет файлы изображений, на которые больше не ссылаются вопросы, ревизии и группы вопросов.
+ * Ревизии удаленного вопроса не учитываются
+ * @param {Array<string>} urls - URL изображений
+ * @param {Object} options - { deletedQuestionId }
+ * @returns {Array<string>} - URL удаленных файлов
+ */
+const removeUnusedImages = async (urls, { deletedQuestionId = null } = {}) => {
+  const removed = [];
+  
+  for (const url of [...new Set(urls)]) {
+    const [inQuestions, inRevisions, inGroups] = await Promise.all([
+      Question.exists({ $or: [{ image: url }, { 'optionImages.image': url }] }),
+      QuestionRevision.exists({
+        ...(deletedQuestionId ? { questionId: { $ne: deletedQuestionId } } : {}),
+        $or: [{ 'content.image': url }, { 'content.optionImages.image': url }]
+      }),
+      QuestionGroup.exists({ image: url })
+    ]);
+    
+    if (inQuestions || inRevisions || inGroups) continue;
+    
+    try {
+      await fs.unlink(path.join(UPLOADS_DIR, url.slice(UPLOADS_URL.length)));
+      removed.push(url);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to delete question image:', error);
+      }
+    }
+  }
+  
+  return removed;
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  detectImageType,
+  isQuestionImageFile,
+  storeQuestionImage,
+  getQuestionImageUrls,
+  removeUnusedImages
+};
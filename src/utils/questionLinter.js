@@ -0,0 +1,269 @@
+const { isChoiceType, isMultiSelectType, parseFraction, validateAnswerKey } = require('./answerGrader');
+
+// Уровни серьезности: error - вопрос не сохраняется; warning и info - сохраняется с предупреждениями; off - правило отключено
+const LINT_SEVERITIES = ['error', 'warning', 'info', 'off'];
+
+// Варианты "все перечисленное" / "ничего из перечисленного"
+const ALL_OF_THE_ABOVE_PATTERN = /^(all of the above|all the above|все (выше)?перечисленн\S*|все варианты верны|вс[её] вышеперечисленное)\.?$/i;
+const NONE_OF_THE_ABOVE_PATTERN = /^(none of the above|none of these|ни один из (выше)?перечисленн\S*|ничего из (выше)?перечисленного|нет правильного ответа)\.?$/i;
+
+// Заглушки, оставшиеся вместо вариантов
+const PLACEHOLDER_PATTERN = /^(n\/?a|tbd|todo|option\s*\d*|answer\s*\d*|вариант\s*\d*|ответ\s*\d*)$/i;
+
+/**
+ * Приводит вариант к виду для сравнения: без пробелов и без учета регистра
+ * @param {string} option - Вариант ответа
+ * @returns {string}
+ */
+const compactOption = (option) => (option || '').toString().replace(/\s+/g, '').toLowerCase().replace(/ё/g, 'е');
+
+/**
+ * Проверяет, является ли вариант "все перечисленное" или "ничего из перечисленного"
+ * @param {string} option - Вариант ответа
+ * @returns {string|null} - 'all', 'none' или null
+ */
+const getAboveKind = (option) => {
+  const text = (option || '').toString().trim().replace(/\s+/g, ' ');
+  if (ALL_OF_THE_ABOVE_PATTERN.test(text)) return 'all';
+  if (NONE_OF_THE_ABOVE_PATTERN.test(text)) return 'none';
+  return null;
+};
+
+/**
+ * Возвращает индексы правильных вариантов вопроса
+ * @param {Object} question - Вопрос
+ * @returns {Array<number>}
+ */
+const getCorrectIndexes = (question) => {
+  if (isMultiSelectType(question.type)) return question.correctAnswers || [];
+  return Number.isInteger(question.correctAnswer) ? [question.correctAnswer] : [];
+};
+
+// Правила проверки. check возвращает список замечаний { field, message }
+const LINT_RULES = [
+  {
+    id: 'answer-key',
+    description: 'Answer key must match the question type (option indexes in range, valid values)',
+    defaultSeverity: 'error',
+    check: (question) => validateAnswerKey(question)
+  },
+  {
+    id: 'empty-option',
+    description: 'Options must contain letters or digits and must not be placeholders',
+    defaultSeverity: 'error',
+    check: (question) => (question.options || [])
+      .map((option, index) => ({ text: (option || '').toString().trim(), index }))
+      .filter(({ text }) => !/[\p{L}\p{N}]/u.test(text) || PLACEHOLDER_PATTERN.test(text))
+      .map(({ text, index }) => ({
+        field: `options.${index}`,
+        message: `Option ${index + 1} looks empty: "${text}"`
+      }))
+  },
+  {
+    id: 'duplicate-options',
+    description: 'Options must differ by more than whitespace and letter case',
+    defaultSeverity: 'error',
+    check: (question) => {
+      const issues = [];
+      const seen = new Map();
+      
+      (question.options || []).forEach((option, index) => {
+        const key = compactOption(option);
+        if (key === '') return;
+        
+        if (seen.has(key)) {
+          issues.push({
+            field: `options.${index}`,
+            message: `Option ${index + 1} duplicates option ${seen.get(key) + 1}`
+          });
+        } else {
+          seen.set(key, index);
+        }
+      });
+      
+      return issues;
+    }
+  },
+  {
+    id: 'equivalent-numeric-options',
+    description: 'Numeric options must have different values ("0.5" and "1/2" are the same)',
+    defaultSeverity: 'error',
+    check: (question) => {
+      const issues = [];
+      const seen = new Map();
+      
+      (question.options || []).forEach((option, index) => {
+        const value = parseFraction(option);
+        if (!value) return;
+        
+        const key = `${value.numerator}/${value.denominator}`;
+        const firstIndex = seen.get(key);
+        
+        // Полные дубликаты уже найдены правилом duplicate-options
+        if (firstIndex !== undefined && compactOption(option) !== compactOption(question.options[firstIndex])) {
+          issues.push({
+            field: `options.${index}`,
+            message: `Option ${index + 1} ("${option}") has the same value as option ${firstIndex + 1} ("${question.options[firstIndex]}")`
+          });
+        } else if (firstIndex === undefined) {
+          seen.set(key, index);
+        }
+      });
+      
+      return issues;
+    }
+  },
+  {
+    id: 'contradictory-options',
+    description: '"All of the above" and "none of the above" must not contradict each other or the answer key',
+    defaultSeverity: 'error',
+    check: (question) => {
+      const options = question.options || [];
+      const kinds = options.map(getAboveKind);
+      const correct = getCorrectIndexes(question);
+      const issues = [];
+      
+      if (kinds.includes('all') && kinds.includes('none')) {
+        issues.push({
+          field: 'options',
+          message: 'Question has both "all of the above" and "none of the above" options'
+        });
+      }
+      
+      // "Ничего из перечисленного" не может быть верным вместе с другими вариантами
+      const noneIndex = kinds.indexOf('none');
+      if (noneIndex !== -1 && correct.includes(noneIndex) && correct.length > 1) {
+        issues.push({
+          field: 'correctAnswers',
+          message: '"None of the above" is marked correct together with other options'
+        });
+      }
+      
+      // "Все перечисленное" верно только вместе со всеми остальными содержательными вариантами
+      const allIndex = kinds.indexOf('all');
+      if (allIndex !== -1 && isMultiSelectType(question.type) && correct.includes(allIndex)) {
+        const missing = options
+          .map((option, index) => index)
+          .filter(index => kinds[index] === null && !correct.includes(index));
+        
+        if (missing.length > 0) {
+          issues.push({
+            field: 'correctAnswers',
+            message: '"All of the above" is marked correct while some other options are not'
+          });
+        }
+      }
+      
+      return issues;
+    }
+  },
+  {
+    id: 'all-of-the-above',
+    description: '"All/none of the above" should be the last option and should not be used in multiple choice',
+    defaultSeverity: 'warning',
+    check: (question) => {
+      const options = question.options || [];
+      const issues = [];
+      
+      options.forEach((option, index) => {
+        if (!getAboveKind(option)) return;
+        
+        if (index !== options.length - 1) {
+          issues.push({
+            field: `options.${index}`,
+            message: `"${option.toString().trim()}" is not the last option`
+          });
+        }
+        
+        if (isMultiSelectType(question.type)) {
+          issues.push({
+            field: `options.${index}`,
+            message: `"${option.toString().trim()}" is ambiguous in a multiple choice question`
+          });
+        }
+      });
+      
+      return issues;
+    }
+  },
+  {
+    id: 'missing-explanation',
+    description: 'Question should have an explanation',
+    defaultSeverity: 'off',
+    check: (question) => ((question.explanation || '').trim() === ''
+      ? [{ field: 'explanation', message: 'Question has no explanation' }]
+      : [])
+  }
+];
+
+/**
+ * Объединяет уровни серьезности по умолчанию с настройками
+ * @param {Map|Object} overrides - Уровни серьезности по id правила (Settings.lintRules)
+ * @returns {Object} - { id правила: уровень }
+ */
+const resolveLintConfig = (overrides) => {
+  const custom = overrides instanceof Map ? Object.fromEntries(overrides) : (overrides || {});
+  
+  return LINT_RULES.reduce((config, rule) => {
+    config[rule.id] = LINT_SEVERITIES.includes(custom[rule.id]) ? custom[rule.id] : rule.defaultSeverity;
+    return config;
+  }, {});
+};
+
+/**
+ * Возвращает описание правил с действующими уровнями серьезности
+ * @param {Map|Object} overrides - Уровни серьезности по id правила
+ * @returns {Array<Object>}
+ */
+const getLintRules = (overrides) => {
+  const config = resolveLintConfig(overrides);
+  
+  return LINT_RULES.map(rule => ({
+    id: rule.id,
+    description: rule.description,
+    defaultSeverity: rule.defaultSeverity,
+    severity: config[rule.id]
+  }));
+};
+
+/**
+ * Проверяет вопрос по всем включенным правилам
+ * @param {Object} question - Вопрос (документ или данные для создания)
+ * @param {Map|Object} overrides - Уровни серьезности по id правила
+ * @returns {Object} - { isValid, errors, warnings, info }; замечание - { rule, severity, field, message }
+ */
+const lintQuestion = (question, overrides) => {
+  const config = resolveLintConfig(overrides);
+  const data = typeof question.toObject === 'function' ? question.toObject() : question;
+  const type = data.type || 'single_choice';
+  const issues = [];
+  
+  LINT_RULES.forEach(rule => {
+    const severity = config[rule.id];
+    if (severity === 'off') return;
+    
+    // Правила про варианты применимы только к вопросам с вариантами
+    if (rule.id !== 'answer-key' && rule.id !== 'missing-explanation' && !isChoiceType(type)) return;
+    
+    rule.check({ ...data, type }).forEach(issue => {
+      issues.push({ rule: rule.id, severity, ...issue });
+    });
+  });
+  
+  const errors = issues.filter(issue => issue.severity === 'error');
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings: issues.filter(issue => issue.severity === 'warning'),
+    info: issues.filter(issue => issue.severity === 'info')
+  };
+};
+
+module.exports = {
+  LINT_SEVERITIES,
+  LINT_RULES,
+  resolveLintConfig,
+  getLintRules,
+  lintQuestion
+};
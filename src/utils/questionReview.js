@@ -0,0 +1,57 @@
+// Жизненный цикл вопроса: draft - черновик, in_review - на рецензии, approved - одобрен и может попасть в тест,
+// retired - выведен из банка
+const QUESTION_STATUSES = ['draft', 'in_review', 'approved', 'retired'];
+
+// Условие отбора вопросов для генерации тестов: только активные одобренные вопросы
+const ELIGIBLE_QUESTION_FILTER = { isActive: true, status: 'approved' };
+
+// Действия рецензирования: из каких статусов допустимо, в какой статус переводит,
+// нужна ли роль рецензента и обязателен ли комментарий
+const REVIEW_ACTIONS = {
+  submit: { from: ['draft'], to: 'in_review', reviewer: false, commentRequired: false },
+  approve: { from: ['in_review'], to: 'approved', reviewer: true, commentRequired: false },
+  request_changes: { from: ['in_review'], to: 'draft', reviewer: true, commentRequired: true },
+  retire: { from: ['draft', 'in_review', 'approved'], to: 'retired', reviewer: false, commentRequired: false },
+  reopen: { from: ['retired'], to: 'draft', reviewer: false, commentRequired: false },
+  comment: { from: QUESTION_STATUSES, to: null, reviewer: true, commentRequired: true }
+};
+
+// Роли, которым доступно рецензирование вопросов
+const REVIEWER_ROLES = ['reviewer', 'admin'];
+
+/**
+ * Проверяет, можно ли выполнить действие рецензирования над вопросом
+ * @param {string} status - Текущий статус вопроса
+ * @param {string} action - Действие (ключ REVIEW_ACTIONS)
+ * @param {Object} options - { role, comment }
+ * @returns {string|null} - Причина отказа или null, если действие допустимо
+ */
+const getReviewActionError = (status, action, { role, comment } = {}) => {
+  const definition = REVIEW_ACTIONS[action];
+  
+  if (!definition) {
+    return `Unknown review action "${action}"`;
+  }
+  
+  if (definition.reviewer && !REVIEWER_ROLES.includes(role)) {
+    return 'Reviewer access required';
+  }
+  
+  if (!definition.from.includes(status)) {
+    return `Cannot ${action.replace('_', ' ')} a question with status "${status}"`;
+  }
+  
+  if (definition.commentRequired && !(comment && comment.trim())) {
+    return 'Comment is required';
+  }
+  
+  return null;
+};
+
+module.exports = {
+  QUESTION_STATUSES,
+  ELIGIBLE_QUESTION_FILTER,
+  REVIEW_ACTIONS,
+  REVIEWER_ROLES,
+  getReviewActionError
+};
@@ -0,0 +1,54 @@
+const Question = require('../models/Question');
+
+const RECOMPUTE_INTERVAL = (parseInt(process.env.QUESTION_STATS_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Текущее состояние фонового процесса
+let intervalId = null;
+
+/**
+ * Пересчитывает статистику всех вопросов по тестам. Между пересчетами статистика обновляется
+ * при проверке ответов; пересчет исправляет расхождения (удаленные тесты, сбои обновления)
+ * @returns {number} - Количество вопросов, на которые есть ответы
+ */
+const recomputeQuestionStats = async () => {
+  try {
+    const answeredCount = await Question.recomputeAnswerStats();
+    console.log(`📈 Question stats recomputed: ${answeredCount} answered questions`);
+    
+    return answeredCount;
+    
+  } catch (error) {
+    console.error('Error recomputing question stats:', error);
+    return 0;
+  }
+};
+
+/**
+ * Запускает периодический пересчет статистики вопросов.
+ * Пересчет идемпотентен, поэтому при нескольких инстансах сервера отдельная очередь не нужна
+ */
+const startQuestionStatsJob = async () => {
+  // Сразу пересчитываем, чтобы статистика появилась у вопросов, на которые отвечали до запуска
+  await recomputeQuestionStats();
+  
+  intervalId = setInterval(recomputeQuestionStats, RECOMPUTE_INTERVAL);
+  intervalId.unref();
+  
+  console.log(`✅ Question stats job started (every ${RECOMPUTE_INTERVAL / 60000} min)`);
+};
+
+/**
+ * Останавливает периодический пересчет статистики вопросов
+ */
+const stopQuestionStatsJob = () => {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+  }
+};
+
+module.exports = {
+  recomputeQuestionStats,
+  startQuestionStatsJob,
+  stopQuestionStatsJob
+};
@@ -0,0 +1,276 @@
+const { FUNCTIONS, CONSTANTS, parseFormula, getFormulaVariables, evaluateFormula } = require('./formula');
+const { createRandom } = require('./seededRandom');
+
+// Ограничения шаблона вопроса
+const MAX_PARAMETERS = 10;
+const MAX_PARAMETER_VALUES = 100;
+
+// Сколько наборов значений перебирается, прежде чем считать условие шаблона невыполнимым
+const MAX_INSTANTIATION_ATTEMPTS = 200;
+
+// Сколько наборов значений проверяется при сохранении шаблона
+const VALIDATION_SAMPLES = 20;
+
+// Подстановки в тексте: {a} - значение параметра, {=a*b} - значение выражения
+const PLACEHOLDER_PATTERN = /\{(=)?\s*([^{}]+?)\s*\}/g;
+
+const PARAMETER_NAME_PATTERN = /^[A-Za-z_]\w{0,19}$/;
+
+/**
+ * Приводит число к виду для показа: без хвостов погрешности вычислений (0.1 + 0.2 -> 0.3)
+ * @param {number} value - Число
+ * @returns {string}
+ */
+const formatNumber = (value) => String(Number(value.toPrecision(12)));
+
+/**
+ * Возвращает количество знаков после запятой в числе
+ * @param {number} value - Число
+ * @returns {number}
+ */
+const getDecimals = (value) => {
+  const [, fraction = ''] = formatNumber(value).split('.');
+  return fraction.length;
+};
+
+/**
+ * Выбирает значение параметра: из набора values или из диапазона min..max с шагом step
+ * @param {Object} parameter - { name, values, min, max, step }
+ * @param {Function} random - Генератор случайных чисел
+ * @returns {number}
+ */
+const sampleParameter = (parameter, random) => {
+  if (parameter.values && parameter.values.length > 0) {
+    return parameter.values[Math.floor(random() * parameter.values.length)];
+  }
+  
+  const step = parameter.step || 1;
+  const steps = Math.floor((parameter.max - parameter.min) / step + 1e-9);
+  const value = parameter.min + Math.floor(random() * (steps + 1)) * step;
+  
+  // Округляем до точности min и step, чтобы 0.1 * 3 не превращалось в 0.30000000000000004
+  const decimals = Math.max(getDecimals(parameter.min), getDecimals(step));
+  return Number(value.toFixed(decimals));
+};
+
+/**
+ * Подставляет значения параметров в текст шаблона
+ * @param {string} text - Текст с подстановками {a} и {=выражение}
+ * @param {Object} values - Значения параметров { имя: число }
+ * @returns {string}
+ */
+const renderTemplate = (text, values) => {
+  if (!text) return text;
+  
+  return text.replace(PLACEHOLDER_PATTERN, (match, isExpression, content) => {
+    try {
+      if (!isExpression && !Object.prototype.hasOwnProperty.call(values, content)) {
+        return match;
+      }
+      
+      const value = isExpression ? evaluateFormula(content, values) : values[content];
+      return Number.isFinite(value) ? formatNumber(value) : match;
+    } catch (error) {
+      return match;
+    }
+  });
+};
+
+/**
+ * Вычисляет правильный ответ по формуле шаблона с округлением до answerPrecision знаков
+ * @param {Object} template - { answerFormula, answerPrecision }
+ * @param {Object} values - Значения параметров
+ * @returns {number} - Ответ (NaN или Infinity, если формула не определена при этих значениях)
+ */
+const computeAnswer = (template, values) => {
+  const value = evaluateFormula(template.answerFormula, values);
+  const precision = template.answerPrecision ?? 2;
+  
+  return Number.isFinite(value) ? Math.round(value * 10 ** precision) / 10 ** precision : value;
+};
+
+/**
+ * Подбирает значения параметров шаблона и вычисляет правильный ответ.
+ * Наборы, не удовлетворяющие условию или дающие неопределенный ответ, отбрасываются
+ * @param {Object} template - { parameters, answerFormula, answerPrecision, parameterConstraint }
+ * @param {Function} random - Генератор случайных чисел
+ * @returns {Object} - { values, correctValue }
+ * @throws {Error} - Если подходящий набор не найден за MAX_INSTANTIATION_ATTEMPTS попыток
+ */
+const instantiateTemplate = (template, random = Math.random) => {
+  const answerTree = parseFormula(template.answerFormula);
+  const constraintTree = template.parameterConstraint ? parseFormula(template.parameterConstraint) : null;
+  
+  for (let attempt = 0; attempt < MAX_INSTANTIATION_ATTEMPTS; attempt++) {
+    const values = {};
+    template.parameters.forEach(parameter => {
+      values[parameter.name] = sampleParameter(parameter, random);
+    });
+    
+    if (constraintTree && !evaluateFormula(constraintTree, values)) continue;
+    
+    const answer = computeAnswer({ ...template, answerFormula: answerTree }, values);
+    if (!Number.isFinite(answer)) continue;
+    
+    return { values, correctValue: formatNumber(answer) };
+  }
+  
+  throw new Error(`Could not find parameter values satisfying the template in ${MAX_INSTANTIATION_ATTEMPTS} attempts`);
+};
+
+/**
+ * Возвращает вопрос с подставленными значениями экземпляра: текст и правильный ответ конкретного участника
+ * @param {Object} question - Вопрос-шаблон (документ или объект)
+ * @param {Object} instance - { values, correctValue }
+ * @returns {Object} - Объект вопроса с title, description и correctValue экземпляра
+ */
+const applyTemplateInstance = (question, instance) => {
+  const data = typeof question.toObject === 'function' ? question.toObject() : { ...question };
+  
+  if (!instance) {
+    return { ...data, correctValue: null };
+  }
+  
+  return {
+    ...data,
+    title: renderTemplate(data.title, instance.values),
+    description: renderTemplate(data.description, instance.values),
+    correctValue: instance.correctValue,
+    parameterValues: instance.values
+  };
+};
+
+/**
+ * Извлекает из вопроса описание шаблона (то, от чего зависит подбор значений)
+ * @param {Object} question - Вопрос
+ * @returns {Object} - { parameters, answerFormula, answerPrecision, parameterConstraint }
+ */
+const getTemplateDefinition = (question) => ({
+  parameters: (question.parameters || []).map(parameter => ({
+    name: parameter.name,
+    values: parameter.values && parameter.values.length > 0 ? [...parameter.values] : [],
+    min: parameter.min ?? null,
+    max: parameter.max ?? null,
+    step: parameter.step ?? null
+  })),
+  answerFormula: question.answerFormula,
+  answerPrecision: question.answerPrecision ?? 2,
+  parameterConstraint: question.parameterConstraint || null
+});
+
+/**
+ * Проверяет шаблон вопроса: параметры, формулы, подстановки в тексте и выполнимость условия
+ * @param {Object} question - Вопрос (документ или данные для создания)
+ * @returns {Array<Object>} - Список ошибок { field, message }
+ */
+const validateTemplate = (question) => {
+  const errors = [];
+  const parameters = question.parameters || [];
+  const names = new Set();
+  
+  if (parameters.length === 0 || parameters.length > MAX_PARAMETERS) {
+    errors.push({ field: 'parameters', message: `Template must have between 1 and ${MAX_PARAMETERS} parameters` });
+  }
+  
+  parameters.forEach((parameter, index) => {
+    const field = `parameters.${index}`;
+    const name = parameter && parameter.name;
+    
+    if (typeof name !== 'string' || !PARAMETER_NAME_PATTERN.test(name)) {
+      errors.push({ field: `${field}.name`, message: `Parameter ${index + 1} name must be an identifier like a or x1` });
+    } else if (Object.prototype.hasOwnProperty.call(FUNCTIONS, name) || Object.prototype.hasOwnProperty.call(CONSTANTS, name)) {
+      errors.push({ field: `${field}.name`, message: `Parameter name "${name}" is reserved` });
+    } else if (names.has(name)) {
+      errors.push({ field: `${field}.name`, message: `Parameter name "${name}" is used twice` });
+    } else {
+      names.add(name);
+    }
+    
+    const values = parameter.values || [];
+    if (values.length > 0) {
+      if (values.length > MAX_PARAMETER_VALUES || !values.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        errors.push({ field: `${field}.values`, message: `Parameter ${index + 1} values must be up to ${MAX_PARAMETER_VALUES} numbers` });
+      }
+      return;
+    }
+    
+    const { min, max } = parameter;
+    const step = parameter.step ?? 1;
+    if (typeof min !== 'number' || typeof max !== 'number' || !Number.isFinite(min) || !Number.isFinite(max)) {
+      errors.push({ field, message: `Parameter ${index + 1} needs either a set of values or a min..max range` });
+    } else if (min > max) {
+      errors.push({ field: `${field}.max`, message: `Parameter ${index + 1} max is less than min` });
+    }
+    
+    if (typeof step !== 'number' || !(step > 0)) {
+      errors.push({ field: `${field}.step`, message: `Parameter ${index + 1} step must be a positive number` });
+    }
+  });
+  
+  const checkFormula = (field, source, required) => {
+    if (!source) {
+      if (required) errors.push({ field, message: 'Answer formula is required' });
+      return null;
+    }
+    
+    try {
+      const tree = parseFormula(source);
+      const unknown = getFormulaVariables(tree).filter(name => !names.has(name));
+      
+      if (unknown.length > 0) {
+        errors.push({ field, message: `Formula uses undefined parameters: ${unknown.join(', ')}` });
+        return null;
+      }
+      
+      return tree;
+    } catch (error) {
+      errors.push({ field, message: `Invalid formula: ${error.message}` });
+      return null;
+    }
+  };
+  
+  checkFormula('answerFormula', question.answerFormula, true);
+  checkFormula('parameterConstraint', question.parameterConstraint, false);
+  
+  const precision = question.answerPrecision;
+  if (precision !== undefined && precision !== null && !(Number.isInteger(precision) && precision >= 0 && precision <= 10)) {
+    errors.push({ field: 'answerPrecision', message: 'Answer precision must be an integer from 0 to 10' });
+  }
+  
+  // Подстановки в тексте должны ссылаться на объявленные параметры
+  ['title', 'description'].forEach(field => {
+    for (const [, isExpression, content] of (question[field] || '').matchAll(PLACEHOLDER_PATTERN)) {
+      if (isExpression) {
+        checkFormula(field, content, false);
+      } else if (!names.has(content)) {
+        errors.push({ field, message: `Placeholder {${content}} does not match any parameter` });
+      }
+    }
+  });
+  
+  if (errors.length > 0) {
+    return errors;
+  }
+  
+  // Условие и формула должны давать ответ хотя бы на части наборов значений
+  try {
+    const random = createRandom('template-validation');
+    const template = getTemplateDefinition(question);
+    
+    for (let sample = 0; sample < VALIDATION_SAMPLES; sample++) {
+      instantiateTemplate(template, random);
+    }
+  } catch (error) {
+    errors.push({ field: 'parameterConstraint', message: error.message });
+  }
+  
+  return errors;
+};
+
+module.exports = {
+  renderTemplate,
+  instantiateTemplate,
+  applyTemplateInstance,
+  getTemplateDefinition,
+  validateTemplate
+};
@@ -179,16 +179,6 @@ const formatUser = (user) => {
     lastLogin: user.lastLogin
   };
   
-  // Добавляем информацию о тесте если есть
-  if (user.testId) {
-    formatted.test = {
-      id: user.testId,
-      hasStarted: user.hasStartedTest,
-      startTime: user.testStartTime,
-      endTime: user.testEndTime
-    };
-  }
-  
   return formatted;
 };
 
@@ -197,6 +187,7 @@ const formatQuestion = (question, includeAnswer = false) => {
     id: question._id,
     title: question.title,
     description: question.description,
+    type: question.type,
     options: question.options,
     difficulty: question.difficulty,
     topic: question.topic,
@@ -209,6 +200,9 @@ const formatQuestion = (question, includeAnswer = false) => {
   // Добавляем правильный ответ только если разрешено
   if (includeAnswer) {
     formatted.correctAnswer = question.correctAnswer;
+    formatted.correctValue = question.correctValue;
+    formatted.tolerance = question.tolerance;
+    formatted.acceptedAnswers = question.acceptedAnswers;
     formatted.explanation = question.explanation;
   }
   
@@ -218,6 +212,7 @@ const formatQuestion = (question, includeAnswer = false) => {
 const formatTest = (test, includeDetails = false) => {
   const formatted = {
     id: test._id,
+    competitionId: test.competitionId,
     questionsCount: test.questions.length,
     answeredCount: test.answers.length,
     score: test.score,
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+/**
+ * Генерирует сид для новой выборки
+ * @returns {string} - 32 шестнадцатеричных символа
+ */
+const generateSeed = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Создает детерминированный генератор случайных чисел (sfc32), инициализированный SHA-256 от сида.
+ * Один и тот же сид всегда дает одну и ту же последовательность
+ * @param {string} seed - Сид
+ * @returns {Function} - Функция без аргументов, возвращающая число в [0, 1)
+ */
+const createRandom = (seed) => {
+  const hash = crypto.createHash('sha256').update(String(seed)).digest();
+  let a = hash.readUInt32LE(0);
+  let b = hash.readUInt32LE(4);
+  let c = hash.readUInt32LE(8);
+  let d = hash.readUInt32LE(12);
+  
+  const next = () => {
+    let t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    t = (t + d) | 0;
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+  
+  // Первые значения после инициализации плохо перемешаны - пропускаем их
+  for (let i = 0; i < 15; i++) {
+    next();
+  }
+  
+  return next;
+};
+
+/**
+ * Перемешивает массив (Fisher-Yates shuffle)
+ * @param {Array} array - Массив для перемешивания
+ * @param {Function} random - Генератор случайных чисел (по умолчанию Math.random)
+ * @returns {Array} - Перемешанный массив
+ */
+const shuffleArray = (array, random = Math.random) => {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+module.exports = {
+  generateSeed,
+  createRandom,
+  shuffleArray
+};
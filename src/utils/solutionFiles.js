@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { detectImageType } = require('./questionImages');
+
+// Изображения решений хранятся отдельно от публично раздаваемых изображений вопросов
+// и выдаются только через API (участнику и проверяющим)
+const SOLUTIONS_DIR = path.join(__dirname, '../../uploads/solutions');
+// Решения, загруженные раньше, лежат в корне каталога загрузок
+const LEGACY_SOLUTIONS_DIR = path.join(__dirname, '../../uploads');
+
+// Допустимые форматы решений (определяются по содержимому файла)
+const SOLUTION_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Имена файлов решений: solution-<случайный hex>.<расширение>
+const SOLUTION_FILENAME_PATTERN = /^solution-[0-9a-f]{32}(\.[a-z0-9]+)?$/;
+
+/**
+ * Сохраняет изображение решения под случайным именем; расширение выбирается по формату содержимого
+ * @param {Buffer} buffer - Содержимое файла
+ * @returns {string|null} - Имя файла или null, если файл не является изображением JPEG, PNG или WebP
+ */
+const storeSolutionFile = async (buffer) => {
+  const type = detectImageType(buffer);
+  if (!type || !SOLUTION_TYPES.includes(type.mimetype)) {
+    return null;
+  }
+  
+  // Непредсказуемое имя: файлы решений не должны находиться перебором
+  const filename = `solution-${crypto.randomBytes(16).toString('hex')}${type.extension}`;
+  
+  await fs.mkdir(SOLUTIONS_DIR, { recursive: true });
+  await fs.writeFile(path.join(SOLUTIONS_DIR, filename), buffer, { flag: 'wx' });
+  
+  return filename;
+};
+
+/**
+ * Возвращает возможные пути к файлу решения (новый каталог, затем старый)
+ * @param {string} filename - Имя файла из ответа
+ * @returns {Array<string>} - Пустой массив для недопустимого имени
+ */
+const getSolutionPaths = (filename) => {
+  if (typeof filename !== 'string' || !SOLUTION_FILENAME_PATTERN.test(filename)) {
+    return [];
+  }
+  
+  return [path.join(SOLUTIONS_DIR, filename), path.join(LEGACY_SOLUTIONS_DIR, filename)];
+};
+
+/**
+ * Читает изображение решения. Формат определяется по содержимому: файлы, которые не являются
+ * допустимыми изображениями (например, загруженные до проверки содержимого), не выдаются
+ * @param {string} filename - Имя файла из ответа
+ * @returns {Object|null} - { buffer, mimetype } или null, если файла нет или он не изображение
+ */
+const readSolutionFile = async (filename) => {
+  for (const filePath of getSolutionPaths(filename)) {
+    try {
+      const buffer = await fs.readFile(filePath);
+      const type = detectImageType(buffer);
+      
+      return type && SOLUTION_TYPES.includes(type.mimetype) ? { buffer, mimetype: type.mimetype } : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Отправляет изображение решения в ответ на запрос (без кэширования и угадывания типа браузером)
+ * @param {Object} res - Express response
+ * @param {string} filename - Имя файла из ответа
+ */
+const sendSolutionFile = async (res, filename) => {
+  const file = await readSolutionFile(filename);
+  
+  if (!file) {
+    return res.status(404).json({
+      error: 'Solution Not Found',
+      message: 'Solution image is not available'
+    });
+  }
+  
+  res.set({
+    'Content-Type': file.mimetype,
+    'Content-Disposition': 'inline',
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(file.buffer);
+};
+
+/**
+ * Удаляет файл решения
+ * @param {string} filename - Имя файла из ответа
+ */
+const removeSolutionFile = async (filename) => {
+  for (const filePath of getSolutionPaths(filename)) {
+    try {
+      await fs.unlink(filePath);
+      return;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to delete solution file:', error);
+      }
+    }
+  }
+};
+
+module.exports = {
+  SOLUTION_TYPES,
+  storeSolutionFile,
+  readSolutionFile,
+  sendSolutionFile,
+  removeSolutionFile
+};
@@ -1,79 +1,198 @@
 const Question = require('../models/Question');
 const Test = require('../models/Test');
 const Settings = require('../models/Settings');
+const Competition = require('../models/Competition');
+const QuestionPoolSnapshot = require('../models/QuestionPoolSnapshot');
+const QuestionGroup = require('../models/QuestionGroup');
+const Topic = require('../models/Topic');
+const { getQuestionPoints, isTemplateType } = require('./answerGrader');
+const { getTemplateDefinition, instantiateTemplate } = require('./questionTemplate');
+const { getCellKey, getBlueprintCellKeys, getQuestionCellKey, getCellMax, getBlueprintTotals, validateBlueprint } = require('./blueprint');
+const { loadSuccessStats, balanceForm } = require('./formBalancer');
+const { generateSeed, createRandom, shuffleArray } = require('./seededRandom');
+const { isExposureControlEnabled, computeExposureHash, createExposureState, loadPriorTests } = require('./exposureControl');
+const { getUnitMembers, getUnitSize, buildUnits, takeUnits, countUnitQuestions } = require('./questionGroups');
+const { ADAPTIVE_MAX_SCORE } = require('./adaptiveTesting');
+const { ELIGIBLE_QUESTION_FILTER } = require('./questionReview');
+
+// Версия алгоритма генерации: 1 - выборка $sample без сида (тесты, созданные раньше);
+// 2 - детерминированная выборка по сиду из снимка банка вопросов
+const GENERATION_ALGORITHM_VERSION = 2;
+
+/**
+ * Готовит данные для генерации тестов соревнования: настройки, банк вопросов и уже выданные тесты.
+ * Снимок банка сохраняется функцией getPoolSnapshotId при создании первого теста с выборкой вопросов
+ * (в адаптивном режиме и при уже выданном тесте он не нужен) и один на все тесты пакета
+ * @param {ObjectId} competitionId - ID соревнования
+ * @returns {Object} - { competition, settings, generationSettings, pool, getPoolSnapshotId, exposure }
+ */
+const prepareGeneration = async (competitionId) => {
+  // Получаем соревнование и общие настройки
+  const competition = await Competition.findById(competitionId);
+  if (!competition) {
+    throw new Error('Competition not found');
+  }
+  
+  const settings = await Settings.getCurrentSettings();
+  if (!settings) {
+    throw new Error('Test settings not found');
+  }
+  
+  const questionsPerTest = competition.questionsPerTest || 30; // fallback значение
+  const generationSettings = settings.getGenerationSnapshot(questionsPerTest);
+  
+  // Снимок банка: активные одобренные вопросы в порядке _id (и статистика ответов, если трудность выравнивается)
+  const questions = await Question.find(ELIGIBLE_QUESTION_FILTER)
+    .select('topic topicId difficulty points options type parameters answerFormula answerPrecision parameterConstraint')
+    .sort({ _id: 1 })
+    .lean();
+  const topicPaths = await Topic.getPathNames();
+  const successStats = generationSettings.parallelForms.enabled ? await loadSuccessStats() : null;
+  
+  // Группа попадает в банк, только если она и все ее вопросы активны; иначе ее вопросы не выдаются вовсе
+  const activeIds = new Set(questions.map(question => question._id.toString()));
+  const groups = await QuestionGroup.find().select('questions isActive').lean();
+  const groupByQuestion = new Map();
+  groups.forEach(group => {
+    const usable = group.isActive && group.questions.every(id => activeIds.has(id.toString()));
+    group.questions.forEach((id, index) => {
+      groupByQuestion.set(id.toString(), usable ? { groupId: group._id, groupOrder: index } : null);
+    });
+  });
+  
+  const poolQuestions = questions.filter(question => groupByQuestion.get(question._id.toString()) !== null).map(question => {
+    const stats = successStats ? successStats.get(question._id.toString()) : null;
+    const group = groupByQuestion.get(question._id.toString());
+    // Путь темы нужен спецификации теста только у подтем (ячейка темы-предка)
+    const topicPath = question.topicId ? topicPaths.get(question.topicId.toString()) : null;
+    
+    return {
+      questionId: question._id,
+      topic: question.topic,
+      ...(topicPath && topicPath.length > 1 ? { topicPath } : {}),
+      difficulty: question.difficulty,
+      points: question.points ?? null,
+      optionsCount: (question.options || []).length,
+      totalAnswers: successStats ? (stats ? stats.totalAnswers : 0) : null,
+      correctAnswers: successStats ? (stats ? stats.correctAnswers : 0) : null,
+      template: isTemplateType(question.type) ? getTemplateDefinition(question) : null,
+      ...(group ? { groupId: group.groupId, groupOrder: group.groupOrder } : {})
+    };
+  });
+  
+  // Для контроля экспозиции нужны вопросы уже выданных тестов соревнования
+  const exposure = isExposureControlEnabled(generationSettings.exposureControl)
+    ? { priorTests: await loadPriorTests(competitionId), plannedTests: competition.participants.length }
+    : null;
+  
+  let snapshotId = null;
+  
+  return {
+    competition,
+    settings,
+    generationSettings,
+    pool: toPool(poolQuestions),
+    getPoolSnapshotId: async () => {
+      snapshotId = snapshotId || (await QuestionPoolSnapshot.capture(poolQuestions))._id;
+      return snapshotId;
+    },
+    exposure
+  };
+};
+
+/**
+ * Преобразует вопросы снимка банка в кандидатов для выборки
+ * @param {Array<Object>} poolQuestions - Вопросы снимка { questionId, topic, topicPath, difficulty, points, optionsCount, ... }
+ * @returns {Array<Object>} - Кандидаты { _id, topic, topicPath, difficulty, points, optionsCount, totalAnswers, correctAnswers, template, groupId, groupOrder }
+ */
+const toPool = (poolQuestions) => poolQuestions.map(question => ({
+  _id: question.questionId,
+  topic: question.topic,
+  topicPath: question.topicPath || null,
+  difficulty: question.difficulty,
+  points: question.points,
+  optionsCount: question.optionsCount,
+  totalAnswers: question.totalAnswers,
+  correctAnswers: question.correctAnswers,
+  template: question.template || null,
+  groupId: question.groupId || null,
+  groupOrder: question.groupOrder ?? null
+}));
 
 /**
  * Генерирует уникальный тест для пользователя из случайных вопросов
  * @param {ObjectId} userId - ID пользователя
+ * @param {ObjectId} competitionId - ID соревнования
+ * @param {Object} [preparedGeneration] - Результат prepareGeneration (при массовой генерации готовится один раз)
  * @returns {Test} - Созданный тест
  */
-const generateUniqueTest = async (userId) => {
+const generateUniqueTest = async (userId, competitionId, preparedGeneration = null) => {
   try {
-    console.log(`Starting test generation for user: ${userId}`);
+    console.log(`Starting test generation for user: ${userId}, competition: ${competitionId}`);
     
-    // Получаем настройки
-    const settings = await Settings.getCurrentSettings();
-    if (!settings) {
-      throw new Error('Test settings not found');
-    }
-    
-    const questionsPerTest = settings.questionsPerTest || 30; // fallback значение
-    console.log(`Questions per test: ${questionsPerTest}`);
-    
-    // Проверяем, есть ли уже тест у пользователя
-    const existingTest = await Test.findOne({ userId });
+    // Проверяем, есть ли уже тест у пользователя в этом соревновании
+    const existingTest = await Test.findOne({ userId, competitionId });
     if (existingTest) {
       console.log(`Existing test found for user ${userId}: ${existingTest._id}`);
       return existingTest;
     }
     
-    // Получаем общее количество активных вопросов
-    const totalQuestions = await Question.countDocuments({ isActive: true });
-    console.log(`Total active questions available: ${totalQuestions}`);
+    const { settings, generationSettings, pool, getPoolSnapshotId, exposure } = preparedGeneration || await prepareGeneration(competitionId);
+    const { questionsPerTest } = generationSettings;
     
-    if (totalQuestions === 0) {
-      throw new Error('No active questions found in database');
+    // В адаптивном режиме вопросы выбираются во время прохождения теста
+    if (settings.isAdaptiveCompetition(competitionId)) {
+      return await generateAdaptiveTest(userId, competitionId, settings, generationSettings);
     }
     
-    if (totalQuestions < questionsPerTest) {
-      console.warn(`Not enough questions available. Need ${questionsPerTest}, but only ${totalQuestions} found. Using all available questions.`);
+    console.log(`Questions per test: ${questionsPerTest}, active questions available: ${pool.length}`);
+    
+    if (pool.length === 0) {
+      throw new Error('No active questions found in database');
     }
     
-    const actualQuestionsCount = Math.min(questionsPerTest, totalQuestions);
+    if (pool.length < questionsPerTest) {
+      console.warn(`Not enough questions available. Need ${questionsPerTest}, but only ${pool.length} found. Using all available questions.`);
+    }
     
-    // Получаем случайные вопросы
-    let randomQuestions;
+    // Выборка полностью определяется сидом, снимком банка, снимком настроек и уже выданными тестами
+    const seed = generateSeed();
+    const draw = drawTest(seed, pool, generationSettings, exposure);
     
-    try {
-      if (settings.randomizeQuestions) {
-        // Если настроена рандомизация, используем сбалансированную выборку
-        console.log('Using balanced random question selection');
-        randomQuestions = await getBalancedRandomQuestions(actualQuestionsCount);
-      } else {
-        // Простая случайная выборка
-        console.log('Using simple random question selection');
-        randomQuestions = await getSimpleRandomQuestions(actualQuestionsCount);
-      }
-    } catch (questionError) {
-      console.error('Error getting random questions:', questionError);
-      // Fallback к простой выборке
-      randomQuestions = await getSimpleRandomQuestions(actualQuestionsCount);
+    if (draw.formBalance && !draw.formBalance.withinTolerance) {
+      console.warn(`Test form is outside tolerance: expected share ${draw.formBalance.expectedShare}, target ${draw.formBalance.targetShare}`);
     }
     
-    if (!randomQuestions || randomQuestions.length === 0) {
-      throw new Error('Could not retrieve any questions for test generation');
+    if (draw.overCapQuestions > 0) {
+      console.warn(`Test uses ${draw.overCapQuestions} questions over the exposure limit: not enough other questions available`);
     }
     
-    console.log(`Selected ${randomQuestions.length} questions for test`);
-    
     // Создаем тест
     const test = new Test({
       userId,
-      questions: randomQuestions.map(q => q._id),
+      competitionId,
+      questions: draw.questions,
+      optionOrders: draw.optionOrders,
+      questionInstances: draw.questionInstances,
+      scoringPolicy: generationSettings.scoringPolicy,
+      formBalance: draw.formBalance,
+      generation: {
+        seed,
+        algorithmVersion: GENERATION_ALGORITHM_VERSION,
+        settingsSnapshot: generationSettings,
+        poolSnapshotId: await getPoolSnapshotId(),
+        exposure: exposure ? {
+          priorTests: exposure.priorTests.length,
+          plannedTests: exposure.plannedTests,
+          hash: computeExposureHash(exposure.priorTests),
+          overCapQuestions: draw.overCapQuestions
+        } : {},
+        generatedAt: new Date()
+      },
       answers: [],
       isCompleted: false,
       score: 0,
-      maxScore: randomQuestions.reduce((sum, q) => sum + (q.points || 1), 0),
+      maxScore: draw.maxScore,
       startedAt: null,
       completedAt: null,
       timeSpent: 0
@@ -81,7 +200,12 @@ const generateUniqueTest = async (userId) => {
     
     await test.save();
     
-    console.log(`✅ Generated unique test ${test._id} for user ${userId} with ${randomQuestions.length} questions`);
+    // Следующие тесты пакета учитывают вопросы этого теста
+    if (exposure) {
+      exposure.priorTests.push({ _id: test._id, questions: test.questions });
+    }
+    
+    console.log(`✅ Generated unique test ${test._id} for user ${userId} with ${draw.questions.length} questions`);
     
     return test;
     
@@ -92,161 +216,592 @@ const generateUniqueTest = async (userId) => {
 };
 
 /**
- * Простая случайная выборка вопросов
- * @param {number} count - Количество вопросов
- * @returns {Array} - Массив вопросов
+ * Создает адаптивный тест: выбирается только первый вопрос, следующие - по ответам участника (Test.submitAnswer)
+ * @param {ObjectId} userId - ID пользователя
+ * @param {ObjectId} competitionId - ID соревнования
+ * @param {Settings} settings - Текущие настройки
+ * @param {Object} generationSettings - Снимок настроек генерации
+ * @returns {Test} - Созданный тест
  */
-const getSimpleRandomQuestions = async (count) => {
-  try {
-    // Используем aggregate с $sample для случайной выборки
-    const questions = await Question.aggregate([
-      { $match: { isActive: true } },
-      { $sample: { size: count } }
-    ]);
-    
-    console.log(`Retrieved ${questions.length} questions using simple random selection`);
-    return questions;
+const generateAdaptiveTest = async (userId, competitionId, settings, generationSettings) => {
+  const seed = generateSeed();
+  
+  const test = new Test({
+    userId,
+    competitionId,
+    questions: [],
+    scoringPolicy: generationSettings.scoringPolicy,
+    adaptive: {
+      enabled: true,
+      settings: settings.getAdaptiveSnapshot(generationSettings.questionsPerTest),
+      history: []
+    },
+    generation: {
+      seed,
+      algorithmVersion: GENERATION_ALGORITHM_VERSION,
+      settingsSnapshot: generationSettings,
+      generatedAt: new Date()
+    },
+    answers: [],
+    isCompleted: false,
+    maxScore: ADAPTIVE_MAX_SCORE,
+    startedAt: null,
+    completedAt: null,
+    timeSpent: 0
+  });
+  
+  test.updateAbility();
+  const question = await test.selectNextAdaptiveQuestion();
+  
+  if (!question) {
+    throw new Error('No active questions available for adaptive testing');
+  }
+  
+  test.recalculateScore();
+  await test.save();
+  
+  console.log(`✅ Generated adaptive test ${test._id} for user ${userId}`);
+  
+  return test;
+};
+
+/**
+ * Детерминированно собирает тест: одинаковые сид, банк, настройки и выданные тесты всегда дают одинаковый результат
+ * @param {string} seed - Сид выборки
+ * @param {Array<Object>} pool - Кандидаты (toPool), упорядоченные по _id
+ * @param {Object} generationSettings - Снимок настроек (Settings.getGenerationSnapshot)
+ * @param {Object} [exposure] - Уже выданные тесты соревнования { priorTests, plannedTests } (при контроле экспозиции)
+ * @returns {Object} - { questions, optionOrders, questionInstances, maxScore, formBalance, overCapQuestions }
+ */
+const drawTest = (seed, pool, generationSettings, exposure = null) => {
+  const random = createRandom(seed);
+  const { questionsPerTest, blueprint = [], parallelForms = {}, scoringPolicy = {} } = generationSettings;
+  const hasBlueprint = blueprint.length > 0;
+  const actualQuestionsCount = Math.min(questionsPerTest, pool.length);
+  // Вопросы группы выбираются только вместе: выборка идет по единицам (вопрос или группа целиком)
+  const units = buildUnits(pool);
+  const exposureState = createExposureState(exposure ? exposure.priorTests : [], {
+    ...(generationSettings.exposureControl || {}),
+    plannedTests: exposure ? exposure.plannedTests : 0
+  });
+  
+  let selectedUnits;
+  
+  if (hasBlueprint) {
+    // По спецификации тест собирается только целиком: без выборки-заменителя
+    selectedUnits = getBlueprintQuestions(units, blueprint, questionsPerTest, random, exposureState);
+  } else if (generationSettings.randomizeQuestions) {
+    // Если настроена рандомизация, используем сбалансированную выборку
+    selectedUnits = getBalancedRandomQuestions(units, actualQuestionsCount, random, exposureState);
+  } else {
+    // Простая случайная выборка
+    selectedUnits = getSimpleRandomQuestions(units, actualQuestionsCount, random, exposureState);
+  }
+  
+  // Вопросы группы идут подряд в порядке группы
+  let selected = selectedUnits.flatMap(getUnitMembers);
+  
+  if (selected.length === 0) {
+    throw new Error('Could not retrieve any questions for test generation');
+  }
+  
+  // Выравниваем ожидаемую трудность, чтобы тесты участников были сопоставимы
+  let formBalance;
+  if (parallelForms.enabled) {
+    const selectedIds = new Set(selected.map(q => q._id.toString()));
+    const successStats = new Map(pool
+      .filter(q => q.totalAnswers !== null && q.totalAnswers !== undefined)
+      .map(q => [q._id.toString(), { totalAnswers: q.totalAnswers, correctAnswers: q.correctAnswers }]));
+    
+    // Вопросы, исчерпавшие лимит экспозиции, и вопросы групп не подставляются при выравнивании;
+    // у каждой группы своя страта, поэтому ее вопросы тоже не заменяются
+    const candidates = pool.filter(q => !selectedIds.has(q._id.toString()) && !exposureState.isOverCap(q) && !q.groupId);
+    const cellKeys = getBlueprintCellKeys(blueprint);
+    const getStratum = hasBlueprint ? q => getQuestionCellKey(q, cellKeys) : q => q.difficulty;
+    const result = balanceForm(selected, candidates, {
+      targetShare: parallelForms.targetShare,
+      tolerance: parallelForms.tolerance,
+      getStratum: q => (q.groupId ? `group:${q.groupId}` : getStratum(q)),
+      successStats,
+      policy: scoringPolicy,
+      random
+    });
     
-  } catch (error) {
-    console.error('Error in simple random question selection:', error);
-    
-    // Fallback - получаем все вопросы и перемешиваем
-    try {
-      const allQuestions = await Question.find({ isActive: true }).limit(count * 2);
-      const shuffled = shuffleArray(allQuestions);
-      return shuffled.slice(0, count);
-    } catch (fallbackError) {
-      console.error('Fallback question selection also failed:', fallbackError);
-      throw new Error('Unable to retrieve questions');
-    }
+    selected = result.questions;
+    formBalance = {
+      expectedScore: result.expectedScore,
+      expectedShare: result.expectedShare,
+      targetShare: result.targetShare,
+      withinTolerance: result.withinTolerance
+    };
   }
+  
+  // Для каждого вопроса фиксируем собственную перестановку вариантов
+  const optionOrders = generationSettings.randomizeOptions
+    ? selected.map(q => generateOptionOrder(q.optionsCount, random))
+    : [];
+  
+  // Для вопросов-шаблонов подбираем значения параметров участника (после перестановок, чтобы тесты без шаблонов не менялись)
+  const questionInstances = selected
+    .map((q, index) => (q.template ? { questionIndex: index, questionId: q._id, ...instantiateTemplate(q.template, random) } : null))
+    .filter(Boolean);
+  
+  // Максимум - сумма весов выпавших вопросов по политике начисления баллов
+  const maxScore = selected.reduce((sum, q) => sum + getQuestionPoints(q, scoringPolicy), 0);
+  
+  return {
+    questions: selected.map(q => q._id),
+    optionOrders,
+    questionInstances,
+    maxScore: Math.round(maxScore * 100) / 100,
+    formBalance,
+    overCapQuestions: selected.filter(q => exposureState.isOverCap(q)).length
+  };
+};
+
+/**
+ * Выбирает случайные вопросы и группы вопросов общим размером до count вопросов
+ * (с учетом контроля экспозиции, если он передан)
+ * @param {Array<Object>} candidates - Кандидаты (вопросы и группы, buildUnits)
+ * @param {number} count - Количество вопросов
+ * @param {Function} random - Генератор случайных чисел
+ * @param {Object} [exposureState] - Состояние контроля экспозиции (createExposureState)
+ * @returns {Array} - Массив вопросов и групп
+ */
+const pickQuestions = (candidates, count, random, exposureState = null) => {
+  return exposureState
+    ? exposureState.pick(candidates, count, random)
+    : takeUnits(shuffleArray(candidates, random), count);
+};
+
+/**
+ * Простая случайная выборка вопросов
+ * @param {Array<Object>} pool - Кандидаты (вопросы и группы, buildUnits)
+ * @param {number} count - Количество вопросов
+ * @param {Function} random - Генератор случайных чисел
+ * @param {Object} [exposureState] - Состояние контроля экспозиции
+ * @returns {Array} - Массив вопросов и групп
+ */
+const getSimpleRandomQuestions = (pool, count, random = Math.random, exposureState = null) => {
+  return pickQuestions(pool, count, random, exposureState);
 };
 
 /**
  * Генерирует сбалансированную выборку вопросов по сложности
+ * @param {Array<Object>} pool - Кандидаты (вопросы и группы, buildUnits)
  * @param {number} totalQuestions - Общее количество вопросов
- * @returns {Array} - Массив вопросов
+ * @param {Function} random - Генератор случайных чисел
+ * @param {Object} [exposureState] - Состояние контроля экспозиции
+ * @returns {Array} - Массив вопросов и групп
  */
-const getBalancedRandomQuestions = async (totalQuestions) => {
-  try {
-    console.log(`Generating balanced question set for ${totalQuestions} questions`);
-    
-    // Определяем распределение по сложности (40% easy, 40% medium, 20% hard)
-    const easyCount = Math.floor(totalQuestions * 0.4);
-    const mediumCount = Math.floor(totalQuestions * 0.4);
-    const hardCount = totalQuestions - easyCount - mediumCount;
-    
-    console.log(`Target distribution - Easy: ${easyCount}, Medium: ${mediumCount}, Hard: ${hardCount}`);
-    
-    // Получаем вопросы по каждой категории сложности
-    const [easyQuestions, mediumQuestions, hardQuestions] = await Promise.all([
-      getQuestionsByDifficulty('easy', easyCount),
-      getQuestionsByDifficulty('medium', mediumCount),
-      getQuestionsByDifficulty('hard', hardCount)
-    ]);
-    
-    console.log(`Retrieved - Easy: ${easyQuestions.length}, Medium: ${mediumQuestions.length}, Hard: ${hardQuestions.length}`);
-    
-    // Объединяем и перемешиваем
-    const allQuestions = [...easyQuestions, ...mediumQuestions, ...hardQuestions];
-    
-    // Если не хватает вопросов, дополняем любыми доступными
-    if (allQuestions.length < totalQuestions) {
-      const usedIds = allQuestions.map(q => q._id);
-      const additionalCount = totalQuestions - allQuestions.length;
-      
-      const additionalQuestions = await Question.aggregate([
-        { 
-          $match: { 
-            isActive: true,
-            _id: { $nin: usedIds }
-          }
-        },
-        { $sample: { size: additionalCount } }
-      ]);
-      
-      allQuestions.push(...additionalQuestions);
-      console.log(`Added ${additionalQuestions.length} additional questions`);
-    }
-    
-    return shuffleArray(allQuestions);
-    
-  } catch (error) {
-    console.error('Error generating balanced questions:', error);
-    // Fallback к простой случайной выборке
-    console.log('Falling back to simple random selection');
-    return await getSimpleRandomQuestions(totalQuestions);
+const getBalancedRandomQuestions = (pool, totalQuestions, random = Math.random, exposureState = null) => {
+  // Определяем распределение по сложности (40% easy, 40% medium, 20% hard)
+  const easyCount = Math.floor(totalQuestions * 0.4);
+  const mediumCount = Math.floor(totalQuestions * 0.4);
+  const hardCount = totalQuestions - easyCount - mediumCount;
+  
+  // Получаем вопросы по каждой категории сложности
+  const easyQuestions = getQuestionsByDifficulty(pool, 'easy', easyCount, random, exposureState);
+  const mediumQuestions = getQuestionsByDifficulty(pool, 'medium', mediumCount, random, exposureState);
+  const hardQuestions = getQuestionsByDifficulty(pool, 'hard', hardCount, random, exposureState);
+  
+  const allQuestions = [...easyQuestions, ...mediumQuestions, ...hardQuestions];
+  const selectedCount = countUnitQuestions(allQuestions);
+  
+  // Если не хватает вопросов, дополняем любыми доступными
+  if (selectedCount < totalQuestions) {
+    const usedIds = new Set(allQuestions.map(q => q._id.toString()));
+    const additionalQuestions = pickQuestions(
+      pool.filter(q => !usedIds.has(q._id.toString())),
+      totalQuestions - selectedCount,
+      random,
+      exposureState
+    );
+    
+    allQuestions.push(...additionalQuestions);
+    console.log(`Added ${countUnitQuestions(additionalQuestions)} additional questions`);
   }
+  
+  return shuffleArray(allQuestions, random);
 };
 
 /**
  * Получает случайные вопросы определенной сложности
+ * @param {Array<Object>} pool - Кандидаты (вопросы и группы, buildUnits)
  * @param {string} difficulty - Уровень сложности
  * @param {number} count - Количество вопросов
- * @returns {Array} - Массив вопросов
+ * @param {Function} random - Генератор случайных чисел
+ * @param {Object} [exposureState] - Состояние контроля экспозиции
+ * @returns {Array} - Массив вопросов (может быть меньше count, если вопросов этой сложности не хватает)
  */
-const getQuestionsByDifficulty = async (difficulty, count) => {
-  try {
-    if (count <= 0) return [];
-    
-    const questions = await Question.aggregate([
-      { $match: { isActive: true, difficulty } },
-      { $sample: { size: count } }
-    ]);
+const getQuestionsByDifficulty = (pool, difficulty, count, random = Math.random, exposureState = null) => {
+  if (count <= 0) return [];
+  
+  return pickQuestions(pool.filter(q => q.difficulty === difficulty), count, random, exposureState);
+};
+
+/**
+ * Сопоставляет спецификацию теста с количеством доступных вопросов в ячейках
+ * @param {Array<Object>} blueprint - Ячейки { topic, difficulty, min, max }
+ * @param {Map} available - Количество вопросов по ключу ячейки (getCellKey)
+ * @param {number} questionsPerTest - Количество вопросов в тесте
+ * @returns {Object} - { isValid, errors, cells, unfillableCells, totals }
+ */
+const buildBlueprintReport = (blueprint, available, questionsPerTest) => {
+  const cells = blueprint.map(cell => (typeof cell.toObject === 'function' ? cell.toObject() : cell));
+  const errors = validateBlueprint(cells, questionsPerTest);
+  
+  const cellReports = cells.map(cell => {
+    const min = cell.min || 0;
+    const count = available.get(getCellKey(cell.topic, cell.difficulty)) || 0;
     
-    // Если не хватает вопросов определенной сложности, дополняем любыми доступными
-    if (questions.length < count) {
-      const additionalCount = count - questions.length;
-      const usedIds = questions.map(q => q._id);
+    return {
+      topic: cell.topic,
+      difficulty: cell.difficulty,
+      min,
+      max: cell.max === undefined ? null : cell.max,
+      available: count,
+      capacity: Math.min(count, getCellMax(cell)),
+      shortage: Math.max(0, min - count),
+      status: count < min ? 'unfillable' : 'ok'
+    };
+  });
+  
+  const unfillableCells = cellReports.filter(cell => cell.status === 'unfillable');
+  unfillableCells.forEach(cell => {
+    errors.push({
+      field: 'blueprint',
+      message: `Cell ${cell.topic} / ${cell.difficulty} needs ${cell.min} questions, but only ${cell.available} are available`
+    });
+  });
+  
+  const totals = getBlueprintTotals(cells);
+  const capacity = cellReports.reduce((sum, cell) => sum + cell.capacity, 0);
+  
+  if (errors.length === 0 && capacity < questionsPerTest) {
+    errors.push({
+      field: 'blueprint',
+      message: `Blueprint cells can supply only ${capacity} of ${questionsPerTest} questions`
+    });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    cells: cellReports,
+    unfillableCells,
+    totals: {
+      questionsPerTest,
+      min: totals.min,
+      max: Number.isFinite(totals.max) ? totals.max : null,
+      capacity
+    }
+  };
+};
+
+/**
+ * Проверяет спецификацию теста (blueprint) по банку вопросов
+ * @param {Array<Object>} blueprint - Ячейки { topic, difficulty, min, max }
+ * @param {number} questionsPerTest - Количество вопросов в тесте
+ * @returns {Object} - { isValid, errors, cells, unfillableCells, totals }
+ */
+const getBlueprintReport = async (blueprint, questionsPerTest) => {
+  // Количество активных одобренных вопросов в каждой ячейке (тема × сложность); вопросы подтем
+  // учитываются в ячейке ближайшей темы-предка
+  const counts = await Question.aggregate([
+    { $match: ELIGIBLE_QUESTION_FILTER },
+    { $group: { _id: { topic: '$topic', topicId: '$topicId', difficulty: '$difficulty' }, count: { $sum: 1 } } }
+  ]);
+  const topicPaths = await Topic.getPathNames();
+  const cellKeys = getBlueprintCellKeys(blueprint);
+  
+  const available = new Map();
+  counts.forEach(item => {
+    const topicPath = item._id.topicId ? topicPaths.get(item._id.topicId.toString()) : null;
+    const key = getQuestionCellKey({ ...item._id, topicPath }, cellKeys);
+    available.set(key, (available.get(key) || 0) + item.count);
+  });
+  
+  return buildBlueprintReport(blueprint, available, questionsPerTest);
+};
+
+/**
+ * Выбирает вопросы по спецификации: в каждой ячейке не меньше min и не больше max вопросов,
+ * оставшиеся места заполняются случайными вопросами из ячеек с запасом
+ * @param {Array<Object>} pool - Кандидаты (вопросы и группы, buildUnits)
+ * @param {Array<Object>} blueprint - Ячейки { topic, difficulty, min, max }
+ * @param {number} questionsPerTest - Количество вопросов в тесте
+ * @param {Function} random - Генератор случайных чисел
+ * @param {Object} [exposureState] - Состояние контроля экспозиции
+ * @returns {Array} - Массив вопросов и групп
+ */
+const getBlueprintQuestions = (pool, blueprint, questionsPerTest, random = Math.random, exposureState = null) => {
+  const cellKeys = getBlueprintCellKeys(blueprint);
+  const byCell = new Map();
+  pool.forEach(question => {
+    const key = getQuestionCellKey(question, cellKeys);
+    if (!byCell.has(key)) byCell.set(key, []);
+    byCell.get(key).push(question);
+  });
+  
+  // Группа занимает в ячейке столько мест, сколько в ней вопросов
+  const available = new Map([...byCell.entries()].map(([key, questions]) => [key, countUnitQuestions(questions)]));
+  const report = buildBlueprintReport(blueprint, available, questionsPerTest);
+  
+  if (!report.isValid) {
+    throw new Error(`Invalid blueprint: ${report.errors.map(error => error.message).join('; ')}`);
+  }
+  
+  let selected;
+  
+  if (exposureState && exposureState.enabled) {
+    selected = getBlueprintQuestionsWithExposure(byCell, report.cells, questionsPerTest, random, exposureState);
+  } else {
+    // Одна выборка на ячейку: первые min вопросов обязательны, остальные - кандидаты на свободные места
+    const required = [];
+    const extra = [];
+    let requiredCount = 0;
+    
+    report.cells.forEach(cell => {
+      const questions = takeUnits(shuffleArray(byCell.get(getCellKey(cell.topic, cell.difficulty)) || [], random), cell.capacity);
+      let cellCount = 0;
       
-      const additionalQuestions = await Question.aggregate([
-        { 
-          $match: { 
-            isActive: true,
-            _id: { $nin: usedIds }
-          }
-        },
-        { $sample: { size: additionalCount } }
-      ]);
+      questions.forEach(question => {
+        if (cellCount < cell.min) {
+          required.push(question);
+          cellCount += getUnitSize(question);
+        } else {
+          extra.push(question);
+        }
+      });
       
-      questions.push(...additionalQuestions);
+      if (cellCount < cell.min) {
+        throw new Error(`Invalid blueprint: cell ${cell.topic} / ${cell.difficulty} cannot be filled with whole question groups`);
+      }
+      requiredCount += cellCount;
+    });
+    
+    selected = [...required, ...takeUnits(shuffleArray(extra, random), questionsPerTest - requiredCount)];
+  }
+  
+  if (countUnitQuestions(selected) > questionsPerTest) {
+    throw new Error('Invalid blueprint: required question groups exceed the number of questions per test');
+  }
+  
+  console.log(`Selected ${countUnitQuestions(selected)} questions by blueprint (${report.cells.length} cells)`);
+  
+  return shuffleArray(selected, random);
+};
+
+/**
+ * Выбирает вопросы по спецификации с учетом контроля экспозиции: сначала обязательные min вопросов каждой ячейки,
+ * затем свободные места по одному вопросу (или группе) из ячеек, не достигших max
+ * @param {Map} byCell - Кандидаты (вопросы и группы) по ключу ячейки
+ * @param {Array<Object>} cells - Ячейки отчета buildBlueprintReport
+ * @param {number} questionsPerTest - Количество вопросов в тесте
+ * @param {Function} random - Генератор случайных чисел
+ * @param {Object} exposureState - Состояние контроля экспозиции
+ * @returns {Array} - Массив вопросов и групп
+ */
+const getBlueprintQuestionsWithExposure = (byCell, cells, questionsPerTest, random, exposureState) => {
+  const cellKeys = getBlueprintCellKeys(cells);
+  const selected = [];
+  const selectedIds = new Set();
+  const usedByCell = new Map();
+  let selectedCount = 0;
+  
+  const add = (key, questions) => {
+    questions.forEach(q => selectedIds.add(q._id.toString()));
+    selected.push(...questions);
+    selectedCount += countUnitQuestions(questions);
+    usedByCell.set(key, (usedByCell.get(key) || 0) + countUnitQuestions(questions));
+  };
+  
+  cells.forEach(cell => {
+    const key = getCellKey(cell.topic, cell.difficulty);
+    add(key, exposureState.pick(byCell.get(key) || [], cell.min, random));
+    
+    // Если группы не складываются ровно в min, добираем ячейку группой, которая помещается в max
+    while (usedByCell.get(key) < cell.min) {
+      const candidates = (byCell.get(key) || []).filter(q => !selectedIds.has(q._id.toString()));
+      const questions = exposureState.pick(candidates, cell.capacity - usedByCell.get(key), random, 1);
+      if (questions.length === 0) {
+        throw new Error(`Invalid blueprint: cell ${cell.topic} / ${cell.difficulty} cannot be filled with whole question groups`);
+      }
+      
+      add(key, questions);
     }
+  });
+  
+  while (selectedCount < questionsPerTest) {
+    const candidates = cells.flatMap(cell => {
+      const key = getCellKey(cell.topic, cell.difficulty);
+      const free = getCellMax(cell) - usedByCell.get(key);
+      
+      return (byCell.get(key) || [])
+        .filter(q => !selectedIds.has(q._id.toString()) && getUnitSize(q) <= free);
+    });
     
-    return questions;
+    const [question] = exposureState.pick(candidates, questionsPerTest - selectedCount, random, 1);
+    if (!question) break;
     
-  } catch (error) {
-    console.error(`Error getting ${difficulty} questions:`, error);
-    return [];
+    add(getQuestionCellKey(question, cellKeys), [question]);
   }
+  
+  return selected;
 };
 
 /**
- * Перемешивает массив (Fisher-Yates shuffle)
- * @param {Array} array - Массив для перемешивания
- * @returns {Array} - Перемешанный массив
+ * Повторяет выборку теста по сохраненным сиду, снимку настроек и снимку банка вопросов
+ * @param {Test} test - Тест
+ * @returns {Object} - { verifiable, verified, reason, differences, regenerated, ... }
  */
-const shuffleArray = (array) => {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+const verifyTestGeneration = async (test) => {
+  const generation = test.generation || {};
+  const audit = {
+    testId: test._id,
+    seed: generation.seed || null,
+    algorithmVersion: generation.algorithmVersion,
+    currentAlgorithmVersion: GENERATION_ALGORITHM_VERSION,
+    generatedAt: generation.generatedAt || null,
+    settingsSnapshot: generation.settingsSnapshot || null
+  };
+  
+  if (test.isAdaptive()) {
+    return {
+      ...audit,
+      verifiable: false,
+      verified: false,
+      reason: 'Adaptive test questions are selected during the test based on previous answers',
+      adaptive: {
+        settings: test.adaptive.settings,
+        history: test.adaptive.history
+      }
+    };
+  }
+  
+  if (!generation.seed || generation.algorithmVersion !== GENERATION_ALGORITHM_VERSION) {
+    return {
+      ...audit,
+      verifiable: false,
+      verified: false,
+      reason: 'Test was generated without a seed by an earlier algorithm version'
+    };
+  }
+  
+  const snapshot = generation.poolSnapshotId
+    ? await QuestionPoolSnapshot.findById(generation.poolSnapshotId)
+    : null;
+  
+  if (!snapshot) {
+    return {
+      ...audit,
+      verifiable: false,
+      verified: false,
+      reason: 'Question pool snapshot not found'
+    };
+  }
+  
+  // При контроле экспозиции выборка зависела от тестов, выданных раньше: они должны остаться теми же
+  let exposure = null;
+  if (isExposureControlEnabled(generation.settingsSnapshot.exposureControl)) {
+    const priorTests = await loadPriorTests(test.competitionId, test._id);
+    const stored = generation.exposure || {};
+    
+    if (computeExposureHash(priorTests) !== stored.hash) {
+      return {
+        ...audit,
+        verifiable: false,
+        verified: false,
+        reason: 'Tests issued before this test have changed since generation (for example, a test was regenerated)',
+        exposure: {
+          storedPriorTests: stored.priorTests ?? null,
+          currentPriorTests: priorTests.length
+        }
+      };
+    }
+    
+    exposure = { priorTests, plannedTests: stored.plannedTests };
+  }
+  
+  const poolIntact = snapshot.verifyIntegrity();
+  const draw = drawTest(generation.seed, toPool(snapshot.questions), generation.settingsSnapshot, exposure);
+  
+  const differences = [];
+  const storedQuestions = test.questions.map(id => id.toString());
+  const drawnQuestions = draw.questions.map(id => id.toString());
+  
+  if (JSON.stringify(storedQuestions) !== JSON.stringify(drawnQuestions)) {
+    differences.push({ field: 'questions', stored: storedQuestions, regenerated: drawnQuestions });
+  }
+  
+  const storedOrders = test.optionOrders.map(order => [...order]);
+  if (JSON.stringify(storedOrders) !== JSON.stringify(draw.optionOrders)) {
+    differences.push({ field: 'optionOrders', stored: storedOrders, regenerated: draw.optionOrders });
+  }
+  
+  const storedInstances = test.questionInstances.map(instance => ({
+    questionIndex: instance.questionIndex,
+    questionId: instance.questionId.toString(),
+    values: instance.values,
+    correctValue: instance.correctValue
+  }));
+  const drawnInstances = draw.questionInstances.map(instance => ({ ...instance, questionId: instance.questionId.toString() }));
+  if (JSON.stringify(storedInstances) !== JSON.stringify(drawnInstances)) {
+    differences.push({ field: 'questionInstances', stored: storedInstances, regenerated: drawnInstances });
   }
-  return shuffled;
+  
+  if (test.maxScore !== draw.maxScore) {
+    differences.push({ field: 'maxScore', stored: test.maxScore, regenerated: draw.maxScore });
+  }
+  
+  return {
+    ...audit,
+    verifiable: true,
+    verified: poolIntact && differences.length === 0,
+    pool: {
+      snapshotId: snapshot._id,
+      hash: snapshot.hash,
+      size: snapshot.questions.length,
+      intact: poolIntact
+    },
+    differences,
+    regenerated: {
+      questions: draw.questions,
+      optionOrders: draw.optionOrders,
+      questionInstances: draw.questionInstances,
+      maxScore: draw.maxScore
+    }
+  };
+};
+
+/**
+ * Генерирует случайную перестановку вариантов ответа
+ * @param {number} optionsCount - Количество вариантов
+ * @param {Function} random - Генератор случайных чисел (по умолчанию Math.random)
+ * @returns {Array} - Перестановка: элемент с индексом i - исходный индекс варианта, показанного i-м
+ */
+const generateOptionOrder = (optionsCount, random = Math.random) => {
+  return shuffleArray(Array.from({ length: optionsCount }, (_, i) => i), random);
 };
 
 /**
  * Генерирует тесты для нескольких пользователей (массовая генерация)
  * @param {Array} userIds - Массив ID пользователей
+ * @param {ObjectId} competitionId - ID соревнования
  * @returns {Array} - Массив созданных тестов
  */
-const generateMultipleTests = async (userIds) => {
+const generateMultipleTests = async (userIds, competitionId) => {
   try {
     const tests = [];
     const errors = [];
     
+    // Настройки и снимок банка одни для всех тестов пакета
+    const preparedGeneration = await prepareGeneration(competitionId);
+    
     for (const userId of userIds) {
       try {
-        const test = await generateUniqueTest(userId);
+        const test = await generateUniqueTest(userId, competitionId, preparedGeneration);
         tests.push(test);
       } catch (error) {
         errors.push({ userId, error: error.message });
@@ -264,12 +819,13 @@ const generateMultipleTests = async (userIds) => {
 /**
  * Регенерирует тест для пользователя (если нужно создать новый)
  * @param {ObjectId} userId - ID пользователя
+ * @param {ObjectId} competitionId - ID соревнования
  * @param {boolean} forceRegenerate - Принудительная регенерация
  * @returns {Test} - Обновленный тест
  */
-const regenerateTest = async (userId, forceRegenerate = false) => {
+const regenerateTest = async (userId, competitionId, forceRegenerate = false) => {
   try {
-    const existingTest = await Test.findOne({ userId });
+    const existingTest = await Test.findOne({ userId, competitionId });
     
     // Если тест уже начат или завершен, не регенерируем без принуждения
     if (existingTest && !forceRegenerate) {
@@ -284,7 +840,7 @@ const regenerateTest = async (userId, forceRegenerate = false) => {
     }
     
     // Создаем новый тест
-    const newTest = await generateUniqueTest(userId);
+    const newTest = await generateUniqueTest(userId, competitionId);
     
     console.log(`✅ Regenerated test for user ${userId}`);
     
@@ -304,9 +860,9 @@ const getTestGenerationStats = async () => {
   try {
     const [totalTests, totalQuestions, questionsByDifficulty] = await Promise.all([
       Test.countDocuments(),
-      Question.countDocuments({ isActive: true }),
+      Question.countDocuments(ELIGIBLE_QUESTION_FILTER),
       Question.aggregate([
-        { $match: { isActive: true } },
+        { $match: ELIGIBLE_QUESTION_FILTER },
         { $group: { _id: '$difficulty', count: { $sum: 1 } } }
       ])
     ]);
@@ -334,14 +890,71 @@ const getTestGenerationStats = async () => {
   }
 };
 
+/**
+ * Проверяет, хватает ли активных вопросов для генерации тестов
+ * @param {number} questionsPerTest - Количество вопросов в тесте
+ * @returns {Object} - Результат проверки
+ */
+const validateTestGeneration = async (questionsPerTest) => {
+  const totalQuestions = await Question.countDocuments(ELIGIBLE_QUESTION_FILTER);
+  const settings = await Settings.getCurrentSettings();
+  
+  if (totalQuestions === 0) {
+    return {
+      isValid: false,
+      message: 'No active approved questions found in database',
+      totalQuestions,
+      questionsPerTest
+    };
+  }
+  
+  if (totalQuestions < questionsPerTest) {
+    return {
+      isValid: false,
+      message: `Not enough active approved questions. Need ${questionsPerTest}, but only ${totalQuestions} found`,
+      totalQuestions,
+      questionsPerTest
+    };
+  }
+  
+  // Если задана спецификация, тест должен собираться по ней целиком
+  if (settings.blueprint && settings.blueprint.length > 0) {
+    const blueprint = await getBlueprintReport(settings.blueprint, questionsPerTest);
+    
+    if (!blueprint.isValid) {
+      return {
+        isValid: false,
+        message: `Test blueprint cannot be satisfied: ${blueprint.errors.map(error => error.message).join('; ')}`,
+        totalQuestions,
+        questionsPerTest,
+        blueprint
+      };
+    }
+  }
+  
+  return {
+    isValid: true,
+    message: 'Enough questions available',
+    totalQuestions,
+    questionsPerTest
+  };
+};
+
 // ВАЖНО: Экспорт всех функций
 module.exports = {
+  GENERATION_ALGORITHM_VERSION,
   generateUniqueTest,
+  drawTest,
+  verifyTestGeneration,
   getBalancedRandomQuestions,
   getQuestionsByDifficulty,
   getSimpleRandomQuestions,
+  getBlueprintReport,
+  getBlueprintQuestions,
   shuffleArray,
+  generateOptionOrder,
   generateMultipleTests,
   regenerateTest,
-  getTestGenerationStats
+  getTestGenerationStats,
+  validateTestGeneration
 };
\ No newline at end of file
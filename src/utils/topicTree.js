@@ -0,0 +1,120 @@
+/**
+ * Приводит название темы к виду для сравнения: Unicode NFKC, без лишних пробелов, нижний регистр.
+ * "Algebra", "algebra " и "ALGEBRA" - одна тема
+ * @param {string} name - Название темы
+ * @returns {string}
+ */
+const normalizeTopicName = (name) => (name ?? '').toString().normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Убирает лишние пробелы в названии темы (регистр сохраняется)
+ * @param {string} name - Название темы
+ * @returns {string}
+ */
+const cleanTopicName = (name) => (name ?? '').toString().normalize('NFKC').trim().replace(/\s+/g, ' ');
+
+/**
+ * Проверяет, что тема candidate - это тема topicId или ее подтема (в такую тему нельзя перенести
+ * или влить тему topicId: получился бы цикл)
+ * @param {Object} candidate - Тема { _id, ancestors }
+ * @param {ObjectId|string} topicId - ID темы
+ * @returns {boolean}
+ */
+const isInSubtree = (candidate, topicId) =>
+  [candidate._id, ...(candidate.ancestors || [])].some(id => String(id) === String(topicId));
+
+/**
+ * Возвращает предков подтемы после переноса темы topicId: новый путь темы плюс часть старого пути ниже темы
+ * @param {Array<ObjectId>} ancestors - Текущие предки подтемы (включают topicId)
+ * @param {ObjectId|string} topicId - ID перенесенной темы
+ * @param {Array<ObjectId>} topicPath - Новый путь темы от корня, включая саму тему
+ * @returns {Array<ObjectId>}
+ */
+const rebaseAncestors = (ancestors, topicId, topicPath) =>
+  [...topicPath, ...ancestors.slice(ancestors.findIndex(id => String(id) === String(topicId)) + 1)];
+
+/**
+ * Строит названия тем на пути от корня
+ * @param {Array<Object>} topics - Темы { _id, name, ancestors }
+ * @returns {Map} - Map(topicId -> [названия от корня до самой темы])
+ */
+const buildPathNames = (topics) => {
+  const names = new Map(topics.map(topic => [topic._id.toString(), topic.name]));
+  
+  return new Map(topics.map(topic => [
+    topic._id.toString(),
+    [...topic.ancestors.map(id => names.get(id.toString())), topic.name]
+  ]));
+};
+
+/**
+ * Возвращает синонимы темы после переименования: старое название становится синонимом,
+ * а новое название синонимом быть перестает
+ * @param {Object} topic - Тема { key, aliases } до переименования
+ * @param {string} name - Новое название
+ * @returns {Array<string>}
+ */
+const getRenamedAliases = (topic, name) => {
+  const key = normalizeTopicName(name);
+  return [...new Set([...topic.aliases, topic.key])].filter(alias => alias !== key);
+};
+
+/**
+ * Возвращает синонимы целевой темы после объединения: к ним добавляются название и синонимы исходной темы
+ * @param {Object} target - Целевая тема { aliases }
+ * @param {Object} source - Объединяемая тема { key, aliases }
+ * @returns {Array<string>}
+ */
+const getMergedAliases = (target, source) => [...new Set([...target.aliases, source.key, ...source.aliases])];
+
+/**
+ * Строит дерево тем с количеством вопросов: у каждой темы - вопросы самой темы (questions)
+ * и всего ее поддерева (subtree)
+ * @param {Array<Object>} topics - Темы { _id, name, parent, ancestors, description }
+ * @param {Map} counts - Количество вопросов по ID темы: Map(topicId -> { total, active, eligible })
+ * @returns {Array<Object>} - Корневые темы { id, name, description, depth, questions, subtree, children } по названию
+ */
+const buildTopicTree = (topics, counts = new Map()) => {
+  const emptyCounts = () => ({ total: 0, active: 0, eligible: 0 });
+  const nodes = new Map(topics.map(topic => [topic._id.toString(), {
+    id: topic._id,
+    name: topic.name,
+    description: topic.description || '',
+    depth: (topic.ancestors || []).length,
+    questions: { ...emptyCounts(), ...(counts.get(topic._id.toString()) || {}) },
+    subtree: emptyCounts(),
+    children: []
+  }]));
+  
+  const roots = [];
+  topics.forEach(topic => {
+    const node = nodes.get(topic._id.toString());
+    const parent = topic.parent ? nodes.get(topic.parent.toString()) : null;
+    (parent ? parent.children : roots).push(node);
+  });
+  
+  // Суммы по поддереву: сначала дети, затем родитель
+  const rollUp = (node) => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+    node.children.forEach(rollUp);
+    Object.keys(node.subtree).forEach(field => {
+      node.subtree[field] = node.questions[field] + node.children.reduce((sum, child) => sum + child.subtree[field], 0);
+    });
+  };
+  
+  roots.sort((a, b) => a.name.localeCompare(b.name));
+  roots.forEach(rollUp);
+  
+  return roots;
+};
+
+module.exports = {
+  normalizeTopicName,
+  cleanTopicName,
+  isInSubtree,
+  rebaseAncestors,
+  buildPathNames,
+  getRenamedAliases,
+  getMergedAliases,
+  buildTopicTree
+};
@@ -0,0 +1,162 @@
+const {
+  ADAPTIVE_MAX_SCORE,
+  getItemParameters,
+  getSuccessProbability,
+  estimateAbility,
+  selectNextQuestion,
+  getStopReason,
+  scaleAbility,
+  estimateItemDifficulty
+} = require('../../src/utils/adaptiveTesting');
+const { createRandom } = require('../../src/utils/seededRandom');
+
+const response = (difficulty, isCorrect) => ({ difficulty, discrimination: 1, isCorrect });
+const question = (id, difficulty) => ({ _id: id, difficulty: 'medium', calibration: { difficulty } });
+
+describe('getSuccessProbability', () => {
+  test('вероятность верного ответа равна 0.5, когда способность равна трудности, и растет со способностью', () => {
+    const item = { difficulty: 1.5, discrimination: 2 };
+    
+    expect(getSuccessProbability(1.5, item)).toBe(0.5);
+    expect(getSuccessProbability(2, item)).toBeGreaterThan(0.5);
+    expect(getSuccessProbability(1, item)).toBeLessThan(0.5);
+  });
+});
+
+describe('estimateAbility', () => {
+  test('без ответов оценка равна априорному среднему', () => {
+    expect(estimateAbility([]).ability).toBe(0);
+    expect(estimateAbility([], 1).ability).toBeCloseTo(1, 2);
+    expect(estimateAbility([]).standardError).toBeCloseTo(1, 2);
+  });
+  
+  test('все ответы верные: оценка конечна, растет с каждым ответом и не выходит за шкалу', () => {
+    let previous = 0;
+    
+    for (let count = 1; count <= 30; count++) {
+      const { ability, standardError } = estimateAbility(Array.from({ length: count }, () => response(0, true)));
+      
+      expect(Number.isFinite(ability)).toBe(true);
+      expect(Number.isFinite(standardError)).toBe(true);
+      expect(ability).toBeGreaterThan(previous);
+      expect(ability).toBeLessThanOrEqual(4);
+      previous = ability;
+    }
+  });
+  
+  test('все ответы неверные: оценка конечна, падает с каждым ответом и не выходит за шкалу', () => {
+    let previous = 0;
+    
+    for (let count = 1; count <= 30; count++) {
+      const { ability, standardError } = estimateAbility(Array.from({ length: count }, () => response(0, false)));
+      
+      expect(Number.isFinite(ability)).toBe(true);
+      expect(Number.isFinite(standardError)).toBe(true);
+      expect(ability).toBeLessThan(previous);
+      expect(ability).toBeGreaterThanOrEqual(-4);
+      previous = ability;
+    }
+  });
+  
+  test('длинный тест не дает нулевых весов: оценка остается конечной', () => {
+    const responses = Array.from({ length: 500 }, (_, i) => response(i % 2 === 0 ? 3 : -3, i % 2 === 0));
+    
+    expect(Number.isFinite(estimateAbility(responses).ability)).toBe(true);
+  });
+  
+  test('ответы симметричны: верные и неверные дают противоположные оценки', () => {
+    const correct = estimateAbility([response(0, true), response(1, true)]).ability;
+    const wrong = estimateAbility([response(0, false), response(-1, false)]).ability;
+    
+    expect(correct).toBeCloseTo(-wrong, 3);
+  });
+  
+  test('ошибка оценки уменьшается с числом ответов', () => {
+    const responses = Array.from({ length: 10 }, (_, i) => response(0, i % 2 === 0));
+    
+    expect(estimateAbility(responses).standardError).toBeLessThan(estimateAbility(responses.slice(0, 2)).standardError);
+  });
+});
+
+describe('selectNextQuestion', () => {
+  const candidates = [question('q1', -2), question('q2', -0.5), question('q3', 0.4), question('q4', 1.5), question('q5', 3)];
+  
+  test('выбирает вопрос с трудностью, ближайшей к текущей способности', () => {
+    expect(selectNextQuestion(candidates, 0)._id).toBe('q3');
+    expect(selectNextQuestion(candidates, -0.6)._id).toBe('q2');
+    expect(selectNextQuestion(candidates, 2)._id).toBe('q4');
+    expect(selectNextQuestion(candidates, 4)._id).toBe('q5');
+    expect(selectNextQuestion(candidates, -4)._id).toBe('q1');
+  });
+  
+  test('вопросы без калибровки получают трудность по категории сложности', () => {
+    const uncalibrated = [
+      { _id: 'easy', difficulty: 'easy' },
+      { _id: 'medium', difficulty: 'medium' },
+      { _id: 'hard', difficulty: 'hard' }
+    ];
+    
+    expect(getItemParameters(uncalibrated[2])).toEqual({ difficulty: 1, discrimination: 1, calibrated: false });
+    expect(selectNextQuestion(uncalibrated, 0.9)._id).toBe('hard');
+    expect(selectNextQuestion(uncalibrated, -0.9)._id).toBe('easy');
+  });
+  
+  test('при равной информативности выбор не зависит от порядка кандидатов', () => {
+    const tied = [question('b', 1), question('a', -1)];
+    
+    expect(selectNextQuestion(tied, 0)._id).toBe('a');
+    expect(selectNextQuestion([...tied].reverse(), 0)._id).toBe('a');
+  });
+  
+  test('окно выбора ограничивает выбор самыми информативными вопросами', () => {
+    const random = createRandom('seed');
+    
+    for (let i = 0; i < 20; i++) {
+      expect(['q2', 'q3']).toContain(selectNextQuestion(candidates, 0, random, 2)._id);
+    }
+  });
+  
+  test('без кандидатов возвращает null', () => {
+    expect(selectNextQuestion([], 0)).toBeNull();
+  });
+});
+
+describe('getStopReason', () => {
+  const config = { stoppingRule: 'precision', minQuestions: 5, maxQuestions: 20, targetStandardError: 0.3 };
+  
+  test('останавливается по числу вопросов, точности или исчерпанию банка', () => {
+    expect(getStopReason({ answered: 20, standardError: 0.5, candidatesLeft: 10 }, config)).toBe('fixed_length');
+    expect(getStopReason({ answered: 6, standardError: 0.3, candidatesLeft: 10 }, config)).toBe('precision');
+    expect(getStopReason({ answered: 6, standardError: 0.5, candidatesLeft: 0 }, config)).toBe('pool_exhausted');
+    expect(getStopReason({ answered: 6, standardError: 0.5, candidatesLeft: 10 }, config)).toBeNull();
+  });
+  
+  test('точность не учитывается до minQuestions и в режиме fixed_length', () => {
+    expect(getStopReason({ answered: 3, standardError: 0.1, candidatesLeft: 10 }, config)).toBeNull();
+    expect(getStopReason({ answered: 6, standardError: 0.1, candidatesLeft: 10 }, { ...config, stoppingRule: 'fixed_length' })).toBeNull();
+  });
+});
+
+describe('scaleAbility', () => {
+  test('переводит способность в T-балл и ограничивает его 0..ADAPTIVE_MAX_SCORE', () => {
+    expect(scaleAbility(0)).toBe(50);
+    expect(scaleAbility(1.234)).toBe(62.34);
+    expect(scaleAbility(10)).toBe(ADAPTIVE_MAX_SCORE);
+    expect(scaleAbility(-10)).toBe(0);
+    expect(scaleAbility(1, { mean: 500, sd: 100 })).toBe(ADAPTIVE_MAX_SCORE);
+  });
+});
+
+describe('estimateItemDifficulty', () => {
+  test('без достаточной статистики калибровки нет', () => {
+    expect(estimateItemDifficulty(null)).toBeNull();
+    expect(estimateItemDifficulty({ totalAnswers: 29, correctAnswers: 10 })).toBeNull();
+  });
+  
+  test('чем меньше доля верных ответов, тем выше трудность; значение ограничено', () => {
+    expect(estimateItemDifficulty({ totalAnswers: 100, correctAnswers: 50 })).toBeCloseTo(0, 3);
+    expect(estimateItemDifficulty({ totalAnswers: 100, correctAnswers: 20 })).toBeGreaterThan(0);
+    expect(estimateItemDifficulty({ totalAnswers: 100, correctAnswers: 80 })).toBeLessThan(0);
+    expect(estimateItemDifficulty({ totalAnswers: 100000, correctAnswers: 0 })).toBe(4);
+  });
+});
@@ -0,0 +1,154 @@
+const {
+  scoreAnswer,
+  gradeAnswer,
+  parseFraction,
+  getQuestionPoints,
+  getBlankAnswerPoints,
+  getScorePercentage
+} = require('../../src/utils/answerGrader');
+
+// Вопрос с четырьмя вариантами, правильные - 0 и 1
+const multiSelect = (overrides = {}) => ({
+  type: 'multiple_choice',
+  options: ['A', 'B', 'C', 'D'],
+  correctAnswers: [0, 1],
+  points: 2,
+  ...overrides
+});
+
+describe('scoreAnswer: несколько правильных вариантов', () => {
+  test('all_or_nothing: балл только за точный набор', () => {
+    const question = multiSelect();
+    
+    expect(scoreAnswer(question, { selectedAnswers: [1, 0] })).toEqual({ isCorrect: true, points: 2 });
+    expect(scoreAnswer(question, { selectedAnswers: [0] })).toEqual({ isCorrect: false, points: 0 });
+    expect(scoreAnswer(question, { selectedAnswers: [0, 1, 2] })).toEqual({ isCorrect: false, points: 0 });
+  });
+  
+  test('proportional: доля найденных правильных минус доля выбранных неправильных', () => {
+    const question = multiSelect({ scoringRule: 'proportional' });
+    
+    expect(scoreAnswer(question, { selectedAnswers: [0] })).toEqual({ isCorrect: false, points: 1 });
+    expect(scoreAnswer(question, { selectedAnswers: [0, 1, 2] })).toEqual({ isCorrect: false, points: 1 });
+    expect(scoreAnswer(question, { selectedAnswers: [0, 1] })).toEqual({ isCorrect: true, points: 2 });
+  });
+  
+  test('proportional: результат не бывает отрицательным', () => {
+    const question = multiSelect({ scoringRule: 'proportional' });
+    
+    expect(scoreAnswer(question, { selectedAnswers: [2, 3] })).toEqual({ isCorrect: false, points: 0 });
+    expect(scoreAnswer(question, { selectedAnswers: [0, 2, 3] })).toEqual({ isCorrect: false, points: 0 });
+  });
+  
+  test('penalty: каждый неправильный выбор снимает wrongPickPenalty правильных', () => {
+    const question = multiSelect({ scoringRule: 'penalty', wrongPickPenalty: 0.5 });
+    
+    expect(scoreAnswer(question, { selectedAnswers: [0, 1, 2] }).points).toBe(1.5);
+    expect(scoreAnswer(question, { selectedAnswers: [0, 2] }).points).toBe(0.5);
+    // По умолчанию неправильный выбор отменяет один правильный
+    expect(scoreAnswer(multiSelect({ scoringRule: 'penalty' }), { selectedAnswers: [0, 2] }).points).toBe(0);
+  });
+  
+  test('частичный балл округляется до сотых', () => {
+    const question = multiSelect({ correctAnswers: [0, 1, 2], points: 1, scoringRule: 'proportional' });
+    
+    expect(scoreAnswer(question, { selectedAnswers: [0] }).points).toBe(0.33);
+  });
+});
+
+describe('scoreAnswer: баллы и штраф за неверный ответ', () => {
+  const policy = {
+    wrongAnswerPenalty: 0.25,
+    blankAnswerPolicy: 'penalty',
+    pointsByDifficulty: { easy: 1, medium: 2, hard: 3 }
+  };
+  const singleChoice = { type: 'single_choice', options: ['A', 'B', 'C'], correctAnswer: 0, difficulty: 'hard', points: null };
+  
+  test('баллы без points определяются сложностью', () => {
+    expect(getQuestionPoints(singleChoice, policy)).toBe(3);
+    expect(getQuestionPoints({ ...singleChoice, points: 5 }, policy)).toBe(5);
+    // Без политики вопрос стоит 1 балл
+    expect(getQuestionPoints(singleChoice)).toBe(1);
+  });
+  
+  test('неверный ответ снимает долю wrongAnswerPenalty от баллов вопроса', () => {
+    expect(scoreAnswer(singleChoice, { selectedAnswer: 0 }, policy)).toEqual({ isCorrect: true, points: 3 });
+    expect(scoreAnswer(singleChoice, { selectedAnswer: 1 }, policy)).toEqual({ isCorrect: false, points: -0.75 });
+    expect(scoreAnswer(singleChoice, { selectedAnswer: 1 }, { ...policy, wrongAnswerPenalty: 0 }).points).toBe(0);
+  });
+  
+  test('частичный зачет не штрафуется, нулевой результат - штрафуется', () => {
+    const question = multiSelect({ scoringRule: 'proportional' });
+    
+    expect(scoreAnswer(question, { selectedAnswers: [0] }, policy).points).toBe(1);
+    expect(scoreAnswer(question, { selectedAnswers: [2, 3] }, policy).points).toBe(-0.5);
+  });
+  
+  test('развернутое решение не штрафуется', () => {
+    const written = { type: 'written', points: 4 };
+    
+    expect(scoreAnswer(written, { response: '' }, policy).points).toBe(0);
+    expect(getBlankAnswerPoints(written, policy)).toBe(0);
+  });
+  
+  test('пропуск вопроса штрафуется только при blankAnswerPolicy: penalty', () => {
+    expect(getBlankAnswerPoints(singleChoice, policy)).toBe(-0.75);
+    expect(getBlankAnswerPoints(singleChoice, { ...policy, blankAnswerPolicy: 'zero' })).toBe(0);
+  });
+});
+
+describe('gradeAnswer: типы ответов', () => {
+  test('одиночный выбор сравнивается по индексу варианта', () => {
+    const question = { type: 'single_choice', options: ['A', 'B'], correctAnswer: 1 };
+    
+    expect(gradeAnswer(question, { selectedAnswer: 1 })).toBe(true);
+    expect(gradeAnswer(question, { selectedAnswer: 0 })).toBe(false);
+  });
+  
+  test('integer: точное целое число', () => {
+    const question = { type: 'integer', correctValue: '42' };
+    
+    expect(gradeAnswer(question, { response: ' 42 ' })).toBe(true);
+    expect(gradeAnswer(question, { response: '42.0' })).toBe(false);
+  });
+  
+  test('decimal: допустимое отклонение и десятичная запятая', () => {
+    const question = { type: 'decimal', correctValue: '3.14', tolerance: 0.01 };
+    
+    expect(gradeAnswer(question, { response: '3,15' })).toBe(true);
+    expect(gradeAnswer(question, { response: '3.16' })).toBe(false);
+  });
+  
+  test('fraction: сравниваются значения дробей', () => {
+    const question = { type: 'fraction', correctValue: '1/2' };
+    
+    expect(gradeAnswer(question, { response: '2/4' })).toBe(true);
+    expect(gradeAnswer(question, { response: '0.5' })).toBe(true);
+    expect(gradeAnswer(question, { response: '1/3' })).toBe(false);
+    expect(parseFraction('1/0')).toBeNull();
+  });
+  
+  test('text: без учета регистра и лишних пробелов, если не задан caseSensitive', () => {
+    const question = { type: 'text', acceptedAnswers: ['Euler Line'] };
+    
+    expect(gradeAnswer(question, { response: '  euler   line ' })).toBe(true);
+    expect(gradeAnswer({ ...question, caseSensitive: true }, { response: 'euler line' })).toBe(false);
+    expect(gradeAnswer(question, { response: '' })).toBe(false);
+  });
+  
+  test('развернутое решение до ручной проверки не приносит баллов', () => {
+    expect(scoreAnswer({ type: 'written', points: 5 }, { response: 'Доказательство' })).toEqual({ isCorrect: false, points: 0 });
+  });
+});
+
+describe('getScorePercentage', () => {
+  test('процент считается от баллов, а не от числа правильных ответов', () => {
+    // Три частично верных ответа по 0.5 балла из трех возможных
+    expect(getScorePercentage(1.5, 3)).toBe(50);
+    expect(getScorePercentage(2, 3)).toBe(66.67);
+  });
+  
+  test('без максимального балла - 0', () => {
+    expect(getScorePercentage(0, 0)).toBe(0);
+  });
+});
@@ -0,0 +1,172 @@
+const {
+  getCellKey,
+  getBlueprintCellKeys,
+  getQuestionCellKey,
+  getBlueprintTotals,
+  validateBlueprint
+} = require('../../src/utils/blueprint');
+const { getBlueprintQuestions } = require('../../src/utils/testGenerator');
+const { createRandom } = require('../../src/utils/seededRandom');
+
+const question = (id, topic, difficulty, topicPath = null) => ({ _id: id, topic, difficulty, topicPath });
+const questions = (prefix, count, topic, difficulty, topicPath) =>
+  Array.from({ length: count }, (_, i) => question(`${prefix}${i + 1}`, topic, difficulty, topicPath));
+
+describe('validateBlueprint', () => {
+  test('корректная спецификация не дает ошибок', () => {
+    const blueprint = [
+      { topic: 'Алгебра', difficulty: 'easy', min: 2, max: 3 },
+      { topic: 'Геометрия', difficulty: 'hard', min: 1 }
+    ];
+    
+    expect(validateBlueprint(blueprint)).toEqual([]);
+    expect(validateBlueprint(blueprint, 5)).toEqual([]);
+  });
+  
+  test('спецификация должна быть массивом', () => {
+    expect(validateBlueprint(null)).toEqual([{ field: 'blueprint', message: 'Blueprint must be an array of cells' }]);
+  });
+  
+  test('проверяет тему, сложность и границы каждой ячейки', () => {
+    const errors = validateBlueprint([
+      { topic: '  ', difficulty: 'extreme', min: -1 },
+      { topic: 'Алгебра', difficulty: 'easy', min: 3, max: 2 },
+      { topic: 'Алгебра', difficulty: 'medium', max: 0 },
+      'cell'
+    ]);
+    
+    expect(errors.map(error => error.field)).toEqual([
+      'blueprint.0.topic',
+      'blueprint.0.difficulty',
+      'blueprint.0.min',
+      'blueprint.1.max',
+      'blueprint.2.max',
+      'blueprint.3'
+    ]);
+  });
+  
+  test('ячейка с той же темой (без учета регистра и пробелов) и сложностью считается повтором', () => {
+    const errors = validateBlueprint([
+      { topic: 'Алгебра', difficulty: 'easy' },
+      { topic: ' алгебра ', difficulty: 'easy' },
+      { topic: 'алгебра', difficulty: 'hard' }
+    ]);
+    
+    expect(errors).toHaveLength(1);
+    expect(errors[0].field).toBe('blueprint.1');
+    expect(errors[0].message).toContain('duplicates cell 1');
+  });
+  
+  test('количество вопросов в тесте должно укладываться в суммарные границы', () => {
+    const blueprint = [
+      { topic: 'Алгебра', difficulty: 'easy', min: 2, max: 3 },
+      { topic: 'Геометрия', difficulty: 'easy', min: 1, max: 2 }
+    ];
+    
+    expect(getBlueprintTotals(blueprint)).toEqual({ min: 3, max: 5 });
+    expect(validateBlueprint(blueprint, 2)[0].message).toBe('Blueprint requires at least 3 questions, but the test has 2');
+    expect(validateBlueprint(blueprint, 6)[0].message).toBe('Blueprint allows at most 5 questions, but the test has 6');
+  });
+  
+  test('ячейка без max не ограничивает сверху', () => {
+    expect(getBlueprintTotals([{ topic: 'Алгебра', difficulty: 'easy', min: 1 }]).max).toBe(Infinity);
+    expect(validateBlueprint([{ topic: 'Алгебра', difficulty: 'easy', min: 1 }], 100)).toEqual([]);
+  });
+});
+
+describe('getQuestionCellKey', () => {
+  const cellKeys = getBlueprintCellKeys([
+    { topic: 'Алгебра', difficulty: 'easy' },
+    { topic: 'Неравенства', difficulty: 'easy' }
+  ]);
+  
+  test('вопрос попадает в ячейку самой узкой темы на своем пути', () => {
+    expect(getQuestionCellKey(question('q1', 'Неравенства', 'easy', ['Алгебра', 'Неравенства']), cellKeys))
+      .toBe(getCellKey('Неравенства', 'easy'));
+    expect(getQuestionCellKey(question('q2', 'Квадратные', 'easy', ['Алгебра', 'Уравнения', 'Квадратные']), cellKeys))
+      .toBe(getCellKey('Алгебра', 'easy'));
+  });
+  
+  test('без подходящей ячейки возвращается ключ собственной темы', () => {
+    expect(getQuestionCellKey(question('q1', 'Геометрия', 'easy'), cellKeys)).toBe(getCellKey('Геометрия', 'easy'));
+    expect(getQuestionCellKey(question('q2', 'Неравенства', 'hard', ['Алгебра', 'Неравенства']), cellKeys))
+      .toBe(getCellKey('Неравенства', 'hard'));
+  });
+});
+
+describe('getBlueprintQuestions', () => {
+  const countBy = (selected, topic, difficulty) =>
+    selected.filter(q => q.topic === topic && q.difficulty === difficulty).length;
+  
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('в каждой ячейке не меньше min и не больше max вопросов', () => {
+    const pool = [
+      ...questions('a', 5, 'Алгебра', 'easy'),
+      ...questions('g', 5, 'Геометрия', 'hard'),
+      ...questions('x', 5, 'Комбинаторика', 'medium')
+    ];
+    const blueprint = [
+      { topic: 'Алгебра', difficulty: 'easy', min: 2, max: 3 },
+      { topic: 'Геометрия', difficulty: 'hard', min: 1, max: 2 }
+    ];
+    
+    for (const seed of ['s1', 's2', 's3', 's4', 's5']) {
+      const selected = getBlueprintQuestions(pool, blueprint, 5, createRandom(seed));
+      
+      expect(selected).toHaveLength(5);
+      expect(new Set(selected.map(q => q._id)).size).toBe(5);
+      expect(countBy(selected, 'Алгебра', 'easy')).toBeGreaterThanOrEqual(2);
+      expect(countBy(selected, 'Алгебра', 'easy')).toBeLessThanOrEqual(3);
+      expect(countBy(selected, 'Геометрия', 'hard')).toBeGreaterThanOrEqual(1);
+      expect(countBy(selected, 'Геометрия', 'hard')).toBeLessThanOrEqual(2);
+      expect(countBy(selected, 'Комбинаторика', 'medium')).toBe(0);
+    }
+  });
+  
+  test('вопросы подтемы без своей ячейки заполняют ячейку темы-предка', () => {
+    const pool = questions('n', 3, 'Неравенства', 'easy', ['Алгебра', 'Неравенства']);
+    
+    const selected = getBlueprintQuestions(pool, [{ topic: 'Алгебра', difficulty: 'easy', min: 2 }], 2, createRandom('seed'));
+    
+    expect(selected).toHaveLength(2);
+  });
+  
+  test('одинаковый сид дает одинаковую выборку', () => {
+    const pool = [...questions('a', 6, 'Алгебра', 'easy'), ...questions('g', 6, 'Геометрия', 'easy')];
+    const blueprint = [{ topic: 'Алгебра', difficulty: 'easy', min: 1 }, { topic: 'Геометрия', difficulty: 'easy', min: 1 }];
+    
+    const first = getBlueprintQuestions(pool, blueprint, 4, createRandom('seed'));
+    const second = getBlueprintQuestions(pool, blueprint, 4, createRandom('seed'));
+    
+    expect(second.map(q => q._id)).toEqual(first.map(q => q._id));
+  });
+  
+  test('ячейка, в которой вопросов меньше min, дает понятную ошибку', () => {
+    const pool = [...questions('a', 1, 'Алгебра', 'easy'), ...questions('g', 5, 'Геометрия', 'hard')];
+    const blueprint = [
+      { topic: 'Алгебра', difficulty: 'easy', min: 2 },
+      { topic: 'Геометрия', difficulty: 'hard', min: 1 }
+    ];
+    
+    expect(() => getBlueprintQuestions(pool, blueprint, 3, createRandom('seed')))
+      .toThrow('Cell Алгебра / easy needs 2 questions, but only 1 are available');
+  });
+  
+  test('если ячейки с max не могут дать нужное количество вопросов, выборка отклоняется', () => {
+    const pool = [...questions('a', 5, 'Алгебра', 'easy'), ...questions('g', 1, 'Геометрия', 'hard')];
+    const blueprint = [
+      { topic: 'Алгебра', difficulty: 'easy', min: 1, max: 2 },
+      { topic: 'Геометрия', difficulty: 'hard' }
+    ];
+    
+    expect(() => getBlueprintQuestions(pool, blueprint, 4, createRandom('seed')))
+      .toThrow('Blueprint cells can supply only 3 of 4 questions');
+  });
+});
@@ -0,0 +1,64 @@
+const {
+  getFingerprint,
+  createDuplicateIndex,
+  addToDuplicateIndex,
+  findDuplicates
+} = require('../../src/utils/duplicateDetector');
+
+const bank = [
+  { _id: 'q1', title: 'Найдите сумму корней уравнения x^2 - 5x + 6 = 0', options: ['5', '6', '-5', '1'] },
+  { _id: 'q2', title: 'Сколько простых чисел меньше 20?', options: ['8', '7', '9', '10'] },
+  { _id: 'q3', title: 'Найдите произведение корней уравнения x^2 - 5x + 6 = 0', options: ['6', '5', '-6', '1'] }
+];
+
+describe('getFingerprint', () => {
+  test('не зависит от регистра, пунктуации, ё и порядка вариантов', () => {
+    expect(getFingerprint({ title: 'Ёлка: сколько   ИГЛ?', options: ['a', 'b'] }))
+      .toBe(getFingerprint({ title: 'елка сколько игл', options: ['B', 'A'] }));
+  });
+  
+  test('математические знаки входят в отпечаток', () => {
+    expect(getFingerprint({ title: 'x + 1' })).not.toBe(getFingerprint({ title: 'x - 1' }));
+  });
+});
+
+describe('findDuplicates', () => {
+  const index = createDuplicateIndex(bank);
+  
+  test('точный дубликат имеет сходство 1', () => {
+    const question = { title: 'найдите СУММУ корней уравнения x^2 - 5x + 6 = 0.', options: ['1', '-5', '6', '5'] };
+    
+    const [first, ...rest] = findDuplicates(index, question);
+    
+    expect(first).toEqual({ questionId: 'q1', title: bank[0].title, similarity: 1, exact: true });
+    expect(rest.every(match => !match.exact && match.similarity < 1)).toBe(true);
+  });
+  
+  test('похожие вопросы упорядочены по убыванию сходства, порог отсекает непохожие', () => {
+    const question = { title: 'Найдите сумму корней уравнения x^2 - 5x + 6 = 0', options: ['5', '6', '-5', '2'] };
+    const matches = findDuplicates(index, question, 0.5);
+    
+    expect(matches.map(match => match.questionId)).toEqual(['q1', 'q3']);
+    expect(matches[0].similarity).toBeGreaterThan(matches[1].similarity);
+    expect(matches.every(match => !match.exact)).toBe(true);
+    expect(findDuplicates(index, question, 0.99)).toEqual([]);
+  });
+  
+  test('вопрос не считается дубликатом самого себя', () => {
+    expect(findDuplicates(index, bank[1])).toEqual([]);
+  });
+  
+  test('измененный вопрос переиндексируется', () => {
+    const updatable = createDuplicateIndex(bank);
+    addToDuplicateIndex(updatable, { _id: 'q2', title: 'Совсем другой вопрос', options: [] });
+    
+    expect(findDuplicates(updatable, { title: bank[1].title, options: bank[1].options })).toEqual([]);
+    expect(findDuplicates(updatable, { title: 'совсем другой вопрос' })[0]).toMatchObject({ questionId: 'q2', exact: true });
+  });
+  
+  test('limit ограничивает количество результатов', () => {
+    const question = { title: bank[0].title, options: bank[0].options };
+    
+    expect(findDuplicates(index, question, 0, 1)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,103 @@
+const { createExposureState, computeExposureHash } = require('../../src/utils/exposureControl');
+const { createRandom } = require('../../src/utils/seededRandom');
+const { countUnitQuestions } = require('../../src/utils/questionGroups');
+
+const question = (id) => ({ _id: id });
+const ids = (units) => units.map(unit => unit._id).sort();
+const priorTest = (id, questions) => ({ _id: id, questions });
+
+describe('createExposureState', () => {
+  const candidates = ['q1', 'q2', 'q3', 'q4', 'q5'].map(question);
+  
+  test('без режимов контроля выбирает случайные вопросы без ограничений', () => {
+    const state = createExposureState([priorTest('t1', ['q1', 'q2'])]);
+    
+    expect(state.enabled).toBe(false);
+    expect(state.cap).toBe(Infinity);
+    expect(state.pick(candidates, 3, createRandom('seed'))).toHaveLength(3);
+    expect(state.isOverCap(question('q1'))).toBe(false);
+  });
+  
+  test('лимит считается от ожидаемого числа тестов, но не меньше выданных плюс новый, и не меньше 1', () => {
+    const priorTests = [priorTest('t1', []), priorTest('t2', []), priorTest('t3', [])];
+    
+    expect(createExposureState(priorTests, { maxShare: 0.5, plannedTests: 10 })).toMatchObject({ totalTests: 10, cap: 5 });
+    expect(createExposureState(priorTests, { maxShare: 0.5 })).toMatchObject({ totalTests: 4, cap: 2 });
+    expect(createExposureState(priorTests, { maxShare: 0.01 }).cap).toBe(1);
+  });
+  
+  test('maxShare: вопросы, исчерпавшие лимит, не выбираются, пока хватает других', () => {
+    const state = createExposureState(
+      [priorTest('t1', ['q1', 'q2']), priorTest('t2', ['q1', 'q2'])],
+      { maxShare: 0.5, plannedTests: 4 }
+    );
+    
+    expect(state.cap).toBe(2);
+    expect(state.isOverCap(question('q1'))).toBe(true);
+    expect(state.isOverCap(question('q3'))).toBe(false);
+    expect(ids(state.pick(candidates, 3, createRandom('seed')))).toEqual(['q3', 'q4', 'q5']);
+  });
+  
+  test('maxShare: если без них тест не собрать, берутся наименее использованные вопросы сверх лимита', () => {
+    const state = createExposureState(
+      [priorTest('t1', ['q1', 'q2']), priorTest('t2', ['q1', 'q2']), priorTest('t3', ['q1'])],
+      { maxShare: 0.5, plannedTests: 4 }
+    );
+    
+    expect(ids(state.pick(candidates, 4, createRandom('seed')))).toEqual(['q2', 'q3', 'q4', 'q5']);
+  });
+  
+  test('minimizeOverlap: новый тест пересекается с каждым выданным как можно меньше', () => {
+    const state = createExposureState(
+      [priorTest('t1', ['q1', 'q2']), priorTest('t2', ['q3', 'q4'])],
+      { minimizeOverlap: true }
+    );
+    const picked = ids(state.pick(candidates, 3, createRandom('seed')));
+    
+    expect(picked).toContain('q5');
+    expect(picked.filter(id => ['q1', 'q2'].includes(id))).toHaveLength(1);
+    expect(picked.filter(id => ['q3', 'q4'].includes(id))).toHaveLength(1);
+  });
+  
+  test('preferUnderused: часто выдававшийся вопрос выбирается реже', () => {
+    const priorTests = Array.from({ length: 10 }, (_, index) => priorTest(`t${index}`, ['q1']));
+    const random = createRandom('seed');
+    let q1Picks = 0;
+    
+    for (let i = 0; i < 200; i++) {
+      const state = createExposureState(priorTests, { preferUnderused: true });
+      const [picked] = state.pick([question('q1'), question('q2')], 1, random);
+      if (picked._id === 'q1') q1Picks++;
+    }
+    
+    expect(q1Picks).toBeLessThan(40);
+  });
+  
+  test('группа вопросов выбирается целиком и занимает место всех своих вопросов', () => {
+    const group = { _id: 'g1', members: [question('q6'), question('q7')] };
+    const state = createExposureState([], { maxShare: 1, plannedTests: 1 });
+    
+    for (const seed of ['a', 'b', 'c', 'd']) {
+      const picked = state.pick([group, question('q1'), question('q2')], 3, createRandom(seed));
+      
+      expect(countUnitQuestions(picked)).toBeLessThanOrEqual(3);
+      expect(picked.length).toBeLessThanOrEqual(3);
+    }
+  });
+  
+  test('maxUnits ограничивает количество выбранных единиц', () => {
+    const state = createExposureState([], { preferUnderused: true });
+    
+    expect(state.pick(candidates, 5, createRandom('seed'), 2)).toHaveLength(2);
+  });
+});
+
+describe('computeExposureHash', () => {
+  test('зависит от выданных тестов и порядка их вопросов', () => {
+    const hash = computeExposureHash([priorTest('t1', ['q1', 'q2'])]);
+    
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(computeExposureHash([priorTest('t1', ['q1', 'q2'])])).toBe(hash);
+    expect(computeExposureHash([priorTest('t1', ['q2', 'q1'])])).not.toBe(hash);
+  });
+});
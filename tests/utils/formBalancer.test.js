@@ -0,0 +1,140 @@
+const { DIFFICULTY_PRIORS, getExpectedSuccess, getExpectedScore, balanceForm } = require('../../src/utils/formBalancer');
+const { createRandom } = require('../../src/utils/seededRandom');
+
+const question = (id, difficulty, topic = 'Алгебра') => ({ _id: id, difficulty, topic, points: 1 });
+// Статистика: из 100 ответов верных correct
+const statsOf = (entries) => new Map(entries.map(([id, correct]) => [id, { totalAnswers: 100, correctAnswers: correct }]));
+const byDifficulty = (questions) => questions.map(q => q.difficulty).sort();
+const byTopic = (questions) => questions.map(q => `${q.topic}|${q.difficulty}`).sort();
+
+describe('getExpectedSuccess', () => {
+  test('без статистики - априорная вероятность по сложности', () => {
+    expect(getExpectedSuccess(question('q1', 'easy'), new Map())).toBe(DIFFICULTY_PRIORS.easy);
+    expect(getExpectedSuccess(question('q1', 'hard'), null)).toBe(DIFFICULTY_PRIORS.hard);
+    expect(getExpectedSuccess({ _id: 'q1' }, null)).toBe(DIFFICULTY_PRIORS.medium);
+  });
+  
+  test('эмпирическая доля сглаживается к априорной', () => {
+    const stats = new Map([['q1', { totalAnswers: 10, correctAnswers: 10 }]]);
+    
+    expect(getExpectedSuccess(question('q1', 'medium'), stats)).toBeCloseTo((10 + 0.6 * 10) / 20, 10);
+  });
+});
+
+describe('getExpectedScore', () => {
+  test('учитывает баллы вопросов и штраф за неверный ответ', () => {
+    const questions = [{ ...question('q1', 'easy'), points: 2 }, question('q2', 'hard')];
+    
+    expect(getExpectedScore(questions, null)).toEqual({ expectedScore: 2, maxScore: 3, expectedShare: 2 / 3 });
+    
+    const withPenalty = getExpectedScore(questions, null, { wrongAnswerPenalty: 0.5 });
+    expect(withPenalty.expectedScore).toBeCloseTo(2 * (0.8 - 0.2 * 0.5) + (0.4 - 0.6 * 0.5), 10);
+  });
+  
+  test('пустой набор вопросов дает нулевую долю', () => {
+    expect(getExpectedScore([], null)).toEqual({ expectedScore: 0, maxScore: 0, expectedShare: 0 });
+  });
+});
+
+describe('balanceForm', () => {
+  // Вопросы каждой группы упорядочены от самого легкого к самому трудному
+  const easy = ['e1', 'e2', 'e3', 'e4', 'e5'].map(id => question(id, 'easy'));
+  const medium = ['m1', 'm2', 'm3', 'm4', 'm5'].map(id => question(id, 'medium', 'Геометрия'));
+  const successStats = statsOf([
+    ['e1', 98], ['e2', 90], ['e3', 80], ['e4', 70], ['e5', 60],
+    ['m1', 80], ['m2', 70], ['m3', 60], ['m4', 50], ['m5', 40]
+  ]);
+  const getStratum = q => `${q.topic}|${q.difficulty}`;
+  const split = (ids) => {
+    const all = [...easy, ...medium];
+    return {
+      selected: all.filter(q => ids.includes(q._id)),
+      pool: all.filter(q => !ids.includes(q._id))
+    };
+  };
+  
+  test('приводит ожидаемую долю баллов к цели в пределах допуска, не меняя состав по сложности и темам', () => {
+    const { selected, pool } = split(['e1', 'e2', 'm1', 'm2']);
+    const before = getExpectedScore(selected, successStats).expectedShare;
+    
+    const result = balanceForm(selected, pool, {
+      targetShare: 0.65,
+      tolerance: 0.02,
+      getStratum,
+      successStats,
+      random: createRandom('seed')
+    });
+    
+    expect(Math.abs(before - 0.65)).toBeGreaterThan(0.02);
+    expect(result.withinTolerance).toBe(true);
+    expect(Math.abs(result.expectedShare - 0.65)).toBeLessThanOrEqual(0.02);
+    expect(result.swaps).toBeGreaterThan(0);
+    expect(byDifficulty(result.questions)).toEqual(byDifficulty(selected));
+    expect(byTopic(result.questions)).toEqual(byTopic(selected));
+    expect(new Set(result.questions.map(q => q._id)).size).toBe(selected.length);
+  });
+  
+  test('разные сиды дают сбалансированные, но не обязательно одинаковые тесты', () => {
+    const { selected, pool } = split(['e1', 'e2', 'm1', 'm2']);
+    const forms = ['s1', 's2', 's3', 's4', 's5', 's6'].map(seed => balanceForm(selected, pool, {
+      targetShare: 0.7,
+      tolerance: 0.03,
+      getStratum,
+      successStats,
+      random: createRandom(seed)
+    }));
+    
+    forms.forEach(form => {
+      expect(form.withinTolerance).toBe(true);
+      expect(byTopic(form.questions)).toEqual(byTopic(selected));
+    });
+    expect(new Set(forms.map(form => form.questions.map(q => q._id).sort().join())).size).toBeGreaterThan(1);
+  });
+  
+  test('тест, уже попадающий в допуск, не меняется', () => {
+    const { selected, pool } = split(['e3', 'm3']);
+    
+    const result = balanceForm(selected, pool, { targetShare: 0.7, tolerance: 0.05, getStratum, successStats });
+    
+    expect(result.swaps).toBe(0);
+    expect(result.questions).toEqual(selected);
+    expect(result.withinTolerance).toBe(true);
+  });
+  
+  test('без заданной цели выравнивает к средней доле теста того же состава', () => {
+    const { selected, pool } = split(['e1', 'm1']);
+    
+    const result = balanceForm(selected, pool, { tolerance: 0.01, getStratum, successStats, random: createRandom('seed') });
+    
+    const average = (questions) => getExpectedScore(questions, successStats).expectedShare;
+    expect(result.targetShare).toBeCloseTo((average(easy) + average(medium)) / 2, 3);
+    expect(result.withinTolerance).toBe(true);
+  });
+  
+  test('если банка не хватает для допуска, тест сохраняет лучший состав и помечается withinTolerance: false', () => {
+    const { selected, pool } = split(['e1', 'm1']);
+    
+    const result = balanceForm(selected, pool.filter(q => q._id === 'e2'), {
+      targetShare: 0.5,
+      tolerance: 0.01,
+      getStratum,
+      successStats,
+      random: createRandom('seed')
+    });
+    
+    expect(result.withinTolerance).toBe(false);
+    expect(result.questions.map(q => q._id)).toEqual(['e2', 'm1']);
+    expect(result.expectedShare).toBeGreaterThan(0.51);
+    expect(result.targetShare).toBe(0.5);
+  });
+  
+  test('без кандидатов той же группы замены не делаются', () => {
+    const { selected } = split(['e1', 'm1']);
+    
+    const result = balanceForm(selected, [], { targetShare: 0.5, tolerance: 0.01, getStratum, successStats });
+    
+    expect(result.swaps).toBe(0);
+    expect(result.questions).toEqual(selected);
+    expect(result.withinTolerance).toBe(false);
+  });
+});
@@ -0,0 +1,78 @@
+const { parseFormula, getFormulaVariables, evaluateFormula } = require('../../src/utils/formula');
+
+describe('evaluateFormula', () => {
+  test('приоритет и ассоциативность операций', () => {
+    expect(evaluateFormula('2 + 3 * 4')).toBe(14);
+    expect(evaluateFormula('(2 + 3) * 4')).toBe(20);
+    expect(evaluateFormula('10 - 4 - 3')).toBe(3);
+    expect(evaluateFormula('2 ^ 3 ^ 2')).toBe(512);
+    expect(evaluateFormula('-2 ^ 2')).toBe(-4);
+    expect(evaluateFormula('7 % 3')).toBe(1);
+  });
+  
+  test('переменные, константы и функции', () => {
+    expect(evaluateFormula('a * b + c', { a: 2, b: 3, c: 1 })).toBe(7);
+    expect(evaluateFormula('round(a / b, 2)', { a: 1, b: 3 })).toBe(0.33);
+    expect(evaluateFormula('max(a, 5, 2)', { a: 4 })).toBe(5);
+    expect(evaluateFormula('2 * pi')).toBeCloseTo(6.283185, 6);
+    expect(evaluateFormula('sqrt(16) + abs(-1) + log10(100)')).toBe(7);
+  });
+  
+  test('сравнения и логические операции возвращают 1 или 0', () => {
+    expect(evaluateFormula('a > b', { a: 3, b: 2 })).toBe(1);
+    expect(evaluateFormula('a >= b && a != 3', { a: 3, b: 2 })).toBe(0);
+    expect(evaluateFormula('!(a < b) || 0', { a: 3, b: 2 })).toBe(1);
+    // Равенство с учетом погрешности чисел с плавающей точкой
+    expect(evaluateFormula('0.1 + 0.2 == 0.3')).toBe(1);
+  });
+  
+  test('&& и || не вычисляют правую часть без необходимости', () => {
+    expect(evaluateFormula('b != 0 && a / b > 1', { a: 1, b: 0 })).toBe(0);
+    expect(evaluateFormula('b == 0 || c', { b: 0 })).toBe(1);
+  });
+  
+  test('деление на ноль дает Infinity или NaN, а не исключение', () => {
+    expect(evaluateFormula('a / b', { a: 1, b: 0 })).toBe(Infinity);
+    expect(evaluateFormula('a / b', { a: 0, b: 0 })).toBeNaN();
+  });
+  
+  test('незаданная переменная - исключение', () => {
+    expect(() => evaluateFormula('a + x', { a: 1 })).toThrow('Unknown variable "x"');
+  });
+  
+  test('принимает готовое дерево выражения', () => {
+    const tree = parseFormula('a + 1');
+    
+    expect(evaluateFormula(tree, { a: 1 })).toBe(2);
+    expect(evaluateFormula(tree, { a: 5 })).toBe(6);
+  });
+});
+
+describe('parseFormula', () => {
+  test.each([
+    ['', 'Formula is empty'],
+    ['a +', 'Unexpected end of formula'],
+    ['(a + b', 'Expected ")" at the end of formula'],
+    ['a b', 'Unexpected "b" at position 3'],
+    ['a $ b', 'Unexpected character "$" at position 3'],
+    ['foo(1)', 'Unknown function "foo"'],
+    ['pow(2)', 'Function "pow" got 1 arguments'],
+    ['constructor(1)', 'Unknown function "constructor"']
+  ])('"%s": %s', (source, message) => {
+    expect(() => parseFormula(source)).toThrow(message);
+  });
+  
+  test('ограничивает длину формулы', () => {
+    expect(() => parseFormula('1+'.repeat(300) + '1')).toThrow('Formula cannot exceed 500 characters');
+  });
+  
+  test('свойства Object.prototype не считаются переменными', () => {
+    expect(() => evaluateFormula('toString + 1')).toThrow('Unknown variable "toString"');
+  });
+});
+
+describe('getFormulaVariables', () => {
+  test('возвращает переменные без констант и имен функций, без повторов', () => {
+    expect(getFormulaVariables(parseFormula('round(a * pi / b, 2) + a - e')).sort()).toEqual(['a', 'b']);
+  });
+});
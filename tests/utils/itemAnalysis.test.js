@@ -0,0 +1,116 @@
+const { collectResponses, analyzeItem } = require('../../src/utils/itemAnalysis');
+
+// Матрица ответов: 10 участников (t0 - лучший, t9 - худший), у каждого вопроса - ответы по участникам.
+// true/false - верный/неверный ответ, число - выбранный неверный вариант, null - вопрос пропущен
+const MATRIX = {
+  q1: [true, true, true, true, true, 1, 1, 1, 1, null],
+  q2: [false, false, false, false, false, false, false, true, true, true],
+  q3: [true, true, true, true, true, true, true, true, true, true],
+  q4: [false, false, false, false, false, false, false, false, false, false]
+};
+
+const CORRECT_OPTION = 0;
+
+const buildTests = (matrix, scores) => scores.map((score, row) => ({
+  _id: `t${row}`,
+  questions: Object.keys(matrix),
+  score,
+  maxScore: 10,
+  answers: Object.entries(matrix)
+    .filter(([, answers]) => answers[row] !== null)
+    .map(([questionId, answers]) => ({
+      questionId,
+      isCorrect: answers[row] === true,
+      selectedAnswer: answers[row] === true ? CORRECT_OPTION : (answers[row] === false ? 2 : answers[row])
+    }))
+}));
+
+const question = (id) => ({ _id: id, type: 'single_choice', options: ['a', 'b', 'c'], correctAnswer: CORRECT_OPTION });
+
+describe('analyzeItem', () => {
+  // Итоговые баллы 10, 9, ..., 1 из 10
+  const responses = collectResponses(buildTests(MATRIX, [10, 9, 8, 7, 6, 5, 4, 3, 2, 1]));
+  const analyze = (id) => analyzeItem(question(id), responses.get(id));
+  
+  test('collectResponses собирает ответы каждого вопроса с итоговой долей баллов участника', () => {
+    expect(responses.get('q1')).toHaveLength(10);
+    expect(responses.get('q1')[0]).toMatchObject({ testId: 't0', totalShare: 1 });
+    expect(responses.get('q1')[9]).toMatchObject({ testId: 't9', totalShare: 0.1, answer: null });
+  });
+  
+  test('вопрос, на который верно отвечают сильные участники: p-value, дискриминация и корреляция', () => {
+    const result = analyze('q1');
+    
+    expect(result).toMatchObject({
+      responses: 10,
+      correctAnswers: 5,
+      omitted: 1,
+      pValue: 0.5,
+      groupSize: 2,
+      discriminationIndex: 1,
+      flags: []
+    });
+    // (0.8 - 0.3) / 0.2872 * sqrt(0.5 * 0.5)
+    expect(result.pointBiserial).toBeCloseTo(0.8704, 4);
+  });
+  
+  test('выбор вариантов считается по всем участникам и по крайним группам', () => {
+    expect(analyze('q1').distractors).toEqual([
+      { index: 0, option: 'a', isCorrect: true, count: 5, share: 0.5, upperCount: 2, lowerCount: 0 },
+      { index: 1, option: 'b', isCorrect: false, count: 4, share: 0.4, upperCount: 0, lowerCount: 1 },
+      { index: 2, option: 'c', isCorrect: false, count: 0, share: 0, upperCount: 0, lowerCount: 0 }
+    ]);
+  });
+  
+  test('вопрос, на который верно отвечают слабые участники, помечается negative_discrimination', () => {
+    const result = analyze('q2');
+    
+    expect(result.pValue).toBe(0.3);
+    expect(result.discriminationIndex).toBe(-1);
+    expect(result.pointBiserial).toBeLessThan(0);
+    expect(result.flags).toEqual(['negative_discrimination']);
+  });
+  
+  test('без разброса правильности (все верно) корреляция не определена', () => {
+    const result = analyze('q3');
+    
+    expect(result.pValue).toBe(1);
+    expect(result.discriminationIndex).toBe(0);
+    expect(result.pointBiserial).toBeNull();
+    expect(result.flags).toEqual([]);
+  });
+  
+  test('вопрос без верных ответов помечается no_correct_answers', () => {
+    const result = analyze('q4');
+    
+    expect(result.pValue).toBe(0);
+    expect(result.pointBiserial).toBeNull();
+    expect(result.flags).toEqual(['no_correct_answers']);
+  });
+  
+  test('без разброса итоговых баллов корреляция не определена, группы берутся в порядке тестов', () => {
+    const equal = collectResponses(buildTests(MATRIX, Array(10).fill(5)));
+    const result = analyzeItem(question('q1'), equal.get('q1'));
+    
+    expect(result.pValue).toBe(0.5);
+    expect(result.pointBiserial).toBeNull();
+    expect(result.discriminationIndex).toBe(1);
+  });
+  
+  test('слишком мало ответов для крайних групп и вопрос без ответов', () => {
+    const few = collectResponses(buildTests({ q1: [true, false, true] }, [9, 5, 1]));
+    
+    expect(analyzeItem(question('q1'), few.get('q1'))).toMatchObject({ groupSize: 0, discriminationIndex: null });
+    expect(analyzeItem(question('q1'))).toMatchObject({
+      responses: 0,
+      pValue: null,
+      discriminationIndex: null,
+      pointBiserial: null,
+      flags: []
+    });
+  });
+  
+  test('для вопросов без вариантов выбор вариантов не считается', () => {
+    expect(analyzeItem({ _id: 'q1', type: 'integer' }, responses.get('q1')).distractors).toEqual([]);
+  });
+});
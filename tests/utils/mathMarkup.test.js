@@ -0,0 +1,96 @@
+const {
+  parseMathSegments,
+  validateMathMarkup,
+  renderMathMarkup,
+  stripMathMarkup,
+  getSearchText
+} = require('../../src/utils/mathMarkup');
+
+describe('parseMathSegments', () => {
+  test('разделяет текст и формулы, строчные и выносные', () => {
+    const { segments, error } = parseMathSegments('Найдите $x$, если $$x^2=4$$ и \\(y>0\\)');
+    
+    expect(error).toBeNull();
+    expect(segments).toEqual([
+      { type: 'text', value: 'Найдите ' },
+      { type: 'math', value: 'x', display: false, position: 8 },
+      { type: 'text', value: ', если ' },
+      { type: 'math', value: 'x^2=4', display: true, position: 18 },
+      { type: 'text', value: ' и ' },
+      { type: 'math', value: 'y>0', display: false, position: 30 }
+    ]);
+  });
+  
+  test('\\$ в тексте - знак доллара, а не разделитель', () => {
+    expect(parseMathSegments('Цена \\$5')).toEqual({ segments: [{ type: 'text', value: 'Цена $5' }], error: null });
+  });
+  
+  test('экранированный символ внутри формулы не закрывает ее', () => {
+    const { segments } = parseMathSegments('$a \\$ b$');
+    
+    expect(segments).toEqual([{ type: 'math', value: 'a \\$ b', display: false, position: 0 }]);
+  });
+  
+  test('незакрытый разделитель - ошибка с позицией', () => {
+    expect(parseMathSegments('a $x').error).toEqual({ message: 'Unclosed math delimiter "$"', position: 2 });
+    expect(parseMathSegments('\\[x').error.message).toBe('Unclosed math delimiter "\\["');
+  });
+  
+  test('пустой текст', () => {
+    expect(parseMathSegments(null)).toEqual({ segments: [], error: null });
+  });
+});
+
+describe('validateMathMarkup', () => {
+  test('корректная разметка не дает ошибок', () => {
+    expect(validateMathMarkup('Докажите, что $\\frac{a+b}{2} \\ge \\sqrt{ab}$')).toEqual([]);
+  });
+  
+  test('ошибка LaTeX возвращается с формулой и позицией', () => {
+    const [error] = validateMathMarkup('Текст $\\frac{1}{$');
+    
+    expect(error).toMatchObject({ position: 6, formula: '\\frac{1}{' });
+    expect(error.message).toEqual(expect.any(String));
+  });
+  
+  test('ошибка разделителей возвращается без формулы', () => {
+    expect(validateMathMarkup('$$x')).toEqual([{ message: 'Unclosed math delimiter "$$"', position: 0, formula: null }]);
+  });
+});
+
+describe('renderMathMarkup', () => {
+  test('текст экранируется как HTML, формулы заменяются на MathML', () => {
+    const html = renderMathMarkup('<b>$x$</b>');
+    
+    expect(html.startsWith('&lt;b&gt;')).toBe(true);
+    expect(html.endsWith('&lt;/b&gt;')).toBe(true);
+    expect(html).toContain('<math');
+    expect(html).not.toContain('katex-html');
+  });
+  
+  test('формат html добавляет разметку KaTeX', () => {
+    expect(renderMathMarkup('$x$', 'html')).toContain('katex-html');
+  });
+  
+  test('ссылки из формул не отрисовываются', () => {
+    expect(renderMathMarkup('$\\href{javascript:alert(1)}{x}$')).not.toContain('href=');
+  });
+  
+  test('некорректная разметка - исключение', () => {
+    expect(() => renderMathMarkup('$x')).toThrow('Unclosed math delimiter');
+  });
+});
+
+describe('stripMathMarkup и getSearchText', () => {
+  test('убирают разделители и команды LaTeX, сохраняя переменные и числа', () => {
+    expect(stripMathMarkup('Вычислите $\\frac{a}{b} + \\sqrt{2}$')).toBe('Вычислите a b + 2');
+  });
+  
+  test('текст с некорректной разметкой остается как есть', () => {
+    expect(stripMathMarkup('a $x')).toBe('a $x');
+  });
+  
+  test('текст для поиска - условие и варианты без разметки', () => {
+    expect(getSearchText({ title: 'Корни $x^2$', description: '', options: ['$\\pi$', '2'] })).toBe('Корни x 2\n\n2');
+  });
+});
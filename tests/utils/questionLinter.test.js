@@ -0,0 +1,187 @@
+const { LINT_RULES, resolveLintConfig, getLintRules, lintQuestion } = require('../../src/utils/questionLinter');
+
+const choice = (options, correctAnswer = 0) => ({ type: 'single_choice', options, correctAnswer });
+const rulesOf = (issues) => issues.map(issue => issue.rule);
+
+describe('lintQuestion', () => {
+  test('корректный вопрос проходит без замечаний', () => {
+    expect(lintQuestion(choice(['2', '3', '4', '5'], 2))).toEqual({ isValid: true, errors: [], warnings: [], info: [] });
+  });
+  
+  describe('answer-key', () => {
+    test('индекс ответа вне вариантов - ошибка', () => {
+      const result = lintQuestion(choice(['2', '3'], 2));
+      
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([expect.objectContaining({ rule: 'answer-key', field: 'correctAnswer' })]);
+    });
+    
+    test('проверяется и для вопросов без вариантов', () => {
+      const result = lintQuestion({ type: 'integer', correctValue: '2.5' });
+      
+      expect(rulesOf(result.errors)).toEqual(['answer-key']);
+    });
+  });
+  
+  describe('empty-option', () => {
+    test('варианты без букв и цифр и заглушки - ошибки', () => {
+      const result = lintQuestion(choice(['42', '  ', '---', 'TBD', 'Вариант 3', 'n/a']));
+      
+      expect(result.errors.filter(issue => issue.rule === 'empty-option').map(issue => issue.field))
+        .toEqual(['options.1', 'options.2', 'options.3', 'options.4', 'options.5']);
+    });
+    
+    test('формулы и слова, начинающиеся как заглушки, не считаются пустыми', () => {
+      const result = lintQuestion(choice(['$\\pi$', '$x^2$', 'Option pricing', 'Ответственность']));
+      
+      expect(result.isValid).toBe(true);
+    });
+  });
+  
+  describe('duplicate-options', () => {
+    test('варианты, различающиеся только пробелами и регистром, - дубликаты', () => {
+      const result = lintQuestion(choice(['x + 1', 'X+1', 'x + 2', 'Ёлка', 'елка']));
+      
+      expect(result.errors).toEqual([
+        expect.objectContaining({ rule: 'duplicate-options', field: 'options.1', message: 'Option 2 duplicates option 1' }),
+        expect.objectContaining({ rule: 'duplicate-options', field: 'options.4', message: 'Option 5 duplicates option 4' })
+      ]);
+    });
+    
+    test('формулы, различающиеся только пробелами внутри разметки, - дубликаты', () => {
+      const result = lintQuestion(choice(['$x^2$', '$x ^ 2$', '$x^3$']));
+      
+      expect(rulesOf(result.errors)).toEqual(['duplicate-options']);
+    });
+  });
+  
+  describe('equivalent-numeric-options', () => {
+    test('"0.5" и "1/2" - один и тот же ответ', () => {
+      const result = lintQuestion(choice(['0.5', '1/2', '0.25', '3']));
+      
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          rule: 'equivalent-numeric-options',
+          field: 'options.1',
+          message: 'Option 2 ("1/2") has the same value as option 1 ("0.5")'
+        })
+      ]);
+    });
+    
+    test('сравниваются значения дробей и десятичных записей разного вида', () => {
+      const result = lintQuestion(choice(['2/4', '0.50', '-1/2', '1/-2', '1.5', '3/2']));
+      
+      expect(result.errors.map(issue => issue.field)).toEqual(['options.1', 'options.3', 'options.5']);
+    });
+    
+    test('полный дубликат сообщается только правилом duplicate-options', () => {
+      const result = lintQuestion(choice(['0.5', ' 0.5 ', '1']));
+      
+      expect(rulesOf(result.errors)).toEqual(['duplicate-options']);
+    });
+    
+    test('нечисловые варианты не сравниваются по значению', () => {
+      expect(lintQuestion(choice(['1/2 года', 'полгода', '$\\frac{1}{2}$'])).isValid).toBe(true);
+    });
+  });
+  
+  describe('contradictory-options', () => {
+    test('"все перечисленное" и "ничего из перечисленного" в одном вопросе - ошибка', () => {
+      const result = lintQuestion(choice(['2', '3', 'All of the above', 'None of the above'], 0));
+      
+      expect(result.errors).toEqual([expect.objectContaining({ rule: 'contradictory-options', field: 'options' })]);
+    });
+    
+    test('"ничего из перечисленного" не может быть верным вместе с другими вариантами', () => {
+      const result = lintQuestion({
+        type: 'multiple_choice',
+        options: ['2', '3', 'Ничего из перечисленного'],
+        correctAnswers: [0, 2]
+      });
+      
+      expect(result.errors).toEqual([expect.objectContaining({ rule: 'contradictory-options', field: 'correctAnswers' })]);
+    });
+    
+    test('"все перечисленное" верно только вместе со всеми остальными вариантами', () => {
+      const question = (correctAnswers) => ({
+        type: 'multiple_choice',
+        options: ['2', '3', 'Все перечисленное'],
+        correctAnswers
+      });
+      
+      expect(rulesOf(lintQuestion(question([0, 2])).errors)).toEqual(['contradictory-options']);
+      expect(lintQuestion(question([0, 1, 2])).isValid).toBe(true);
+    });
+  });
+  
+  describe('all-of-the-above', () => {
+    test('"все перечисленное" не последним вариантом - предупреждение', () => {
+      const result = lintQuestion(choice(['All of the above.', '2', '3'], 1));
+      
+      expect(result.isValid).toBe(true);
+      expect(result.warnings).toEqual([
+        expect.objectContaining({ rule: 'all-of-the-above', field: 'options.0', message: '"All of the above." is not the last option' })
+      ]);
+    });
+    
+    test('в multiple_choice такой вариант неоднозначен', () => {
+      const result = lintQuestion({
+        type: 'multiple_choice',
+        options: ['2', '3', 'none  of these'],
+        correctAnswers: [0]
+      });
+      
+      expect(result.warnings).toEqual([
+        expect.objectContaining({ rule: 'all-of-the-above', message: '"none  of these" is ambiguous in a multiple choice question' })
+      ]);
+    });
+  });
+  
+  describe('missing-explanation', () => {
+    test('по умолчанию выключено, включается настройкой', () => {
+      const question = choice(['2', '3']);
+      
+      expect(lintQuestion(question).info).toEqual([]);
+      expect(lintQuestion(question, { 'missing-explanation': 'info' }).info)
+        .toEqual([expect.objectContaining({ rule: 'missing-explanation', field: 'explanation' })]);
+      expect(lintQuestion({ ...question, explanation: 'Потому что' }, { 'missing-explanation': 'info' }).info).toEqual([]);
+    });
+  });
+  
+  test('правила про варианты не применяются к вопросам без вариантов', () => {
+    const result = lintQuestion({ type: 'text', acceptedAnswers: ['x'], options: ['', ''] });
+    
+    expect(result.isValid).toBe(true);
+  });
+  
+  test('уровень правила задается настройкой: warning не мешает сохранению, off отключает правило', () => {
+    const question = choice(['0.5', '1/2', '3']);
+    
+    const warning = lintQuestion(question, new Map([['equivalent-numeric-options', 'warning']]));
+    expect(warning.isValid).toBe(true);
+    expect(rulesOf(warning.warnings)).toEqual(['equivalent-numeric-options']);
+    
+    expect(lintQuestion(question, { 'equivalent-numeric-options': 'off' })).toEqual({ isValid: true, errors: [], warnings: [], info: [] });
+  });
+});
+
+describe('resolveLintConfig', () => {
+  test('неизвестные уровни заменяются уровнем по умолчанию', () => {
+    const config = resolveLintConfig({ 'duplicate-options': 'fatal', 'empty-option': 'warning' });
+    
+    expect(config['duplicate-options']).toBe('error');
+    expect(config['empty-option']).toBe('warning');
+    expect(Object.keys(config)).toEqual(LINT_RULES.map(rule => rule.id));
+  });
+  
+  test('getLintRules возвращает описание и действующий уровень каждого правила', () => {
+    const rule = getLintRules({ 'missing-explanation': 'warning' }).find(item => item.id === 'missing-explanation');
+    
+    expect(rule).toEqual({
+      id: 'missing-explanation',
+      description: 'Question should have an explanation',
+      defaultSeverity: 'off',
+      severity: 'warning'
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const {
+  renderTemplate,
+  instantiateTemplate,
+  applyTemplateInstance,
+  getTemplateDefinition,
+  validateTemplate
+} = require('../../src/utils/questionTemplate');
+const { createRandom } = require('../../src/utils/seededRandom');
+
+// Шаблон: сумма двух чисел, a < b
+const template = {
+  type: 'parametric',
+  title: 'Найдите {a} + {b}',
+  description: 'Произведение равно {=a*b}',
+  parameters: [
+    { name: 'a', min: 1, max: 9, step: 1 },
+    { name: 'b', values: [2, 4, 8] }
+  ],
+  answerFormula: 'a + b',
+  parameterConstraint: 'a < b'
+};
+
+describe('renderTemplate', () => {
+  test('подставляет параметры и выражения', () => {
+    expect(renderTemplate('{a} + {b} = {=a+b}', { a: 2, b: 3 })).toBe('2 + 3 = 5');
+  });
+  
+  test('форматирует числа без погрешности представления', () => {
+    expect(renderTemplate('{=a+b}', { a: 0.1, b: 0.2 })).toBe('0.3');
+  });
+  
+  test('неизвестные параметры и неопределенные выражения остаются как есть', () => {
+    expect(renderTemplate('{c} и {=a/0} и {x^2}', { a: 1 })).toBe('{c} и {=a/0} и {x^2}');
+  });
+});
+
+describe('instantiateTemplate', () => {
+  test('значения удовлетворяют условию и взяты из диапазона или набора', () => {
+    const random = createRandom('seed');
+    
+    for (let i = 0; i < 50; i++) {
+      const { values, correctValue } = instantiateTemplate(getTemplateDefinition(template), random);
+      
+      expect(Number.isInteger(values.a) && values.a >= 1 && values.a <= 9).toBe(true);
+      expect([2, 4, 8]).toContain(values.b);
+      expect(values.a).toBeLessThan(values.b);
+      expect(correctValue).toBe(String(values.a + values.b));
+    }
+  });
+  
+  test('один и тот же сид дает один и тот же экземпляр', () => {
+    const definition = getTemplateDefinition(template);
+    
+    expect(instantiateTemplate(definition, createRandom('seed'))).toEqual(instantiateTemplate(definition, createRandom('seed')));
+  });
+  
+  test('ответ округляется до answerPrecision знаков', () => {
+    const definition = getTemplateDefinition({
+      parameters: [{ name: 'a', values: [1] }, { name: 'b', values: [3] }],
+      answerFormula: 'a / b',
+      answerPrecision: 3
+    });
+    
+    expect(instantiateTemplate(definition, createRandom('seed')).correctValue).toBe('0.333');
+  });
+  
+  test('наборы с неопределенным ответом отбрасываются', () => {
+    const definition = getTemplateDefinition({
+      parameters: [{ name: 'b', values: [0, 2] }],
+      answerFormula: '1 / b'
+    });
+    
+    expect(instantiateTemplate(definition, createRandom('seed')).values.b).toBe(2);
+  });
+  
+  test('невыполнимое условие - исключение', () => {
+    const definition = getTemplateDefinition({ ...template, parameterConstraint: 'a > 100' });
+    
+    expect(() => instantiateTemplate(definition, createRandom('seed'))).toThrow('Could not find parameter values');
+  });
+});
+
+describe('applyTemplateInstance', () => {
+  test('подставляет значения экземпляра в текст и правильный ответ', () => {
+    const question = applyTemplateInstance(template, { values: { a: 3, b: 4 }, correctValue: '7' });
+    
+    expect(question).toMatchObject({
+      title: 'Найдите 3 + 4',
+      description: 'Произведение равно 12',
+      correctValue: '7',
+      parameterValues: { a: 3, b: 4 }
+    });
+  });
+  
+  test('без экземпляра правильный ответ не раскрывается', () => {
+    expect(applyTemplateInstance(template, null)).toMatchObject({ title: template.title, correctValue: null });
+  });
+});
+
+describe('validateTemplate', () => {
+  const fields = (question) => validateTemplate(question).map(error => error.field);
+  
+  test('корректный шаблон', () => {
+    expect(validateTemplate(template)).toEqual([]);
+  });
+  
+  test('имена параметров: идентификатор, не зарезервированное, без повторов', () => {
+    expect(fields({ ...template, parameters: [{ name: '1a', values: [1] }, { name: 'b', values: [2] }] })).toContain('parameters.0.name');
+    expect(fields({ ...template, parameters: [{ name: 'pi', values: [1] }, { name: 'b', values: [2] }] })).toContain('parameters.0.name');
+    expect(fields({ ...template, parameters: [{ name: 'a', values: [1] }, { name: 'a', values: [2] }] })).toContain('parameters.1.name');
+  });
+  
+  test('параметр задается набором значений или диапазоном с положительным шагом', () => {
+    expect(fields({ ...template, parameters: [{ name: 'a' }, { name: 'b', values: [2] }] })).toContain('parameters.0');
+    expect(fields({ ...template, parameters: [{ name: 'a', min: 5, max: 1 }, { name: 'b', values: [2] }] })).toContain('parameters.0.max');
+    expect(fields({ ...template, parameters: [{ name: 'a', min: 1, max: 5, step: 0 }, { name: 'b', values: [2] }] })).toContain('parameters.0.step');
+  });
+  
+  test('формулы и подстановки ссылаются только на объявленные параметры', () => {
+    expect(fields({ ...template, answerFormula: 'a + c' })).toEqual(['answerFormula']);
+    expect(fields({ ...template, answerFormula: 'a +' })).toEqual(['answerFormula']);
+    expect(fields({ ...template, title: 'Найдите {c}' })).toEqual(['title']);
+    expect(fields({ ...template, description: '{=a*c}' })).toEqual(['description']);
+  });
+  
+  test('условие должно выполняться хотя бы на части наборов', () => {
+    expect(fields({ ...template, parameterConstraint: 'a > 100' })).toEqual(['parameterConstraint']);
+  });
+  
+  test('точность ответа - целое от 0 до 10', () => {
+    expect(fields({ ...template, answerPrecision: 11 })).toEqual(['answerPrecision']);
+  });
+});
@@ -0,0 +1,59 @@
+const { generateSeed, createRandom, shuffleArray } = require('../../src/utils/seededRandom');
+
+// Первые значения генератора подряд
+const take = (random, count) => Array.from({ length: count }, () => random());
+
+describe('generateSeed', () => {
+  test('возвращает 32 шестнадцатеричных символа, каждый раз новый', () => {
+    const seed = generateSeed();
+    
+    expect(seed).toMatch(/^[0-9a-f]{32}$/);
+    expect(generateSeed()).not.toBe(seed);
+  });
+});
+
+describe('createRandom', () => {
+  test('один и тот же сид дает одну и ту же последовательность', () => {
+    expect(take(createRandom('olympiad'), 50)).toEqual(take(createRandom('olympiad'), 50));
+  });
+  
+  test('разные сиды дают разные последовательности', () => {
+    expect(take(createRandom('olympiad'), 10)).not.toEqual(take(createRandom('olympiad-2'), 10));
+  });
+  
+  test('последовательность не меняется между версиями (на ней основан аудит генерации тестов)', () => {
+    expect(take(createRandom('olympiad'), 3)).toEqual([0.8124462510459125, 0.6094571396242827, 0.5340799780096859]);
+  });
+  
+  test('значения лежат в [0, 1)', () => {
+    const values = take(createRandom(generateSeed()), 1000);
+    
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(1);
+  });
+  
+  test('числовой сид равен строковому', () => {
+    expect(take(createRandom(42), 5)).toEqual(take(createRandom('42'), 5));
+  });
+});
+
+describe('shuffleArray', () => {
+  const items = [1, 2, 3, 4, 5, 6, 7, 8];
+  
+  test('возвращает перестановку, не изменяя исходный массив', () => {
+    const shuffled = shuffleArray(items, createRandom('olympiad'));
+    
+    expect(items).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect([...shuffled].sort((a, b) => a - b)).toEqual(items);
+  });
+  
+  test('с генератором по сиду перестановка воспроизводима', () => {
+    expect(shuffleArray(items, createRandom('olympiad'))).toEqual([2, 8, 1, 6, 3, 4, 5, 7]);
+    expect(shuffleArray(items, createRandom('olympiad'))).toEqual(shuffleArray(items, createRandom('olympiad')));
+  });
+  
+  test('пустой массив и массив из одного элемента', () => {
+    expect(shuffleArray([], createRandom('olympiad'))).toEqual([]);
+    expect(shuffleArray(['a'], createRandom('olympiad'))).toEqual(['a']);
+  });
+});
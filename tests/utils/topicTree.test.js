@@ -0,0 +1,128 @@
+const { Types } = require('mongoose');
+const {
+  normalizeTopicName,
+  cleanTopicName,
+  isInSubtree,
+  rebaseAncestors,
+  buildPathNames,
+  getRenamedAliases,
+  getMergedAliases,
+  buildTopicTree
+} = require('../../src/utils/topicTree');
+
+// Дерево: Алгебра → Уравнения → Квадратные, Алгебра → Неравенства; Геометрия
+const TOPICS = [
+  { _id: 'algebra', name: 'Алгебра', parent: null, ancestors: [] },
+  { _id: 'equations', name: 'Уравнения', parent: 'algebra', ancestors: ['algebra'] },
+  { _id: 'quadratic', name: 'Квадратные', parent: 'equations', ancestors: ['algebra', 'equations'] },
+  { _id: 'inequalities', name: 'Неравенства', parent: 'algebra', ancestors: ['algebra'] },
+  { _id: 'geometry', name: 'Геометрия', parent: null, ancestors: [] }
+];
+const topic = (id) => TOPICS.find(item => item._id === id);
+
+describe('normalizeTopicName и cleanTopicName', () => {
+  test('названия, различающиеся регистром, пробелами и формой Unicode, совпадают', () => {
+    expect(normalizeTopicName('  Linear   ALGEBRA ')).toBe('linear algebra');
+    expect(normalizeTopicName('Ｌｏｇｉｃ')).toBe('logic');
+    expect(normalizeTopicName(null)).toBe('');
+  });
+  
+  test('cleanTopicName убирает лишние пробелы, сохраняя регистр', () => {
+    expect(cleanTopicName('  Linear   Algebra ')).toBe('Linear Algebra');
+    expect(cleanTopicName(undefined)).toBe('');
+  });
+});
+
+describe('buildPathNames', () => {
+  test('строит названия тем на пути от корня', () => {
+    const paths = buildPathNames(TOPICS);
+    
+    expect(paths.get('quadratic')).toEqual(['Алгебра', 'Уравнения', 'Квадратные']);
+    expect(paths.get('inequalities')).toEqual(['Алгебра', 'Неравенства']);
+    expect(paths.get('geometry')).toEqual(['Геометрия']);
+  });
+});
+
+describe('isInSubtree', () => {
+  test('тему нельзя перенести в нее саму или в ее подтему', () => {
+    expect(isInSubtree(topic('algebra'), 'algebra')).toBe(true);
+    expect(isInSubtree(topic('equations'), 'algebra')).toBe(true);
+    expect(isInSubtree(topic('quadratic'), 'algebra')).toBe(true);
+    expect(isInSubtree(topic('quadratic'), 'equations')).toBe(true);
+  });
+  
+  test('перенос в соседнюю ветку, в предка или в другое дерево допустим', () => {
+    expect(isInSubtree(topic('inequalities'), 'equations')).toBe(false);
+    expect(isInSubtree(topic('algebra'), 'equations')).toBe(false);
+    expect(isInSubtree(topic('geometry'), 'algebra')).toBe(false);
+  });
+  
+  test('ID сравниваются по значению (ObjectId и строка)', () => {
+    const id = new Types.ObjectId();
+    
+    expect(isInSubtree({ _id: new Types.ObjectId(), ancestors: [new Types.ObjectId(id.toString())] }, id.toString())).toBe(true);
+  });
+});
+
+describe('rebaseAncestors', () => {
+  test('после переноса темы путь подтемы начинается с нового пути темы', () => {
+    // Уравнения переносятся из Алгебры в Геометрию
+    expect(rebaseAncestors(topic('quadratic').ancestors, 'equations', ['geometry', 'equations']))
+      .toEqual(['geometry', 'equations']);
+  });
+  
+  test('сохраняется часть пути ниже перенесенной темы', () => {
+    // Алгебра переносится в Геометрию: у Квадратных остаются Уравнения
+    expect(rebaseAncestors(topic('quadratic').ancestors, 'algebra', ['geometry', 'algebra']))
+      .toEqual(['geometry', 'algebra', 'equations']);
+    // Уравнения переносятся в корень
+    expect(rebaseAncestors(topic('quadratic').ancestors, 'equations', ['equations'])).toEqual(['equations']);
+  });
+});
+
+describe('синонимы при переименовании и объединении', () => {
+  test('при переименовании старое название становится синонимом', () => {
+    expect(getRenamedAliases({ key: 'algebra', aliases: ['алгебра'] }, 'Linear Algebra'))
+      .toEqual(['алгебра', 'algebra']);
+  });
+  
+  test('новое название, бывшее синонимом, синонимом быть перестает', () => {
+    expect(getRenamedAliases({ key: 'algebra', aliases: ['алгебра'] }, ' АЛГЕБРА ')).toEqual(['algebra']);
+  });
+  
+  test('при объединении целевая тема получает название и синонимы исходной без повторов', () => {
+    expect(getMergedAliases({ aliases: ['linear algebra'] }, { key: 'алгебра', aliases: ['linear algebra', 'algebra i'] }))
+      .toEqual(['linear algebra', 'алгебра', 'algebra i']);
+  });
+});
+
+describe('buildTopicTree', () => {
+  const counts = new Map([
+    ['algebra', { total: 1, active: 1, eligible: 0 }],
+    ['quadratic', { total: 4, active: 3, eligible: 2 }],
+    ['inequalities', { total: 2, active: 2, eligible: 2 }]
+  ]);
+  
+  test('строит дерево с темами, отсортированными по названию, и глубиной', () => {
+    const tree = buildTopicTree(TOPICS, counts);
+    
+    expect(tree.map(node => node.name)).toEqual(['Алгебра', 'Геометрия']);
+    expect(tree[0].children.map(node => node.name)).toEqual(['Неравенства', 'Уравнения']);
+    expect(tree[0].children[1].children[0]).toMatchObject({ name: 'Квадратные', depth: 2, children: [] });
+  });
+  
+  test('считает вопросы темы и всего ее поддерева', () => {
+    const [algebra, geometry] = buildTopicTree(TOPICS, counts);
+    const equations = algebra.children[1];
+    
+    expect(algebra.questions).toEqual({ total: 1, active: 1, eligible: 0 });
+    expect(algebra.subtree).toEqual({ total: 7, active: 6, eligible: 4 });
+    expect(equations.questions).toEqual({ total: 0, active: 0, eligible: 0 });
+    expect(equations.subtree).toEqual({ total: 4, active: 3, eligible: 2 });
+    expect(geometry.subtree).toEqual({ total: 0, active: 0, eligible: 0 });
+  });
+  
+  test('пустой список тем дает пустое дерево', () => {
+    expect(buildTopicTree([])).toEqual([]);
+  });
+});